@@ -0,0 +1,134 @@
+/**
+ * Bonus Withholding Module
+ * Federal withholding on supplemental wages under the flat (22% / 37% over $1 million)
+ * and aggregate methods, compared with what the bonus really adds to the year's tax
+ */
+
+class BonusWithholdingCalculator {
+  constructor() {
+    this.METHODS = {
+      'flat': 'Flat rate (22%)',
+      'aggregate': 'Aggregate (added to a paycheck)'
+    };
+  }
+
+  /**
+   * Flat-rate withholding. Supplemental wages past $1 million for the year (counting
+   * earlier bonuses) must be withheld at the mandatory rate whichever method is used.
+   */
+  splitMandatory(taxableBonus, priorSupplemental, rates) {
+    const belowThreshold = Math.max(0, rates.mandatoryThreshold - priorSupplemental);
+    const regular = Math.min(taxableBonus, belowThreshold);
+    return { regular, mandatory: taxableBonus - regular };
+  }
+
+  /**
+   * Aggregate-method withholding: tax the bonus together with one regular paycheck,
+   * annualized as usual, and withhold the difference from the paycheck alone
+   */
+  withholdAggregate(taxableBonus, periodWages, periods, filingStatus, taxYear, w4) {
+    const withBonus = window.w4Estimator.calculateWithholding(periodWages + taxableBonus, periods, filingStatus, taxYear, w4);
+    const without = window.w4Estimator.calculateWithholding(periodWages, periods, filingStatus, taxYear, w4);
+    return Math.max(0, withBonus - without);
+  }
+
+  /**
+   * Compare bonus withholding methods.
+   * Options: { bonus, deferralRate (percent of the bonus sent to the 401(k)), electiveRoom
+   *            (401(k) limit left after regular deferrals), wages ({ federal, fica, state }
+   *            for the year without the bonus), periods, priorSupplemental, filingStatus,
+   *            taxYear, state, w4, calculateTaxes (wages => { federal, socialSecurity,
+   *            medicare, state, local, total }) }
+   * A method's settleUp is positive when it over-withholds (a refund) and negative when
+   * the bonus leaves a balance due.
+   */
+  calculate(options = {}) {
+    const filingStatus = window.taxEngine.normalizeFilingStatus(options.filingStatus);
+    const taxYear = window.taxEngine.normalizeTaxYear(options.taxYear);
+    const rates = window.taxEngine.getTable(taxYear).federal.supplemental;
+    const bonus = Math.max(0, Number(options.bonus) || 0);
+    const deferralRate = Math.min(100, Math.max(0, Number(options.deferralRate) || 0));
+    const electiveRoom = options.electiveRoom === undefined ? Infinity : Math.max(0, Number(options.electiveRoom) || 0);
+    const periods = Math.max(1, Math.round(Number(options.periods) || 26));
+    const wages = { federal: 0, fica: 0, state: 0, ...options.wages };
+
+    const deferred = Math.min(bonus * deferralRate / 100, electiveRoom);
+    const taxableBonus = bonus - deferred;
+
+    // 401(k) deferrals skip income tax but not FICA; some states tax them anyway
+    const stateBonus = window.contributionPlanner.isStateTaxed('retirement401k', options.state) ? bonus : taxableBonus;
+    const before = options.calculateTaxes(wages);
+    const after = options.calculateTaxes({
+      federal: wages.federal + taxableBonus,
+      fica: wages.fica + bonus,
+      state: wages.state + stateBonus
+    });
+    const liability = {
+      federal: after.federal - before.federal,
+      fica: after.socialSecurity + after.medicare - before.socialSecurity - before.medicare,
+      stateAndLocal: after.state + after.local - before.state - before.local
+    };
+    liability.total = liability.federal + liability.fica + liability.stateAndLocal;
+
+    const split = this.splitMandatory(taxableBonus, Math.max(0, Number(options.priorSupplemental) || 0), rates);
+    const mandatoryWithholding = split.mandatory * rates.mandatoryRate;
+    const federalWithholding = {
+      flat: split.regular * rates.rate + mandatoryWithholding,
+      aggregate: this.withholdAggregate(split.regular, wages.federal / periods, periods, filingStatus, taxYear, options.w4) +
+        mandatoryWithholding
+    };
+
+    // FICA, state and local withholding are taken as what the bonus actually adds
+    const methods = Object.entries(this.METHODS).map(([key, label]) => {
+      const federal = federalWithholding[key];
+      const withheld = federal + liability.fica + liability.stateAndLocal;
+      return {
+        key,
+        label,
+        federal,
+        effectiveRate: taxableBonus > 0 ? federal / taxableBonus : 0,
+        withheld,
+        netBonus: bonus - deferred - withheld,
+        settleUp: federal - liability.federal
+      };
+    });
+
+    return {
+      taxYear,
+      filingStatus,
+      bonus,
+      deferralRate,
+      deferred,
+      deferralCapped: deferred < bonus * deferralRate / 100,
+      taxableBonus,
+      rates,
+      liability,
+      // Cash kept once the return is filed, whichever method withheld it
+      keptAfterFiling: bonus - deferred - liability.total,
+      methods
+    };
+  }
+
+  /**
+   * Calculate a bonus with and without the 401(k) deferral, to show what deferring costs
+   * in cash now against the tax it saves
+   */
+  compareDeferral(options = {}) {
+    const result = this.calculate(options);
+    if (result.deferred <= 0) {
+      return { ...result, deferralEffect: null };
+    }
+
+    const cashOnly = this.calculate({ ...options, deferralRate: 0 });
+    return {
+      ...result,
+      deferralEffect: {
+        taxSaved: cashOnly.liability.total - result.liability.total,
+        cashGivenUp: cashOnly.keptAfterFiling - result.keptAfterFiling
+      }
+    };
+  }
+}
+
+// Create singleton instance
+window.bonusWithholding = new BonusWithholdingCalculator();
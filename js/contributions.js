@@ -0,0 +1,170 @@
+/**
+ * Contribution Planner Module
+ * Models traditional and Roth 401(k), HSA and health FSA payroll contributions against
+ * the IRS annual limits (with age-based catch-up) and the take-home cost of each dollar
+ */
+
+class ContributionPlanner {
+  constructor() {
+    /*
+     * Payroll contribution accounts keyed like the income form fields. Traditional 401(k)
+     * deferrals skip income tax but not Social Security and Medicare; Roth deferrals are
+     * after-tax; HSA and health FSA contributions through a cafeteria plan skip both.
+     */
+    this.ACCOUNTS = {
+      retirement401k: { label: 'Traditional 401(k)', limit: 'elective', incomeTaxExempt: true, ficaExempt: false },
+      roth401k: { label: 'Roth 401(k)', limit: 'elective', incomeTaxExempt: false, ficaExempt: false },
+      hsa: { label: 'HSA', limit: 'hsa', incomeTaxExempt: true, ficaExempt: true },
+      fsa: { label: 'Health FSA', limit: 'healthFsa', incomeTaxExempt: true, ficaExempt: true }
+    };
+
+    // States that tax contributions the federal return excludes
+    this.STATE_TAXED = {
+      CA: ['hsa'],
+      NJ: ['hsa'],
+      PA: ['retirement401k']
+    };
+
+    this.HSA_COVERAGE = {
+      'self': 'Self-only',
+      'family': 'Family'
+    };
+  }
+
+  /**
+   * Whether a state taxes an account's contributions
+   */
+  isStateTaxed(key, state) {
+    return (this.STATE_TAXED[state] || []).includes(key);
+  }
+
+  /**
+   * Annual limits for a tax year and age. The 401(k) limit covers traditional and Roth
+   * deferrals combined; from 2025 ages 60–63 get the larger catch-up instead.
+   */
+  getLimits(taxYear, age, hsaCoverage = 'self') {
+    const year = window.taxEngine.normalizeTaxYear(taxYear);
+    const limits = window.taxEngine.getTable(year).contributions;
+    if (!limits) {
+      throw new Error(`The ${year} tax table has no contribution limits.`);
+    }
+
+    const years = Math.max(0, Number(age) || 0);
+    const coverage = this.HSA_COVERAGE[hsaCoverage] ? hsaCoverage : 'self';
+    const { elective, hsa, healthFsa } = limits;
+
+    let electiveCatchUp = years >= elective.catchUp.age ? elective.catchUp.amount : 0;
+    if (elective.superCatchUp && years >= elective.superCatchUp.ages[0] && years <= elective.superCatchUp.ages[1]) {
+      electiveCatchUp = elective.superCatchUp.amount;
+    }
+    const hsaCatchUp = years >= hsa.catchUp.age ? hsa.catchUp.amount : 0;
+
+    return {
+      taxYear: year,
+      age: years,
+      hsaCoverage: coverage,
+      elective: elective.limit + electiveCatchUp,
+      electiveCatchUp,
+      hsa: hsa.limit[coverage] + hsaCatchUp,
+      hsaCatchUp,
+      healthFsa: healthFsa.limit
+    };
+  }
+
+  /**
+   * Cap requested annual contributions at the limits. Traditional deferrals count toward
+   * the shared 401(k) limit before Roth deferrals.
+   */
+  applyLimits(requested, limits) {
+    let electiveLeft = limits.elective;
+
+    return Object.entries(this.ACCOUNTS).map(([key, info]) => {
+      const amount = Math.max(0, Number(requested[key]) || 0);
+      let limit = limits[info.limit];
+      if (info.limit === 'elective') {
+        limit = electiveLeft;
+      }
+      const allowed = Math.min(amount, limit);
+      if (info.limit === 'elective') {
+        electiveLeft -= allowed;
+      }
+
+      return { key, ...info, requested: amount, amount: allowed, excess: amount - allowed, limit };
+    });
+  }
+
+  /**
+   * Wages each tax applies to after the contributions and other pre-tax deductions
+   */
+  getWages(annualGross, accounts, otherPreTax, state) {
+    const incomeTaxExempt = accounts.filter(account => account.incomeTaxExempt);
+    const federal = annualGross - otherPreTax.total - incomeTaxExempt.reduce((sum, account) => sum + account.amount, 0);
+    const stateAddBack = incomeTaxExempt
+      .filter(account => this.isStateTaxed(account.key, state))
+      .reduce((sum, account) => sum + account.amount, 0);
+    const fica = annualGross - otherPreTax.ficaExempt - accounts
+      .filter(account => account.ficaExempt)
+      .reduce((sum, account) => sum + account.amount, 0);
+
+    return {
+      gross: annualGross,
+      federal: Math.max(0, federal),
+      state: Math.max(0, federal + stateAddBack),
+      fica: Math.max(0, fica)
+    };
+  }
+
+  /**
+   * Plan a year of contributions.
+   * Options: { annualGross, contributions (annual amounts keyed like ACCOUNTS),
+   *            otherPreTax: { total, ficaExempt }, age, hsaCoverage, taxYear, state,
+   *            calculateTaxes (wages => { total, ... }) }
+   * Each account's cost is how much take-home pay drops because of it; costPerDollar
+   * is that drop for each dollar contributed.
+   */
+  plan(options = {}) {
+    const annualGross = Math.max(0, Number(options.annualGross) || 0);
+    const otherPreTax = { total: 0, ficaExempt: 0, ...options.otherPreTax };
+    const limits = this.getLimits(options.taxYear, options.age, options.hsaCoverage);
+    const accounts = this.applyLimits(options.contributions || {}, limits);
+
+    const takeHome = list => {
+      const wages = this.getWages(annualGross, list, otherPreTax, options.state);
+      const taxes = options.calculateTaxes(wages);
+      const contributed = list.reduce((sum, account) => sum + account.amount, 0);
+      return { wages, taxes, net: annualGross - otherPreTax.total - contributed - taxes.total };
+    };
+
+    const result = takeHome(accounts);
+    accounts.forEach(account => {
+      if (account.amount <= 0) {
+        account.cost = 0;
+        account.costPerDollar = 0;
+        account.taxSavings = 0;
+        return;
+      }
+      const without = takeHome(accounts.map(other => (other.key === account.key ? { ...other, amount: 0 } : other)));
+      account.cost = without.net - result.net;
+      account.costPerDollar = account.cost / account.amount;
+      account.taxSavings = account.amount - account.cost;
+    });
+
+    const warnings = accounts
+      .filter(account => account.excess > 0)
+      .map(account => `${account.label} is capped at the ${limits.taxYear} limit; the extra $${Math.round(account.excess).toLocaleString('en-US')} a year was left out.`);
+
+    return {
+      limits,
+      accounts,
+      warnings,
+      wages: result.wages,
+      taxes: result.taxes,
+      preTaxTotal: accounts.filter(account => account.incomeTaxExempt).reduce((sum, account) => sum + account.amount, 0),
+      afterTaxTotal: accounts.filter(account => !account.incomeTaxExempt).reduce((sum, account) => sum + account.amount, 0),
+      netIncome: result.net
+    };
+  }
+}
+
+// Create singleton instance
+window.contributionPlanner = new ContributionPlanner();
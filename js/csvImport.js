@@ -0,0 +1,340 @@
+/**
+ * CSV Statement Import Module
+ * Parses bank and credit-card CSV statements, maps columns, applies category rules,
+ * and prepares a de-duplicated preview for the transaction ledger
+ */
+
+class CSVStatementImporter {
+  constructor() {
+    this.RULES_STORAGE_KEY = 'importCategoryRules';
+    this.rules = this.loadRules();
+
+    // How debits and credits are represented in the statement
+    this.SIGN_MODES = {
+      'negative-debit': 'Negative amounts are spending (most bank accounts)',
+      'positive-debit': 'Positive amounts are spending (most credit cards)',
+      'split': 'Separate debit and credit columns',
+      'indicator': 'Amount plus a debit/credit type column'
+    };
+
+    // Header keywords used to guess the column mapping
+    this.HEADER_HINTS = {
+      date: ['transaction date', 'trans date', 'posted date', 'posting date', 'date'],
+      description: ['description', 'payee', 'merchant', 'name', 'memo', 'details'],
+      amount: ['amount', 'transaction amount'],
+      debit: ['debit', 'withdrawal', 'withdrawals', 'charge'],
+      credit: ['credit', 'deposit', 'deposits', 'payment'],
+      type: ['type', 'transaction type', 'dr/cr', 'debit/credit']
+    };
+
+    // Values of a type column that mark a row as a debit or a credit
+    this.INDICATOR_VALUES = /^(debit|credit|dr|cr|d|c|withdrawal|deposit)$/i;
+  }
+
+  /**
+   * Parse CSV text into an array of rows (RFC 4180 quoting)
+   */
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field.trim());
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field.trim());
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field.trim());
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+  }
+
+  /**
+   * Parse a statement into headers and data rows
+   */
+  parseStatement(text) {
+    const rows = this.parseCSV(text);
+    if (rows.length < 2) {
+      throw new Error('The CSV file needs a header row and at least one transaction.');
+    }
+
+    const [headers, ...dataRows] = rows;
+    return { headers, rows: dataRows };
+  }
+
+  /**
+   * Guess a column mapping from header names. A "Type" column only selects debit/credit
+   * indicator mode when its values in rows are debit/credit markers; banks also use the
+   * name for a category or transaction-kind column.
+   */
+  guessMapping(headers, rows = []) {
+    const normalized = headers.map(header => header.toLowerCase().trim());
+    const findColumn = (hints, exclude = []) => {
+      for (const hint of hints) {
+        const index = normalized.findIndex((header, i) => !exclude.includes(i) && header === hint);
+        if (index !== -1) return index;
+      }
+      for (const hint of hints) {
+        const index = normalized.findIndex((header, i) => !exclude.includes(i) && header.includes(hint));
+        if (index !== -1) return index;
+      }
+      return -1;
+    };
+
+    const date = findColumn(this.HEADER_HINTS.date);
+    const description = findColumn(this.HEADER_HINTS.description, [date]);
+    const amount = findColumn(this.HEADER_HINTS.amount, [date, description]);
+    const debit = findColumn(this.HEADER_HINTS.debit, [date, description, amount]);
+    const credit = findColumn(this.HEADER_HINTS.credit, [date, description, amount, debit]);
+    const typeColumn = findColumn(this.HEADER_HINTS.type, [date, description, amount, debit, credit]);
+    const typeValues = typeColumn === -1 ? [] : rows.map(row => String(row[typeColumn] || '').trim()).filter(Boolean);
+    const type = typeValues.length > 0 && typeValues.every(value => this.INDICATOR_VALUES.test(value)) ? typeColumn : -1;
+
+    let signMode = 'negative-debit';
+    if (amount === -1 && debit !== -1) {
+      signMode = 'split';
+    } else if (type !== -1) {
+      signMode = 'indicator';
+    }
+
+    return { date, description, amount, debit, credit, type, signMode, dateFormat: 'auto' };
+  }
+
+  /**
+   * Parse a statement date into YYYY-MM-DD
+   */
+  parseDate(value, dateFormat = 'auto') {
+    const text = String(value || '').trim();
+    const iso = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    const parts = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+    let year, month, day;
+
+    if (iso && dateFormat !== 'DMY' && dateFormat !== 'MDY') {
+      [, year, month, day] = iso;
+    } else if (parts) {
+      const [, first, second, rawYear] = parts;
+      year = rawYear.length === 2 ? `20${rawYear}` : rawYear;
+      [month, day] = dateFormat === 'DMY' ? [second, first] : [first, second];
+    } else if (/^\d{8}$/.test(text)) {
+      [year, month, day] = [text.slice(0, 4), text.slice(4, 6), text.slice(6, 8)];
+    } else {
+      return null;
+    }
+
+    const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    const check = new Date(`${date}T00:00:00`);
+    return isNaN(check) || check.getMonth() + 1 !== Number(month) ? null : date;
+  }
+
+  /**
+   * Parse a statement amount ("$1,234.56", "(12.00)", "12.00 CR")
+   */
+  parseAmount(value) {
+    let text = String(value || '').trim();
+    if (!text) return null;
+
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) {
+      sign = -1;
+      text = text.slice(1, -1);
+    }
+    if (/\s*CR$/i.test(text)) {
+      sign = -1;
+      text = text.replace(/\s*CR$/i, '');
+    }
+    text = text.replace(/\s*DR$/i, '').replace(/[$,\s]/g, '');
+
+    const num = parseFloat(text);
+    return isFinite(num) ? num * sign : null;
+  }
+
+  /**
+   * Convert a row to a signed spending amount (positive = spending, negative = money in)
+   */
+  getSpendingAmount(row, mapping) {
+    switch (mapping.signMode) {
+      case 'split': {
+        const debit = this.parseAmount(row[mapping.debit]);
+        const credit = this.parseAmount(row[mapping.credit]);
+        if (debit) return Math.abs(debit);
+        if (credit) return -Math.abs(credit);
+        return null;
+      }
+      case 'indicator': {
+        const amount = this.parseAmount(row[mapping.amount]);
+        if (amount === null) return null;
+        const type = String(row[mapping.type] || '').toLowerCase();
+        const isCredit = /credit|cr|deposit/.test(type) && !/debit|dr/.test(type);
+        return isCredit ? -Math.abs(amount) : Math.abs(amount);
+      }
+      case 'positive-debit': {
+        const amount = this.parseAmount(row[mapping.amount]);
+        return amount === null ? null : amount;
+      }
+      default: {
+        const amount = this.parseAmount(row[mapping.amount]);
+        return amount === null ? null : -amount;
+      }
+    }
+  }
+
+  /**
+   * Load saved category rules; unreadable saved rules start the list over
+   */
+  loadRules() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.RULES_STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save category rules. Throws when the browser won't store them; the rules still apply
+   * until the page is reloaded.
+   */
+  saveRules() {
+    try {
+      localStorage.setItem(this.RULES_STORAGE_KEY, JSON.stringify(this.rules));
+    } catch (error) {
+      throw new Error('Category rules could not be saved in this browser and will be lost on reload.');
+    }
+  }
+
+  /**
+   * Add a "description contains X → category" rule
+   */
+  addRule(pattern, category) {
+    const text = String(pattern || '').trim();
+    if (!text) {
+      throw new Error('Enter text to match in the description.');
+    }
+    if (window.transactionLedger && !window.transactionLedger.CATEGORIES.includes(category)) {
+      throw new Error('Please choose a budget category.');
+    }
+
+    const rule = { id: `rule-${Date.now().toString(36)}`, pattern: text, category };
+    this.rules.push(rule);
+    this.saveRules();
+    return rule;
+  }
+
+  /**
+   * Remove a category rule
+   */
+  removeRule(id) {
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    this.saveRules();
+  }
+
+  /**
+   * Categorize a description using the first matching rule
+   */
+  categorize(description, fallback = 'miscellaneous') {
+    const text = String(description || '').toLowerCase();
+    const rule = this.rules.find(item => text.includes(item.pattern.toLowerCase()));
+    return rule ? rule.category : fallback;
+  }
+
+  /**
+   * Build a fingerprint used to detect the same transaction imported twice
+   */
+  getImportKey(date, amount, description) {
+    const normalizedDescription = String(description || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return `${date}|${amount.toFixed(2)}|${normalizedDescription}`;
+  }
+
+  /**
+   * Map statement rows to preview entries, flagging errors and duplicates
+   */
+  buildPreview(rows, mapping, existingTransactions = [], account = '') {
+    // Count existing fingerprints so a statement re-imported in full is fully flagged,
+    // while genuinely repeated charges inside one statement are still kept
+    const existingCounts = new Map();
+    existingTransactions.forEach(tx => {
+      if (tx.importKey) {
+        existingCounts.set(tx.importKey, (existingCounts.get(tx.importKey) || 0) + 1);
+      }
+    });
+    const seenCounts = new Map();
+
+    return rows.map((row, index) => {
+      const date = this.parseDate(row[mapping.date], mapping.dateFormat);
+      const description = String(row[mapping.description] || '').trim();
+      const amount = this.getSpendingAmount(row, mapping);
+      const entry = {
+        index,
+        date,
+        payee: description,
+        amount: amount === null ? null : Math.round(amount * 100) / 100,
+        category: this.categorize(description),
+        account,
+        error: null,
+        duplicate: false,
+        include: false
+      };
+
+      if (!date) {
+        entry.error = `Unrecognized date "${row[mapping.date] || ''}"`;
+      } else if (entry.amount === null || entry.amount === 0) {
+        entry.error = 'Missing amount';
+      }
+
+      if (!entry.error) {
+        entry.importKey = this.getImportKey(date, entry.amount, description);
+        const seen = (seenCounts.get(entry.importKey) || 0) + 1;
+        seenCounts.set(entry.importKey, seen);
+        entry.duplicate = seen <= (existingCounts.get(entry.importKey) || 0);
+        // Money coming in (paychecks, card payments) is left out of spending by default
+        entry.include = !entry.duplicate && entry.amount > 0;
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * Summarize a preview for display
+   */
+  summarizePreview(preview) {
+    return {
+      total: preview.length,
+      included: preview.filter(entry => entry.include).length,
+      duplicates: preview.filter(entry => entry.duplicate).length,
+      credits: preview.filter(entry => !entry.error && entry.amount < 0).length,
+      errors: preview.filter(entry => entry.error).length
+    };
+  }
+}
+
+// Create singleton instance
+window.csvImporter = new CSVStatementImporter();
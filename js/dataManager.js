@@ -15,6 +15,17 @@ class FinancialDataManager {
         daysPerWeek: 5,
         weeksPerYear: 52,
         zipcode: '',
+        filingStatus: 'single',
+        taxYear: null,
+        zipState: '',
+        localJurisdiction: '',
+        localResidency: 'resident',
+        incomeType: 'w2',
+        businessExpenses: 0,
+        priorYearTax: null,
+        priorYearAgi: null,
+        sources: [],
+        w4: null,
         monthlyNetIncome: 0,
         annualGrossIncome: 0,
         calculatedDate: null
@@ -41,6 +52,7 @@ class FinancialDataManager {
       debtStrategy: {
         extraPayment: 0,
         selectedStrategy: 'avalanche',
+        targetPayoffDate: '',
         lastUpdated: null
       },
       emergencyFund: {
@@ -48,6 +60,9 @@ class FinancialDataManager {
         currentFund: 0,
         monthlyExpenses: 0,
         targetMonths: 6,
+        essentials: {},
+        risk: null,
+        accounts: [],
         monthlyContribution: 0,
         remainingAmount: 0,
         progressPercent: 0,
@@ -55,6 +70,8 @@ class FinancialDataManager {
         lastUpdated: null
       },
       goals: [],
+      transactions: [],
+      accounts: [],
       investments: {
         amount: 0,
         riskTolerance: 'moderate',
@@ -92,6 +109,7 @@ class FinancialDataManager {
         const data = JSON.parse(savedData);
         // Merge saved data with default structure to handle version updates
         Object.assign(this.data, data);
+        this.syncTransactionLedger();
         this.populateFormsWithSavedData();
         this.showNotification('Data loaded successfully!', 'success');
         return true;
@@ -130,8 +148,13 @@ class FinancialDataManager {
    * Import data from file
    */
   importData(file) {
+    if (file && /\.(csv|ofx|qfx)$/i.test(file.name)) {
+      this.importStatement(file);
+      return;
+    }
+
     if (!file || !file.type || file.type !== 'application/json') {
-      this.showNotification('Please select a valid JSON file.', 'error');
+      this.showNotification('Please select a valid JSON, CSV, OFX or QFX file.', 'error');
       return;
     }
 
@@ -141,6 +164,7 @@ class FinancialDataManager {
         const importedData = JSON.parse(e.target.result);
         if (importedData && importedData.version) {
           Object.assign(this.data, importedData);
+          this.syncTransactionLedger();
           this.saveData();
           this.populateFormsWithSavedData();
           if (window.updateDashboard) {
@@ -158,6 +182,21 @@ class FinancialDataManager {
 
     reader.readAsText(file);
   }
+  /**
+   * Hand a CSV, OFX or QFX bank statement to the Budget Planner's import preview
+   */
+  importStatement(file) {
+    if (typeof window.startStatementImport !== 'function') {
+      this.showNotification('Statement import is not available on this page.', 'error');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (e) => window.startStatementImport(e.target.result, file.name);
+    reader.onerror = () => this.showNotification('Could not read the selected file.', 'error');
+    reader.readAsText(file);
+  }
+
 
   /**
    * Clear all financial data
@@ -170,6 +209,7 @@ class FinancialDataManager {
       // Reset data to default values
       const defaultData = new FinancialDataManager().data;
       Object.assign(this.data, defaultData);
+      this.syncTransactionLedger();
 
       // Clear all forms
       this.clearAllForms();
@@ -203,6 +243,18 @@ class FinancialDataManager {
     return this.data[section] || null;
   }
 
+  /**
+   * Share the transaction ledger's array with the data store so saves include it
+   */
+  syncTransactionLedger() {
+    if (!window.transactionLedger) return;
+    window.transactionLedger.load(this.data.transactions);
+    this.data.transactions = window.transactionLedger.transactions;
+    if (window.refreshTransactionLedger) {
+      window.refreshTransactionLedger();
+    }
+  }
+
   /**
    * Populate forms with saved data
    */
@@ -212,10 +264,26 @@ class FinancialDataManager {
       const payAmountInput = document.getElementById('pay-amount');
       const payFrequencySelect = document.getElementById('pay-frequency');
       const zipcodeInput = document.getElementById('zipcode');
+      const filingStatusSelect = document.getElementById('filing-status');
 
       if (payAmountInput) payAmountInput.value = this.data.income.payAmount;
       if (payFrequencySelect) payFrequencySelect.value = this.data.income.payFrequency;
       if (zipcodeInput) zipcodeInput.value = this.data.income.zipcode;
+      if (filingStatusSelect && this.data.income.filingStatus) filingStatusSelect.value = this.data.income.filingStatus;
+
+      const taxYearSelect = document.getElementById('tax-year');
+      if (taxYearSelect && this.data.income.taxYear) taxYearSelect.value = this.data.income.taxYear;
+
+      const localResidencySelect = document.getElementById('local-residency');
+      if (localResidencySelect && this.data.income.localResidency) localResidencySelect.value = this.data.income.localResidency;
+      const incomeTypeSelect = document.getElementById('income-type');
+      if (incomeTypeSelect && this.data.income.incomeType) incomeTypeSelect.value = this.data.income.incomeType;
+      if (window.populateZipStateSelect) {
+        window.populateZipStateSelect(this.data.income.zipcode, this.data.income.zipState);
+      }
+      if (window.populateLocalJurisdictionSelect) {
+        window.populateLocalJurisdictionSelect(this.data.income.zipcode, this.data.income.localJurisdiction);
+      }
     }
 
     // Budget form
@@ -0,0 +1,733 @@
+/**
+ * Debt Payoff Module
+ * Month-by-month payoff simulation for several payoff strategies: one fixed monthly
+ * budget, with each paid-off debt's minimum rolling forward to the next debt in line, and
+ * card, installment loan, mortgage and student loan payment rules, and cards that compound
+ * interest daily over their statement cycles
+ */
+
+class DebtPayoffEngine {
+  constructor() {
+    // 50 years; a plan that runs this long is treated as never finishing
+    this.MAX_MONTHS = 600;
+
+    this.STRATEGIES = {
+      'avalanche': {
+        label: 'Debt Avalanche',
+        // Highest interest rate first
+        compare: (a, b) => b.rate - a.rate
+      },
+      'snowball': {
+        label: 'Debt Snowball',
+        // Smallest balance first
+        compare: (a, b) => a.balance - b.balance
+      },
+      'interest-dollars': {
+        label: 'Highest Interest Dollars',
+        // Most interest charged this month first
+        compare: (a, b) => b.balance * b.rate - a.balance * a.rate
+      },
+      'cash-flow': {
+        label: 'Cash-Flow Index',
+        // Lowest balance-to-payment ratio first: the debt that frees up its payment soonest
+        compare: (a, b) => this.cashFlowIndex(a) - this.cashFlowIndex(b)
+      },
+      'custom': {
+        label: 'Custom Order',
+        // The order the debts are listed in
+        compare: () => 0
+      },
+      'optimized': {
+        label: 'Optimized',
+        // Searched for in optimizeOrder
+        compare: () => 0
+      }
+    };
+
+    // Every ordering is tried up to this many debts (120 orders); beyond it, moves and swaps
+    // are searched from the best heuristic
+    this.EXHAUSTIVE_LIMIT = 5;
+
+    this.DEBT_TYPES = {
+      'other': 'Other Debt',
+      'credit-card': 'Credit Card',
+      'installment': 'Installment Loan',
+      'mortgage': 'Mortgage',
+      'student-loan': 'Federal Student Loan'
+    };
+
+    // Issuer minimum-payment formula for cards without a fixed payment: 1% of the balance plus interest
+    this.CARD_MINIMUM = { percent: 1, floor: 25 };
+
+    // How a card charges interest: the APR over 12 on the month's balance, or the issuer's
+    // average daily balance compounded daily over each statement cycle
+    this.INTEREST_METHODS = {
+      'monthly': 'Monthly (APR ÷ 12)',
+      'daily-balance': 'Daily balance (compounded daily)'
+    };
+
+    // Statement close and payment days of the month used when a daily-balance card has none
+    this.DEFAULT_CYCLE = { statementDay: 1, paymentDay: 22 };
+
+    // Lenders must cancel PMI once the balance is scheduled to reach 78% of the original value
+    this.PMI_LTV = 0.78;
+
+    // 2025 HHS poverty guideline for the 48 contiguous states, used by IBR and ICR
+    this.POVERTY_GUIDELINE = { base: 15650, perPerson: 5500 };
+
+    // forgivenessMonths: qualifying payments after which the remaining balance is forgiven
+    // (IBR at 20 years for borrowers since July 2014, ICR at 25, RAP at 30)
+    this.IDR_PLANS = {
+      'standard': { label: 'Standard (10-year)' },
+      'ibr': { label: 'IBR (10% of income over 150% of poverty)', share: 0.10, povertyMultiple: 1.5, capMonths: 120, forgivenessMonths: 240 },
+      'icr': { label: 'ICR (20% of income over 100% of poverty)', share: 0.20, povertyMultiple: 1, capMonths: 144, forgivenessMonths: 300 },
+      'rap': { label: 'Repayment Assistance Plan (1–10% of income)', waivesUnpaidInterest: true, forgivenessMonths: 360 }
+    };
+  }
+
+  /**
+   * Balance-to-payment ratio; a debt with no payment never frees one up
+   */
+  cashFlowIndex(debt) {
+    return debt.payment > 0 ? debt.balance / debt.payment : Infinity;
+  }
+
+  /**
+   * Format a dollar amount for messages
+   */
+  formatAmount(amount) {
+    return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  /**
+   * Round to cents
+   */
+  roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Whole months from this month until a YYYY-MM month (0 when blank or past)
+   */
+  monthsUntil(yearMonth) {
+    const match = /^(\d{4})-(\d{2})$/.exec(yearMonth || '');
+    if (!match) return 0;
+    const today = new Date();
+    return Math.max(0, (Number(match[1]) - today.getFullYear()) * 12 + Number(match[2]) - 1 - today.getMonth());
+  }
+
+  /**
+   * Level monthly payment that pays a balance off over a number of months
+   */
+  amortizedPayment(balance, rate, months) {
+    const monthlyRate = rate / 100 / 12;
+    if (monthlyRate === 0) return this.roundCents(balance / months);
+    return this.roundCents(balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months)));
+  }
+
+  /**
+   * Monthly federal student loan payment under a repayment plan. IBR and ICR take a share
+   * of income above a multiple of the poverty guideline, capped at a level payment over
+   * 10 and 12 years respectively; the Repayment Assistance Plan takes
+   * 1% of income per $10,000 of income (up to 10%), less $50 a month for each dependent
+   * (family members beyond the borrower), and never less than $10.
+   */
+  studentLoanPayment(debt) {
+    const standard = this.amortizedPayment(debt.balance, debt.rate, 120);
+    const plan = this.IDR_PLANS[debt.repaymentPlan];
+    if (debt.repaymentPlan === 'standard') return standard;
+
+    if (debt.repaymentPlan === 'rap') {
+      const percent = debt.income > 10000 ? Math.min(10, Math.ceil(debt.income / 10000) - 1) : 0;
+      const payment = debt.income * percent / 100 / 12 - 50 * (debt.familySize - 1);
+      return this.roundCents(Math.max(10, payment));
+    }
+
+    const poverty = this.POVERTY_GUIDELINE.base + this.POVERTY_GUIDELINE.perPerson * (debt.familySize - 1);
+    const discretionary = Math.max(0, debt.income - poverty * plan.povertyMultiple);
+    const payment = this.roundCents(discretionary * plan.share / 12);
+    return Math.min(payment, this.amortizedPayment(debt.balance, debt.rate, plan.capMonths));
+  }
+
+  /**
+   * Normalize a debt. The minimum payment may be named payment (debt form) or minPayment.
+   * Typed debts work out their own payment: a credit card without a fixed payment uses
+   * the issuer formula, installment loans and mortgages with a term pay it off over that
+   * term, and student loans follow their repayment plan. payment is always the first
+   * month's scheduled payment toward the balance (PMI and escrow are separate). An id given
+   * by the caller is kept and becomes the debt's id in a plan (otherwise its position).
+   */
+  normalizeDebt(debt = {}, index = 0) {
+    const amount = value => Math.max(0, Number(value) || 0);
+    const type = this.DEBT_TYPES[debt.type] ? debt.type : 'other';
+    const normalized = {
+      name: String(debt.name || '').trim() || `Debt ${index + 1}`,
+      type,
+      balance: amount(debt.balance),
+      rate: amount(debt.rate),
+      payment: amount(debt.payment !== undefined ? debt.payment : debt.minPayment)
+    };
+    if (debt.id !== undefined) normalized.id = debt.id;
+
+    if (type === 'credit-card') {
+      normalized.promoRate = amount(debt.promoRate);
+      normalized.promoEndDate = debt.promoEndDate || '';
+      normalized.promoMonths = debt.promoMonths !== undefined
+        ? Math.round(amount(debt.promoMonths))
+        : this.monthsUntil(debt.promoEndDate);
+      normalized.minimumFormula = debt.minimumFormula !== undefined ? Boolean(debt.minimumFormula) : normalized.payment === 0;
+      normalized.interestMethod = this.INTEREST_METHODS[debt.interestMethod] ? debt.interestMethod : 'monthly';
+      normalized.statementDay = Math.min(31, Math.round(amount(debt.statementDay))) || this.DEFAULT_CYCLE.statementDay;
+      normalized.paymentDay = Math.min(31, Math.round(amount(debt.paymentDay))) || this.DEFAULT_CYCLE.paymentDay;
+      normalized.midCycle = Boolean(debt.midCycle);
+      if (normalized.minimumFormula) {
+        const interest = this.monthlyInterest(normalized, 1);
+        normalized.payment = this.cardMinimum(normalized.balance + interest, interest);
+      }
+    }
+
+    if (type === 'installment' || type === 'mortgage') {
+      normalized.termMonths = Math.round(amount(debt.termMonths));
+      if (normalized.termMonths > 0) {
+        normalized.payment = this.amortizedPayment(normalized.balance, normalized.rate, normalized.termMonths);
+      }
+    }
+
+    if (type === 'mortgage') {
+      normalized.escrow = amount(debt.escrow);
+      normalized.pmi = amount(debt.pmi);
+      normalized.homeValue = amount(debt.homeValue);
+    }
+
+    if (type === 'student-loan') {
+      normalized.repaymentPlan = this.IDR_PLANS[debt.repaymentPlan] ? debt.repaymentPlan : 'standard';
+      normalized.income = amount(debt.income);
+      normalized.familySize = Math.max(1, Math.round(amount(debt.familySize)) || 1);
+      normalized.payment = this.studentLoanPayment(normalized);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Annual rate charged in a month (1-based); a card's promo rate lasts through promoMonths
+   */
+  rateFor(debt, month) {
+    return debt.type === 'credit-card' && month <= debt.promoMonths ? debt.promoRate : debt.rate;
+  }
+
+  /**
+   * Whether a debt is a card charging interest on its daily balance
+   */
+  isDailyBalance(debt) {
+    return debt.type === 'credit-card' && debt.interestMethod === 'daily-balance';
+  }
+
+  /**
+   * A card's statement close date for a plan month (1-based), counted from this month's
+   * close; a close day past the end of a short month falls on its last day
+   */
+  statementDate(debt, month) {
+    const today = new Date();
+    const year = today.getFullYear();
+    const monthIndex = today.getMonth() + month - 1;
+    const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+    return new Date(year, monthIndex, Math.min(debt.statementDay, lastDay));
+  }
+
+  /**
+   * Days in the statement cycle that closes in a plan month
+   */
+  cycleDays(debt, month) {
+    return Math.round((this.statementDate(debt, month) - this.statementDate(debt, month - 1)) / 86400000);
+  }
+
+  /**
+   * Days from the start of a statement cycle to the payment: the first payment day after
+   * the previous close. Paying mid-cycle moves it to the middle of the cycle when that is
+   * sooner. A payment after the close doesn't reduce the cycle's balance.
+   */
+  daysToPayment(debt, month) {
+    const start = this.statementDate(debt, month - 1);
+    const length = this.cycleDays(debt, month);
+    const lastDay = monthIndex => new Date(start.getFullYear(), monthIndex + 1, 0).getDate();
+    let payment = new Date(start.getFullYear(), start.getMonth(), Math.min(debt.paymentDay, lastDay(start.getMonth())));
+    if (payment <= start) {
+      payment = new Date(start.getFullYear(), start.getMonth() + 1, Math.min(debt.paymentDay, lastDay(start.getMonth() + 1)));
+    }
+
+    const days = Math.min(length, Math.round((payment - start) / 86400000));
+    return debt.midCycle ? Math.min(days, Math.floor(length / 2)) : days;
+  }
+
+  /**
+   * Interest compounded daily (APR ÷ 365) on a balance over a number of days
+   */
+  accrueDaily(balance, rate, days) {
+    return this.roundCents(balance * (Math.pow(1 + rate / 100 / 365, days) - 1));
+  }
+
+  /**
+   * One month of interest on a debt's balance if nothing is paid; for a daily-balance card,
+   * the whole statement cycle compounded daily
+   */
+  monthlyInterest(debt, month = 1) {
+    if (this.isDailyBalance(debt)) {
+      return this.accrueDaily(debt.balance, this.rateFor(debt, month), this.cycleDays(debt, month));
+    }
+    return this.roundCents(debt.balance * (this.rateFor(debt, month) / 100) / 12);
+  }
+
+  /**
+   * Credit card minimum: a percentage of the statement balance plus the month's interest,
+   * with a floor (or the whole balance when it is smaller)
+   */
+  cardMinimum(statementBalance, interest) {
+    const formula = statementBalance * this.CARD_MINIMUM.percent / 100 + interest;
+    return this.roundCents(Math.min(statementBalance, Math.max(this.CARD_MINIMUM.floor, formula)));
+  }
+
+  /**
+   * Minimum due on a debt this month, once interest has been added to its balance
+   */
+  minimumDue(debt, interest) {
+    return debt.minimumFormula ? this.cardMinimum(debt.balance, interest) : debt.payment;
+  }
+
+  /**
+   * PMI charged this month: until the balance reaches 78% of the home's original value
+   * (for the whole loan when no home value is given)
+   */
+  pmiDue(debt) {
+    if (debt.type !== 'mortgage' || debt.pmi <= 0) return 0;
+    if (debt.homeValue > 0 && debt.balance <= debt.homeValue * this.PMI_LTV) return 0;
+    return debt.pmi;
+  }
+
+  /**
+   * Interest actually added to a balance. The Repayment Assistance Plan waives interest
+   * the scheduled payment doesn't cover.
+   */
+  chargedInterest(debt, interest) {
+    return this.waivesUnpaidInterest(debt) ? Math.min(interest, debt.payment) : interest;
+  }
+
+  /**
+   * Whether a debt's repayment plan waives interest its payment doesn't cover
+   */
+  waivesUnpaidInterest(debt) {
+    return debt.type === 'student-loan' && Boolean(this.IDR_PLANS[debt.repaymentPlan].waivesUnpaidInterest);
+  }
+
+  /**
+   * Month whose payment makes a student loan's remaining balance forgiven, counting from
+   * the first plan month; null for plans without forgiveness
+   */
+  forgivenessMonth(debt) {
+    if (debt.type !== 'student-loan') return null;
+    return this.IDR_PLANS[debt.repaymentPlan].forgivenessMonths || null;
+  }
+
+  /**
+   * Order debts for a strategy
+   */
+  orderDebts(debts, strategy) {
+    const { compare } = this.STRATEGIES[strategy];
+    return [...debts].sort(compare);
+  }
+
+  /**
+   * Check that the monthly budget can ever pay the debts off. Debts whose own minimum
+   * does not cover their interest are allowed (the rolled-over payments reach them
+   * later), but are returned as warnings because their balances grow until then. A loan
+   * that is forgiven ends on schedule anyway, so only its payment is set aside from the
+   * budget.
+   */
+  checkAmortization(debts, budget) {
+    const charged = debt => this.chargedInterest(debt, this.monthlyInterest(debt));
+    const [forgiven, repaid] = [true, false].map(wanted => debts.filter(debt => Boolean(this.forgivenessMonth(debt)) === wanted));
+    const available = budget - forgiven.reduce((sum, debt) => sum + debt.payment, 0);
+    const interest = repaid.reduce((sum, debt) => sum + charged(debt), 0);
+    if (repaid.length > 0 && available <= interest) {
+      throw new Error(
+        `Your monthly payments (${this.formatAmount(available)}) do not cover the ${this.formatAmount(interest)} ` +
+        'of interest your debts charge each month, so the balances would never be paid off. ' +
+        'Raise the minimum payments or the extra payment.'
+      );
+    }
+
+    const warnings = debts
+      .filter(debt => !this.waivesUnpaidInterest(debt) && charged(debt) > 0 && debt.payment <= charged(debt))
+      .map(debt => `The ${this.formatAmount(debt.payment)} minimum on ${debt.name} does not cover its ` +
+        `${this.formatAmount(charged(debt))} monthly interest, so its balance grows until the plan reaches it` +
+        (this.forgivenessMonth(debt) ? ' or the rest is forgiven.' : '.'));
+
+    debts
+      .filter(debt => debt.type === 'mortgage' && debt.pmi > 0 && debt.homeValue <= 0)
+      .forEach(debt => warnings.push(`Enter the original home value for ${debt.name} to see when its PMI drops off; until then PMI is charged for the life of the loan.`));
+
+    return warnings;
+  }
+
+  /**
+   * Simulate paying off debts in priority order (the first debt gets the extra payment).
+   * Every month the same budget (the first month's minimums and PMI plus the extra
+   * payment) is spent: PMI and minimums first, then whatever is left goes to the debts in
+   * order, so a paid-off debt's minimum or a shrinking card minimum rolls forward. PMI
+   * that drops off leaves the budget instead, so a mortgage keeps paying its scheduled
+   * principal and interest. A minimum that outgrows the budget (a card whose promo rate
+   * ended) is still paid. The final payment on each debt is only what it owes, and any
+   * money left in the last month is not spent. Escrow is passed through to the lender and
+   * tracked apart. A student loan still owing after its plan's forgivenessMonths payments
+   * has the rest forgiven (forgiven on its row and summary, totalForgiven on the plan).
+   * A daily-balance card accrues interest up to its payment date before the payment and
+   * on what is left for the rest of the cycle after it.
+   * schedule has one entry per debt per month it is open: payment, interest, principal,
+   * PMI, escrow and the balance after the payment.
+   * Options (for searching orders): { summaryOnly } skips the schedule and timeline;
+   * { stopAbove: { interest, months } } gives up and returns null once the plan has
+   * charged more interest or run more months than that.
+   */
+  calculatePlan(orderedDebts, extraPayment, strategyName, options = {}) {
+    const debts = orderedDebts
+      .map((debt, index) => ({ id: index, ...this.normalizeDebt(debt, index) }))
+      .filter(debt => debt.balance > 0);
+    const extra = Math.max(0, Number(extraPayment) || 0);
+    const stopAbove = { interest: Infinity, months: Infinity, ...options.stopAbove };
+    const budget = this.roundCents(debts.reduce((sum, debt) => sum + debt.payment + this.pmiDue(debt), 0) + extra);
+    const warnings = debts.length > 0 ? this.checkAmortization(debts, budget) : [];
+
+    let totalPaid = 0;
+    let totalInterest = 0;
+    let totalPmi = 0;
+    let totalEscrow = 0;
+    let totalForgiven = 0;
+    let pmiDropped = 0;
+    let finalPayment = 0;
+    let month = 0;
+    const timeline = [];
+    const schedule = [];
+    const summaries = debts.map(debt => ({
+      id: debt.id,
+      name: debt.name,
+      type: debt.type,
+      startingBalance: debt.balance,
+      scheduledPayment: debt.payment,
+      totalInterest: 0,
+      totalPaid: 0,
+      payoffMonth: null,
+      promoEndsMonth: debt.type === 'credit-card' && debt.promoMonths > 0 ? debt.promoMonths : null,
+      dailyBalance: this.isDailyBalance(debt),
+      pmiDropMonth: null,
+      forgiven: 0
+    }));
+    const summaryById = new Map(summaries.map(summary => [summary.id, summary]));
+
+    // Pay up to an amount toward a debt and record it on the month's row
+    const pay = (debt, row, amount) => {
+      const payment = Math.min(amount, debt.balance);
+      debt.balance = this.roundCents(debt.balance - payment);
+      row.payment = this.roundCents(row.payment + payment);
+      return payment;
+    };
+
+    while (debts.some(debt => debt.balance > 0)) {
+      if (month >= this.MAX_MONTHS) {
+        throw new Error(
+          `These debts would not be paid off within ${this.MAX_MONTHS / 12} years at ${this.formatAmount(budget)} a month. ` +
+          'Raise the minimum payments or the extra payment.'
+        );
+      }
+      month++;
+      if (month > stopAbove.months || totalInterest > stopAbove.interest) return null;
+
+      const active = debts.filter(debt => debt.balance > 0);
+      // The month's full interest sets formula minimums; daily-balance cards charge part of it up front
+      const dueInterest = active.map(debt => this.chargedInterest(debt, this.monthlyInterest(debt, month)));
+      const rows = active.map((debt, index) => {
+        const pmi = this.pmiDue(debt);
+        const interest = this.isDailyBalance(debt)
+          ? this.accrueDaily(debt.balance, this.rateFor(debt, month), this.daysToPayment(debt, month))
+          : dueInterest[index];
+        debt.balance = this.roundCents(debt.balance + interest);
+        totalInterest += interest;
+        totalPmi += pmi;
+        totalEscrow += debt.escrow || 0;
+
+        const summary = summaryById.get(debt.id);
+        if (debt.pmi > 0 && pmi === 0 && summary.pmiDropMonth === null) {
+          summary.pmiDropMonth = month;
+          pmiDropped += debt.pmi;
+        }
+
+        return { month, debtId: debt.id, debtName: debt.name, payment: 0, interest, pmi, escrow: debt.escrow || 0, forgiven: 0 };
+      });
+
+      // PMI and minimums first, capped at what each debt owes
+      let available = this.roundCents(budget - pmiDropped - rows.reduce((sum, row) => sum + row.pmi, 0));
+      active.forEach((debt, index) => {
+        available = this.roundCents(available - pay(debt, rows[index], this.minimumDue(debt, dueInterest[index])));
+      });
+      available = Math.max(0, available);
+
+      // The rest goes down the priority list, spilling to the next debt when one is cleared
+      active.forEach((debt, index) => {
+        available = this.roundCents(available - pay(debt, rows[index], available));
+      });
+
+      active.forEach((debt, index) => {
+        if (debt.balance <= 0 || month !== this.forgivenessMonth(debt)) return;
+        rows[index].forgiven = debt.balance;
+        totalForgiven += debt.balance;
+        debt.balance = 0;
+      });
+
+      active.forEach((debt, index) => {
+        if (!this.isDailyBalance(debt) || debt.balance <= 0) return;
+        const days = this.cycleDays(debt, month) - this.daysToPayment(debt, month);
+        const interest = this.accrueDaily(debt.balance, this.rateFor(debt, month), days);
+        debt.balance = this.roundCents(debt.balance + interest);
+        rows[index].interest = this.roundCents(rows[index].interest + interest);
+        totalInterest += interest;
+      });
+
+      let paidThisMonth = 0;
+      rows.forEach((row, index) => {
+        row.principal = this.roundCents(row.payment - row.interest);
+        row.balance = active[index].balance;
+        if (!options.summaryOnly) schedule.push(row);
+        paidThisMonth += row.payment + row.pmi;
+
+        const summary = summaryById.get(row.debtId);
+        summary.totalInterest = this.roundCents(summary.totalInterest + row.interest);
+        summary.totalPaid = this.roundCents(summary.totalPaid + row.payment + row.pmi);
+        summary.forgiven = this.roundCents(summary.forgiven + row.forgiven);
+        if (row.balance <= 0) summary.payoffMonth = month;
+      });
+
+      paidThisMonth = this.roundCents(paidThisMonth);
+      totalPaid += paidThisMonth;
+      finalPayment = paidThisMonth;
+
+      if (!options.summaryOnly) {
+        active.forEach((debt, index) => {
+          if (debt.balance > 0) return;
+          timeline.push({ month, debtName: debt.name, type: rows[index].forgiven > 0 ? 'forgiven' : 'payoff' });
+        });
+      }
+    }
+
+    if (totalInterest > stopAbove.interest) return null;
+
+    return {
+      strategy: strategyName,
+      totalMonths: month,
+      totalPaid: this.roundCents(totalPaid),
+      totalInterest: this.roundCents(totalInterest),
+      totalPmi: this.roundCents(totalPmi),
+      totalEscrow: this.roundCents(totalEscrow),
+      totalForgiven: this.roundCents(totalForgiven),
+      monthlyBudget: budget,
+      finalPayment,
+      timeline,
+      schedule,
+      debts: summaries,
+      warnings,
+      monthlySavings: extra
+    };
+  }
+
+  /**
+   * Balance of every debt at the end of each month (0 once paid off), for charting
+   */
+  getBalanceSeries(plan) {
+    const months = Array.from({ length: plan.totalMonths }, (_, index) => index + 1);
+    return plan.debts.map(debt => {
+      const balances = new Map(plan.schedule
+        .filter(row => row.debtId === debt.id)
+        .map(row => [row.month, row.balance]));
+      return {
+        name: debt.name,
+        balances: months.map(month => balances.get(month) || 0)
+      };
+    });
+  }
+
+  /**
+   * Amortization schedule as CSV, one row per debt per month
+   */
+  toCSV(plan) {
+    const quote = value => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [['Month', 'Debt', 'Payment', 'Interest', 'Principal', 'PMI', 'Escrow', 'Forgiven', 'Balance']];
+    plan.schedule.forEach(row => {
+      lines.push([
+        row.month,
+        row.debtName,
+        row.payment.toFixed(2),
+        row.interest.toFixed(2),
+        row.principal.toFixed(2),
+        row.pmi.toFixed(2),
+        row.escrow.toFixed(2),
+        row.forgiven.toFixed(2),
+        row.balance.toFixed(2)
+      ]);
+    });
+    return lines.map(line => line.map(quote).join(',')).join('\n');
+  }
+
+  /**
+   * Every ordering of a list
+   */
+  permutations(items) {
+    if (items.length <= 1) return [items];
+    return items.flatMap((item, index) => this.permutations([...items.slice(0, index), ...items.slice(index + 1)])
+      .map(rest => [item, ...rest]));
+  }
+
+  /**
+   * Whether plan a beats plan b: meeting the target comes first, then less interest,
+   * then an earlier payoff
+   */
+  isBetterPlan(a, b, targetMonths) {
+    if (!b) return true;
+    const meetsA = !targetMonths || a.totalMonths <= targetMonths;
+    const meetsB = !targetMonths || b.totalMonths <= targetMonths;
+    if (meetsA !== meetsB) return meetsA;
+    if (!meetsA) return a.totalMonths < b.totalMonths || (a.totalMonths === b.totalMonths && a.totalInterest < b.totalInterest);
+    return a.totalInterest < b.totalInterest - 0.005 ||
+      (Math.abs(a.totalInterest - b.totalInterest) <= 0.005 && a.totalMonths < b.totalMonths);
+  }
+
+  /**
+   * Limits past which a plan can no longer beat the best one so far (see isBetterPlan):
+   * once the best meets the target, more interest or a missed target; otherwise more months
+   */
+  searchBound(best, targetMonths) {
+    if (!best) return {};
+    if (!targetMonths || best.totalMonths <= targetMonths) {
+      return { interest: best.totalInterest + 0.005, months: targetMonths || Infinity };
+    }
+    return { months: best.totalMonths };
+  }
+
+  /**
+   * Search for the debt order with the least total interest that is paid off within
+   * targetMonths (when given). Small lists try every order; larger ones start from the
+   * best heuristic strategy and move one debt to another place in line, or swap two, while
+   * that keeps improving the plan. Orders are
+   * compared on totals alone, each abandoned as soon as it can't win, and only the winner
+   * gets a full schedule.
+   */
+  optimizeOrder(debts, extraPayment, targetMonths) {
+    const label = this.STRATEGIES.optimized.label;
+    let best = null;
+    const consider = order => {
+      let plan;
+      try {
+        plan = this.calculatePlan(order, extraPayment, label, {
+          summaryOnly: true,
+          stopAbove: this.searchBound(best && best.plan, targetMonths)
+        });
+      } catch (error) {
+        return false;
+      }
+      if (!plan || (best && !this.isBetterPlan(plan, best.plan, targetMonths))) return false;
+      best = { order, plan };
+      return true;
+    };
+
+    // The heuristic strategies go first so the search starts from a tight bound
+    const heuristics = ['avalanche', 'snowball', 'interest-dollars', 'cash-flow'];
+    heuristics.forEach(key => consider(this.orderDebts(debts, key)));
+
+    if (debts.length <= this.EXHAUSTIVE_LIMIT) {
+      this.permutations(debts).forEach(consider);
+    } else {
+      let improved = Boolean(best);
+      while (improved) {
+        improved = false;
+        const start = best.order;
+        for (let i = 0; i < start.length && !improved; i++) {
+          for (let j = 0; j < start.length && !improved; j++) {
+            if (i === j) continue;
+            const moved = [...start];
+            moved.splice(j, 0, moved.splice(i, 1)[0]);
+            const swapped = [...start];
+            [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+            improved = consider(moved) || (i < j && consider(swapped));
+          }
+        }
+      }
+    }
+
+    // No order can pay the debts off; rerunning one sends its error to the caller
+    const plan = this.calculatePlan(best ? best.order : debts, extraPayment, label);
+
+    return {
+      ...plan,
+      targetMonths: targetMonths || null,
+      targetMet: !targetMonths || plan.totalMonths <= targetMonths
+    };
+  }
+
+  /**
+   * Calculate the plan for a named strategy. Plan debt ids are positions in debts unless
+   * the debts carry their own.
+   * Options: { targetMonths } (payoff deadline for the optimizer)
+   */
+  calculateStrategy(debts, extraPayment, strategy, options = {}) {
+    const key = this.STRATEGIES[strategy] ? strategy : 'avalanche';
+    const normalized = debts.map((debt, index) => ({ id: index, ...this.normalizeDebt(debt, index) }));
+    const plan = key === 'optimized'
+      ? this.optimizeOrder(normalized, extraPayment, Math.max(0, Math.round(Number(options.targetMonths) || 0)))
+      : this.calculatePlan(this.orderDebts(normalized, key), extraPayment, this.STRATEGIES[key].label);
+
+    return {
+      key,
+      ...plan,
+      order: plan.debts.map(debt => debt.name)
+    };
+  }
+
+  /**
+   * Interest saved by paying every daily-balance card in the middle of its statement cycle
+   * rather than on its payment day. plan is the debts' plan from calculateStrategy; only
+   * the mid-cycle variant is simulated, in the same order. null when no card is
+   * daily-balance.
+   */
+  midCycleSavings(debts, extraPayment, plan) {
+    const normalized = debts.map((debt, index) => ({ id: index, ...this.normalizeDebt(debt, index) }));
+    if (!normalized.some(debt => this.isDailyBalance(debt))) return null;
+
+    const byId = new Map(normalized.map(debt => [debt.id, debt]));
+    const midCycle = this.calculatePlan(
+      plan.debts
+        .map(summary => byId.get(summary.id))
+        .map(debt => (this.isDailyBalance(debt) ? { ...debt, midCycle: true } : debt)),
+      extraPayment,
+      plan.strategy,
+      { summaryOnly: true }
+    );
+
+    return {
+      interestSaved: this.roundCents(plan.totalInterest - midCycle.totalInterest),
+      monthsSaved: plan.totalMonths - midCycle.totalMonths,
+      midCycleInterest: midCycle.totalInterest
+    };
+  }
+
+  /**
+   * Calculate every strategy for the same debts, for side-by-side comparison.
+   * Options: { targetMonths }
+   */
+  compareStrategies(debts, extraPayment, options = {}) {
+    return Object.keys(this.STRATEGIES)
+      .map(key => this.calculateStrategy(debts, extraPayment, key, options));
+  }
+}
+
+// Create singleton instance
+window.debtPayoff = new DebtPayoffEngine();
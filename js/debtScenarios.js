@@ -0,0 +1,196 @@
+/**
+ * Debt Scenarios Module
+ * What-if comparisons of balance-transfer and debt-consolidation loan offers against the
+ * current payoff plan: total cost, the month an up-front fee is earned back, and what is
+ * still owed when a promo rate ends
+ */
+
+class DebtScenarioComparer {
+  constructor() {
+    this.SCENARIO_TYPES = {
+      'balance-transfer': 'Balance Transfer',
+      'consolidation-loan': 'Consolidation Loan'
+    };
+
+    // Plan id of the new card or loan; the debts it sits among keep their list positions
+    this.NEW_DEBT_ID = 'scenario';
+  }
+
+  /**
+   * Normalize a scenario. debtIndexes are positions in the debt list; rate is the APR
+   * after the promo for a balance transfer and the loan's APR for a consolidation loan.
+   */
+  normalizeScenario(scenario = {}, index = 0) {
+    const amount = value => Math.max(0, Number(value) || 0);
+    const type = this.SCENARIO_TYPES[scenario.type] ? scenario.type : 'balance-transfer';
+    return {
+      name: String(scenario.name || '').trim() || `${this.SCENARIO_TYPES[type]} ${index + 1}`,
+      type,
+      debtIndexes: [...new Set((scenario.debtIndexes || []).map(Number))].filter(Number.isInteger),
+      feePercent: amount(scenario.feePercent),
+      promoRate: amount(scenario.promoRate),
+      promoMonths: type === 'balance-transfer' ? Math.round(amount(scenario.promoMonths)) : 0,
+      rate: amount(scenario.rate),
+      termMonths: type === 'consolidation-loan' ? Math.round(amount(scenario.termMonths)) : 0
+    };
+  }
+
+  /**
+   * Replace the moved debts with the new card or loan, which takes the place of the
+   * first moved debt (so the Custom Order strategy keeps its order). The fee is added to
+   * the new balance. A balance transfer keeps paying what the moved debts' minimums
+   * added up to; a consolidation loan pays its level payment over the term. Every debt
+   * gets an id so the new one can be found in the plan whatever its name.
+   */
+  applyScenario(debts, scenario) {
+    const engine = window.debtPayoff;
+    const normalized = debts.map((debt, index) => ({ ...engine.normalizeDebt(debt, index), id: index }));
+    const moved = normalized.filter((debt, index) => scenario.debtIndexes.includes(index));
+
+    if (moved.length === 0) {
+      throw new Error(`Choose at least one debt to move for ${scenario.name}.`);
+    }
+    if (scenario.type === 'consolidation-loan' && scenario.termMonths <= 0) {
+      throw new Error(`Enter the loan term in months for ${scenario.name}.`);
+    }
+
+    const movedBalance = engine.roundCents(moved.reduce((sum, debt) => sum + debt.balance, 0));
+    const fee = engine.roundCents(movedBalance * scenario.feePercent / 100);
+    const newDebt = scenario.type === 'balance-transfer'
+      ? engine.normalizeDebt({
+        id: this.NEW_DEBT_ID,
+        name: scenario.name,
+        type: 'credit-card',
+        balance: engine.roundCents(movedBalance + fee),
+        rate: scenario.rate,
+        promoRate: scenario.promoRate,
+        promoMonths: scenario.promoMonths,
+        payment: engine.roundCents(moved.reduce((sum, debt) => sum + debt.payment, 0)),
+        minimumFormula: false
+      })
+      : engine.normalizeDebt({
+        id: this.NEW_DEBT_ID,
+        name: scenario.name,
+        type: 'installment',
+        balance: engine.roundCents(movedBalance + fee),
+        rate: scenario.rate,
+        termMonths: scenario.termMonths
+      });
+
+    const firstMoved = Math.min(...scenario.debtIndexes.filter(index => index < normalized.length));
+    const remaining = [];
+    normalized.forEach((debt, index) => {
+      if (index === firstMoved) remaining.push(newDebt);
+      if (!scenario.debtIndexes.includes(index)) remaining.push(debt);
+    });
+
+    return { debts: remaining, newDebt, moved, movedBalance, fee };
+  }
+
+  /**
+   * Interest, PMI and fees paid through each month of a plan, indexed by month (index 0 is
+   * before the first payment). Months after the plan ends carry the final total.
+   */
+  cumulativeCost(plan, months, fee = 0) {
+    const byMonth = new Array(months + 1).fill(0);
+    plan.schedule.forEach(row => {
+      byMonth[row.month] += row.interest + row.pmi;
+    });
+
+    let total = fee;
+    return byMonth.map((cost, month) => {
+      if (month > 0) total += cost;
+      return window.debtPayoff.roundCents(total);
+    });
+  }
+
+  /**
+   * First month from which the scenario's running cost, counting its fee, stays at or
+   * below the current plan's for good; null when it never does. A scenario that is only
+   * briefly cheaper (before a promo rate ends, say) hasn't broken even.
+   */
+  breakEvenMonth(currentCosts, scenarioCosts) {
+    let breakEven = null;
+    for (let month = scenarioCosts.length - 1; month >= 1; month--) {
+      if (scenarioCosts[month] > currentCosts[month]) break;
+      breakEven = month;
+    }
+    return breakEven;
+  }
+
+  /**
+   * Plan one scenario against the current plan. The monthly budget is held at the current
+   * plan's, so the difference comes from the offer alone; when a loan's payment is more
+   * than the whole budget, budgetIncrease is the extra needed each month.
+   */
+  calculateScenario(debts, strategy, scenario, current, options = {}) {
+    const engine = window.debtPayoff;
+    const applied = this.applyScenario(debts, scenario);
+    const minimums = applied.debts.reduce((sum, debt) => sum + debt.payment + engine.pmiDue(debt), 0);
+    const extra = engine.roundCents(current.monthlyBudget - minimums);
+
+    let plan;
+    try {
+      plan = engine.calculateStrategy(applied.debts, Math.max(0, extra), strategy, options);
+    } catch (error) {
+      throw new Error(`${scenario.name}: ${error.message}`);
+    }
+
+    const months = Math.max(current.totalMonths, plan.totalMonths);
+    const currentCosts = this.cumulativeCost(current, months);
+    const scenarioCosts = this.cumulativeCost(plan, months, applied.fee);
+    const totalCost = scenarioCosts[months];
+    const newDebtSummary = plan.debts.find(debt => debt.id === this.NEW_DEBT_ID);
+
+    // Risk: what the transferred balance still owes once the promo rate ends
+    let promo = null;
+    if (newDebtSummary && scenario.type === 'balance-transfer' && scenario.promoMonths > 0) {
+      const row = plan.schedule.find(entry => entry.debtId === newDebtSummary.id && entry.month === scenario.promoMonths);
+      promo = {
+        months: scenario.promoMonths,
+        remainingBalance: row ? row.balance : 0,
+        // Monthly payment that clears the transfer before the promo rate ends
+        payoffPayment: engine.amortizedPayment(applied.newDebt.balance, scenario.promoRate, scenario.promoMonths)
+      };
+    }
+
+    return {
+      ...scenario,
+      label: this.SCENARIO_TYPES[scenario.type],
+      movedDebts: applied.moved.map(debt => debt.name),
+      movedBalance: applied.movedBalance,
+      fee: applied.fee,
+      newDebt: applied.newDebt,
+      plan,
+      budgetIncrease: extra < 0 ? -extra : 0,
+      totalCost,
+      savings: engine.roundCents(currentCosts[months] - totalCost),
+      monthsSaved: current.totalMonths - plan.totalMonths,
+      breakEvenMonth: this.breakEvenMonth(currentCosts, scenarioCosts),
+      promo
+    };
+  }
+
+  /**
+   * Compare scenarios with the current plan for the same strategy.
+   * Options: { targetMonths } (payoff deadline for the optimizer)
+   */
+  compare(debts, extraPayment, strategy, scenarios = [], options = {}) {
+    const current = window.debtPayoff.calculateStrategy(debts, extraPayment, strategy, options);
+    const currentCosts = this.cumulativeCost(current, current.totalMonths);
+
+    return {
+      current: { ...current, totalCost: currentCosts[current.totalMonths] },
+      scenarios: scenarios.map((scenario, index) => this.calculateScenario(
+        debts,
+        current.key,
+        this.normalizeScenario(scenario, index),
+        current,
+        options
+      ))
+    };
+  }
+}
+
+// Create singleton instance
+window.debtScenarios = new DebtScenarioComparer();
@@ -0,0 +1,186 @@
+/**
+ * Emergency Accounts Module
+ * Emergency fund held across tiers of accounts (high-yield savings, money market, T-bill
+ * and CD ladders): compounding growth toward the target, after-tax yield and how quickly
+ * each tier can be reached
+ */
+
+class EmergencyAccountPlanner {
+  constructor() {
+    this.ACCOUNT_TYPES = {
+      'savings': { label: 'High-Yield Savings', hasTerm: false, stateTaxExempt: false },
+      'money-market': { label: 'Money Market', hasTerm: false, stateTaxExempt: false },
+      // Treasury interest is exempt from state and local income tax
+      'treasury-bill': { label: 'Treasury Bills', hasTerm: true, defaultTermMonths: 3, stateTaxExempt: true },
+      'cd': { label: 'Certificate of Deposit', hasTerm: true, defaultTermMonths: 12, stateTaxExempt: false }
+    };
+
+    // Typical CD early-withdrawal penalty, in months of interest, by term
+    this.CD_PENALTY_MONTHS = [
+      { maxTermMonths: 12, months: 3 },
+      { maxTermMonths: Infinity, months: 6 }
+    ];
+
+    // 50 years; a goal not reached by then is reported as out of reach
+    this.MAX_MONTHS = 600;
+  }
+
+  /**
+   * Normalize an account tier. rungs splits a T-bill or CD tier into a ladder with one rung
+   * maturing every termMonths / rungs months; contributionShare is the percent of each
+   * monthly contribution it receives.
+   */
+  normalizeTier(tier = {}, index = 0) {
+    const amount = value => Math.max(0, Number(value) || 0);
+    const type = this.ACCOUNT_TYPES[tier.type] ? tier.type : 'savings';
+    const info = this.ACCOUNT_TYPES[type];
+
+    return {
+      name: String(tier.name || '').trim() || `${info.label} ${index + 1}`,
+      type,
+      balance: amount(tier.balance),
+      apy: amount(tier.apy),
+      termMonths: info.hasTerm ? Math.max(1, Math.round(amount(tier.termMonths)) || info.defaultTermMonths) : 0,
+      rungs: info.hasTerm ? Math.max(1, Math.round(amount(tier.rungs)) || 1) : 1,
+      contributionShare: amount(tier.contributionShare)
+    };
+  }
+
+  /**
+   * Monthly growth rate equivalent to an APY
+   */
+  monthlyRate(apy) {
+    return Math.pow(1 + apy / 100, 1 / 12) - 1;
+  }
+
+  /**
+   * Federal and state marginal income tax rates on interest.
+   * Options: { income, filingStatus, taxYear, state }
+   */
+  marginalRates(options = {}) {
+    const federal = window.taxEngine.calculateFederalTaxDetails(options.income, options.filingStatus, { taxYear: options.taxYear });
+    const state = options.state
+      ? window.stateTax.calculateStateTax(options.income, options.state, options.filingStatus, { taxYear: options.taxYear })
+      : null;
+
+    return { federal: federal.marginalRate, state: state ? state.marginalRate : 0 };
+  }
+
+  /**
+   * APY kept after federal and (except for Treasuries) state income tax
+   */
+  afterTaxYield(tier, rates) {
+    const stateRate = this.ACCOUNT_TYPES[tier.type].stateTaxExempt ? 0 : rates.state;
+    return tier.apy * (1 - rates.federal - stateRate);
+  }
+
+  /**
+   * How a tier can be reached: savings and money market at once; a ladder a rung at a time
+   * as rungs mature, or earlier by selling T-bills at market price or breaking a CD for a
+   * penalty of some months of interest
+   */
+  liquidity(tier) {
+    const info = this.ACCOUNT_TYPES[tier.type];
+    if (!info.hasTerm) {
+      return { immediate: tier.balance, maturesEveryMonths: null, rungAmount: null, earlyAccess: 'none', penalty: 0 };
+    }
+
+    const maturesEveryMonths = tier.termMonths / tier.rungs;
+    const result = {
+      // Reached without selling or a penalty: a rung matures at least monthly
+      immediate: maturesEveryMonths <= 1 ? tier.balance / tier.rungs : 0,
+      maturesEveryMonths,
+      rungAmount: tier.balance / tier.rungs,
+      earlyAccess: tier.type === 'cd' ? 'penalty' : 'market-sale',
+      penalty: 0
+    };
+
+    if (tier.type === 'cd') {
+      const { months } = this.CD_PENALTY_MONTHS.find(rule => tier.termMonths <= rule.maxTermMonths);
+      result.penaltyMonths = months;
+      result.penalty = tier.balance * this.monthlyRate(tier.apy) * months;
+    }
+    return result;
+  }
+
+  /**
+   * Share of the monthly contribution going to each tier: the contribution shares scaled
+   * to 100%, or everything to the first tier when no shares are set
+   */
+  contributionSplit(tiers) {
+    const totalShare = tiers.reduce((sum, tier) => sum + tier.contributionShare, 0);
+    return tiers.map((tier, index) => {
+      if (totalShare > 0) return tier.contributionShare / totalShare;
+      return index === 0 ? 1 : 0;
+    });
+  }
+
+  /**
+   * Grow the tiers month by month, compounding each at its APY and adding the monthly
+   * contribution, until the total reaches the target (and for at least a year, for the
+   * one-year figures). monthsToGoal is null when the target is out of reach within
+   * MAX_MONTHS; interestToGoal is the interest earned on the way.
+   */
+  project(tiers, monthlyContribution, targetAmount) {
+    const split = this.contributionSplit(tiers);
+    const rates = tiers.map(tier => this.monthlyRate(tier.apy));
+    const balances = tiers.map(tier => tier.balance);
+    const contribution = Math.max(0, Number(monthlyContribution) || 0);
+    const total = () => balances.reduce((sum, balance) => sum + balance, 0);
+
+    let monthsToGoal = total() >= targetAmount ? 0 : null;
+    let interestToGoal = 0;
+    let interest = 0;
+    let oneYear = null;
+    for (let month = 1; month <= 12 || (monthsToGoal === null && month <= this.MAX_MONTHS); month++) {
+      balances.forEach((balance, index) => {
+        const earned = balance * rates[index];
+        interest += earned;
+        balances[index] = balance + earned + contribution * split[index];
+      });
+
+      if (month === 12) oneYear = { balance: total(), interest };
+      if (monthsToGoal === null && total() >= targetAmount) {
+        monthsToGoal = month;
+        interestToGoal = interest;
+      }
+    }
+
+    return { monthsToGoal, interestToGoal, oneYear };
+  }
+
+  /**
+   * Summarize the tiers and project them toward the target.
+   * Options: { tiers, monthlyContribution, targetAmount, rates ({ federal, state } marginal
+   *            rates from marginalRates) }
+   */
+  calculate(options = {}) {
+    const tiers = (options.tiers || []).map((tier, index) => this.normalizeTier(tier, index));
+    const rates = { federal: 0, state: 0, ...options.rates };
+    const totalBalance = tiers.reduce((sum, tier) => sum + tier.balance, 0);
+    const detailed = tiers.map(tier => ({
+      ...tier,
+      label: this.ACCOUNT_TYPES[tier.type].label,
+      stateTaxExempt: this.ACCOUNT_TYPES[tier.type].stateTaxExempt,
+      afterTaxYield: this.afterTaxYield(tier, rates),
+      liquidity: this.liquidity(tier),
+      share: totalBalance > 0 ? tier.balance / totalBalance : 0
+    }));
+    const weighted = key => (totalBalance > 0
+      ? detailed.reduce((sum, tier) => sum + tier[key] * tier.balance, 0) / totalBalance
+      : 0);
+
+    return {
+      tiers: detailed,
+      rates,
+      totalBalance,
+      blendedApy: weighted('apy'),
+      blendedAfterTaxYield: weighted('afterTaxYield'),
+      immediate: detailed.reduce((sum, tier) => sum + tier.liquidity.immediate, 0),
+      ...this.project(tiers, options.monthlyContribution, Math.max(0, Number(options.targetAmount) || 0))
+    };
+  }
+}
+
+// Create singleton instance
+window.emergencyAccounts = new EmergencyAccountPlanner();
@@ -0,0 +1,133 @@
+/**
+ * Emergency Fund Module
+ * Emergency fund target from the essential Budget Planner categories and debt minimums,
+ * covering a number of months adjusted for job stability, dependents and income variability
+ */
+
+class EmergencyFundPlanner {
+  constructor() {
+    // Budget Planner needs; debt minimums come from the debt list rather than the budget's Debt Payments line
+    this.ESSENTIAL_CATEGORIES = {
+      'rentMortgage': 'Rent/Mortgage',
+      'utilities': 'Utilities',
+      'groceries': 'Groceries',
+      'insurance': 'Insurance',
+      'transportation': 'Transportation',
+      'debtMinimums': 'Debt Minimums'
+    };
+
+    // Every household starts at three months; each risk adds to it, up to a year
+    this.BASE_MONTHS = 3;
+    this.MAX_MONTHS = 12;
+
+    this.JOB_STABILITY = {
+      'stable': { label: 'Stable (tenured, government, in-demand skills)', months: 0 },
+      'average': { label: 'Average', months: 1.5 },
+      'at-risk': { label: 'At risk (layoffs, contract or seasonal work)', months: 3 }
+    };
+
+    this.INCOME_VARIABILITY = {
+      'steady': { label: 'Steady salary or hourly pay', months: 0 },
+      'some': { label: 'Partly variable (commission, bonuses, tips)', months: 1.5 },
+      'high': { label: 'Highly variable (self-employed, gig work)', months: 3 }
+    };
+
+    this.DEPENDENT_MONTHS = { perDependent: 1, max: 3 };
+  }
+
+  /**
+   * Normalize the risk profile
+   */
+  normalizeRisk(risk = {}) {
+    return {
+      jobStability: this.JOB_STABILITY[risk.jobStability] ? risk.jobStability : 'average',
+      dependents: Math.max(0, Math.round(Number(risk.dependents) || 0)),
+      incomeVariability: this.INCOME_VARIABILITY[risk.incomeVariability] ? risk.incomeVariability : 'steady'
+    };
+  }
+
+  /**
+   * Months of essential expenses to hold: the base plus months for each risk, rounded up to
+   * a whole month and capped at a year
+   */
+  riskAdjustedMonths(risk = {}) {
+    const profile = this.normalizeRisk(risk);
+    const factors = [
+      { label: 'Baseline', months: this.BASE_MONTHS },
+      { label: `Job stability: ${this.JOB_STABILITY[profile.jobStability].label}`, months: this.JOB_STABILITY[profile.jobStability].months },
+      {
+        label: `${profile.dependents} dependent${profile.dependents === 1 ? '' : 's'}`,
+        months: Math.min(this.DEPENDENT_MONTHS.max, profile.dependents * this.DEPENDENT_MONTHS.perDependent)
+      },
+      { label: `Income: ${this.INCOME_VARIABILITY[profile.incomeVariability].label}`, months: this.INCOME_VARIABILITY[profile.incomeVariability].months }
+    ];
+    const total = factors.reduce((sum, factor) => sum + factor.months, 0);
+
+    return {
+      risk: profile,
+      factors,
+      months: Math.min(this.MAX_MONTHS, Math.ceil(total))
+    };
+  }
+
+  /**
+   * Monthly minimums on the debt list. Mortgages are left out because their payment is
+   * already counted under Rent/Mortgage.
+   */
+  debtMinimums(debts = []) {
+    return debts
+      .map((debt, index) => window.debtPayoff.normalizeDebt(debt, index))
+      .filter(debt => debt.type !== 'mortgage' && debt.balance > 0)
+      .reduce((sum, debt) => sum + debt.payment, 0);
+  }
+
+  /**
+   * Essential expenses by category. essentials maps a category to false when it would be
+   * cut in a crisis; every category counts by default. Without a debt list, the budget's
+   * Debt Payments line stands in for debt minimums.
+   */
+  essentialExpenses(expenses = {}, debts = [], essentials = {}) {
+    const amount = value => Math.max(0, Number(value) || 0);
+    const categories = Object.entries(this.ESSENTIAL_CATEGORIES).map(([key, label]) => {
+      const fromDebtList = key === 'debtMinimums' && debts.length > 0;
+      let value = amount(expenses[key]);
+      if (key === 'debtMinimums') value = fromDebtList ? this.debtMinimums(debts) : amount(expenses.debtPayments);
+
+      return {
+        key,
+        label,
+        amount: value,
+        essential: essentials[key] !== false,
+        source: fromDebtList ? 'debt list' : 'budget'
+      };
+    });
+
+    return {
+      categories,
+      monthlyEssentials: categories
+        .filter(category => category.essential)
+        .reduce((sum, category) => sum + category.amount, 0)
+    };
+  }
+
+  /**
+   * Emergency fund target.
+   * Options: { expenses (Budget Planner amounts by key), debts (debt list), essentials, risk }
+   */
+  calculateTarget(options = {}) {
+    const { categories, monthlyEssentials } = this.essentialExpenses(options.expenses, options.debts, options.essentials);
+    const { risk, factors, months } = this.riskAdjustedMonths(options.risk);
+
+    return {
+      categories,
+      monthlyEssentials,
+      risk,
+      factors,
+      months,
+      targetAmount: monthlyEssentials * months
+    };
+  }
+}
+
+// Create singleton instance
+window.emergencyFund = new EmergencyFundPlanner();
@@ -0,0 +1,260 @@
+/**
+ * Goal Tracker Module
+ * Dated contribution and withdrawal history per savings goal: the balance over time, the
+ * straight-line trajectory from the goal's start to its deadline, whether the goal is ahead
+ * of or behind that trajectory and the monthly contribution still needed to finish on time
+ */
+
+class GoalTracker {
+  constructor() {
+    this.DAYS_PER_MONTH = 365.25 / 12;
+
+    // Within this share of the target of the ideal balance counts as on track
+    this.ON_TRACK_TOLERANCE = 0.01;
+
+    this.STARTING_BALANCE_NOTE = 'Starting balance';
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date (or an ISO timestamp) as a local calendar date
+   */
+  parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD
+   */
+  formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Months between two dates, counting part months by day
+   */
+  monthsBetween(from, to) {
+    return (to - from) / (1000 * 60 * 60 * 24) / this.DAYS_PER_MONTH;
+  }
+
+  /**
+   * Validate raw contribution fields. Deposits are positive amounts and withdrawals
+   * negative ones.
+   */
+  validateContribution(contribution) {
+    const errors = [];
+
+    if (!contribution.date || !this.parseDate(contribution.date)) {
+      errors.push('Please enter a valid contribution date.');
+    }
+    if (!isFinite(parseFloat(contribution.amount)) || parseFloat(contribution.amount) === 0) {
+      errors.push('Amount must be a non-zero number.');
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Normalize a goal. Goals saved before contributions were tracked get their saved
+   * currentAmount as an opening contribution on the day they were created, and
+   * currentAmount is always the sum of the contributions. startDate is the day the goal was
+   * created, or the first contribution's date when one was backdated.
+   */
+  normalizeGoal(goal = {}) {
+    const created = this.formatDate(this.parseDate(goal.created) || new Date());
+    let contributions = Array.isArray(goal.contributions)
+      ? goal.contributions.filter(contribution => contribution && this.validateContribution(contribution).isValid)
+      : null;
+
+    if (!contributions) {
+      const opening = Math.max(0, Number(goal.currentAmount) || 0);
+      contributions = opening > 0 ? [{ date: created, amount: opening, note: this.STARTING_BALANCE_NOTE }] : [];
+    }
+
+    contributions = contributions
+      .map(contribution => ({
+        date: this.formatDate(this.parseDate(contribution.date)),
+        amount: Math.round(parseFloat(contribution.amount) * 100) / 100,
+        note: String(contribution.note || '').trim()
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const startDate = contributions.length > 0 && contributions[0].date < created ? contributions[0].date : created;
+
+    return {
+      ...goal,
+      targetAmount: Math.max(0, Number(goal.targetAmount) || 0),
+      monthlyContribution: Math.max(0, Number(goal.monthlyContribution) || 0),
+      startDate,
+      contributions,
+      currentAmount: contributions.reduce((sum, contribution) => sum + contribution.amount, 0)
+    };
+  }
+
+  /**
+   * Throw when the goal's balance would drop below zero at the end of any day of its
+   * (date-sorted) history. Entries on the same day net out, so a deposit and a withdrawal
+   * dated together are fine in either order.
+   */
+  checkRunningBalance(goal) {
+    let balance = 0;
+    goal.contributions.forEach((contribution, index) => {
+      balance += contribution.amount;
+      const next = goal.contributions[index + 1];
+      if ((!next || next.date !== contribution.date) && balance < -0.005) {
+        throw new Error(`That would leave ${goal.name} $${Math.abs(balance).toFixed(2)} overdrawn on ${contribution.date}.`);
+      }
+    });
+  }
+
+  /**
+   * Add a contribution (or a withdrawal, as a negative amount) to a goal. Throws when the
+   * fields are invalid or a withdrawal is more than the goal held on its date.
+   */
+  addContribution(goal, contribution) {
+    const { isValid, errors } = this.validateContribution(contribution);
+    if (!isValid) throw new Error(errors.join(' '));
+
+    const normalized = this.normalizeGoal(goal);
+    const amount = parseFloat(contribution.amount);
+    const updated = this.normalizeGoal({
+      ...normalized,
+      contributions: [...normalized.contributions, { date: contribution.date, amount, note: contribution.note }]
+    });
+    this.checkRunningBalance(updated);
+    return updated;
+  }
+
+  /**
+   * Remove the contribution at an index of the goal's (date-sorted) history. Throws when a
+   * later withdrawal would then take more than the goal held.
+   */
+  removeContribution(goal, index) {
+    const normalized = this.normalizeGoal(goal);
+    const updated = this.normalizeGoal({
+      ...normalized,
+      contributions: normalized.contributions.filter((contribution, position) => position !== index)
+    });
+    this.checkRunningBalance(updated);
+    return updated;
+  }
+
+  /**
+   * Contribution history with the running balance after each entry
+   */
+  history(goal) {
+    let balance = 0;
+    return this.normalizeGoal(goal).contributions.map(contribution => {
+      balance += contribution.amount;
+      return { ...contribution, balance };
+    });
+  }
+
+  /**
+   * Balance the goal should hold on a date to reach the target by the deadline: a straight
+   * line from the balance on the start date to the target on the deadline. null without a
+   * deadline.
+   */
+  idealBalance(goal, date) {
+    const normalized = this.normalizeGoal(goal);
+    const start = this.parseDate(normalized.startDate);
+    const deadline = this.parseDate(normalized.deadline);
+    if (!deadline) return null;
+
+    const startBalance = this.balanceOn(normalized, start);
+    const span = this.monthsBetween(start, deadline);
+    if (span <= 0 || date >= deadline) return normalized.targetAmount;
+    if (date <= start) return startBalance;
+
+    return startBalance + (normalized.targetAmount - startBalance) * this.monthsBetween(start, date) / span;
+  }
+
+  /**
+   * Balance after every contribution dated on or before a date
+   */
+  balanceOn(goal, date) {
+    const day = this.formatDate(date);
+    return this.normalizeGoal(goal).contributions
+      .filter(contribution => contribution.date <= day)
+      .reduce((sum, contribution) => sum + contribution.amount, 0);
+  }
+
+  /**
+   * Where the goal stands against its deadline. status is 'achieved', 'no-deadline',
+   * 'overdue', 'ahead', 'behind' or 'on-track'; difference is the balance less the ideal
+   * balance today; requiredMonthly spreads what is left over the whole months remaining.
+   */
+  schedule(goal, asOf = new Date()) {
+    const normalized = this.normalizeGoal(goal);
+    const today = this.parseDate(this.formatDate(asOf));
+    const deadline = this.parseDate(normalized.deadline);
+    const current = this.balanceOn(normalized, today);
+    const remaining = Math.max(0, normalized.targetAmount - current);
+    const monthsLeft = deadline ? Math.max(0, this.monthsBetween(today, deadline)) : null;
+
+    // At the planned monthly contribution, ignoring the deadline
+    const monthsToGoal = remaining > 0 && normalized.monthlyContribution > 0
+      ? Math.ceil(remaining / normalized.monthlyContribution)
+      : null;
+
+    const result = {
+      current,
+      remaining,
+      monthsToGoal,
+      monthsLeft,
+      idealBalance: null,
+      difference: 0,
+      requiredMonthly: null,
+      status: 'on-track'
+    };
+
+    if (remaining === 0) return { ...result, status: 'achieved' };
+    if (!deadline) return { ...result, status: 'no-deadline' };
+    if (monthsLeft === 0) return { ...result, requiredMonthly: remaining, status: 'overdue' };
+
+    const idealBalance = this.idealBalance(normalized, today);
+    const difference = current - idealBalance;
+    let status = 'on-track';
+    if (Math.abs(difference) > normalized.targetAmount * this.ON_TRACK_TOLERANCE) {
+      status = difference > 0 ? 'ahead' : 'behind';
+    }
+
+    return {
+      ...result,
+      idealBalance,
+      difference,
+      requiredMonthly: remaining / Math.max(1, Math.ceil(monthsLeft)),
+      status
+    };
+  }
+
+  /**
+   * Month-end points for a progress chart, from the month the goal started through the
+   * later of the deadline and the current month. actual is null after the current month;
+   * ideal is null when the goal has no deadline.
+   */
+  progressSeries(goal, asOf = new Date()) {
+    const normalized = this.normalizeGoal(goal);
+    const start = this.parseDate(normalized.startDate);
+    const today = this.parseDate(this.formatDate(asOf));
+    const deadline = this.parseDate(normalized.deadline);
+    const last = deadline && deadline > today ? deadline : today;
+
+    const points = [];
+    for (let index = 0; new Date(start.getFullYear(), start.getMonth() + index, 1) <= last; index++) {
+      const monthEnd = new Date(start.getFullYear(), start.getMonth() + index + 1, 0);
+      const isCurrent = monthEnd.getFullYear() === today.getFullYear() && monthEnd.getMonth() === today.getMonth();
+      const pointDate = isCurrent ? today : monthEnd;
+
+      points.push({
+        label: monthEnd.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+        actual: pointDate <= today ? this.balanceOn(normalized, pointDate) : null,
+        ideal: deadline ? this.idealBalance(normalized, pointDate > deadline ? deadline : pointDate) : null
+      });
+    }
+    return points;
+  }
+}
+
+// Create singleton instance
+window.goalTracker = new GoalTracker();
@@ -0,0 +1,243 @@
+/**
+ * Household Income Module
+ * Combines several income sources (jobs, a spouse's job, side gigs, rental income) and
+ * taxes them on one joint return or on separate returns, depending on filing status
+ */
+
+class HouseholdIncomeCalculator {
+  constructor() {
+    // Wages owe FICA; side gigs owe self-employment tax; rental income owes neither
+    this.SOURCE_TYPES = {
+      'w2': 'W-2 Job',
+      'self-employed': 'Side Gig / 1099',
+      'rental': 'Rental Income'
+    };
+
+    this.OWNERS = {
+      'self': 'You',
+      'spouse': 'Spouse / Partner'
+    };
+
+    this.FREQUENCIES = {
+      'hour': 'Per Hour',
+      'day': 'Per Day',
+      'week': 'Per Week',
+      'month': 'Per Month',
+      'year': 'Per Year'
+    };
+  }
+
+  /**
+   * Normalize an income source. deductions is a monthly amount: pre-tax payroll deductions
+   * for a W-2 job, or expenses for a side gig or rental. A job figured elsewhere can pass
+   * annual amounts instead: annualDeductions, afterTaxDeductions (such as Roth 401(k)) and
+   * wages ({ federal, fica, state }), since pre-tax deductions don't reduce every tax alike.
+   */
+  normalizeSource(source = {}, index = 0) {
+    const type = this.SOURCE_TYPES[source.type] ? source.type : 'w2';
+    const owner = this.OWNERS[source.owner] ? source.owner : 'self';
+    const payFrequency = this.FREQUENCIES[source.payFrequency] ? source.payFrequency : 'year';
+    const amount = value => Math.max(0, Number(value) || 0);
+    const normalized = {
+      label: String(source.label || '').trim() || `${this.SOURCE_TYPES[type]} ${index + 1}`,
+      type,
+      owner,
+      payAmount: amount(source.payAmount),
+      payFrequency,
+      hoursPerDay: amount(source.hoursPerDay) || undefined,
+      daysPerWeek: amount(source.daysPerWeek) || undefined,
+      weeksPerYear: amount(source.weeksPerYear) || undefined,
+      deductions: amount(source.deductions)
+    };
+
+    // A precomputed annualGross (such as pay with overtime) wins over the pay schedule
+    normalized.annualGross = source.annualGross !== undefined
+      ? amount(source.annualGross)
+      : window.calculators.calculateAnnualIncome(
+        normalized.payAmount,
+        payFrequency,
+        normalized.hoursPerDay,
+        normalized.daysPerWeek,
+        normalized.weeksPerYear
+      );
+    normalized.annualDeductions = Math.min(
+      normalized.annualGross,
+      source.annualDeductions !== undefined ? amount(source.annualDeductions) : normalized.deductions * 12
+    );
+    normalized.afterTaxDeductions = amount(source.afterTaxDeductions);
+    if (type === 'w2' && source.wages) {
+      normalized.wages = {
+        federal: amount(source.wages.federal),
+        fica: amount(source.wages.fica),
+        state: amount(source.wages.state)
+      };
+    }
+    return normalized;
+  }
+
+  /**
+   * Group the household into tax returns. Married filing jointly puts everyone on one
+   * return; married filing separately gives each spouse a separate return; other statuses
+   * treat a partner as a single filer with their own return.
+   */
+  groupReturns(sources, filingStatus) {
+    if (filingStatus === 'married-jointly') {
+      return [{ owners: ['self', 'spouse'], filingStatus, sources }];
+    }
+
+    return ['self', 'spouse']
+      .map(owner => ({
+        owners: [owner],
+        filingStatus: owner === 'self' || filingStatus === 'married-separately' ? filingStatus : 'single',
+        sources: sources.filter(source => source.owner === owner)
+      }))
+      .filter(group => group.owners.includes('self') || group.sources.length > 0);
+  }
+
+  /**
+   * Tax one return. Social Security is capped per person (extra withheld by a second
+   * employer comes back as a credit); additional Medicare uses the return's threshold.
+   */
+  calculateReturn(group, options) {
+    const { taxYear } = options;
+    const fica = window.taxEngine.getTable(taxYear).fica;
+    const status = group.filingStatus;
+
+    let socialSecurity = 0;
+    let medicare = 0;
+    let selfEmploymentTax = 0;
+    let selfEmploymentDeduction = 0;
+    let medicareEarnings = 0;
+    let businessIncome = 0;
+    let adjustedGrossIncome = 0;
+    // States that tax some pre-tax deductions see more wages than the federal return
+    let stateWageAdjustment = 0;
+
+    group.owners.forEach(owner => {
+      const own = group.sources.filter(source => source.owner === owner);
+      const wages = own.filter(source => source.type === 'w2');
+      const ficaWages = wages.reduce((sum, source) => sum + (source.wages ? source.wages.fica : source.annualGross), 0);
+      const taxableWages = wages.reduce((sum, source) => sum + (source.wages ? source.wages.federal : source.annualGross - source.annualDeductions), 0);
+      stateWageAdjustment += wages
+        .filter(source => source.wages)
+        .reduce((sum, source) => sum + source.wages.state - source.wages.federal, 0);
+      const netProfit = own
+        .filter(source => source.type === 'self-employed')
+        .reduce((sum, source) => sum + source.annualGross - source.annualDeductions, 0);
+      const rentalIncome = own
+        .filter(source => source.type === 'rental')
+        .reduce((sum, source) => sum + source.annualGross - source.annualDeductions, 0);
+
+      socialSecurity += Math.min(ficaWages, fica.socialSecurity.wageBase) * fica.socialSecurity.rate;
+      medicare += ficaWages * fica.medicare.rate;
+
+      // Wages use up the Social Security wage base before self-employment earnings
+      const se = window.taxEngine.calculateSelfEmploymentTax(netProfit, status, taxYear, ficaWages);
+      selfEmploymentTax += se.total - se.additionalMedicare;
+      selfEmploymentDeduction += se.deduction;
+      medicareEarnings += ficaWages + se.netEarnings;
+      businessIncome += netProfit - se.deduction;
+      adjustedGrossIncome += taxableWages + netProfit - se.deduction + rentalIncome;
+    });
+
+    const additionalMedicare = Math.max(0, medicareEarnings - fica.additionalMedicare.thresholds[status]) *
+      fica.additionalMedicare.rate;
+
+    const standardDeduction = window.taxEngine.getStandardDeduction(status, taxYear);
+    const qbi = window.taxEngine.calculateQBIDeduction(
+      Math.max(0, businessIncome),
+      Math.max(0, adjustedGrossIncome - standardDeduction),
+      status,
+      taxYear
+    );
+    const federalTaxDetails = window.taxEngine.calculateFederalTaxDetails(adjustedGrossIncome, status, {
+      taxYear,
+      deduction: standardDeduction + qbi.deduction
+    });
+
+    const stateIncome = adjustedGrossIncome + stateWageAdjustment;
+    const stateTaxDetails = options.state
+      ? window.stateTax.calculateStateTax(stateIncome, options.state, status, { taxYear })
+      : null;
+    const localTaxDetails = options.state && window.localTax
+      ? window.localTax.calculateLocalTax(stateIncome, options.zipcode, {
+        jurisdiction: options.jurisdiction,
+        residency: options.residency,
+        filingStatus: status,
+        taxYear,
+        stateTaxDetails
+      })
+      : null;
+
+    const stateTax = stateTaxDetails ? stateTaxDetails.tax : 0;
+    const localTax = localTaxDetails ? localTaxDetails.tax : 0;
+    const totalTaxes = federalTaxDetails.tax + socialSecurity + medicare + additionalMedicare +
+      selfEmploymentTax + stateTax + localTax;
+
+    return {
+      owners: group.owners,
+      label: group.owners.map(owner => this.OWNERS[owner]).join(' & '),
+      filingStatus: status,
+      grossIncome: group.sources.reduce((sum, source) => sum + source.annualGross, 0),
+      deductions: group.sources.reduce((sum, source) => sum + source.annualDeductions, 0),
+      afterTaxDeductions: group.sources.reduce((sum, source) => sum + source.afterTaxDeductions, 0),
+      adjustedGrossIncome,
+      selfEmploymentDeduction,
+      qbiDeduction: qbi.deduction,
+      federalTax: federalTaxDetails.tax,
+      federalTaxDetails,
+      socialSecurity,
+      medicare: medicare + additionalMedicare,
+      additionalMedicare,
+      selfEmploymentTax,
+      stateTax,
+      stateTaxDetails,
+      localTax,
+      localTaxDetails,
+      totalTaxes
+    };
+  }
+
+  /**
+   * Calculate taxes and net income for every source in the household.
+   * Options: { filingStatus, taxYear, state, zipcode, jurisdiction, residency }
+   */
+  calculate(sources = [], options = {}) {
+    const filingStatus = window.taxEngine.normalizeFilingStatus(options.filingStatus);
+    const taxYear = window.taxEngine.normalizeTaxYear(options.taxYear);
+    const normalized = sources.map((source, index) => this.normalizeSource(source, index));
+    const settings = { ...options, filingStatus, taxYear };
+
+    const returns = this.groupReturns(normalized, filingStatus).map(group => this.calculateReturn(group, settings));
+    const sum = key => returns.reduce((total, taxReturn) => total + taxReturn[key], 0);
+
+    const grossIncome = sum('grossIncome');
+    const deductions = sum('deductions');
+    const afterTaxDeductions = sum('afterTaxDeductions');
+    const totalTaxes = sum('totalTaxes');
+    const netIncome = grossIncome - deductions - afterTaxDeductions - totalTaxes;
+
+    return {
+      filingStatus,
+      taxYear,
+      joint: filingStatus === 'married-jointly',
+      sources: normalized,
+      returns,
+      totals: {
+        grossIncome,
+        deductions,
+        afterTaxDeductions,
+        federalTax: sum('federalTax'),
+        payrollTax: sum('socialSecurity') + sum('medicare') + sum('selfEmploymentTax'),
+        stateTax: sum('stateTax'),
+        localTax: sum('localTax'),
+        totalTaxes,
+        netIncome,
+        monthlyNetIncome: netIncome / 12
+      }
+    };
+  }
+}
+
+// Create singleton instance
+window.householdIncome = new HouseholdIncomeCalculator();
@@ -0,0 +1,199 @@
+/**
+ * Job-Loss Runway Module
+ * Month-by-month drawdown of the emergency fund after a job loss: severance, state
+ * unemployment benefits and COBRA premiums against essential expenses, and how far each
+ * budget cut stretches the money
+ */
+
+class JobLossRunwaySimulator {
+  constructor() {
+    // Most states replace about half of the prior weekly wage, up to the state maximum
+    this.REPLACEMENT_RATE = 0.5;
+    this.WEEKS_PER_MONTH = 52 / 12;
+
+    // COBRA continuation coverage lasts up to 18 months after a job loss
+    this.COBRA_MONTHS = 18;
+
+    // Five years; a fund that lasts longer is reported as outlasting the simulation
+    this.HORIZON_MONTHS = 60;
+
+    // Budget cuts tried on each essential category: a quarter of it, and all of it
+    this.CUT_SHARES = [0.25, 1];
+
+    /*
+     * Approximate 2025 regular state unemployment: maximum weekly benefit (before dependent
+     * allowances) and maximum weeks. Several states index the weeks to their unemployment
+     * rate; the figure shown is the current low end.
+     */
+    this.UNEMPLOYMENT = {
+      AL: { maxWeekly: 275, maxWeeks: 14 },
+      AK: { maxWeekly: 370, maxWeeks: 26 },
+      AZ: { maxWeekly: 320, maxWeeks: 24 },
+      AR: { maxWeekly: 451, maxWeeks: 12 },
+      CA: { maxWeekly: 450, maxWeeks: 26 },
+      CO: { maxWeekly: 1100, maxWeeks: 26 },
+      CT: { maxWeekly: 724, maxWeeks: 26 },
+      DE: { maxWeekly: 450, maxWeeks: 26 },
+      DC: { maxWeekly: 444, maxWeeks: 26 },
+      FL: { maxWeekly: 275, maxWeeks: 12 },
+      GA: { maxWeekly: 365, maxWeeks: 14 },
+      HI: { maxWeekly: 763, maxWeeks: 26 },
+      ID: { maxWeekly: 552, maxWeeks: 20 },
+      IL: { maxWeekly: 618, maxWeeks: 26 },
+      IN: { maxWeekly: 390, maxWeeks: 26 },
+      IA: { maxWeekly: 582, maxWeeks: 16 },
+      KS: { maxWeekly: 560, maxWeeks: 16 },
+      KY: { maxWeekly: 626, maxWeeks: 16 },
+      LA: { maxWeekly: 275, maxWeeks: 12 },
+      ME: { maxWeekly: 560, maxWeeks: 26 },
+      MD: { maxWeekly: 430, maxWeeks: 26 },
+      MA: { maxWeekly: 1105, maxWeeks: 26 },
+      MI: { maxWeekly: 530, maxWeeks: 26 },
+      MN: { maxWeekly: 936, maxWeeks: 26 },
+      MS: { maxWeekly: 235, maxWeeks: 26 },
+      MO: { maxWeekly: 320, maxWeeks: 20 },
+      MT: { maxWeekly: 658, maxWeeks: 28 },
+      NE: { maxWeekly: 523, maxWeeks: 24 },
+      NV: { maxWeekly: 597, maxWeeks: 26 },
+      NH: { maxWeekly: 427, maxWeeks: 26 },
+      NJ: { maxWeekly: 905, maxWeeks: 26 },
+      NM: { maxWeekly: 570, maxWeeks: 26 },
+      NY: { maxWeekly: 869, maxWeeks: 26 },
+      NC: { maxWeekly: 350, maxWeeks: 12 },
+      ND: { maxWeekly: 716, maxWeeks: 26 },
+      OH: { maxWeekly: 647, maxWeeks: 26 },
+      OK: { maxWeekly: 612, maxWeeks: 16 },
+      OR: { maxWeekly: 883, maxWeeks: 26 },
+      PA: { maxWeekly: 605, maxWeeks: 26 },
+      RI: { maxWeekly: 752, maxWeeks: 26 },
+      SC: { maxWeekly: 326, maxWeeks: 20 },
+      SD: { maxWeekly: 528, maxWeeks: 26 },
+      TN: { maxWeekly: 275, maxWeeks: 12 },
+      TX: { maxWeekly: 600, maxWeeks: 26 },
+      UT: { maxWeekly: 777, maxWeeks: 26 },
+      VT: { maxWeekly: 685, maxWeeks: 26 },
+      VA: { maxWeekly: 378, maxWeeks: 26 },
+      WA: { maxWeekly: 1079, maxWeeks: 26 },
+      WV: { maxWeekly: 662, maxWeeks: 26 },
+      WI: { maxWeekly: 370, maxWeeks: 26 },
+      WY: { maxWeekly: 614, maxWeeks: 26 }
+    };
+  }
+
+  /**
+   * Estimated weekly unemployment benefit: half the prior weekly wage, capped at the state
+   * maximum. Returns { weekly, maxWeeks, capped }, or null for an unknown state.
+   */
+  estimateBenefit(state, annualWages) {
+    const rules = this.UNEMPLOYMENT[state];
+    if (!rules) return null;
+
+    const uncapped = Math.max(0, Number(annualWages) || 0) / 52 * this.REPLACEMENT_RATE;
+    return {
+      weekly: Math.round(Math.min(uncapped, rules.maxWeekly)),
+      maxWeeks: rules.maxWeeks,
+      capped: uncapped > rules.maxWeekly
+    };
+  }
+
+  /**
+   * Normalize a job-loss scenario. A weeklyBenefit entered by hand replaces the state
+   * estimate; benefitWeeks defaults to the state maximum.
+   */
+  normalizeScenario(options = {}) {
+    const amount = value => Math.max(0, Number(value) || 0);
+    const estimate = this.estimateBenefit(options.state, options.annualWages);
+    const override = options.weeklyBenefit !== undefined && options.weeklyBenefit !== null && options.weeklyBenefit !== '';
+
+    return {
+      fund: amount(options.fund),
+      severance: amount(options.severance),
+      monthlyExpenses: amount(options.monthlyExpenses),
+      cobraPremium: amount(options.cobraPremium),
+      cobraMonths: options.cobraMonths !== undefined ? Math.round(amount(options.cobraMonths)) : this.COBRA_MONTHS,
+      weeklyBenefit: override ? amount(options.weeklyBenefit) : (estimate ? estimate.weekly : 0),
+      benefitWeeks: options.benefitWeeks !== undefined ? amount(options.benefitWeeks) : (estimate ? estimate.maxWeeks : 0),
+      estimate
+    };
+  }
+
+  /**
+   * Simulate the drawdown month by month, starting from the fund plus severance, until the
+   * money runs out or the horizon is reached. runwayMonths counts the last month in part
+   * (how far into it the money lasts); it is null when the money outlasts the horizon.
+   */
+  simulate(scenario) {
+    const rows = [];
+    let balance = scenario.fund + scenario.severance;
+    let runwayMonths = null;
+
+    for (let month = 1; month <= this.HORIZON_MONTHS; month++) {
+      const weeksPaid = Math.min(this.WEEKS_PER_MONTH, Math.max(0, scenario.benefitWeeks - this.WEEKS_PER_MONTH * (month - 1)));
+      const benefits = scenario.weeklyBenefit * weeksPaid;
+      const cobra = month <= scenario.cobraMonths ? scenario.cobraPremium : 0;
+      const outflow = scenario.monthlyExpenses + cobra - benefits;
+      const startBalance = balance;
+      balance = startBalance - outflow;
+
+      rows.push({ month, startBalance, benefits, expenses: scenario.monthlyExpenses, cobra, endBalance: balance });
+
+      if (balance < 0) {
+        runwayMonths = month - 1 + startBalance / outflow;
+        break;
+      }
+    }
+
+    return {
+      rows,
+      runOutMonth: runwayMonths === null ? null : rows.length,
+      runwayMonths
+    };
+  }
+
+  /**
+   * How much longer the money lasts when each essential category is cut by each share in
+   * CUT_SHARES. An extension is null when the cut budget outlasts the horizon.
+   */
+  budgetCuts(scenario, categories = [], baseRunway) {
+    return categories
+      .filter(category => category.essential && category.amount > 0)
+      .map(category => ({
+        key: category.key,
+        label: category.label,
+        amount: category.amount,
+        cuts: this.CUT_SHARES.map(share => {
+          const { runwayMonths } = this.simulate({
+            ...scenario,
+            monthlyExpenses: Math.max(0, scenario.monthlyExpenses - category.amount * share)
+          });
+          return {
+            share,
+            saved: category.amount * share,
+            extension: runwayMonths === null ? null : runwayMonths - baseRunway
+          };
+        })
+      }))
+      .sort((a, b) => b.amount - a.amount);
+  }
+
+  /**
+   * Run a job-loss scenario.
+   * Options: { fund, severance, state, annualWages, weeklyBenefit, benefitWeeks,
+   *            cobraPremium, cobraMonths, monthlyExpenses, categories (essential expense
+   *            categories from emergencyFund.calculateTarget, for budget cuts) }
+   */
+  calculate(options = {}) {
+    const scenario = this.normalizeScenario(options);
+    const result = this.simulate(scenario);
+
+    return {
+      ...scenario,
+      ...result,
+      totalBenefits: scenario.weeklyBenefit * scenario.benefitWeeks,
+      cuts: result.runwayMonths === null ? [] : this.budgetCuts(scenario, options.categories, result.runwayMonths)
+    };
+  }
+}
+
+// Create singleton instance
+window.jobLossRunway = new JobLossRunwaySimulator();
@@ -0,0 +1,458 @@
+/**
+ * Local Income Tax Module
+ * City, county and school-district income taxes looked up from the full 5-digit ZIP,
+ * with resident and non-resident rates and a manual jurisdiction override
+ */
+
+class LocalTaxCalculator {
+  constructor() {
+    // Year of the rates below, whatever tax year is asked for
+    this.TAX_YEAR = 2024;
+
+    this.RESIDENCY = {
+      'resident': 'Resident (live here)',
+      'non-resident': 'Non-resident (work here only)'
+    };
+
+    /*
+     * Jurisdictions by id. Each residency rule taxes a base:
+     *   'wages'         - gross wages (city wage taxes, Ohio/PA/Michigan earned income taxes)
+     *   'state-taxable' - the state's taxable income (NYC, Maryland counties, Portland)
+     *   'state-tax'     - the state income tax itself (Yonkers resident surcharge)
+     * A rule has a flat rate or brackets by filing status ([upper limit, rate] pairs, as in
+     * stateTax.js). A missing nonResident rule means non-residents owe nothing.
+     */
+    this.JURISDICTIONS = {
+      'nyc': {
+        name: 'New York City',
+        state: 'NY',
+        resident: {
+          base: 'state-taxable',
+          brackets: {
+            'single': [[12000, 0.03078], [25000, 0.03762], [50000, 0.03819], [Infinity, 0.03876]],
+            'married-jointly': [[21600, 0.03078], [45000, 0.03762], [90000, 0.03819], [Infinity, 0.03876]],
+            'head-of-household': [[14400, 0.03078], [30000, 0.03762], [60000, 0.03819], [Infinity, 0.03876]]
+          }
+        },
+        note: 'Non-residents who commute into the city do not pay NYC income tax.'
+      },
+      'yonkers': {
+        name: 'Yonkers',
+        state: 'NY',
+        resident: { base: 'state-tax', rate: 0.1675 },
+        nonResident: { base: 'wages', rate: 0.005 },
+        note: 'Residents pay a surcharge of 16.75% of their New York State tax.'
+      },
+      'philadelphia': {
+        name: 'Philadelphia',
+        state: 'PA',
+        resident: { base: 'wages', rate: 0.0375 },
+        nonResident: { base: 'wages', rate: 0.0344 },
+        note: 'City wage tax; rates shown are those in effect from July 2024.'
+      },
+      'pittsburgh': {
+        name: 'Pittsburgh',
+        state: 'PA',
+        resident: { base: 'wages', rate: 0.03 },
+        nonResident: { base: 'wages', rate: 0.01 },
+        note: 'Resident rate combines the 1% city and 2% school district earned income tax.'
+      },
+      'scranton': {
+        name: 'Scranton',
+        state: 'PA',
+        resident: { base: 'wages', rate: 0.034 },
+        nonResident: { base: 'wages', rate: 0.024 }
+      },
+      'reading': {
+        name: 'Reading',
+        state: 'PA',
+        resident: { base: 'wages', rate: 0.036 },
+        nonResident: { base: 'wages', rate: 0.013 }
+      },
+      'allentown': {
+        name: 'Allentown',
+        state: 'PA',
+        resident: { base: 'wages', rate: 0.01975 },
+        nonResident: { base: 'wages', rate: 0.0128 }
+      },
+      'harrisburg': {
+        name: 'Harrisburg',
+        state: 'PA',
+        resident: { base: 'wages', rate: 0.02 },
+        nonResident: { base: 'wages', rate: 0.01 }
+      },
+      'pa-eit': {
+        name: 'Other Pennsylvania municipality',
+        state: 'PA',
+        resident: { base: 'wages', rate: 0.01 },
+        nonResident: { base: 'wages', rate: 0.01 },
+        note: 'Most Pennsylvania municipalities and school districts levy a combined earned income tax of at least 1%; check your PSD code for the exact rate.'
+      },
+      'columbus': {
+        name: 'Columbus',
+        state: 'OH',
+        resident: { base: 'wages', rate: 0.025 },
+        nonResident: { base: 'wages', rate: 0.025 },
+        note: 'Ohio cities tax residents and people who work there; residents usually get credit for tax paid to the city where they work.'
+      },
+      'cleveland': {
+        name: 'Cleveland',
+        state: 'OH',
+        resident: { base: 'wages', rate: 0.025 },
+        nonResident: { base: 'wages', rate: 0.025 }
+      },
+      'cincinnati': {
+        name: 'Cincinnati',
+        state: 'OH',
+        resident: { base: 'wages', rate: 0.018 },
+        nonResident: { base: 'wages', rate: 0.018 }
+      },
+      'toledo': {
+        name: 'Toledo',
+        state: 'OH',
+        resident: { base: 'wages', rate: 0.025 },
+        nonResident: { base: 'wages', rate: 0.025 }
+      },
+      'akron': {
+        name: 'Akron',
+        state: 'OH',
+        resident: { base: 'wages', rate: 0.025 },
+        nonResident: { base: 'wages', rate: 0.025 }
+      },
+      'dayton': {
+        name: 'Dayton',
+        state: 'OH',
+        resident: { base: 'wages', rate: 0.025 },
+        nonResident: { base: 'wages', rate: 0.025 }
+      },
+      'detroit': {
+        name: 'Detroit',
+        state: 'MI',
+        resident: { base: 'wages', rate: 0.024 },
+        nonResident: { base: 'wages', rate: 0.012 }
+      },
+      'grand-rapids': {
+        name: 'Grand Rapids',
+        state: 'MI',
+        resident: { base: 'wages', rate: 0.015 },
+        nonResident: { base: 'wages', rate: 0.0075 }
+      },
+      'lansing': {
+        name: 'Lansing',
+        state: 'MI',
+        resident: { base: 'wages', rate: 0.01 },
+        nonResident: { base: 'wages', rate: 0.005 }
+      },
+      'flint': {
+        name: 'Flint',
+        state: 'MI',
+        resident: { base: 'wages', rate: 0.01 },
+        nonResident: { base: 'wages', rate: 0.005 }
+      },
+      'kansas-city': {
+        name: 'Kansas City',
+        state: 'MO',
+        resident: { base: 'wages', rate: 0.01 },
+        nonResident: { base: 'wages', rate: 0.01 }
+      },
+      'st-louis': {
+        name: 'St. Louis City',
+        state: 'MO',
+        resident: { base: 'wages', rate: 0.01 },
+        nonResident: { base: 'wages', rate: 0.01 },
+        note: 'St. Louis County is a separate jurisdiction with no earnings tax.'
+      },
+      'louisville': {
+        name: 'Louisville Metro',
+        state: 'KY',
+        resident: { base: 'wages', rate: 0.022 },
+        nonResident: { base: 'wages', rate: 0.0145 },
+        note: 'Occupational license tax, including the county school and transit portions for residents.'
+      },
+      'wilmington': {
+        name: 'Wilmington',
+        state: 'DE',
+        resident: { base: 'wages', rate: 0.0125 },
+        nonResident: { base: 'wages', rate: 0.0125 }
+      },
+      'marion-county': {
+        name: 'Marion County (Indianapolis)',
+        state: 'IN',
+        resident: { base: 'wages', rate: 0.0202 },
+        nonResident: { base: 'wages', rate: 0.0202 },
+        note: 'Indiana county tax follows where you live on January 1, or where you work if you live out of state.'
+      },
+      'portland-metro': {
+        name: 'Portland Metro / Multnomah County',
+        state: 'OR',
+        resident: {
+          base: 'state-taxable',
+          brackets: {
+            'single': [[125000, 0], [250000, 0.025], [Infinity, 0.04]],
+            'married-jointly': [[200000, 0], [400000, 0.025], [Infinity, 0.04]]
+          }
+        },
+        nonResident: {
+          base: 'state-taxable',
+          brackets: {
+            'single': [[125000, 0], [250000, 0.025], [Infinity, 0.04]],
+            'married-jointly': [[200000, 0], [400000, 0.025], [Infinity, 0.04]]
+          }
+        },
+        note: 'Combines the Metro supportive housing tax (1%) and the Multnomah County preschool tax (1.5%, plus 1.5% at higher incomes).'
+      }
+    };
+
+    // Maryland counties piggyback on state taxable income; non-residents pay the special
+    // non-resident rate instead of a county rate
+    const marylandCounties = {
+      'md-allegany': ['Allegany County', 0.0303],
+      'md-anne-arundel': ['Anne Arundel County', 0.0281],
+      'md-baltimore-city': ['Baltimore City', 0.032],
+      'md-baltimore-county': ['Baltimore County', 0.032],
+      'md-calvert': ['Calvert County', 0.03],
+      'md-caroline': ['Caroline County', 0.032],
+      'md-carroll': ['Carroll County', 0.0303],
+      'md-cecil': ['Cecil County', 0.0274],
+      'md-charles': ['Charles County', 0.0303],
+      'md-dorchester': ['Dorchester County', 0.033],
+      'md-frederick': ['Frederick County', 0.0296],
+      'md-garrett': ['Garrett County', 0.0265],
+      'md-harford': ['Harford County', 0.0306],
+      'md-howard': ['Howard County', 0.032],
+      'md-kent': ['Kent County', 0.032],
+      'md-montgomery': ['Montgomery County', 0.032],
+      'md-prince-georges': ["Prince George's County", 0.032],
+      'md-queen-annes': ["Queen Anne's County", 0.032],
+      'md-st-marys': ["St. Mary's County", 0.03],
+      'md-somerset': ['Somerset County', 0.032],
+      'md-talbot': ['Talbot County', 0.024],
+      'md-washington': ['Washington County', 0.0295],
+      'md-wicomico': ['Wicomico County', 0.032],
+      'md-worcester': ['Worcester County', 0.0225]
+    };
+
+    Object.entries(marylandCounties).forEach(([id, [name, rate]]) => {
+      this.JURISDICTIONS[id] = {
+        name,
+        state: 'MD',
+        resident: { base: 'state-taxable', rate },
+        nonResident: { base: 'state-taxable', rate: 0.0225 },
+        note: 'Maryland county tax is a percentage of Maryland taxable income. Anne Arundel and Frederick use graduated rates; the top rate is shown.'
+      };
+    });
+
+    /*
+     * ZIP ranges mapped to candidate jurisdictions, most likely first. When ranges overlap
+     * the narrowest one wins, so a city range can sit inside a statewide fallback.
+     * Several candidates means the ZIP spans jurisdictions and the user should confirm.
+     */
+    this.ZIP_RANGES = [
+      // New York
+      [10001, 10292, ['nyc']],
+      [10301, 10314, ['nyc']],
+      [10451, 10475, ['nyc']],
+      [11004, 11005, ['nyc']],
+      [11101, 11120, ['nyc']],
+      [11201, 11256, ['nyc']],
+      [11351, 11499, ['nyc']],
+      [11690, 11697, ['nyc']],
+      [10701, 10710, ['yonkers']],
+
+      // Pennsylvania: a statewide earned income tax fallback, with cities carved out
+      [15001, 19699, ['pa-eit']],
+      [19101, 19155, ['philadelphia']],
+      [15201, 15244, ['pittsburgh', 'pa-eit']],
+      [18501, 18510, ['scranton', 'pa-eit']],
+      [19601, 19612, ['reading', 'pa-eit']],
+      [18101, 18109, ['allentown', 'pa-eit']],
+      [17101, 17113, ['harrisburg', 'pa-eit']],
+
+      // Ohio
+      [43201, 43240, ['columbus']],
+      [44101, 44199, ['cleveland']],
+      [45201, 45299, ['cincinnati']],
+      [43601, 43699, ['toledo']],
+      [44301, 44399, ['akron']],
+      [45401, 45499, ['dayton']],
+
+      // Michigan
+      [48201, 48244, ['detroit']],
+      [49501, 49599, ['grand-rapids']],
+      [48901, 48933, ['lansing']],
+      [48501, 48559, ['flint']],
+
+      // Missouri, Kentucky, Delaware, Indiana, Oregon
+      [64101, 64199, ['kansas-city']],
+      [63101, 63199, ['st-louis', 'none']],
+      [40201, 40299, ['louisville']],
+      [19801, 19810, ['wilmington', 'none']],
+      [46201, 46298, ['marion-county']],
+      [97201, 97299, ['portland-metro']],
+
+      // Maryland by 3-digit ZIP area; every Maryland county levies a local tax
+      [20600, 20699, ['md-charles', 'md-calvert', 'md-st-marys', 'md-prince-georges']],
+      [20700, 20799, ['md-prince-georges', 'md-anne-arundel', 'md-howard', 'md-calvert']],
+      [20800, 20899, ['md-montgomery']],
+      [20900, 20999, ['md-montgomery', 'md-prince-georges']],
+      [21000, 21099, ['md-howard', 'md-baltimore-county', 'md-harford', 'md-anne-arundel', 'md-carroll']],
+      [21100, 21199, ['md-anne-arundel', 'md-baltimore-county', 'md-carroll']],
+      [21200, 21299, ['md-baltimore-county', 'md-baltimore-city']],
+      [21201, 21231, ['md-baltimore-city', 'md-baltimore-county']],
+      [21400, 21499, ['md-anne-arundel']],
+      [21500, 21599, ['md-allegany', 'md-garrett']],
+      [21600, 21699, ['md-talbot', 'md-queen-annes', 'md-kent', 'md-caroline', 'md-dorchester']],
+      [21700, 21799, ['md-frederick', 'md-washington', 'md-carroll']],
+      [21800, 21899, ['md-wicomico', 'md-worcester', 'md-somerset']],
+      [21900, 21999, ['md-cecil']]
+    ];
+  }
+
+  /**
+   * Get a jurisdiction by id
+   */
+  getJurisdiction(id) {
+    return this.JURISDICTIONS[id] || null;
+  }
+
+  /**
+   * List jurisdictions as { id, name, state }, optionally for one state
+   */
+  getJurisdictions(state) {
+    return Object.entries(this.JURISDICTIONS)
+      .filter(([, info]) => !state || info.state === state)
+      .map(([id, info]) => ({ id, name: info.name, state: info.state }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Resolve a residency value, defaulting to resident
+   */
+  normalizeResidency(residency) {
+    return residency === 'non-resident' ? 'non-resident' : 'resident';
+  }
+
+  /**
+   * Look up candidate jurisdiction ids for a ZIP code ('none' means no local tax is possible).
+   * Returns an empty list when the ZIP has no known local income tax.
+   */
+  lookupZip(zipcode) {
+    const digits = String(zipcode || '').replace(/\D/g, '').substring(0, 5);
+    if (digits.length < 5) return [];
+
+    const zip = parseInt(digits, 10);
+    const matches = this.ZIP_RANGES
+      .filter(([start, end]) => zip >= start && zip <= end)
+      .sort((a, b) => (a[1] - a[0]) - (b[1] - b[0]));
+
+    return matches.length > 0 ? [...matches[0][2]] : [];
+  }
+
+  /**
+   * Apply a flat rate or bracket schedule to a base amount
+   */
+  applyRule(rule, amount, filingStatus) {
+    if (rule.rate !== undefined) {
+      return {
+        tax: amount * rule.rate,
+        marginalRate: amount > 0 ? rule.rate : 0,
+        brackets: []
+      };
+    }
+
+    const schedule = rule.brackets[filingStatus] || rule.brackets.single;
+    let min = 0;
+    let marginalRate = 0;
+
+    const brackets = schedule.map(([max, rate]) => {
+      const taxableAmount = Math.max(0, Math.min(amount, max) - min);
+      if (taxableAmount > 0) marginalRate = rate;
+      const bracket = { min, max, rate, taxableAmount, tax: taxableAmount * rate };
+      min = max;
+      return bracket;
+    });
+
+    return {
+      tax: brackets.reduce((sum, bracket) => sum + bracket.tax, 0),
+      marginalRate,
+      brackets
+    };
+  }
+
+  /**
+   * Calculate local income tax for a ZIP code. The result's taxYear is the year of the
+   * local rates, which can be older than options.taxYear.
+   * Options: { jurisdiction, residency, filingStatus, taxYear, stateTaxDetails }
+   *   jurisdiction    - override id from the jurisdiction select ('none' for no local tax)
+   *   stateTaxDetails - the state result for the same income, reused for piggyback taxes
+   */
+  calculateLocalTax(income, zipcode, options = {}) {
+    const grossIncome = Math.max(0, Number(income) || 0);
+    const residency = this.normalizeResidency(options.residency);
+    const filingStatus = window.stateTax
+      ? window.stateTax.normalizeFilingStatus(options.filingStatus)
+      : (options.filingStatus || 'single');
+    const candidates = this.lookupZip(zipcode);
+    const override = options.jurisdiction || '';
+
+    let id = candidates[0] || 'none';
+    let source = 'zip';
+    if (override === 'none' || this.JURISDICTIONS[override]) {
+      id = override;
+      source = 'override';
+    }
+
+    const info = this.JURISDICTIONS[id];
+    const result = {
+      jurisdiction: info ? id : 'none',
+      name: info ? info.name : '',
+      state: info ? info.state : '',
+      taxYear: this.TAX_YEAR,
+      residency,
+      source,
+      candidates: candidates.filter(candidate => this.JURISDICTIONS[candidate]),
+      ambiguous: candidates.length > 1,
+      hasLocalTax: false,
+      base: '',
+      taxableAmount: 0,
+      tax: 0,
+      rate: 0,
+      marginalRate: 0,
+      effectiveRate: 0,
+      brackets: [],
+      note: info && info.note ? info.note : ''
+    };
+
+    if (!info) return result;
+
+    const rule = residency === 'non-resident' ? info.nonResident : info.resident;
+    if (!rule) {
+      result.note = info.note || `${info.name} does not tax non-residents.`;
+      return result;
+    }
+
+    result.base = rule.base;
+    if (rule.base === 'wages') {
+      result.taxableAmount = grossIncome;
+    } else {
+      // Reuse the state result when it is for this jurisdiction's state
+      const stateDetails = options.stateTaxDetails && options.stateTaxDetails.state === info.state
+        ? options.stateTaxDetails
+        : window.stateTax.calculateStateTax(grossIncome, info.state, filingStatus, { taxYear: options.taxYear });
+      result.taxableAmount = rule.base === 'state-tax' ? stateDetails.tax : stateDetails.taxableIncome;
+    }
+
+    const applied = this.applyRule(rule, result.taxableAmount, filingStatus);
+    result.hasLocalTax = true;
+    result.tax = applied.tax;
+    result.rate = rule.rate !== undefined ? rule.rate : applied.marginalRate;
+    result.marginalRate = applied.marginalRate;
+    result.brackets = applied.brackets;
+    result.effectiveRate = grossIncome > 0 ? result.tax / grossIncome : 0;
+
+    return result;
+  }
+}
+
+// Create singleton instance
+window.localTax = new LocalTaxCalculator();
@@ -0,0 +1,292 @@
+/**
+ * OFX Import Module
+ * Parses OFX 1.x (SGML), OFX 2.x (XML) and Quicken QFX downloads into accounts,
+ * balances and transactions
+ */
+
+class OFXImporter {
+  constructor() {
+    // OFX account types, grouped by how the app treats them
+    this.ACCOUNT_TYPES = {
+      CHECKING: { type: 'checking', label: 'Checking', isDebt: false },
+      SAVINGS: { type: 'savings', label: 'Savings', isDebt: false },
+      MONEYMRKT: { type: 'moneyMarket', label: 'Money Market', isDebt: false },
+      CD: { type: 'cd', label: 'CD', isDebt: false },
+      CREDITLINE: { type: 'lineOfCredit', label: 'Line of Credit', isDebt: true },
+      CREDITCARD: { type: 'creditCard', label: 'Credit Card', isDebt: true },
+      LOAN: { type: 'loan', label: 'Loan', isDebt: true }
+    };
+  }
+
+  /**
+   * Check whether text looks like an OFX/QFX document
+   */
+  isOFX(text) {
+    const head = String(text || '').slice(0, 1000);
+    return /OFXHEADER/i.test(head) || /<\?OFX/i.test(head) || /<OFX>/i.test(head);
+  }
+
+  /**
+   * Parse OFX markup into a simple element tree.
+   * SGML leaf elements have no closing tag, so a closing tag pops back to its matching opener.
+   */
+  parseTree(text) {
+    const body = String(text || '').replace(/^\uFEFF/, '');
+    const start = body.search(/<OFX>/i);
+    if (start === -1) {
+      throw new Error('This file does not contain OFX data.');
+    }
+
+    const root = { name: 'ROOT', children: [], value: '' };
+    const stack = [root];
+    const tagPattern = /<(\/?)([A-Za-z0-9_.]+)[^>]*>([^<]*)/g;
+    let match;
+
+    tagPattern.lastIndex = start;
+    while ((match = tagPattern.exec(body)) !== null) {
+      const [, closing, rawName, rawValue] = match;
+      const name = rawName.toUpperCase();
+      const value = this.decodeEntities(rawValue.trim());
+      const parent = stack[stack.length - 1];
+
+      if (closing) {
+        const index = stack.map(node => node.name).lastIndexOf(name);
+        if (index > 0) stack.length = index;
+      } else if (value) {
+        parent.children.push({ name, children: [], value });
+      } else {
+        const node = { name, children: [], value: '' };
+        parent.children.push(node);
+        stack.push(node);
+      }
+    }
+
+    const ofx = root.children.find(node => node.name === 'OFX');
+    if (!ofx) {
+      throw new Error('This file does not contain OFX data.');
+    }
+    return ofx;
+  }
+
+  /**
+   * Decode the XML entities OFX servers commonly emit
+   */
+  decodeEntities(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Find the first descendant element with a name
+   */
+  find(node, name) {
+    for (const child of node.children) {
+      if (child.name === name) return child;
+      const found = this.find(child, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Find every descendant element with a name
+   */
+  findAll(node, name, results = []) {
+    node.children.forEach(child => {
+      if (child.name === name) results.push(child);
+      this.findAll(child, name, results);
+    });
+    return results;
+  }
+
+  /**
+   * Read the text value of a descendant element
+   */
+  getValue(node, name) {
+    const element = node ? this.find(node, name) : null;
+    return element ? element.value : '';
+  }
+
+  /**
+   * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][[gmt offset]]) to YYYY-MM-DD
+   */
+  parseDate(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return null;
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+    return isNaN(Date.parse(date)) ? null : date;
+  }
+
+  /**
+   * Parse an OFX amount, allowing a comma decimal separator
+   */
+  parseAmount(value) {
+    const text = String(value || '').trim().replace(/\s/g, '');
+    if (!text) return null;
+    const num = parseFloat(/,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, ''));
+    return isFinite(num) ? num : null;
+  }
+
+  /**
+   * Fingerprint a full account number so it is never stored in plain text
+   */
+  hashAccountId(accountId) {
+    let hash = 5381;
+    for (let i = 0; i < accountId.length; i++) {
+      hash = ((hash * 33) ^ accountId.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+  }
+
+  /**
+   * Parse a document into accounts with balances and transactions
+   */
+  parse(text) {
+    const ofx = this.parseTree(text);
+    const institution = this.getValue(this.find(ofx, 'FI'), 'ORG');
+
+    const statements = [
+      ...this.findAll(ofx, 'STMTRS').map(node => ({ node, from: 'BANKACCTFROM' })),
+      ...this.findAll(ofx, 'CCSTMTRS').map(node => ({ node, from: 'CCACCTFROM', ofxType: 'CREDITCARD' })),
+      ...this.findAll(ofx, 'LOANSTMTRS').map(node => ({ node, from: 'LOANACCTFROM', ofxType: 'LOAN' }))
+    ];
+
+    if (statements.length === 0) {
+      throw new Error('No bank, credit card or loan statements were found in this file.');
+    }
+
+    return statements.map(({ node, from, ofxType }) => this.parseStatement(node, from, ofxType, institution));
+  }
+
+  /**
+   * Parse a single statement response
+   */
+  parseStatement(node, fromTag, ofxType, institution) {
+    const from = this.find(node, fromTag);
+    const accountId = this.getValue(from, 'ACCTID');
+    const typeKey = ofxType || this.getValue(from, 'ACCTTYPE').toUpperCase() || 'CHECKING';
+    const typeInfo = this.ACCOUNT_TYPES[typeKey] || this.ACCOUNT_TYPES.CHECKING;
+    const bankId = this.getValue(from, 'BANKID');
+
+    // Loans report principal owed; deposit and card accounts report a ledger balance
+    const ledgerBalance = this.find(node, 'LEDGERBAL');
+    const rawBalance = ledgerBalance
+      ? this.parseAmount(this.getValue(ledgerBalance, 'BALAMT'))
+      : this.parseAmount(this.getValue(node, 'PRINBAL') || this.getValue(node, 'BALAMT'));
+    const balanceDate = this.parseDate(ledgerBalance ? this.getValue(ledgerBalance, 'DTASOF') : this.getValue(node, 'DTASOF'));
+
+    // Debt balances are usually negative (money owed); store what is owed as a positive number
+    const balance = rawBalance === null ? null : (typeInfo.isDebt ? Math.abs(rawBalance) : rawBalance);
+    const rate = this.parseAmount(this.getValue(node, 'INTRATE'));
+    const payment = this.parseAmount(this.getValue(node, 'PMTAMT') || this.getValue(node, 'MINPMTDUE'));
+    const last4 = accountId.slice(-4);
+
+    const transactions = this.findAll(node, 'STMTTRN').map(trn => {
+      const amount = this.parseAmount(this.getValue(trn, 'TRNAMT'));
+      return {
+        fitId: this.getValue(trn, 'FITID'),
+        type: this.getValue(trn, 'TRNTYPE'),
+        date: this.parseDate(this.getValue(trn, 'DTPOSTED') || this.getValue(trn, 'DTUSER')),
+        payee: this.getValue(trn, 'NAME') || this.getValue(trn, 'PAYEEID') || this.getValue(trn, 'MEMO'),
+        memo: this.getValue(trn, 'MEMO'),
+        // OFX amounts are negative for money out; the ledger stores spending as positive
+        amount: amount === null ? null : Math.round(-amount * 100) / 100
+      };
+    });
+
+    return {
+      key: [institution || bankId, typeKey, `${last4}-${this.hashAccountId(accountId)}`].join('|'),
+      institution,
+      accountId: last4,
+      type: typeInfo.type,
+      isDebt: typeInfo.isDebt,
+      name: [institution, typeInfo.label, last4 ? `····${last4}` : ''].filter(Boolean).join(' '),
+      currency: this.getValue(node, 'CURDEF') || 'USD',
+      balance,
+      balanceDate,
+      rate,
+      payment: payment === null ? null : Math.abs(payment),
+      transactions
+    };
+  }
+
+  /**
+   * Map parsed accounts to ledger preview entries, flagging errors and duplicates
+   */
+  buildPreview(accounts, existingTransactions = []) {
+    const existingKeys = new Set(existingTransactions.map(tx => tx.importKey).filter(Boolean));
+    const categorize = description => (window.csvImporter ? window.csvImporter.categorize(description) : 'miscellaneous');
+    const entries = [];
+
+    accounts.forEach(account => {
+      account.transactions.forEach(trn => {
+        const entry = {
+          index: entries.length,
+          date: trn.date,
+          payee: trn.payee,
+          memo: trn.memo && trn.memo !== trn.payee ? trn.memo : '',
+          amount: trn.amount,
+          category: categorize(trn.payee),
+          account: account.name,
+          error: null,
+          duplicate: false,
+          include: false
+        };
+
+        if (!trn.date) {
+          entry.error = 'Missing posting date';
+        } else if (trn.amount === null || trn.amount === 0) {
+          entry.error = 'Missing amount';
+        }
+
+        if (!entry.error) {
+          // FITIDs are unique per account, so they identify a re-downloaded transaction exactly
+          entry.importKey = trn.fitId
+            ? `ofx|${account.key}|${trn.fitId}`
+            : `ofx|${account.key}|${trn.date}|${trn.amount.toFixed(2)}|${trn.payee}`;
+          entry.duplicate = existingKeys.has(entry.importKey);
+          // Deposits and card payments are left out of spending by default
+          entry.include = !entry.duplicate && entry.amount > 0;
+        }
+
+        entries.push(entry);
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Add or refresh imported accounts in a saved account list (mutated in place)
+   */
+  mergeAccounts(savedAccounts, accounts) {
+    const updatedAt = new Date().toISOString();
+
+    accounts.forEach(account => {
+      const { transactions, ...details } = account;
+      const record = { ...details, source: 'ofx', transactionCount: transactions.length, updatedAt };
+      const existing = savedAccounts.find(item => item.key === account.key);
+
+      // Never replace a newer balance with an older download
+      if (existing && existing.balanceDate && record.balanceDate && existing.balanceDate > record.balanceDate) {
+        return;
+      }
+
+      if (existing) {
+        Object.assign(existing, record);
+      } else {
+        savedAccounts.push(record);
+      }
+    });
+
+    return savedAccounts;
+  }
+}
+
+// Create singleton instance
+window.ofxImporter = new OFXImporter();
@@ -0,0 +1,170 @@
+/**
+ * Overtime Module
+ * Applies the FLSA 40-hour rule and state daily, double-time and seventh-day overtime
+ * rules to a typical weekly schedule, with shift differentials in the regular rate
+ */
+
+class OvertimeCalculator {
+  constructor() {
+    this.DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+    /*
+     * Overtime rules. weekly is the FLSA threshold; daily thresholds pay 1.5x over
+     * `overtime` hours and 2x over `doubleTime` hours in a day; seventhDay applies to the
+     * seventh consecutive workday in the week (1.5x for the first `overtime` hours, 2x after).
+     */
+    this.RULES = {
+      'flsa': {
+        label: 'Federal (FLSA): over 40 hours a week',
+        weekly: 40
+      },
+      'california': {
+        label: 'California: over 8 hours a day, 2x over 12, seventh day',
+        weekly: 40,
+        daily: { overtime: 8, doubleTime: 12 },
+        seventhDay: { overtime: 8 }
+      },
+      'alaska': {
+        label: 'Alaska: over 8 hours a day or 40 a week',
+        weekly: 40,
+        daily: { overtime: 8 }
+      },
+      'colorado': {
+        label: 'Colorado: over 12 hours a day or 40 a week',
+        weekly: 40,
+        daily: { overtime: 12 }
+      },
+      'exempt': {
+        label: 'Exempt (salaried, no overtime)'
+      }
+    };
+
+    // States whose daily overtime rules replace the federal default
+    this.STATE_RULES = {
+      CA: 'california',
+      AK: 'alaska',
+      CO: 'colorado'
+    };
+  }
+
+  /**
+   * Resolve an overtime rule; an empty rule follows the state
+   */
+  resolveRule(rule, state) {
+    if (this.RULES[rule]) return rule;
+    return this.STATE_RULES[state] || 'flsa';
+  }
+
+  /**
+   * Split each day's hours into regular, overtime (1.5x) and double-time (2x) hours.
+   * Daily overtime is applied first; regular hours past the weekly threshold then
+   * become overtime, so no hour is counted twice.
+   */
+  classifyHours(hours, ruleKey) {
+    const rule = this.RULES[ruleKey];
+    const week = this.DAYS.map((day, index) => ({ day, hours: Math.max(0, Math.min(24, Number(hours[index]) || 0)) }));
+    const workedEveryDay = week.every(entry => entry.hours > 0);
+    let regularSoFar = 0;
+
+    return week.map((entry, index) => {
+      let regular = entry.hours;
+      let overtime = 0;
+      let doubleTime = 0;
+
+      if (!rule.weekly) {
+        return { ...entry, regular, overtime, doubleTime };
+      }
+
+      if (rule.seventhDay && workedEveryDay && index === week.length - 1) {
+        regular = 0;
+        overtime = Math.min(entry.hours, rule.seventhDay.overtime);
+        doubleTime = entry.hours - overtime;
+      } else if (rule.daily) {
+        const doubleTimeAfter = rule.daily.doubleTime || Infinity;
+        regular = Math.min(entry.hours, rule.daily.overtime);
+        overtime = Math.min(entry.hours, doubleTimeAfter) - regular;
+        doubleTime = Math.max(0, entry.hours - doubleTimeAfter);
+      }
+
+      const weeklyOvertime = Math.max(0, Math.min(regular, regularSoFar + regular - rule.weekly));
+      regular -= weeklyOvertime;
+      overtime += weeklyOvertime;
+      regularSoFar += regular;
+
+      return { ...entry, regular, overtime, doubleTime };
+    });
+  }
+
+  /**
+   * Calculate a week of pay.
+   * Options: { hours (7 daily hours, Monday first), rule, state, hourlyRate, weeklySalary,
+   *            salaryHours, shiftDifferential ($/hour), differentialHours (hours/week) }
+   * Salaried non-exempt pay covers salaryHours (40) of straight time; its hourly rate is
+   * the salary over those hours. Overtime is paid on the regular rate, which includes
+   * shift differentials.
+   */
+  calculateWeek(options = {}) {
+    const rule = this.resolveRule(options.rule, options.state);
+    const days = this.classifyHours(options.hours || [], rule);
+    const sum = key => days.reduce((total, day) => total + day[key], 0);
+    const totalHours = sum('hours');
+    const regularHours = sum('regular');
+    const overtimeHours = sum('overtime');
+    const doubleTimeHours = sum('doubleTime');
+
+    const weeklySalary = Math.max(0, Number(options.weeklySalary) || 0);
+    const salaryHours = Math.max(1, Number(options.salaryHours) || 40);
+    const hourlyRate = weeklySalary > 0 ? weeklySalary / salaryHours : Math.max(0, Number(options.hourlyRate) || 0);
+    const differentialHours = Math.min(totalHours, Math.max(0, Number(options.differentialHours) || 0));
+    const differentialPay = differentialHours * Math.max(0, Number(options.shiftDifferential) || 0);
+
+    // An exempt salary is the same however many hours are worked
+    const extraSalaryHours = rule === 'exempt' ? 0 : Math.max(0, totalHours - salaryHours);
+    const straightTime = (weeklySalary > 0
+      ? weeklySalary + hourlyRate * extraSalaryHours
+      : hourlyRate * totalHours) + differentialPay;
+    const regularRate = totalHours > 0 ? straightTime / totalHours : hourlyRate;
+
+    // Straight time already pays 1x for every hour; overtime adds 0.5x and double time 1x
+    const overtimePay = overtimeHours * regularRate * 1.5;
+    const doubleTimePay = doubleTimeHours * regularRate * 2;
+    const totalPay = straightTime + overtimeHours * regularRate * 0.5 + doubleTimeHours * regularRate;
+
+    return {
+      rule,
+      ruleLabel: this.RULES[rule].label,
+      days,
+      totalHours,
+      regularHours,
+      overtimeHours,
+      doubleTimeHours,
+      hourlyRate,
+      regularRate,
+      differentialPay,
+      regularPay: totalPay - overtimePay - doubleTimePay,
+      overtimePay,
+      doubleTimePay,
+      totalPay
+    };
+  }
+
+  /**
+   * Calculate a year of pay from a typical week.
+   * Options: calculateWeek options plus weeksPerYear
+   */
+  calculateAnnual(options = {}) {
+    const week = this.calculateWeek(options);
+    const weeksPerYear = Math.max(0, Number(options.weeksPerYear) || 52);
+
+    return {
+      ...week,
+      weeksPerYear,
+      annualRegularPay: week.regularPay * weeksPerYear,
+      annualOvertimePay: (week.overtimePay + week.doubleTimePay) * weeksPerYear,
+      annualPay: week.totalPay * weeksPerYear
+    };
+  }
+}
+
+// Create singleton instance
+window.overtime = new OvertimeCalculator();
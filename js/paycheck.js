@@ -0,0 +1,202 @@
+/**
+ * Paycheck Simulator Module
+ * Splits a year of pay into per-period pay stubs with pre-tax deductions, withholding
+ * and year-to-date totals, including the paycheck where Social Security stops
+ */
+
+class PaycheckSimulator {
+  constructor() {
+    this.SCHEDULES = {
+      'weekly': { label: 'Weekly', periods: 52 },
+      'biweekly': { label: 'Biweekly', periods: 26 },
+      'semi-monthly': { label: 'Semi-monthly', periods: 24 },
+      'monthly': { label: 'Monthly', periods: 12 }
+    };
+
+    // Payroll deductions from the income form. Section 125 health premiums, HSA and FSA
+    // contributions are also exempt from Social Security and Medicare; traditional 401(k)
+    // deferrals only lower income tax; Roth 401(k) deferrals come out after tax.
+    this.DEDUCTIONS = {
+      healthInsurance: { label: 'Health Insurance', ficaExempt: true },
+      retirement401k: { label: 'Traditional 401(k)', ficaExempt: false },
+      roth401k: { label: 'Roth 401(k)', ficaExempt: false, afterTax: true },
+      hsa: { label: 'HSA', ficaExempt: true },
+      fsa: { label: 'Health FSA', ficaExempt: true },
+      otherDeductions: { label: 'Other Pre-Tax', ficaExempt: false }
+    };
+  }
+
+  /**
+   * Round to cents
+   */
+  roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD without time zone shifts
+   */
+  formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * List the pay dates for a schedule. Weekly and biweekly pay falls on Fridays starting
+   * with the first Friday of the year; semi-monthly on the 15th and last day; monthly
+   * on the last day.
+   */
+  getPayDates(schedule, year) {
+    const { periods } = this.SCHEDULES[schedule];
+    const dates = [];
+
+    if (schedule === 'weekly' || schedule === 'biweekly') {
+      const step = schedule === 'weekly' ? 7 : 14;
+      const first = new Date(year, 0, 1);
+      first.setDate(first.getDate() + ((5 - first.getDay() + 7) % 7));
+      for (let i = 0; i < periods; i++) {
+        dates.push(this.formatDate(new Date(year, 0, first.getDate() + i * step)));
+      }
+    } else if (schedule === 'semi-monthly') {
+      for (let month = 0; month < 12; month++) {
+        dates.push(this.formatDate(new Date(year, month, 15)));
+        dates.push(this.formatDate(new Date(year, month + 1, 0)));
+      }
+    } else {
+      for (let month = 0; month < 12; month++) {
+        dates.push(this.formatDate(new Date(year, month + 1, 0)));
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Annualized withholding for one period: tax on the period's wages as if every
+   * period paid the same, divided back over the periods (the IRS percentage method)
+   */
+  withholdAnnualized(periodWages, periods, annualTax) {
+    return periodWages > 0 ? annualTax(periodWages * periods) / periods : 0;
+  }
+
+  /**
+   * Simulate every paycheck in a year.
+   * Options: { annualGross, schedule, deductions (annual amounts keyed like DEDUCTIONS),
+   *            filingStatus, taxYear, state, zipcode, jurisdiction, residency }
+   */
+  simulate(options = {}) {
+    const schedule = this.SCHEDULES[options.schedule] ? options.schedule : 'biweekly';
+    const { periods, label } = this.SCHEDULES[schedule];
+    const filingStatus = window.taxEngine.normalizeFilingStatus(options.filingStatus);
+    const taxYear = window.taxEngine.normalizeTaxYear(options.taxYear);
+    const fica = window.taxEngine.getTable(taxYear).fica;
+    const periodGross = this.roundCents(Math.max(0, Number(options.annualGross) || 0) / periods);
+    const deductions = options.deductions || {};
+
+    const federalTax = wages => window.taxEngine.calculateFederalTax(wages, filingStatus, { taxYear });
+    const stateTax = wages => (options.state
+      ? window.stateTax.calculateStateTax(wages, options.state, filingStatus, { taxYear }).tax
+      : 0);
+    const localTax = wages => (options.state && window.localTax
+      ? window.localTax.calculateLocalTax(wages, options.zipcode, {
+        jurisdiction: options.jurisdiction,
+        residency: options.residency,
+        filingStatus,
+        taxYear
+      }).tax
+      : 0);
+
+    const ytd = { gross: 0, preTax: 0, afterTax: 0, federal: 0, socialSecurity: 0, medicare: 0, state: 0, local: 0, net: 0, ficaWages: 0 };
+    let wageBaseReached = null;
+
+    const stubs = this.getPayDates(schedule, taxYear).map((payDate, index) => {
+      const items = Object.entries(this.DEDUCTIONS)
+        .map(([key, info]) => ({
+          key,
+          label: info.label,
+          ficaExempt: info.ficaExempt,
+          afterTax: Boolean(info.afterTax),
+          amount: this.roundCents(Math.max(0, Number(deductions[key]) || 0) / periods)
+        }))
+        .filter(item => item.amount > 0);
+      const preTax = items.filter(item => !item.afterTax);
+      const afterTax = items.filter(item => item.afterTax);
+      const preTaxTotal = preTax.reduce((sum, item) => sum + item.amount, 0);
+      const afterTaxTotal = afterTax.reduce((sum, item) => sum + item.amount, 0);
+      const taxableWages = Math.max(0, periodGross - preTaxTotal);
+      const ficaWages = Math.max(0, periodGross - preTax
+        .filter(item => item.ficaExempt)
+        .reduce((sum, item) => sum + item.amount, 0));
+      // Some states tax contributions the federal return excludes
+      const stateWages = taxableWages + preTax
+        .filter(item => window.contributionPlanner && window.contributionPlanner.isStateTaxed(item.key, options.state))
+        .reduce((sum, item) => sum + item.amount, 0);
+
+      // FICA is figured on year-to-date wages so per-period rounding never drifts.
+      // Social Security stops once year-to-date wages reach the wage base; employers withhold
+      // additional Medicare on wages over the threshold regardless of filing status.
+      const ficaWagesToDate = ytd.ficaWages + ficaWages;
+      const socialSecurity = this.roundCents(
+        Math.min(ficaWagesToDate, fica.socialSecurity.wageBase) * fica.socialSecurity.rate - ytd.socialSecurity
+      );
+      const medicare = this.roundCents(
+        ficaWagesToDate * fica.medicare.rate +
+        Math.max(0, ficaWagesToDate - fica.additionalMedicare.withholdingThreshold) * fica.additionalMedicare.rate -
+        ytd.medicare
+      );
+
+      const federal = this.roundCents(this.withholdAnnualized(taxableWages, periods, federalTax));
+      const state = this.roundCents(this.withholdAnnualized(stateWages, periods, stateTax));
+      const local = this.roundCents(this.withholdAnnualized(stateWages, periods, localTax));
+      const net = this.roundCents(periodGross - preTaxTotal - afterTaxTotal - federal - socialSecurity - medicare - state - local);
+
+      const previousFicaWages = ytd.ficaWages;
+      ytd.ficaWages += ficaWages;
+      if (!wageBaseReached && previousFicaWages < fica.socialSecurity.wageBase && ytd.ficaWages >= fica.socialSecurity.wageBase) {
+        wageBaseReached = { period: index + 1, payDate };
+      }
+
+      ytd.gross += periodGross;
+      ytd.preTax += preTaxTotal;
+      ytd.afterTax += afterTaxTotal;
+      ytd.federal += federal;
+      ytd.socialSecurity += socialSecurity;
+      ytd.medicare += medicare;
+      ytd.state += state;
+      ytd.local += local;
+      ytd.net += net;
+
+      return {
+        period: index + 1,
+        payDate,
+        gross: periodGross,
+        preTax,
+        preTaxTotal: this.roundCents(preTaxTotal),
+        afterTax,
+        afterTaxTotal: this.roundCents(afterTaxTotal),
+        federal,
+        socialSecurity,
+        medicare,
+        state,
+        local,
+        net,
+        ytd: Object.fromEntries(Object.entries(ytd).map(([key, value]) => [key, this.roundCents(value)]))
+      };
+    });
+
+    return {
+      schedule,
+      label,
+      periods,
+      taxYear,
+      filingStatus,
+      state: options.state || null,
+      wageBase: fica.socialSecurity.wageBase,
+      wageBaseReached,
+      stubs,
+      totals: stubs.length > 0 ? stubs[stubs.length - 1].ytd : { ...ytd }
+    };
+  }
+}
+
+// Create singleton instance
+window.paycheckSimulator = new PaycheckSimulator();
@@ -0,0 +1,193 @@
+/**
+ * Self-Employment Module
+ * Taxes on 1099 / Schedule C income: business expenses, self-employment tax, the half
+ * SE tax and QBI deductions, and a quarterly estimated-payment schedule with safe harbors
+ */
+
+class SelfEmploymentCalculator {
+  constructor() {
+    this.INCOME_TYPES = {
+      'w2': 'W-2 Employee',
+      'self-employed': 'Self-Employed (1099)'
+    };
+
+    // Form 1040-ES due dates (months are 0-based); the fourth payment is due the next January
+    this.ESTIMATE_DUE_DATES = [
+      { quarter: 1, period: 'Jan 1 – Mar 31', month: 3, day: 15, nextYear: false },
+      { quarter: 2, period: 'Apr 1 – May 31', month: 5, day: 15, nextYear: false },
+      { quarter: 3, period: 'Jun 1 – Aug 31', month: 8, day: 15, nextYear: false },
+      { quarter: 4, period: 'Sep 1 – Dec 31', month: 0, day: 15, nextYear: true }
+    ];
+
+    // Prior-year AGI above which the prior-year safe harbor rises to 110%
+    this.HIGH_INCOME_AGI = {
+      'single': 150000,
+      'married-jointly': 150000,
+      'married-separately': 75000,
+      'head-of-household': 150000
+    };
+  }
+
+  /**
+   * Normalize an income type, defaulting to W-2 wages
+   */
+  normalizeIncomeType(incomeType) {
+    return this.INCOME_TYPES[incomeType] ? incomeType : 'w2';
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD without time zone shifts
+   */
+  formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Holidays that move a due date: Martin Luther King Jr. Day (third Monday of January)
+   * and Emancipation Day in Washington, D.C. (April 16, observed on the nearest weekday)
+   */
+  isHoliday(date) {
+    const month = date.getMonth();
+    const day = date.getDate();
+    const weekday = date.getDay();
+
+    if (month === 0 && weekday === 1 && day >= 15 && day <= 21) return true;
+    if (month === 3) {
+      const emancipationDay = new Date(date.getFullYear(), 3, 16).getDay();
+      if (day === 16 && emancipationDay >= 1 && emancipationDay <= 5) return true;
+      if (day === 15 && emancipationDay === 6) return true;
+      if (day === 17 && emancipationDay === 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Quarterly estimated-payment due dates for a tax year. A date on a weekend or
+   * holiday moves to the next business day.
+   */
+  getDueDates(taxYear) {
+    return this.ESTIMATE_DUE_DATES.map(({ quarter, period, month, day, nextYear }) => {
+      const date = new Date(taxYear + (nextYear ? 1 : 0), month, day);
+      while (date.getDay() === 0 || date.getDay() === 6 || this.isHoliday(date)) {
+        date.setDate(date.getDate() + 1);
+      }
+      return { quarter, period, dueDate: this.formatDate(date) };
+    });
+  }
+
+  /**
+   * Required annual estimated payment: the smaller of 90% of this year's tax or 100% of
+   * last year's (110% when last year's AGI was over $150,000). Without last year's tax,
+   * only the 90% rule applies.
+   */
+  calculateSafeHarbor(currentYearTax, filingStatus, priorYearTax, priorYearAgi) {
+    const currentYear = currentYearTax * 0.9;
+    const hasPriorYear = priorYearTax !== undefined && priorYearTax !== null && priorYearTax !== '';
+    if (!hasPriorYear) {
+      return { amount: currentYear, basis: 'current-year', rate: 0.9 };
+    }
+
+    const highIncome = (Number(priorYearAgi) || 0) > this.HIGH_INCOME_AGI[filingStatus];
+    const priorRate = highIncome ? 1.1 : 1;
+    const priorYear = Math.max(0, Number(priorYearTax) || 0) * priorRate;
+
+    return priorYear < currentYear
+      ? { amount: priorYear, basis: 'prior-year', rate: priorRate }
+      : { amount: currentYear, basis: 'current-year', rate: 0.9 };
+  }
+
+  /**
+   * Calculate taxes on self-employment income.
+   * Options: { grossReceipts, expenses, filingStatus, taxYear, state, zipcode, jurisdiction,
+   *            residency, priorYearTax, priorYearAgi }
+   */
+  calculate(options = {}) {
+    const filingStatus = window.taxEngine.normalizeFilingStatus(options.filingStatus);
+    const taxYear = window.taxEngine.normalizeTaxYear(options.taxYear);
+    const grossReceipts = Math.max(0, Number(options.grossReceipts) || 0);
+    const expenses = Math.max(0, Number(options.expenses) || 0);
+    const netProfit = Math.max(0, grossReceipts - expenses);
+
+    const selfEmploymentTax = window.taxEngine.calculateSelfEmploymentTax(netProfit, filingStatus, taxYear);
+    const adjustedGrossIncome = netProfit - selfEmploymentTax.deduction;
+
+    // QBI is net profit less the deductible half of SE tax; its cap uses taxable income before QBI
+    const standardDeduction = window.taxEngine.getStandardDeduction(filingStatus, taxYear);
+    const qbi = window.taxEngine.calculateQBIDeduction(
+      adjustedGrossIncome,
+      Math.max(0, adjustedGrossIncome - standardDeduction),
+      filingStatus,
+      taxYear
+    );
+    const federalTaxDetails = window.taxEngine.calculateFederalTaxDetails(adjustedGrossIncome, filingStatus, {
+      taxYear,
+      deduction: standardDeduction + qbi.deduction
+    });
+    const federalTax = federalTaxDetails.tax;
+
+    // States start from federal AGI, so the half SE tax deduction carries over
+    const stateTaxDetails = options.state
+      ? window.stateTax.calculateStateTax(adjustedGrossIncome, options.state, filingStatus, { taxYear })
+      : null;
+    const stateTax = stateTaxDetails ? stateTaxDetails.tax : 0;
+    const localTaxDetails = options.state && window.localTax
+      ? window.localTax.calculateLocalTax(adjustedGrossIncome, options.zipcode, {
+        jurisdiction: options.jurisdiction,
+        residency: options.residency,
+        filingStatus,
+        taxYear,
+        stateTaxDetails
+      })
+      : null;
+    const localTax = localTaxDetails ? localTaxDetails.tax : 0;
+
+    const totalTaxes = federalTax + selfEmploymentTax.total + stateTax + localTax;
+
+    return {
+      incomeType: 'self-employed',
+      taxYear,
+      filingStatus,
+      state: options.state || null,
+      grossReceipts,
+      expenses,
+      netProfit,
+      selfEmploymentTax,
+      adjustedGrossIncome,
+      qbi,
+      federalTaxDetails,
+      federalTax,
+      stateTaxDetails,
+      stateTax,
+      localTaxDetails,
+      localTax,
+      totalTaxes,
+      netIncome: netProfit - totalTaxes,
+      estimates: this.calculateEstimates(federalTax + selfEmploymentTax.total, filingStatus, taxYear, options)
+    };
+  }
+
+  /**
+   * Split the federal tax (income tax plus SE tax) into four equal estimated payments,
+   * both at the safe-harbor minimum and at the full projected tax
+   */
+  calculateEstimates(federalTotal, filingStatus, taxYear, options = {}) {
+    const safeHarbor = this.calculateSafeHarbor(federalTotal, filingStatus, options.priorYearTax, options.priorYearAgi);
+    const installments = this.getDueDates(taxYear).map((due, index) => ({
+      ...due,
+      amount: safeHarbor.amount / 4,
+      fullAmount: federalTotal / 4,
+      cumulative: safeHarbor.amount / 4 * (index + 1)
+    }));
+
+    return {
+      federalTotal,
+      safeHarbor,
+      installments,
+      // Estimated payments are not required when the balance due would be under $1,000
+      required: federalTotal >= 1000
+    };
+  }
+}
+
+// Create singleton instance
+window.selfEmployment = new SelfEmploymentCalculator();
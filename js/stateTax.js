@@ -0,0 +1,426 @@
+/**
+ * State Income Tax Module
+ * Progressive state income tax schedules with standard deductions, exemptions and
+ * filing status, producing a per-bracket breakdown for the results view
+ */
+
+class StateTaxCalculator {
+  constructor() {
+    // Year of the schedules below, whatever tax year is asked for; only a standard deduction
+    // that follows the federal one changes with the year
+    this.TAX_YEAR = 2024;
+
+    /*
+     * Schedules by state. Brackets are [upper limit, rate] pairs applied to income above the
+     * previous limit. A missing filing status falls back to the single schedule.
+     * standardDeduction: 'federal' uses the federal standard deduction for the tax year.
+     * exemption / exemptionCredit are per person (two people when married filing jointly).
+     */
+    this.STATES = {
+      AL: {
+        name: 'Alabama',
+        brackets: {
+          'single': [[500, 0.02], [3000, 0.04], [Infinity, 0.05]],
+          'married-jointly': [[1000, 0.02], [6000, 0.04], [Infinity, 0.05]]
+        },
+        standardDeduction: { 'single': 2500, 'married-jointly': 5000, 'head-of-household': 4700 },
+        exemption: 1500,
+        note: 'Standard deduction shown at its minimum; it is larger at low incomes.'
+      },
+      AK: { name: 'Alaska', none: true },
+      AZ: { name: 'Arizona', rate: 0.025, standardDeduction: 'federal' },
+      AR: {
+        name: 'Arkansas',
+        brackets: { 'single': [[5500, 0], [10900, 0.02], [15600, 0.03], [25700, 0.034], [Infinity, 0.039]] },
+        standardDeduction: { 'single': 2340, 'married-jointly': 4680 },
+        exemptionCredit: 29
+      },
+      CA: {
+        name: 'California',
+        brackets: {
+          'single': [[10756, 0.01], [25499, 0.02], [40245, 0.04], [55866, 0.06], [70606, 0.08], [360659, 0.093], [432787, 0.103], [721314, 0.113], [1000000, 0.123], [Infinity, 0.133]],
+          'married-jointly': [[21512, 0.01], [50998, 0.02], [80490, 0.04], [111732, 0.06], [141212, 0.08], [721318, 0.093], [865574, 0.103], [1000000, 0.113], [1442628, 0.123], [Infinity, 0.133]],
+          'head-of-household': [[21527, 0.01], [51000, 0.02], [65744, 0.04], [81364, 0.06], [96107, 0.08], [490493, 0.093], [588593, 0.103], [980987, 0.113], [1000000, 0.123], [Infinity, 0.133]]
+        },
+        standardDeduction: { 'single': 5540, 'married-jointly': 11080, 'head-of-household': 11080 },
+        exemptionCredit: 149,
+        note: 'Includes the 1% mental health services tax on income over $1 million.'
+      },
+      CO: { name: 'Colorado', rate: 0.0425, standardDeduction: 'federal' },
+      CT: {
+        name: 'Connecticut',
+        brackets: {
+          'single': [[10000, 0.02], [50000, 0.045], [100000, 0.055], [200000, 0.06], [250000, 0.065], [500000, 0.069], [Infinity, 0.0699]],
+          'married-jointly': [[20000, 0.02], [100000, 0.045], [200000, 0.055], [400000, 0.06], [500000, 0.065], [1000000, 0.069], [Infinity, 0.0699]],
+          'head-of-household': [[16000, 0.02], [80000, 0.045], [160000, 0.055], [320000, 0.06], [400000, 0.065], [800000, 0.069], [Infinity, 0.0699]]
+        },
+        note: 'Personal exemption and tax-rate phase-outs are not modeled.'
+      },
+      DE: {
+        name: 'Delaware',
+        brackets: { 'single': [[2000, 0], [5000, 0.022], [10000, 0.039], [20000, 0.048], [25000, 0.052], [60000, 0.0555], [Infinity, 0.066]] },
+        standardDeduction: { 'single': 3250, 'married-jointly': 6500 },
+        exemptionCredit: 110
+      },
+      DC: {
+        name: 'District of Columbia',
+        brackets: { 'single': [[10000, 0.04], [40000, 0.06], [60000, 0.065], [250000, 0.085], [500000, 0.0925], [1000000, 0.0975], [Infinity, 0.1075]] },
+        standardDeduction: 'federal'
+      },
+      FL: { name: 'Florida', none: true },
+      GA: {
+        name: 'Georgia',
+        rate: 0.0539,
+        standardDeduction: { 'single': 12000, 'married-jointly': 24000, 'head-of-household': 12000 }
+      },
+      HI: {
+        name: 'Hawaii',
+        brackets: {
+          'single': [[2400, 0.014], [4800, 0.032], [9600, 0.055], [14400, 0.064], [19200, 0.068], [24000, 0.072], [36000, 0.076], [48000, 0.079], [150000, 0.0825], [175000, 0.09], [200000, 0.10], [Infinity, 0.11]],
+          'married-jointly': [[4800, 0.014], [9600, 0.032], [19200, 0.055], [28800, 0.064], [38400, 0.068], [48000, 0.072], [72000, 0.076], [96000, 0.079], [300000, 0.0825], [350000, 0.09], [400000, 0.10], [Infinity, 0.11]],
+          'head-of-household': [[3600, 0.014], [7200, 0.032], [14400, 0.055], [21600, 0.064], [28800, 0.068], [36000, 0.072], [54000, 0.076], [72000, 0.079], [225000, 0.0825], [262500, 0.09], [300000, 0.10], [Infinity, 0.11]]
+        },
+        standardDeduction: { 'single': 2200, 'married-jointly': 4400, 'head-of-household': 3212 },
+        exemption: 1144
+      },
+      ID: {
+        name: 'Idaho',
+        brackets: {
+          'single': [[4489, 0], [Infinity, 0.05695]],
+          'married-jointly': [[8978, 0], [Infinity, 0.05695]]
+        },
+        standardDeduction: 'federal'
+      },
+      IL: { name: 'Illinois', rate: 0.0495, exemption: 2775 },
+      IN: { name: 'Indiana', rate: 0.0305, exemption: 1000, note: 'County income tax is shown separately under Local Tax; only Marion County (Indianapolis) is covered.' },
+      IA: {
+        name: 'Iowa',
+        brackets: {
+          'single': [[6210, 0.044], [31050, 0.0482], [Infinity, 0.057]],
+          'married-jointly': [[12420, 0.044], [62100, 0.0482], [Infinity, 0.057]]
+        },
+        standardDeduction: 'federal'
+      },
+      KS: {
+        name: 'Kansas',
+        brackets: {
+          'single': [[23000, 0.052], [Infinity, 0.0558]],
+          'married-jointly': [[46000, 0.052], [Infinity, 0.0558]]
+        },
+        standardDeduction: { 'single': 3605, 'married-jointly': 8240, 'head-of-household': 6180 },
+        exemption: 9160
+      },
+      KY: { name: 'Kentucky', rate: 0.04, standardDeduction: { 'single': 3160, 'married-jointly': 3160 } },
+      LA: {
+        name: 'Louisiana',
+        brackets: {
+          'single': [[12500, 0.0185], [50000, 0.035], [Infinity, 0.0425]],
+          'married-jointly': [[25000, 0.0185], [100000, 0.035], [Infinity, 0.0425]]
+        },
+        exemption: 4500
+      },
+      ME: {
+        name: 'Maine',
+        brackets: {
+          'single': [[26050, 0.058], [61600, 0.0675], [Infinity, 0.0715]],
+          'married-jointly': [[52100, 0.058], [123250, 0.0675], [Infinity, 0.0715]],
+          'head-of-household': [[39050, 0.058], [92450, 0.0675], [Infinity, 0.0715]]
+        },
+        standardDeduction: 'federal',
+        exemption: 5000
+      },
+      MD: {
+        name: 'Maryland',
+        brackets: {
+          'single': [[1000, 0.02], [2000, 0.03], [3000, 0.04], [100000, 0.0475], [125000, 0.05], [150000, 0.0525], [250000, 0.055], [Infinity, 0.0575]],
+          'married-jointly': [[1000, 0.02], [2000, 0.03], [3000, 0.04], [150000, 0.0475], [175000, 0.05], [225000, 0.0525], [300000, 0.055], [Infinity, 0.0575]],
+          'head-of-household': [[1000, 0.02], [2000, 0.03], [3000, 0.04], [150000, 0.0475], [175000, 0.05], [225000, 0.0525], [300000, 0.055], [Infinity, 0.0575]]
+        },
+        standardDeduction: { 'single': 2550, 'married-jointly': 5150, 'head-of-household': 5150 },
+        exemption: 3200,
+        note: 'County income tax is shown separately under Local Tax.'
+      },
+      MA: {
+        name: 'Massachusetts',
+        brackets: { 'single': [[1053750, 0.05], [Infinity, 0.09]] },
+        exemption: 4400,
+        note: 'Includes the 4% surtax on income over $1,053,750.'
+      },
+      MI: { name: 'Michigan', rate: 0.0425, exemption: 5600, note: 'City income tax is shown separately under Local Tax for Detroit, Grand Rapids, Lansing and Flint.' },
+      MN: {
+        name: 'Minnesota',
+        brackets: {
+          'single': [[31690, 0.0535], [104090, 0.068], [193240, 0.0785], [Infinity, 0.0985]],
+          'married-jointly': [[46330, 0.0535], [184040, 0.068], [321450, 0.0785], [Infinity, 0.0985]],
+          'married-separately': [[23165, 0.0535], [92020, 0.068], [160725, 0.0785], [Infinity, 0.0985]],
+          'head-of-household': [[39010, 0.0535], [156760, 0.068], [256880, 0.0785], [Infinity, 0.0985]]
+        },
+        standardDeduction: { 'single': 14575, 'married-jointly': 29150, 'head-of-household': 21900 }
+      },
+      MS: {
+        name: 'Mississippi',
+        brackets: { 'single': [[10000, 0], [Infinity, 0.047]] },
+        standardDeduction: { 'single': 2300, 'married-jointly': 4600, 'head-of-household': 3400 },
+        exemption: 6000
+      },
+      MO: {
+        name: 'Missouri',
+        brackets: { 'single': [[1273, 0], [2546, 0.02], [3819, 0.025], [5092, 0.03], [6365, 0.035], [7638, 0.04], [8911, 0.045], [Infinity, 0.048]] },
+        standardDeduction: 'federal'
+      },
+      MT: {
+        name: 'Montana',
+        brackets: {
+          'single': [[20500, 0.047], [Infinity, 0.059]],
+          'married-jointly': [[41000, 0.047], [Infinity, 0.059]],
+          'head-of-household': [[30750, 0.047], [Infinity, 0.059]]
+        },
+        standardDeduction: 'federal'
+      },
+      NE: {
+        name: 'Nebraska',
+        brackets: {
+          'single': [[3880, 0.0246], [23330, 0.0351], [37570, 0.0501], [Infinity, 0.0584]],
+          'married-jointly': [[7770, 0.0246], [46650, 0.0351], [75140, 0.0501], [Infinity, 0.0584]],
+          'head-of-household': [[7250, 0.0246], [37320, 0.0351], [55720, 0.0501], [Infinity, 0.0584]]
+        },
+        standardDeduction: { 'single': 8300, 'married-jointly': 16600, 'head-of-household': 12200 },
+        exemptionCredit: 171
+      },
+      NV: { name: 'Nevada', none: true },
+      NH: { name: 'New Hampshire', none: true, note: 'Wages are not taxed.' },
+      NJ: {
+        name: 'New Jersey',
+        brackets: {
+          'single': [[20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [Infinity, 0.1075]],
+          'married-jointly': [[20000, 0.014], [50000, 0.0175], [70000, 0.0245], [80000, 0.035], [150000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [Infinity, 0.1075]],
+          'head-of-household': [[20000, 0.014], [50000, 0.0175], [70000, 0.0245], [80000, 0.035], [150000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [Infinity, 0.1075]]
+        },
+        exemption: 1000
+      },
+      NM: {
+        name: 'New Mexico',
+        brackets: {
+          'single': [[5500, 0.017], [11000, 0.032], [16000, 0.047], [210000, 0.049], [Infinity, 0.059]],
+          'married-jointly': [[8000, 0.017], [16000, 0.032], [24000, 0.047], [315000, 0.049], [Infinity, 0.059]],
+          'head-of-household': [[8000, 0.017], [16000, 0.032], [24000, 0.047], [315000, 0.049], [Infinity, 0.059]]
+        },
+        standardDeduction: 'federal'
+      },
+      NY: {
+        name: 'New York',
+        brackets: {
+          'single': [[8500, 0.04], [11700, 0.045], [13900, 0.0525], [80650, 0.055], [215400, 0.06], [1077550, 0.0685], [5000000, 0.0965], [25000000, 0.103], [Infinity, 0.109]],
+          'married-jointly': [[17150, 0.04], [23600, 0.045], [27900, 0.0525], [161550, 0.055], [323200, 0.06], [2155350, 0.0685], [5000000, 0.0965], [25000000, 0.103], [Infinity, 0.109]],
+          'head-of-household': [[12800, 0.04], [17650, 0.045], [20900, 0.0525], [107650, 0.055], [269300, 0.06], [1616450, 0.0685], [5000000, 0.0965], [25000000, 0.103], [Infinity, 0.109]]
+        },
+        standardDeduction: { 'single': 8000, 'married-jointly': 16050, 'head-of-household': 11200 },
+        note: 'New York City and Yonkers taxes are shown separately under Local Tax.'
+      },
+      NC: {
+        name: 'North Carolina',
+        rate: 0.045,
+        standardDeduction: { 'single': 12750, 'married-jointly': 25500, 'head-of-household': 19125 }
+      },
+      ND: {
+        name: 'North Dakota',
+        brackets: {
+          'single': [[47150, 0], [238200, 0.0195], [Infinity, 0.025]],
+          'married-jointly': [[78775, 0], [289975, 0.0195], [Infinity, 0.025]],
+          'head-of-household': [[63175, 0], [264100, 0.0195], [Infinity, 0.025]]
+        },
+        standardDeduction: 'federal'
+      },
+      OH: {
+        name: 'Ohio',
+        brackets: { 'single': [[26050, 0], [100000, 0.0275], [Infinity, 0.035]] },
+        note: 'Municipal income tax is shown separately under Local Tax for the larger cities; other municipalities are not covered.'
+      },
+      OK: {
+        name: 'Oklahoma',
+        brackets: {
+          'single': [[1000, 0.0025], [2500, 0.0075], [3750, 0.0175], [4900, 0.0275], [7200, 0.0375], [Infinity, 0.0475]],
+          'married-jointly': [[2000, 0.0025], [5000, 0.0075], [7500, 0.0175], [9800, 0.0275], [14400, 0.0375], [Infinity, 0.0475]],
+          'head-of-household': [[2000, 0.0025], [5000, 0.0075], [7500, 0.0175], [9800, 0.0275], [14400, 0.0375], [Infinity, 0.0475]]
+        },
+        standardDeduction: { 'single': 6350, 'married-jointly': 12700, 'head-of-household': 9350 },
+        exemption: 1000
+      },
+      OR: {
+        name: 'Oregon',
+        brackets: {
+          'single': [[4300, 0.0475], [10750, 0.0675], [125000, 0.0875], [Infinity, 0.099]],
+          'married-jointly': [[8600, 0.0475], [21500, 0.0675], [250000, 0.0875], [Infinity, 0.099]],
+          'head-of-household': [[8600, 0.0475], [21500, 0.0675], [250000, 0.0875], [Infinity, 0.099]]
+        },
+        standardDeduction: { 'single': 2745, 'married-jointly': 5495, 'head-of-household': 4420 },
+        exemptionCredit: 249
+      },
+      PA: { name: 'Pennsylvania', rate: 0.0307, note: 'Local earned income tax is shown separately under Local Tax.' },
+      RI: {
+        name: 'Rhode Island',
+        brackets: { 'single': [[77450, 0.0375], [176050, 0.0475], [Infinity, 0.0599]] },
+        standardDeduction: { 'single': 10550, 'married-jointly': 21150, 'head-of-household': 15850 },
+        exemption: 4950
+      },
+      SC: {
+        name: 'South Carolina',
+        brackets: { 'single': [[3460, 0], [17330, 0.03], [Infinity, 0.062]] },
+        standardDeduction: 'federal'
+      },
+      SD: { name: 'South Dakota', none: true },
+      TN: { name: 'Tennessee', none: true },
+      TX: { name: 'Texas', none: true },
+      UT: { name: 'Utah', rate: 0.0455, note: 'The phased-out taxpayer credit is not modeled.' },
+      VT: {
+        name: 'Vermont',
+        brackets: {
+          'single': [[47900, 0.0335], [116000, 0.066], [242000, 0.076], [Infinity, 0.0875]],
+          'married-jointly': [[79950, 0.0335], [193300, 0.066], [294600, 0.076], [Infinity, 0.0875]],
+          'head-of-household': [[64200, 0.0335], [165700, 0.066], [268300, 0.076], [Infinity, 0.0875]]
+        },
+        standardDeduction: { 'single': 7400, 'married-jointly': 14850, 'head-of-household': 11100 },
+        exemption: 5100
+      },
+      VA: {
+        name: 'Virginia',
+        brackets: { 'single': [[3000, 0.02], [5000, 0.03], [17000, 0.05], [Infinity, 0.0575]] },
+        standardDeduction: { 'single': 8500, 'married-jointly': 17000 },
+        exemption: 930
+      },
+      WA: { name: 'Washington', none: true },
+      WV: {
+        name: 'West Virginia',
+        brackets: { 'single': [[10000, 0.0236], [25000, 0.0315], [40000, 0.0354], [60000, 0.0472], [Infinity, 0.0512]] },
+        exemption: 2000
+      },
+      WI: {
+        name: 'Wisconsin',
+        brackets: {
+          'single': [[14320, 0.035], [28640, 0.044], [315310, 0.053], [Infinity, 0.0765]],
+          'married-jointly': [[19090, 0.035], [38190, 0.044], [420420, 0.053], [Infinity, 0.0765]],
+          'married-separately': [[9550, 0.035], [19090, 0.044], [210210, 0.053], [Infinity, 0.0765]]
+        },
+        standardDeduction: { 'single': 13230, 'married-jointly': 24490, 'married-separately': 11630, 'head-of-household': 17090 },
+        exemption: 700,
+        note: 'Sliding-scale standard deduction shown at its maximum.'
+      },
+      WY: { name: 'Wyoming', none: true }
+    };
+  }
+
+  /**
+   * List supported state codes with names, sorted by name
+   */
+  getStates() {
+    return Object.entries(this.STATES)
+      .map(([code, info]) => ({ code, name: info.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check whether a state taxes wages
+   */
+  hasIncomeTax(state) {
+    const info = this.STATES[state];
+    return Boolean(info && !info.none);
+  }
+
+  /**
+   * Normalize a filing status through the federal engine when it is loaded
+   */
+  normalizeFilingStatus(filingStatus) {
+    return window.taxEngine ? window.taxEngine.normalizeFilingStatus(filingStatus) : (filingStatus || 'single');
+  }
+
+  /**
+   * Get a state's bracket schedule as { min, max, rate } objects
+   */
+  getBrackets(state, filingStatus) {
+    const info = this.STATES[state];
+    if (!info || info.none) return [];
+
+    const status = this.normalizeFilingStatus(filingStatus);
+    const schedule = info.rate !== undefined
+      ? [[Infinity, info.rate]]
+      : (info.brackets[status] || info.brackets.single);
+
+    let min = 0;
+    return schedule.map(([max, rate]) => {
+      const bracket = { min, max, rate };
+      min = max;
+      return bracket;
+    });
+  }
+
+  /**
+   * Get a state's standard deduction for a filing status
+   */
+  getStandardDeduction(state, filingStatus, taxYear) {
+    const info = this.STATES[state];
+    if (!info || !info.standardDeduction) return 0;
+
+    const status = this.normalizeFilingStatus(filingStatus);
+    if (info.standardDeduction === 'federal') {
+      return window.taxEngine ? window.taxEngine.getStandardDeduction(status, taxYear) : 0;
+    }
+    return info.standardDeduction[status] !== undefined
+      ? info.standardDeduction[status]
+      : info.standardDeduction.single;
+  }
+
+  /**
+   * Calculate state income tax with a per-bracket breakdown. The result's taxYear is the
+   * year of the state brackets, which can be older than options.taxYear.
+   * Options: { taxYear }
+   */
+  calculateStateTax(income, state, filingStatus = 'single', options = {}) {
+    const info = this.STATES[state];
+    const status = this.normalizeFilingStatus(filingStatus);
+    const grossIncome = Math.max(0, Number(income) || 0);
+    const result = {
+      state,
+      name: info ? info.name : state,
+      taxYear: this.TAX_YEAR,
+      filingStatus: status,
+      hasIncomeTax: this.hasIncomeTax(state),
+      income: grossIncome,
+      deduction: 0,
+      exemption: 0,
+      taxableIncome: 0,
+      credits: 0,
+      tax: 0,
+      marginalRate: 0,
+      effectiveRate: 0,
+      brackets: [],
+      note: info && info.note ? info.note : ''
+    };
+
+    if (!info) {
+      result.note = 'State income tax is not available for this location.';
+      return result;
+    }
+    if (info.none) return result;
+
+    const people = status === 'married-jointly' ? 2 : 1;
+    result.deduction = this.getStandardDeduction(state, status, options.taxYear);
+    result.exemption = (info.exemption || 0) * people;
+    result.taxableIncome = Math.max(0, grossIncome - result.deduction - result.exemption);
+
+    result.brackets = this.getBrackets(state, status).map(bracket => {
+      const taxableAmount = Math.max(0, Math.min(result.taxableIncome, bracket.max) - bracket.min);
+      if (taxableAmount > 0) result.marginalRate = bracket.rate;
+      return { ...bracket, taxableAmount, tax: taxableAmount * bracket.rate };
+    });
+
+    const bracketTax = result.brackets.reduce((sum, bracket) => sum + bracket.tax, 0);
+    result.credits = Math.min(bracketTax, (info.exemptionCredit || 0) * people);
+    result.tax = bracketTax - result.credits;
+    result.effectiveRate = grossIncome > 0 ? result.tax / grossIncome : 0;
+
+    return result;
+  }
+}
+
+// Create singleton instance
+window.stateTax = new StateTaxCalculator();
@@ -0,0 +1,249 @@
+/**
+ * Federal Tax Engine Module
+ * Single source of federal income tax and FICA calculations, driven by per-year
+ * tax tables registered from js/taxTables/
+ */
+
+class FederalTaxEngine {
+  constructor() {
+    // Tax tables keyed by year; each table file calls registerTable()
+    this.tables = {};
+
+    // Filing status keys match the values of the income form's filing-status select
+    this.FILING_STATUSES = {
+      'single': 'Single',
+      'married-jointly': 'Married Filing Jointly',
+      'married-separately': 'Married Filing Separately',
+      'head-of-household': 'Head of Household'
+    };
+
+    // Alternate spellings accepted from saved data and other modules
+    this.FILING_STATUS_ALIASES = {
+      'married': 'married-jointly',
+      'mfj': 'married-jointly',
+      'married_jointly': 'married-jointly',
+      'mfs': 'married-separately',
+      'married_separately': 'married-separately',
+      'hoh': 'head-of-household',
+      'head_of_household': 'head-of-household'
+    };
+  }
+
+  /**
+   * Register a year's tax table (brackets, standard deductions and FICA limits)
+   */
+  registerTable(table) {
+    const year = Number(table && table.year);
+    if (!year || !table.federal || !table.fica) {
+      throw new Error('Tax tables need a year, federal brackets and FICA limits.');
+    }
+
+    const missing = Object.keys(this.FILING_STATUSES).filter(status =>
+      !Array.isArray(table.federal.brackets[status]) || table.federal.standardDeductions[status] === undefined
+    );
+    if (missing.length > 0) {
+      throw new Error(`The ${year} tax table is missing: ${missing.join(', ')}.`);
+    }
+
+    this.tables[year] = table;
+    return table;
+  }
+
+  /**
+   * List registered tax years, newest first
+   */
+  getYears() {
+    return Object.keys(this.tables).map(Number).sort((a, b) => b - a);
+  }
+
+  /**
+   * Default to the current calendar year, or the latest year on file before it
+   */
+  getDefaultYear() {
+    const years = this.getYears();
+    const currentYear = new Date().getFullYear();
+    return years.find(year => year <= currentYear) || years[years.length - 1];
+  }
+
+  /**
+   * Resolve a tax year to a registered year
+   */
+  normalizeTaxYear(taxYear) {
+    const year = Number(taxYear);
+    return this.tables[year] ? year : this.getDefaultYear();
+  }
+
+  /**
+   * Get the tax table for a year (the default year when not registered)
+   */
+  getTable(taxYear) {
+    const table = this.tables[this.normalizeTaxYear(taxYear)];
+    if (!table) {
+      throw new Error('No tax tables are loaded.');
+    }
+    return table;
+  }
+
+  /**
+   * Resolve a filing status to a supported key, defaulting to single
+   */
+  normalizeFilingStatus(filingStatus) {
+    const key = String(filingStatus || '').trim().toLowerCase();
+    if (this.FILING_STATUSES[key]) return key;
+    return this.FILING_STATUS_ALIASES[key] || 'single';
+  }
+
+  /**
+   * Get the bracket schedule for a filing status
+   */
+  getBrackets(filingStatus, taxYear) {
+    return this.getTable(taxYear).federal.brackets[this.normalizeFilingStatus(filingStatus)];
+  }
+
+  /**
+   * Get the standard deduction for a filing status
+   */
+  getStandardDeduction(filingStatus, taxYear) {
+    return this.getTable(taxYear).federal.standardDeductions[this.normalizeFilingStatus(filingStatus)];
+  }
+
+  /**
+   * Apply the bracket schedule to taxable income
+   */
+  calculateBracketTax(taxableIncome, filingStatus, taxYear) {
+    const income = Math.max(0, Number(taxableIncome) || 0);
+    let marginalRate = 0;
+
+    const brackets = this.getBrackets(filingStatus, taxYear).map(bracket => {
+      const taxableAmount = Math.max(0, Math.min(income, bracket.max) - bracket.min);
+      if (taxableAmount > 0) marginalRate = bracket.rate;
+      return { ...bracket, taxableAmount, tax: taxableAmount * bracket.rate };
+    });
+
+    return {
+      tax: brackets.reduce((sum, bracket) => sum + bracket.tax, 0),
+      marginalRate,
+      brackets
+    };
+  }
+
+  /**
+   * Calculate federal income tax with a full breakdown.
+   * Income is reduced by the standard deduction unless an itemized deduction is given.
+   * Options: { taxYear, deduction, applyStandardDeduction }
+   */
+  calculateFederalTaxDetails(income, filingStatus = 'single', options = {}) {
+    const status = this.normalizeFilingStatus(filingStatus);
+    const taxYear = this.normalizeTaxYear(options.taxYear);
+    const grossIncome = Math.max(0, Number(income) || 0);
+    const standardDeduction = this.getStandardDeduction(status, taxYear);
+    const deduction = options.deduction !== undefined
+      ? Math.max(0, Number(options.deduction) || 0)
+      : (options.applyStandardDeduction === false ? 0 : standardDeduction);
+    const taxableIncome = Math.max(0, grossIncome - deduction);
+    const result = this.calculateBracketTax(taxableIncome, status, taxYear);
+
+    return {
+      taxYear,
+      filingStatus: status,
+      income: grossIncome,
+      deduction,
+      taxableIncome,
+      tax: result.tax,
+      marginalRate: result.marginalRate,
+      effectiveRate: grossIncome > 0 ? result.tax / grossIncome : 0,
+      brackets: result.brackets
+    };
+  }
+
+  /**
+   * Calculate federal income tax
+   */
+  calculateFederalTax(income, filingStatus = 'single', options = {}) {
+    return this.calculateFederalTaxDetails(income, filingStatus, options).tax;
+  }
+
+  /**
+   * Calculate Social Security and Medicare tax on wages.
+   * The additional 0.9% Medicare tax uses the filing-status threshold, which is fixed by
+   * statute rather than indexed, so it is the same in every table.
+   */
+  calculateFICA(wages, filingStatus = 'single', taxYear) {
+    const fica = this.getTable(taxYear).fica;
+    const status = this.normalizeFilingStatus(filingStatus);
+    const amount = Math.max(0, Number(wages) || 0);
+
+    const socialSecurity = Math.min(amount, fica.socialSecurity.wageBase) * fica.socialSecurity.rate;
+    const additionalThreshold = fica.additionalMedicare.thresholds[status];
+    const additionalMedicare = Math.max(0, amount - additionalThreshold) * fica.additionalMedicare.rate;
+    const medicare = amount * fica.medicare.rate + additionalMedicare;
+
+    return {
+      socialSecurity,
+      medicare,
+      additionalMedicare,
+      total: socialSecurity + medicare,
+      wageBase: fica.socialSecurity.wageBase,
+      additionalThreshold
+    };
+  }
+
+  /**
+   * Calculate self-employment tax (both halves of Social Security and Medicare) on
+   * net profit. Tax applies to 92.35% of net profit; W-2 wages use up the Social
+   * Security wage base and the additional Medicare threshold first.
+   */
+  calculateSelfEmploymentTax(netProfit, filingStatus = 'single', taxYear, wages = 0) {
+    const fica = this.getTable(taxYear).fica;
+    const status = this.normalizeFilingStatus(filingStatus);
+    const priorWages = Math.max(0, Number(wages) || 0);
+    const netEarnings = Math.max(0, Number(netProfit) || 0) * 0.9235;
+
+    // Under $400 of net earnings owes no self-employment tax
+    if (netEarnings < 400) {
+      return { netEarnings, socialSecurity: 0, medicare: 0, additionalMedicare: 0, total: 0, deduction: 0 };
+    }
+
+    const socialSecurityBase = Math.min(netEarnings, Math.max(0, fica.socialSecurity.wageBase - priorWages));
+    const socialSecurity = socialSecurityBase * fica.socialSecurity.rate * 2;
+    const medicare = netEarnings * fica.medicare.rate * 2;
+    const additionalThreshold = Math.max(0, fica.additionalMedicare.thresholds[status] - priorWages);
+    const additionalMedicare = Math.max(0, netEarnings - additionalThreshold) * fica.additionalMedicare.rate;
+
+    return {
+      netEarnings,
+      socialSecurity,
+      medicare: medicare + additionalMedicare,
+      additionalMedicare,
+      total: socialSecurity + medicare + additionalMedicare,
+      // Half of the tax (without the additional Medicare tax) is deducted from income
+      deduction: (socialSecurity + medicare) / 2
+    };
+  }
+
+  /**
+   * Estimate the qualified business income deduction: 20% of QBI, capped at 20% of
+   * taxable income before it. Above the threshold the deduction is phased out as if the
+   * business paid no W-2 wages, which is where a sole proprietor usually lands.
+   */
+  calculateQBIDeduction(qbi, taxableIncome, filingStatus = 'single', taxYear) {
+    const rules = this.getTable(taxYear).federal.qbi;
+    const status = this.normalizeFilingStatus(filingStatus);
+    const income = Math.max(0, Number(taxableIncome) || 0);
+    const tentative = Math.max(0, Number(qbi) || 0) * rules.rate;
+    const excess = Math.max(0, income - rules.thresholds[status]);
+    const phaseOut = Math.min(1, excess / rules.phaseInRange[status]);
+    const deduction = Math.min(tentative * (1 - phaseOut), income * rules.rate);
+
+    return {
+      deduction,
+      tentative,
+      phaseOut,
+      threshold: rules.thresholds[status],
+      limitedByIncome: deduction > 0 && deduction === income * rules.rate
+    };
+  }
+}
+
+// Create singleton instance
+window.taxEngine = new FederalTaxEngine();
@@ -0,0 +1,101 @@
+/**
+ * 2023 Federal Tax Table
+ * Brackets, standard deductions, payroll tax limits and contribution limits for tax year 2023
+ */
+
+window.taxEngine.registerTable({
+  year: 2023,
+  federal: {
+    brackets: {
+      'single': [
+        { min: 0, max: 11000, rate: 0.10 },
+        { min: 11000, max: 44725, rate: 0.12 },
+        { min: 44725, max: 95375, rate: 0.22 },
+        { min: 95375, max: 182100, rate: 0.24 },
+        { min: 182100, max: 231250, rate: 0.32 },
+        { min: 231250, max: 578125, rate: 0.35 },
+        { min: 578125, max: Infinity, rate: 0.37 }
+      ],
+      'married-jointly': [
+        { min: 0, max: 22000, rate: 0.10 },
+        { min: 22000, max: 89450, rate: 0.12 },
+        { min: 89450, max: 190750, rate: 0.22 },
+        { min: 190750, max: 364200, rate: 0.24 },
+        { min: 364200, max: 462500, rate: 0.32 },
+        { min: 462500, max: 693750, rate: 0.35 },
+        { min: 693750, max: Infinity, rate: 0.37 }
+      ],
+      'married-separately': [
+        { min: 0, max: 11000, rate: 0.10 },
+        { min: 11000, max: 44725, rate: 0.12 },
+        { min: 44725, max: 95375, rate: 0.22 },
+        { min: 95375, max: 182100, rate: 0.24 },
+        { min: 182100, max: 231250, rate: 0.32 },
+        { min: 231250, max: 346875, rate: 0.35 },
+        { min: 346875, max: Infinity, rate: 0.37 }
+      ],
+      'head-of-household': [
+        { min: 0, max: 15700, rate: 0.10 },
+        { min: 15700, max: 59850, rate: 0.12 },
+        { min: 59850, max: 95350, rate: 0.22 },
+        { min: 95350, max: 182100, rate: 0.24 },
+        { min: 182100, max: 231250, rate: 0.32 },
+        { min: 231250, max: 578100, rate: 0.35 },
+        { min: 578100, max: Infinity, rate: 0.37 }
+      ]
+    },
+    standardDeductions: {
+      'single': 13850,
+      'married-jointly': 27700,
+      'married-separately': 13850,
+      'head-of-household': 20800
+    },
+    // Qualified business income deduction (Section 199A); its limits phase in above the threshold
+    qbi: {
+      rate: 0.20,
+      thresholds: {
+        'single': 182100,
+        'married-jointly': 364200,
+        'married-separately': 182100,
+        'head-of-household': 182100
+      },
+      phaseInRange: {
+        'single': 50000,
+        'married-jointly': 100000,
+        'married-separately': 50000,
+        'head-of-household': 50000
+      }
+    },
+    // Flat withholding on supplemental wages (bonuses); over $1 million a year it is mandatory
+    supplemental: {
+      rate: 0.22,
+      mandatoryRate: 0.37,
+      mandatoryThreshold: 1000000
+    }
+  },
+  fica: {
+    socialSecurity: { rate: 0.062, wageBase: 160200 },
+    medicare: { rate: 0.0145 },
+    additionalMedicare: {
+      rate: 0.009,
+      withholdingThreshold: 200000,
+      thresholds: {
+        'single': 200000,
+        'married-jointly': 250000,
+        'married-separately': 125000,
+        'head-of-household': 200000
+      }
+    }
+  },
+  contributions: {
+    elective: {
+      limit: 22500,
+      catchUp: { age: 50, amount: 7500 }
+    },
+    hsa: {
+      limit: { 'self': 3850, 'family': 7750 },
+      catchUp: { age: 55, amount: 1000 }
+    },
+    healthFsa: { limit: 3050 }
+  }
+});
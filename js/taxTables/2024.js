@@ -0,0 +1,101 @@
+/**
+ * 2024 Federal Tax Table
+ * Brackets, standard deductions, payroll tax limits and contribution limits for tax year 2024
+ */
+
+window.taxEngine.registerTable({
+  year: 2024,
+  federal: {
+    brackets: {
+      'single': [
+        { min: 0, max: 11600, rate: 0.10 },
+        { min: 11600, max: 47150, rate: 0.12 },
+        { min: 47150, max: 100525, rate: 0.22 },
+        { min: 100525, max: 191950, rate: 0.24 },
+        { min: 191950, max: 243725, rate: 0.32 },
+        { min: 243725, max: 609350, rate: 0.35 },
+        { min: 609350, max: Infinity, rate: 0.37 }
+      ],
+      'married-jointly': [
+        { min: 0, max: 23200, rate: 0.10 },
+        { min: 23200, max: 94300, rate: 0.12 },
+        { min: 94300, max: 201050, rate: 0.22 },
+        { min: 201050, max: 383900, rate: 0.24 },
+        { min: 383900, max: 487450, rate: 0.32 },
+        { min: 487450, max: 731200, rate: 0.35 },
+        { min: 731200, max: Infinity, rate: 0.37 }
+      ],
+      'married-separately': [
+        { min: 0, max: 11600, rate: 0.10 },
+        { min: 11600, max: 47150, rate: 0.12 },
+        { min: 47150, max: 100525, rate: 0.22 },
+        { min: 100525, max: 191950, rate: 0.24 },
+        { min: 191950, max: 243725, rate: 0.32 },
+        { min: 243725, max: 365600, rate: 0.35 },
+        { min: 365600, max: Infinity, rate: 0.37 }
+      ],
+      'head-of-household': [
+        { min: 0, max: 16550, rate: 0.10 },
+        { min: 16550, max: 63100, rate: 0.12 },
+        { min: 63100, max: 100500, rate: 0.22 },
+        { min: 100500, max: 191950, rate: 0.24 },
+        { min: 191950, max: 243700, rate: 0.32 },
+        { min: 243700, max: 609350, rate: 0.35 },
+        { min: 609350, max: Infinity, rate: 0.37 }
+      ]
+    },
+    standardDeductions: {
+      'single': 14600,
+      'married-jointly': 29200,
+      'married-separately': 14600,
+      'head-of-household': 21900
+    },
+    // Qualified business income deduction (Section 199A); its limits phase in above the threshold
+    qbi: {
+      rate: 0.20,
+      thresholds: {
+        'single': 191950,
+        'married-jointly': 383900,
+        'married-separately': 191950,
+        'head-of-household': 191950
+      },
+      phaseInRange: {
+        'single': 50000,
+        'married-jointly': 100000,
+        'married-separately': 50000,
+        'head-of-household': 50000
+      }
+    },
+    // Flat withholding on supplemental wages (bonuses); over $1 million a year it is mandatory
+    supplemental: {
+      rate: 0.22,
+      mandatoryRate: 0.37,
+      mandatoryThreshold: 1000000
+    }
+  },
+  fica: {
+    socialSecurity: { rate: 0.062, wageBase: 168600 },
+    medicare: { rate: 0.0145 },
+    additionalMedicare: {
+      rate: 0.009,
+      withholdingThreshold: 200000,
+      thresholds: {
+        'single': 200000,
+        'married-jointly': 250000,
+        'married-separately': 125000,
+        'head-of-household': 200000
+      }
+    }
+  },
+  contributions: {
+    elective: {
+      limit: 23000,
+      catchUp: { age: 50, amount: 7500 }
+    },
+    hsa: {
+      limit: { 'self': 4150, 'family': 8300 },
+      catchUp: { age: 55, amount: 1000 }
+    },
+    healthFsa: { limit: 3200 }
+  }
+});
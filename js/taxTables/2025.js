@@ -0,0 +1,103 @@
+/**
+ * 2025 Federal Tax Table
+ * Brackets, standard deductions, payroll tax limits and contribution limits for tax year 2025
+ */
+
+window.taxEngine.registerTable({
+  year: 2025,
+  federal: {
+    brackets: {
+      'single': [
+        { min: 0, max: 11925, rate: 0.10 },
+        { min: 11925, max: 48475, rate: 0.12 },
+        { min: 48475, max: 103350, rate: 0.22 },
+        { min: 103350, max: 197300, rate: 0.24 },
+        { min: 197300, max: 250525, rate: 0.32 },
+        { min: 250525, max: 626350, rate: 0.35 },
+        { min: 626350, max: Infinity, rate: 0.37 }
+      ],
+      'married-jointly': [
+        { min: 0, max: 23850, rate: 0.10 },
+        { min: 23850, max: 96950, rate: 0.12 },
+        { min: 96950, max: 206700, rate: 0.22 },
+        { min: 206700, max: 394600, rate: 0.24 },
+        { min: 394600, max: 501050, rate: 0.32 },
+        { min: 501050, max: 751600, rate: 0.35 },
+        { min: 751600, max: Infinity, rate: 0.37 }
+      ],
+      'married-separately': [
+        { min: 0, max: 11925, rate: 0.10 },
+        { min: 11925, max: 48475, rate: 0.12 },
+        { min: 48475, max: 103350, rate: 0.22 },
+        { min: 103350, max: 197300, rate: 0.24 },
+        { min: 197300, max: 250525, rate: 0.32 },
+        { min: 250525, max: 375800, rate: 0.35 },
+        { min: 375800, max: Infinity, rate: 0.37 }
+      ],
+      'head-of-household': [
+        { min: 0, max: 17000, rate: 0.10 },
+        { min: 17000, max: 64850, rate: 0.12 },
+        { min: 64850, max: 103350, rate: 0.22 },
+        { min: 103350, max: 197300, rate: 0.24 },
+        { min: 197300, max: 250500, rate: 0.32 },
+        { min: 250500, max: 626350, rate: 0.35 },
+        { min: 626350, max: Infinity, rate: 0.37 }
+      ]
+    },
+    // Standard deductions as raised by the July 2025 tax law (originally 15,000 / 30,000 / 22,500)
+    standardDeductions: {
+      'single': 15750,
+      'married-jointly': 31500,
+      'married-separately': 15750,
+      'head-of-household': 23625
+    },
+    // Qualified business income deduction (Section 199A); its limits phase in above the threshold
+    qbi: {
+      rate: 0.20,
+      thresholds: {
+        'single': 197300,
+        'married-jointly': 394600,
+        'married-separately': 197300,
+        'head-of-household': 197300
+      },
+      phaseInRange: {
+        'single': 50000,
+        'married-jointly': 100000,
+        'married-separately': 50000,
+        'head-of-household': 50000
+      }
+    },
+    // Flat withholding on supplemental wages (bonuses); over $1 million a year it is mandatory
+    supplemental: {
+      rate: 0.22,
+      mandatoryRate: 0.37,
+      mandatoryThreshold: 1000000
+    }
+  },
+  fica: {
+    socialSecurity: { rate: 0.062, wageBase: 176100 },
+    medicare: { rate: 0.0145 },
+    additionalMedicare: {
+      rate: 0.009,
+      withholdingThreshold: 200000,
+      thresholds: {
+        'single': 200000,
+        'married-jointly': 250000,
+        'married-separately': 125000,
+        'head-of-household': 200000
+      }
+    }
+  },
+  contributions: {
+    elective: {
+      limit: 23500,
+      catchUp: { age: 50, amount: 7500 },
+      superCatchUp: { ages: [60, 63], amount: 11250 }
+    },
+    hsa: {
+      limit: { 'self': 4300, 'family': 8550 },
+      catchUp: { age: 55, amount: 1000 }
+    },
+    healthFsa: { limit: 3300 }
+  }
+});
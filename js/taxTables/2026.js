@@ -0,0 +1,102 @@
+/**
+ * 2026 Federal Tax Table
+ * Brackets, standard deductions, payroll tax limits and contribution limits for tax year 2026
+ */
+
+window.taxEngine.registerTable({
+  year: 2026,
+  federal: {
+    brackets: {
+      'single': [
+        { min: 0, max: 12400, rate: 0.10 },
+        { min: 12400, max: 50400, rate: 0.12 },
+        { min: 50400, max: 105700, rate: 0.22 },
+        { min: 105700, max: 201775, rate: 0.24 },
+        { min: 201775, max: 256225, rate: 0.32 },
+        { min: 256225, max: 640600, rate: 0.35 },
+        { min: 640600, max: Infinity, rate: 0.37 }
+      ],
+      'married-jointly': [
+        { min: 0, max: 24800, rate: 0.10 },
+        { min: 24800, max: 100800, rate: 0.12 },
+        { min: 100800, max: 211400, rate: 0.22 },
+        { min: 211400, max: 403550, rate: 0.24 },
+        { min: 403550, max: 512450, rate: 0.32 },
+        { min: 512450, max: 768700, rate: 0.35 },
+        { min: 768700, max: Infinity, rate: 0.37 }
+      ],
+      'married-separately': [
+        { min: 0, max: 12400, rate: 0.10 },
+        { min: 12400, max: 50400, rate: 0.12 },
+        { min: 50400, max: 105700, rate: 0.22 },
+        { min: 105700, max: 201775, rate: 0.24 },
+        { min: 201775, max: 256225, rate: 0.32 },
+        { min: 256225, max: 384350, rate: 0.35 },
+        { min: 384350, max: Infinity, rate: 0.37 }
+      ],
+      'head-of-household': [
+        { min: 0, max: 17700, rate: 0.10 },
+        { min: 17700, max: 67450, rate: 0.12 },
+        { min: 67450, max: 105700, rate: 0.22 },
+        { min: 105700, max: 201775, rate: 0.24 },
+        { min: 201775, max: 256200, rate: 0.32 },
+        { min: 256200, max: 640600, rate: 0.35 },
+        { min: 640600, max: Infinity, rate: 0.37 }
+      ]
+    },
+    standardDeductions: {
+      'single': 16100,
+      'married-jointly': 32200,
+      'married-separately': 16100,
+      'head-of-household': 24150
+    },
+    // Qualified business income deduction (Section 199A); its limits phase in above the threshold
+    qbi: {
+      rate: 0.20,
+      thresholds: {
+        'single': 201750,
+        'married-jointly': 403500,
+        'married-separately': 201750,
+        'head-of-household': 201750
+      },
+      phaseInRange: {
+        'single': 75000,
+        'married-jointly': 150000,
+        'married-separately': 75000,
+        'head-of-household': 75000
+      }
+    },
+    // Flat withholding on supplemental wages (bonuses); over $1 million a year it is mandatory
+    supplemental: {
+      rate: 0.22,
+      mandatoryRate: 0.37,
+      mandatoryThreshold: 1000000
+    }
+  },
+  fica: {
+    socialSecurity: { rate: 0.062, wageBase: 184500 },
+    medicare: { rate: 0.0145 },
+    additionalMedicare: {
+      rate: 0.009,
+      withholdingThreshold: 200000,
+      thresholds: {
+        'single': 200000,
+        'married-jointly': 250000,
+        'married-separately': 125000,
+        'head-of-household': 200000
+      }
+    }
+  },
+  contributions: {
+    elective: {
+      limit: 24500,
+      catchUp: { age: 50, amount: 8000 },
+      superCatchUp: { ages: [60, 63], amount: 11250 }
+    },
+    hsa: {
+      limit: { 'self': 4400, 'family': 8750 },
+      catchUp: { age: 55, amount: 1000 }
+    },
+    healthFsa: { limit: 3400 }
+  }
+});
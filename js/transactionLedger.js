@@ -0,0 +1,195 @@
+/**
+ * Transaction Ledger Module
+ * Stores dated, categorized transactions and rolls them up into monthly budget totals
+ */
+
+class TransactionLedger {
+  constructor() {
+    // Transactions are mutated in place so stores holding this array stay in sync
+    this.transactions = [];
+
+    // Budget Planner category keys (mirrors expenseFieldConfig in script.js)
+    this.CATEGORIES = [
+      'rentMortgage', 'utilities', 'groceries', 'transportation', 'insurance',
+      'debtPayments', 'diningOut', 'shopping', 'subscriptions', 'miscellaneous'
+    ];
+  }
+
+  /**
+   * Replace ledger contents with previously saved transactions
+   */
+  load(transactions) {
+    const valid = Array.isArray(transactions)
+      ? transactions.filter(tx => tx && tx.id && this.validateTransaction(tx).isValid)
+      : [];
+    this.transactions.splice(0, this.transactions.length, ...valid);
+    return this.transactions;
+  }
+
+  /**
+   * Remove every transaction
+   */
+  clear() {
+    this.transactions.splice(0, this.transactions.length);
+  }
+
+  /**
+   * Generate a unique transaction id
+   */
+  createId() {
+    return `tx-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Validate raw transaction fields
+   */
+  validateTransaction(tx) {
+    const errors = [];
+
+    if (!tx.date || !/^\d{4}-\d{2}-\d{2}$/.test(tx.date) || isNaN(Date.parse(tx.date))) {
+      errors.push('Please enter a valid transaction date.');
+    }
+    if (!this.CATEGORIES.includes(tx.category)) {
+      errors.push('Please choose a budget category.');
+    }
+    if (!isFinite(parseFloat(tx.amount)) || parseFloat(tx.amount) === 0) {
+      errors.push('Amount must be a non-zero number.');
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Normalize user input into a stored transaction shape
+   */
+  normalizeTransaction(input) {
+    const tx = {
+      date: String(input.date || '').trim(),
+      payee: String(input.payee || '').trim(),
+      category: input.category,
+      amount: Math.round(parseFloat(input.amount) * 100) / 100,
+      account: String(input.account || '').trim(),
+      memo: String(input.memo || '').trim()
+    };
+
+    // Imported transactions keep their statement fingerprint for duplicate detection
+    if (input.importKey) tx.importKey = input.importKey;
+    if (input.source) tx.source = input.source;
+
+    return tx;
+  }
+
+  /**
+   * Add a transaction. Positive amounts are spending, negative amounts are refunds.
+   */
+  addTransaction(input) {
+    const tx = this.normalizeTransaction(input);
+    const result = this.validateTransaction(tx);
+    if (!result.isValid) {
+      throw new Error(result.errors[0]);
+    }
+
+    tx.id = input.id || this.createId();
+    tx.createdAt = new Date().toISOString();
+    this.transactions.push(tx);
+    return tx;
+  }
+
+  /**
+   * Update an existing transaction
+   */
+  updateTransaction(id, changes) {
+    const tx = this.getTransaction(id);
+    if (!tx) {
+      throw new Error('Transaction not found.');
+    }
+
+    const updated = this.normalizeTransaction({ ...tx, ...changes });
+    const result = this.validateTransaction(updated);
+    if (!result.isValid) {
+      throw new Error(result.errors[0]);
+    }
+
+    Object.assign(tx, updated, { updatedAt: new Date().toISOString() });
+    return tx;
+  }
+
+  /**
+   * Delete a transaction
+   */
+  deleteTransaction(id) {
+    const index = this.transactions.findIndex(tx => tx.id === id);
+    if (index === -1) return false;
+    this.transactions.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Find a transaction by id
+   */
+  getTransaction(id) {
+    return this.transactions.find(tx => tx.id === id) || null;
+  }
+
+  /**
+   * List transactions, newest first, optionally filtered by month (YYYY-MM) or category
+   */
+  getTransactions({ month, category } = {}) {
+    return this.transactions
+      .filter(tx => !month || this.getMonthKey(tx.date) === month)
+      .filter(tx => !category || tx.category === category)
+      .sort((a, b) => b.date.localeCompare(a.date) || (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+
+  /**
+   * Get the YYYY-MM month key for a date string
+   */
+  getMonthKey(date) {
+    return String(date).substring(0, 7);
+  }
+
+  /**
+   * List months that contain transactions, newest first
+   */
+  getMonths() {
+    const months = new Set(this.transactions.map(tx => this.getMonthKey(tx.date)));
+    return [...months].sort().reverse();
+  }
+
+  /**
+   * Check whether a month has any transactions
+   */
+  hasTransactionsForMonth(month) {
+    return this.transactions.some(tx => this.getMonthKey(tx.date) === month);
+  }
+
+  /**
+   * Sum a month's transactions by budget category
+   */
+  getMonthlyRollup(month) {
+    const totals = this.CATEGORIES.reduce((acc, key) => {
+      acc[key] = 0;
+      return acc;
+    }, {});
+    const counts = { ...totals };
+
+    this.getTransactions({ month }).forEach(tx => {
+      totals[tx.category] += tx.amount;
+      counts[tx.category]++;
+    });
+
+    Object.keys(totals).forEach(key => {
+      totals[key] = Math.max(0, Math.round(totals[key] * 100) / 100);
+    });
+
+    return {
+      month,
+      totals,
+      counts,
+      total: Object.values(totals).reduce((sum, amount) => sum + amount, 0)
+    };
+  }
+}
+
+// Create singleton instance
+window.transactionLedger = new TransactionLedger();
@@ -133,6 +133,13 @@ class UIUtils {
     const daysPerWeek = window.sanitizeNumber(formData.get('daysPerWeek'));
     const weeksPerYear = window.sanitizeNumber(formData.get('weeksPerYear'));
     const zipcode = formData.get('zipcode')?.trim();
+    const filingStatus = formData.get('filingStatus') || 'single';
+    const taxYear = parseInt(formData.get('taxYear'), 10) || undefined;
+    const location = {
+      state: formData.get('zipState') || '',
+      jurisdiction: formData.get('localJurisdiction') || '',
+      residency: formData.get('localResidency') || 'resident'
+    };
 
     // Validate input
     if (payAmount <= 0) {
@@ -140,14 +147,15 @@ class UIUtils {
       return;
     }
 
-    if (!zipcode || !/^\d{5}(-\d{4})?$/.test(zipcode)) {
-      this.showError('Please enter a valid 5-digit ZIP code.');
+    const zipValidation = window.validator.validateZipcode(zipcode);
+    if (!zipValidation.isValid) {
+      this.showError(zipValidation.errors[0]);
       return;
     }
 
     // Calculate and save
     const annualIncome = window.calculateAnnualIncome(payAmount, frequency, hoursPerDay, daysPerWeek, weeksPerYear);
-    const taxData = window.calculateAllTaxes(annualIncome, zipcode);
+    const taxData = window.calculateAllTaxes(annualIncome, zipcode, filingStatus, taxYear, location);
 
     // Update data store
     window.dataManager.updateSection('income', {
@@ -157,6 +165,11 @@ class UIUtils {
       daysPerWeek: daysPerWeek || 5,
       weeksPerYear: weeksPerYear || 52,
       zipcode,
+      filingStatus,
+      taxYear: window.taxEngine.normalizeTaxYear(taxYear),
+      zipState: taxData.stateTaxDetails.state,
+      localJurisdiction: location.jurisdiction,
+      localResidency: taxData.localTaxDetails.residency,
       monthlyNetIncome: taxData.netIncome / 12,
       annualGrossIncome: annualIncome,
       calculatedDate: new Date().toISOString()
@@ -251,9 +264,15 @@ class UIUtils {
             <span>${window.toCurrency(taxData.medicareTax)}</span>
           </div>
           <div class="tax-row">
-            <span>State Tax:</span>
+            <span>State Tax (${taxData.stateTaxDetails.state}):</span>
             <span>${window.toCurrency(taxData.stateTax)}</span>
           </div>
+          ${taxData.localTaxDetails.hasLocalTax ? `
+            <div class="tax-row">
+              <span>${window.getLocalTaxLabel(taxData.localTaxDetails)}:</span>
+              <span>${window.toCurrency(taxData.localTax)}</span>
+            </div>
+          ` : ''}
           <div class="tax-row total-row">
             <span><strong>Total Tax:</strong></span>
             <span><strong>${window.toCurrency(taxData.totalTax)}</strong></span>
@@ -26,6 +26,7 @@ class ValidationUtils {
     this.addRule('maxLength', (value, max) => !value || value.length <= max);
     this.addRule('email', (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value));
     this.addRule('zipcode', (value) => /^\d{5}(-\d{4})?$/.test(value));
+    this.addRule('knownZipcode', (value) => !window.zipLookup || window.zipLookup.lookup(value).isValid);
 
     // Range validations
     this.addRule('min', (value, min) => parseFloat(value) >= min);
@@ -57,6 +58,7 @@ class ValidationUtils {
     this.errorMessages.set('maxLength', 'Must be no more than {0} characters long.');
     this.errorMessages.set('email', 'Please enter a valid email address.');
     this.errorMessages.set('zipcode', 'Please enter a valid ZIP code (e.g., 12345 or 12345-6789).');
+    this.errorMessages.set('knownZipcode', 'This ZIP code is not assigned to any state. Please check it.');
     this.errorMessages.set('min', 'Value must be at least {0}.');
     this.errorMessages.set('max', 'Value must be no more than {0}.');
     this.errorMessages.set('range', 'Value must be between {0} and {1}.');
@@ -246,7 +248,7 @@ class ValidationUtils {
     return {
       income: ['required', 'number', 'positive'],
       expense: ['required', 'number', 'nonNegative'],
-      zipcode: ['required', 'zipcode'],
+      zipcode: ['required', 'zipcode', 'knownZipcode'],
       percentage: ['required', 'number', 'percentage'],
       currency: ['required', 'currency'],
       interestRate: ['required', 'number', ['range', 0, 50]],
@@ -255,6 +257,22 @@ class ValidationUtils {
     };
   }
 
+  /**
+   * Validate a ZIP code and look up the state(s) it belongs to
+   */
+  validateZipcode(value) {
+    const zipcode = String(value || '').trim();
+    const result = this.validateField(zipcode, this.getFinancialValidationPresets().zipcode, 'ZIP code');
+    const lookup = window.zipLookup ? window.zipLookup.lookup(zipcode) : null;
+
+    // Name the ZIP code in the error so the user can see what was looked up
+    if (lookup && lookup.error && result.errors.length > 0 && /^\d{5}(-\d{4})?$/.test(zipcode)) {
+      result.errors[0] = lookup.error;
+    }
+
+    return { ...result, lookup };
+  }
+
   /**
    * Sanitize and format numeric input
    */
@@ -0,0 +1,100 @@
+/**
+ * W-4 Withholding Estimator Module
+ * Applies the 2020+ Form W-4 (Steps 2–4) to federal withholding, projects year-end
+ * liability against withholding, and recommends a Step 4(c) amount to break even
+ */
+
+class W4Estimator {
+  /**
+   * Normalize W-4 entries. Steps 3, 4(a) and 4(b) are annual amounts; Step 4(c) is per paycheck.
+   */
+  normalizeW4(w4 = {}) {
+    const amount = value => Math.max(0, Number(value) || 0);
+    return {
+      multipleJobs: Boolean(w4.multipleJobs),
+      credits: amount(w4.credits),
+      otherIncome: amount(w4.otherIncome),
+      deductions: amount(w4.deductions),
+      extraWithholding: amount(w4.extraWithholding)
+    };
+  }
+
+  /**
+   * Federal income tax withheld from one paycheck under a W-4 (IRS Pub. 15-T percentage method).
+   * The Step 2 checkbox withholds using schedules with halved brackets and standard deduction,
+   * which is the same as half the tax on double the wages.
+   */
+  calculateWithholding(periodWages, periods, filingStatus = 'single', taxYear, w4 = {}) {
+    const entries = this.normalizeW4(w4);
+    const adjustedWages = Math.max(0, (Number(periodWages) || 0) * periods + entries.otherIncome - entries.deductions);
+    const tentativeTax = entries.multipleJobs
+      ? window.taxEngine.calculateFederalTax(adjustedWages * 2, filingStatus, { taxYear }) / 2
+      : window.taxEngine.calculateFederalTax(adjustedWages, filingStatus, { taxYear });
+    const annualWithholding = Math.max(0, tentativeTax - entries.credits);
+
+    return annualWithholding / periods + entries.extraWithholding;
+  }
+
+  /**
+   * Project year-end federal liability against withholding.
+   * Options: { annualWages (after pre-tax deductions), periods, periodsPaid, ytdWithholding,
+   *            filingStatus, taxYear, w4 }
+   * balance is positive for a refund and negative for an amount owed.
+   */
+  project(options = {}) {
+    const entries = this.normalizeW4(options.w4);
+    const filingStatus = window.taxEngine.normalizeFilingStatus(options.filingStatus);
+    const taxYear = window.taxEngine.normalizeTaxYear(options.taxYear);
+    const periods = Math.max(1, Math.round(Number(options.periods) || 26));
+    const periodsPaid = Math.min(periods, Math.max(0, Math.round(Number(options.periodsPaid) || 0)));
+    const remainingPeriods = periods - periodsPaid;
+    const annualWages = Math.max(0, Number(options.annualWages) || 0);
+    const periodWages = annualWages / periods;
+
+    // Without a pay stub, assume every paycheck so far was withheld at the current W-4
+    const perPeriodWithholding = this.calculateWithholding(periodWages, periods, filingStatus, taxYear, entries);
+    const ytdWithholding = options.ytdWithholding === undefined || options.ytdWithholding === null || options.ytdWithholding === ''
+      ? perPeriodWithholding * periodsPaid
+      : Math.max(0, Number(options.ytdWithholding) || 0);
+
+    // Liability: Step 4(b) is deductions beyond the standard deduction; Step 3 credits reduce tax
+    const standardDeduction = window.taxEngine.getStandardDeduction(filingStatus, taxYear);
+    const liabilityDetails = window.taxEngine.calculateFederalTaxDetails(annualWages + entries.otherIncome, filingStatus, {
+      taxYear,
+      deduction: standardDeduction + entries.deductions
+    });
+    const liability = Math.max(0, liabilityDetails.tax - entries.credits);
+
+    const projectedWithholding = ytdWithholding + perPeriodWithholding * remainingPeriods;
+    const balance = projectedWithholding - liability;
+
+    // Extra per paycheck that brings the balance to zero (rounded up to whole dollars)
+    const withholdingBeforeExtra = perPeriodWithholding - entries.extraWithholding;
+    const shortfall = liability - ytdWithholding - withholdingBeforeExtra * remainingPeriods;
+    const recommendedExtra = remainingPeriods > 0
+      ? Math.max(0, Math.ceil(Math.round(shortfall / remainingPeriods * 100) / 100))
+      : 0;
+
+    return {
+      taxYear,
+      filingStatus,
+      periods,
+      periodsPaid,
+      remainingPeriods,
+      annualWages,
+      w4: entries,
+      liability,
+      liabilityDetails,
+      perPeriodWithholding,
+      ytdWithholding,
+      projectedWithholding,
+      balance,
+      recommendedExtra,
+      // Even at $0 in Step 4(c), withholding overshoots when the shortfall is negative
+      overWithholdingAtZero: remainingPeriods > 0 && shortfall < 0 ? -shortfall : 0
+    };
+  }
+}
+
+// Create singleton instance
+window.w4Estimator = new W4Estimator();
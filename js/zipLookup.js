@@ -0,0 +1,181 @@
+/**
+ * ZIP Code Lookup Module
+ * Maps ZIP codes to states using the full 3-digit prefix table, flags ZIP codes that
+ * cross state lines, and reports unknown ZIP codes instead of guessing a state
+ */
+
+class ZipCodeLookup {
+  constructor() {
+    /*
+     * 3-digit ZIP prefixes by state as [first, last] ranges. Prefixes missing from
+     * every range are not assigned by USPS. Military (AA/AE/AP) and territory prefixes
+     * are listed so they are recognized, though they have no state income tax schedule.
+     */
+    this.PREFIX_RANGES = {
+      AL: [[350, 352], [354, 369]],
+      AK: [[995, 999]],
+      AZ: [[850, 853], [855, 857], [859, 860], [863, 865]],
+      AR: [[716, 729]],
+      CA: [[900, 908], [910, 928], [930, 961]],
+      CO: [[800, 816]],
+      CT: [[60, 69]],
+      DE: [[197, 199]],
+      DC: [[200, 200], [202, 205], [569, 569]],
+      FL: [[320, 339], [341, 342], [344, 344], [346, 347], [349, 349]],
+      GA: [[300, 319], [398, 399]],
+      HI: [[967, 968]],
+      ID: [[832, 838]],
+      IL: [[600, 620], [622, 629]],
+      IN: [[460, 479]],
+      IA: [[500, 516], [520, 528]],
+      KS: [[660, 662], [664, 679]],
+      KY: [[400, 418], [420, 427]],
+      LA: [[700, 701], [703, 708], [710, 714]],
+      ME: [[39, 49]],
+      MD: [[206, 212], [214, 219]],
+      MA: [[10, 27], [55, 55]],
+      MI: [[480, 499]],
+      MN: [[550, 551], [553, 567]],
+      MS: [[386, 397]],
+      MO: [[630, 631], [633, 641], [644, 658]],
+      MT: [[590, 599]],
+      NE: [[680, 681], [683, 693]],
+      NV: [[889, 891], [893, 895], [897, 898]],
+      NH: [[30, 38]],
+      NJ: [[70, 89]],
+      NM: [[870, 871], [873, 884]],
+      NY: [[5, 5], [100, 149]],
+      NC: [[270, 289]],
+      ND: [[580, 588]],
+      OH: [[430, 459]],
+      OK: [[730, 731], [734, 741], [743, 749]],
+      OR: [[970, 979]],
+      PA: [[150, 196]],
+      RI: [[28, 29]],
+      SC: [[290, 299]],
+      SD: [[570, 577]],
+      TN: [[370, 385]],
+      TX: [[733, 733], [750, 799], [885, 885]],
+      UT: [[840, 847]],
+      VT: [[50, 54], [56, 59]],
+      VA: [[201, 201], [220, 246]],
+      WA: [[980, 986], [988, 994]],
+      WV: [[247, 268]],
+      WI: [[530, 532], [534, 535], [537, 549]],
+      WY: [[820, 831]],
+      PR: [[6, 7], [9, 9]],
+      VI: [[8, 8]],
+      GU: [[969, 969]],
+      AA: [[340, 340]],
+      AE: [[90, 98]],
+      AP: [[962, 966]]
+    };
+
+    // Names for codes that are not states in stateTax.js
+    this.OTHER_AREAS = {
+      PR: 'Puerto Rico',
+      VI: 'U.S. Virgin Islands',
+      GU: 'Guam and the Pacific territories',
+      AA: 'Armed Forces Americas',
+      AE: 'Armed Forces Europe',
+      AP: 'Armed Forces Pacific'
+    };
+
+    // Known ZIP codes that cross state lines, primary (USPS) state first
+    this.CROSS_BORDER_ZIPS = {
+      '03579': ['NH', 'ME'],
+      '20135': ['VA', 'WV'],
+      '21912': ['MD', 'DE'],
+      '30165': ['GA', 'AL'],
+      '31905': ['GA', 'AL'],
+      '42223': ['KY', 'TN'],
+      '52542': ['IA', 'MO'],
+      '57724': ['SD', 'MT'],
+      '58621': ['ND', 'MT'],
+      '59221': ['MT', 'ND'],
+      '63673': ['MO', 'IL'],
+      '69201': ['NE', 'SD'],
+      '71749': ['AR', 'LA'],
+      '73949': ['OK', 'TX'],
+      '81324': ['CO', 'UT'],
+      '82082': ['WY', 'NE'],
+      '83120': ['WY', 'ID'],
+      '84536': ['UT', 'AZ'],
+      '86514': ['AZ', 'UT', 'NM'],
+      '86515': ['AZ', 'NM'],
+      '88063': ['NM', 'TX'],
+      '89439': ['NV', 'CA'],
+      '97635': ['OR', 'CA'],
+      '99128': ['WA', 'ID']
+    };
+
+    // Prefix → state index built from the ranges
+    this.prefixIndex = {};
+    Object.entries(this.PREFIX_RANGES).forEach(([state, ranges]) => {
+      ranges.forEach(([first, last]) => {
+        for (let prefix = first; prefix <= last; prefix++) {
+          this.prefixIndex[String(prefix).padStart(3, '0')] = state;
+        }
+      });
+    });
+  }
+
+  /**
+   * Get a display name for a state or other ZIP area code
+   */
+  getAreaName(code) {
+    if (this.OTHER_AREAS[code]) return this.OTHER_AREAS[code];
+    const info = window.stateTax ? window.stateTax.STATES[code] : null;
+    return info ? info.name : code;
+  }
+
+  /**
+   * Look up a ZIP code.
+   * Returns { zipcode, isValid, state, candidates, ambiguous, isState, error } where state is
+   * the primary state (null when the ZIP is malformed or unassigned) and candidates lists
+   * every state the ZIP code reaches.
+   */
+  lookup(zipcode) {
+    const text = String(zipcode || '').trim();
+    const result = {
+      zipcode: text.substring(0, 5),
+      isValid: false,
+      state: null,
+      candidates: [],
+      ambiguous: false,
+      isState: false,
+      error: null
+    };
+
+    if (!/^\d{5}(-\d{4})?$/.test(text)) {
+      result.error = 'Please enter a valid ZIP code (e.g., 12345 or 12345-6789).';
+      return result;
+    }
+
+    const state = this.prefixIndex[result.zipcode.substring(0, 3)];
+    if (!state) {
+      result.error = `ZIP code ${result.zipcode} is not assigned to any state. Please check it.`;
+      return result;
+    }
+
+    result.isValid = true;
+    result.state = state;
+    result.candidates = this.CROSS_BORDER_ZIPS[result.zipcode] || [state];
+    result.ambiguous = result.candidates.length > 1;
+    result.isState = !this.OTHER_AREAS[state];
+    return result;
+  }
+
+  /**
+   * Resolve the state for a ZIP code, honoring the user's pick for cross-border ZIP codes.
+   * Returns null when the ZIP code is unknown.
+   */
+  resolveState(zipcode, selectedState) {
+    const result = this.lookup(zipcode);
+    if (!result.isValid) return null;
+    return result.candidates.includes(selectedState) ? selectedState : result.state;
+  }
+}
+
+// Create singleton instance
+window.zipLookup = new ZipCodeLookup();
@@ -22,6 +22,17 @@
       daysPerWeek: 5,
       weeksPerYear: 52,
       zipcode: '',
+      filingStatus: 'single',
+      taxYear: null,
+      zipState: '',
+      localJurisdiction: '',
+      localResidency: 'resident',
+      incomeType: 'w2',
+      businessExpenses: 0,
+      priorYearTax: null,
+      priorYearAgi: null,
+      sources: [],
+      w4: null,
       monthlyNetIncome: 0,
       annualGrossIncome: 0,
       calculatedDate: null
@@ -49,12 +60,17 @@
     emergencyFund: {
       monthlyExpenses: 0,
       targetMonths: 6,
+      essentials: {},
+      risk: null,
+      accounts: [],
       currentAmount: 0,
       monthlyContribution: 0,
       targetAmount: 0,
       calculatedDate: null
     },
     goals: [],
+    transactions: [],
+    accounts: [],
     investments: {
       monthlyAmount: 0,
       riskTolerance: 'moderate',
@@ -126,7 +142,9 @@
         const importedData = JSON.parse(e.target.result);
         if (importedData && importedData.version) {
           Object.assign(FinancialDataStore, importedData);
+          attachTransactionLedger(FinancialDataStore.transactions);
           saveFinancialData();
+          renderImportedAccounts();
           populateFormsWithSavedData();
           updateDashboard();
           showNotification('Data imported successfully!', 'success');
@@ -175,6 +193,17 @@
           daysPerWeek: 5,
           weeksPerYear: 52,
           zipcode: '',
+          filingStatus: 'single',
+          taxYear: null,
+          zipState: '',
+          localJurisdiction: '',
+          localResidency: 'resident',
+          incomeType: 'w2',
+          businessExpenses: 0,
+          priorYearTax: null,
+          priorYearAgi: null,
+          sources: [],
+          w4: null,
           monthlyNetIncome: 0,
           annualGrossIncome: 0,
           calculatedDate: null
@@ -190,6 +219,7 @@
         debtStrategy: {
           extraPayment: 0,
           selectedStrategy: 'avalanche',
+          targetPayoffDate: '',
           lastUpdated: null
         },
         emergencyFund: {
@@ -197,6 +227,9 @@
           currentFund: 0,
           monthlyExpenses: 0,
           targetMonths: 6,
+          essentials: {},
+          risk: null,
+          accounts: [],
           monthlyContribution: 0,
           remainingAmount: 0,
           progressPercent: 0,
@@ -204,6 +237,7 @@
           lastUpdated: null
         },
         goals: [],
+        accounts: [],
         investments: {
           amount: 0,
           riskTolerance: 'moderate',
@@ -213,6 +247,9 @@
         },
         lastUpdated: null
       });
+      ledger.clear();
+      renderLedger();
+      renderImportedAccounts();
 
       // Clear all forms
       const forms = ['income-form', 'budget-form', 'debt-form', 'emergency-form', 'goals-form', 'investment-form'];
@@ -220,6 +257,8 @@
         const form = document.getElementById(formId);
         if (form) form.reset();
       });
+      const sourceList = document.getElementById('income-source-list');
+      if (sourceList) sourceList.innerHTML = '';
 
       // Clear results displays
       const resultElements = [
@@ -248,6 +287,43 @@
       if (payAmountInput) payAmountInput.value = FinancialDataStore.income.payAmount;
       if (payFrequencySelect) payFrequencySelect.value = FinancialDataStore.income.payFrequency;
       if (zipcodeInput) zipcodeInput.value = FinancialDataStore.income.zipcode;
+
+      const filingStatusInput = document.getElementById('filing-status');
+      if (filingStatusInput && FinancialDataStore.income.filingStatus) {
+        filingStatusInput.value = FinancialDataStore.income.filingStatus;
+      }
+
+      const taxYearInput = document.getElementById('tax-year');
+      if (taxYearInput && FinancialDataStore.income.taxYear) {
+        taxYearInput.value = FinancialDataStore.income.taxYear;
+      }
+
+      populateZipStateSelect(FinancialDataStore.income.zipcode, FinancialDataStore.income.zipState);
+      populateLocalJurisdictionSelect(FinancialDataStore.income.zipcode, FinancialDataStore.income.localJurisdiction);
+      const localResidencyInput = document.getElementById('local-residency');
+      if (localResidencyInput && FinancialDataStore.income.localResidency) {
+        localResidencyInput.value = FinancialDataStore.income.localResidency;
+      }
+
+      const incomeTypeInput = document.getElementById('income-type');
+      if (incomeTypeInput && FinancialDataStore.income.incomeType) {
+        incomeTypeInput.value = FinancialDataStore.income.incomeType;
+      }
+      const businessFields = {
+        'business-expenses': FinancialDataStore.income.businessExpenses || '',
+        'prior-year-tax': FinancialDataStore.income.priorYearTax,
+        'prior-year-agi': FinancialDataStore.income.priorYearAgi
+      };
+      Object.entries(businessFields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input && value !== null && value !== undefined) input.value = value;
+      });
+      updateVisibility();
+
+      if (incomeSourceListEl) {
+        incomeSourceListEl.innerHTML = '';
+        (FinancialDataStore.income.sources || []).forEach(source => addIncomeSourceInput(source));
+      }
     }
 
     // Budget form
@@ -257,6 +333,22 @@
         if (input) input.value = FinancialDataStore.budget.expenses[key];
       });
     }
+
+    // Emergency fund crisis toggles and risk profile
+    const emergencySettings = FinancialDataStore.emergencyFund || {};
+    if (emergencyForm && emergencySettings.risk) {
+      emergencyForm.querySelectorAll('input[name="essential"]').forEach(input => {
+        input.checked = (emergencySettings.essentials || {})[input.value] !== false;
+      });
+      emergencyForm.elements.jobStability.value = emergencySettings.risk.jobStability;
+      emergencyForm.elements.dependents.value = emergencySettings.risk.dependents || '';
+      emergencyForm.elements.incomeVariability.value = emergencySettings.risk.incomeVariability;
+    }
+    if (emergencyAccountListEl && Array.isArray(emergencySettings.accounts)) {
+      emergencyAccountListEl.innerHTML = '';
+      emergencySettings.accounts.forEach(tier => addEmergencyAccountInput(tier));
+    }
+    refreshEmergencyTarget();
   }
 
   // ============================================================================
@@ -302,10 +394,33 @@
   const daysPerWeekInput = document.getElementById('days-per-week');
   const weeksPerYearInput = document.getElementById('weeks-per-year');
   const zipcodeInput = document.getElementById('zipcode');
+  const filingStatusSelect = document.getElementById('filing-status');
+  const taxYearSelect = document.getElementById('tax-year');
+  const zipStateSelect = document.getElementById('zip-state');
+  const zipStateField = document.getElementById('zip-state-field');
+  const localJurisdictionSelect = document.getElementById('local-jurisdiction');
+  const localResidencySelect = document.getElementById('local-residency');
+  const localJurisdictionHint = document.getElementById('local-jurisdiction-hint');
+  const incomeTypeSelect = document.getElementById('income-type');
+  const selfEmploymentFields = document.getElementById('self-employment-fields');
+  const businessExpensesInput = document.getElementById('business-expenses');
+  const priorYearTaxInput = document.getElementById('prior-year-tax');
+  const priorYearAgiInput = document.getElementById('prior-year-agi');
+  const incomeSourceListEl = document.getElementById('income-source-list');
+  const scheduleInputs = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'].map(day => document.getElementById(`schedule-${day}`));
+  const overtimeRuleSelect = document.getElementById('overtime-rule');
+  const shiftDifferentialInput = document.getElementById('shift-differential');
+  const differentialHoursInput = document.getElementById('differential-hours');
+  const addIncomeSourceBtn = document.getElementById('add-income-source-btn');
   const resultsEl = document.getElementById('results');
   const budgetEl = document.getElementById('budget-breakdown');
   const resetBtn = document.getElementById('reset-btn');
 
+  // W-4 estimator elements
+  const w4Form = document.getElementById('w4-form');
+  const w4ResultsEl = document.getElementById('w4-results');
+  const w4ResetBtn = document.getElementById('w4-reset-btn');
+
   // Budget planner form elements
   const budgetForm = document.getElementById('budget-form');
   const budgetResultsEl = document.getElementById('budget-results');
@@ -321,16 +436,16 @@
   const monthlyIncomeDisplay = document.getElementById('monthly-income-display'); // Visible monthly income readout
 
   const expenseFieldConfig = [
-    { key: 'rentMortgage', amountId: 'rent-mortgage-amount', sliderId: 'rent-mortgage-slider', displayId: 'rent-mortgage-display', summaryId: 'summary-rent-mortgage' },
-    { key: 'utilities', amountId: 'utilities-amount', sliderId: 'utilities-slider', displayId: 'utilities-display', summaryId: 'summary-utilities' },
-    { key: 'groceries', amountId: 'groceries-amount', sliderId: 'groceries-slider', displayId: 'groceries-display', summaryId: 'summary-groceries' },
-    { key: 'transportation', amountId: 'transportation-amount', sliderId: 'transportation-slider', displayId: 'transportation-display', summaryId: 'summary-transportation' },
-    { key: 'insurance', amountId: 'insurance-amount', sliderId: 'insurance-slider', displayId: 'insurance-display', summaryId: 'summary-insurance' },
-    { key: 'debtPayments', amountId: 'debt-payments-amount', sliderId: 'debt-payments-slider', displayId: 'debt-payments-display', summaryId: 'summary-debt-payments' },
-    { key: 'diningOut', amountId: 'dining-out-amount', sliderId: 'dining-out-slider', displayId: 'dining-out-display', summaryId: 'summary-dining-out' },
-    { key: 'shopping', amountId: 'shopping-amount', sliderId: 'shopping-slider', displayId: 'shopping-display', summaryId: 'summary-shopping' },
-    { key: 'subscriptions', amountId: 'subscriptions-amount', sliderId: 'subscriptions-slider', displayId: 'subscriptions-display', summaryId: 'summary-subscriptions' },
-    { key: 'miscellaneous', amountId: 'miscellaneous-amount', sliderId: 'miscellaneous-slider', displayId: 'miscellaneous-display', summaryId: 'summary-miscellaneous' }
+    { key: 'rentMortgage', label: 'Rent/Mortgage', amountId: 'rent-mortgage-amount', sliderId: 'rent-mortgage-slider', displayId: 'rent-mortgage-display', summaryId: 'summary-rent-mortgage' },
+    { key: 'utilities', label: 'Utilities', amountId: 'utilities-amount', sliderId: 'utilities-slider', displayId: 'utilities-display', summaryId: 'summary-utilities' },
+    { key: 'groceries', label: 'Groceries', amountId: 'groceries-amount', sliderId: 'groceries-slider', displayId: 'groceries-display', summaryId: 'summary-groceries' },
+    { key: 'transportation', label: 'Transportation', amountId: 'transportation-amount', sliderId: 'transportation-slider', displayId: 'transportation-display', summaryId: 'summary-transportation' },
+    { key: 'insurance', label: 'Insurance', amountId: 'insurance-amount', sliderId: 'insurance-slider', displayId: 'insurance-display', summaryId: 'summary-insurance' },
+    { key: 'debtPayments', label: 'Debt Payments', amountId: 'debt-payments-amount', sliderId: 'debt-payments-slider', displayId: 'debt-payments-display', summaryId: 'summary-debt-payments' },
+    { key: 'diningOut', label: 'Dining Out', amountId: 'dining-out-amount', sliderId: 'dining-out-slider', displayId: 'dining-out-display', summaryId: 'summary-dining-out' },
+    { key: 'shopping', label: 'Shopping', amountId: 'shopping-amount', sliderId: 'shopping-slider', displayId: 'shopping-display', summaryId: 'summary-shopping' },
+    { key: 'subscriptions', label: 'Subscriptions', amountId: 'subscriptions-amount', sliderId: 'subscriptions-slider', displayId: 'subscriptions-display', summaryId: 'summary-subscriptions' },
+    { key: 'miscellaneous', label: 'Miscellaneous', amountId: 'miscellaneous-amount', sliderId: 'miscellaneous-slider', displayId: 'miscellaneous-display', summaryId: 'summary-miscellaneous' }
   ];
 
   expenseFieldConfig.forEach(config => {
@@ -342,6 +457,17 @@
 
   const summaryRemainingEl = document.getElementById('summary-remaining');
 
+  // Transaction ledger elements
+  const ledger = window.transactionLedger;
+  const ledgerForm = document.getElementById('ledger-form');
+  const ledgerMonthSelect = document.getElementById('ledger-month');
+  const ledgerListEl = document.getElementById('ledger-list');
+  const ledgerEditIdInput = document.getElementById('ledger-edit-id');
+  const ledgerSubmitBtn = document.getElementById('ledger-submit-btn');
+  const ledgerCancelBtn = document.getElementById('ledger-cancel-btn');
+  const csvImporter = window.csvImporter;
+  const ofxImporter = window.ofxImporter;
+
   // Dashboard elements
   const healthScoreEl = document.getElementById('health-score');
   const scoreBreakdownEl = document.getElementById('score-breakdown');
@@ -360,13 +486,31 @@
   const debtResetBtn = document.getElementById('debt-reset-btn');
   const debtResultsEl = document.getElementById('debt-results');
 
+  // Debt scenario elements
+  const scenarioForm = document.getElementById('scenario-form');
+  const scenarioListEl = document.getElementById('scenario-list');
+  const addScenarioBtn = document.getElementById('add-scenario-btn');
+  const scenarioResetBtn = document.getElementById('scenario-reset-btn');
+  const scenarioResultsEl = document.getElementById('scenario-results');
+
   // Emergency fund elements
   const emergencyForm = document.getElementById('emergency-form');
   const emergencyResetBtn = document.getElementById('emergency-reset-btn');
   const emergencyResultsEl = document.getElementById('emergency-results');
+  const emergencyAccountListEl = document.getElementById('emergency-account-list');
+  const addEmergencyAccountBtn = document.getElementById('add-emergency-account-btn');
+
+  // Job-loss runway elements
+  const runwayForm = document.getElementById('runway-form');
+  const runwayResetBtn = document.getElementById('runway-reset-btn');
+  const runwayResultsEl = document.getElementById('runway-results');
 
   // Goals form elements
   const goalsForm = document.getElementById('goals-form');
+  const goalEditIdInput = document.getElementById('goal-edit-id');
+  const goalCurrentField = document.getElementById('goal-current-field');
+  const goalsSubmitBtn = document.getElementById('goals-submit-btn');
+  const goalsCancelBtn = document.getElementById('goals-cancel-btn');
   const goalsListEl = document.getElementById('goals-list');
 
   const tabBtns = document.querySelectorAll('.tab-btn');
@@ -392,147 +536,18 @@
   ];
 
   // ============================================================================
-  // TAX CALCULATION DATA (2024 RATES)
+  // TAX CALCULATION DATA
   // ============================================================================
   
-  // 2024 Federal Tax Brackets for Single Filers
-  // Progressive tax system where each bracket is taxed at its respective rate
-  const federalTaxBrackets = [
-    { min: 0, max: 11000, rate: 0.10 },      // 10% on first $11,000
-    { min: 11000, max: 44725, rate: 0.12 },  // 12% on $11,001-$44,725
-    { min: 44725, max: 95375, rate: 0.22 },  // 22% on $44,726-$95,375
-    { min: 95375, max: 182050, rate: 0.24 }, // 24% on $95,376-$182,050
-    { min: 182050, max: 231250, rate: 0.32 },// 32% on $182,051-$231,250
-    { min: 231250, max: 578125, rate: 0.35 },// 35% on $231,251-$578,125
-    { min: 578125, max: Infinity, rate: 0.37 } // 37% on $578,126+
-  ];
-
-  // 2024 FICA (Federal Insurance Contributions Act) Tax Rates
-  // Includes Social Security and Medicare taxes
-  const ficaRates = {
-    socialSecurity: { 
-      rate: 0.062,        // 6.2% Social Security tax
-      wageBase: 160200    // Only applies to first $160,200 of wages
-    },
-    medicare: { 
-      rate: 0.0145,                    // 1.45% Medicare tax on all wages
-      additionalRate: 0.009,           // Additional 0.9% Medicare tax
-      additionalThreshold: 200000      // Additional tax applies to wages over $200,000
-    }
-  };
+  // Federal brackets, standard deductions and FICA limits for every filing status
+  // come from the yearly tables in js/taxTables/, applied by the shared tax engine
+  // (js/taxEngine.js) so both income calculators agree
 
-  // State Income Tax Rates (2024) - Simplified average rates by state
-  // Note: These are simplified rates and may not reflect exact tax calculations
-  // for all income levels due to progressive state tax systems
-  const stateTaxRates = {
-    'AL': 0.05, 'AK': 0, 'AZ': 0.025, 'AR': 0.055, 'CA': 0.09, 'CO': 0.045,
-    'CT': 0.05, 'DE': 0.06, 'FL': 0, 'GA': 0.055, 'HI': 0.08, 'ID': 0.06,
-    'IL': 0.0495, 'IN': 0.0315, 'IA': 0.06, 'KS': 0.057, 'KY': 0.05, 'LA': 0.06,
-    'ME': 0.075, 'MD': 0.0575, 'MA': 0.05, 'MI': 0.0425, 'MN': 0.0985, 'MS': 0.05,
-    'MO': 0.054, 'MT': 0.06, 'NE': 0.0684, 'NV': 0, 'NH': 0, 'NJ': 0.0637,
-    'NM': 0.049, 'NY': 0.0685, 'NC': 0.0499, 'ND': 0.029, 'OH': 0.035, 'OK': 0.05,
-    'OR': 0.099, 'PA': 0.0307, 'RI': 0.0599, 'SC': 0.07, 'SD': 0, 'TN': 0,
-    'TX': 0, 'UT': 0.0485, 'VT': 0.0875, 'VA': 0.0575, 'WA': 0, 'WV': 0.065,
-    'WI': 0.0765, 'WY': 0
-  };
+  // State income tax schedules (brackets, deductions, exemptions by filing status)
+  // live in js/stateTax.js
 
-  // ZIP Code to State Mapping
-  // Maps the first 3 digits of ZIP codes to their corresponding states
-  // This is a simplified mapping for tax calculation purposes
-  // Note: Some ZIP codes may cross state boundaries, this uses the primary state
-  const zipToState = {
-    '010': 'MA', '011': 'MA', '012': 'MA', '013': 'MA', '014': 'MA', '015': 'MA', '016': 'MA', '017': 'MA', '018': 'MA', '019': 'MA',
-    '020': 'MA', '021': 'MA', '022': 'MA', '023': 'MA', '024': 'MA', '025': 'MA', '026': 'MA', '027': 'MA', '028': 'RI', '029': 'RI',
-    '030': 'NH', '031': 'NH', '032': 'NH', '033': 'NH', '034': 'NH', '035': 'NH', '036': 'NH', '037': 'NH', '038': 'NH', '039': 'ME',
-    '040': 'ME', '041': 'ME', '042': 'ME', '043': 'ME', '044': 'ME', '045': 'ME', '046': 'ME', '047': 'ME', '048': 'ME', '049': 'ME',
-    '050': 'VT', '051': 'VT', '052': 'VT', '053': 'VT', '054': 'VT', '055': 'MA', '056': 'VT', '057': 'VT', '058': 'VT', '059': 'VT',
-    '060': 'CT', '061': 'CT', '062': 'CT', '063': 'CT', '064': 'CT', '065': 'CT', '066': 'CT', '067': 'CT', '068': 'CT', '069': 'CT',
-    '070': 'NJ', '071': 'NJ', '072': 'NJ', '073': 'NJ', '074': 'NJ', '075': 'NJ', '076': 'NJ', '077': 'NJ', '078': 'NJ', '079': 'NJ',
-    '080': 'NJ', '081': 'NJ', '082': 'NJ', '083': 'NJ', '084': 'NJ', '085': 'NJ', '086': 'NJ', '087': 'NJ', '088': 'NJ', '089': 'NJ',
-    '100': 'NY', '101': 'NY', '102': 'NY', '103': 'NY', '104': 'NY', '105': 'NY', '106': 'NY', '107': 'NY', '108': 'NY', '109': 'NY',
-    '110': 'NY', '111': 'NY', '112': 'NY', '113': 'NY', '114': 'NY', '115': 'NY', '116': 'NY', '117': 'NY', '118': 'NY', '119': 'NY',
-    '120': 'NY', '121': 'NY', '122': 'NY', '123': 'NY', '124': 'NY', '125': 'NY', '126': 'NY', '127': 'NY', '128': 'NY', '129': 'NY',
-    '130': 'NY', '131': 'NY', '132': 'NY', '133': 'NY', '134': 'NY', '135': 'NY', '136': 'NY', '137': 'NY', '138': 'NY', '139': 'NY',
-    '140': 'NY', '141': 'NY', '142': 'NY', '143': 'NY', '144': 'NY', '145': 'NY', '146': 'NY', '147': 'NY', '148': 'NY', '149': 'NY',
-    '150': 'PA', '151': 'PA', '152': 'PA', '153': 'PA', '154': 'PA', '155': 'PA', '156': 'PA', '157': 'PA', '158': 'PA', '159': 'PA',
-    '160': 'PA', '161': 'PA', '162': 'PA', '163': 'PA', '164': 'PA', '165': 'PA', '166': 'PA', '167': 'PA', '168': 'PA', '169': 'PA',
-    '170': 'PA', '171': 'PA', '172': 'PA', '173': 'PA', '174': 'PA', '175': 'PA', '176': 'PA', '177': 'PA', '178': 'PA', '179': 'PA',
-    '180': 'PA', '181': 'PA', '182': 'PA', '183': 'PA', '184': 'PA', '185': 'PA', '186': 'PA', '187': 'PA', '188': 'PA', '189': 'PA',
-    '190': 'PA', '191': 'PA', '192': 'PA', '193': 'PA', '194': 'PA', '195': 'PA', '196': 'PA', '197': 'PA', '198': 'PA', '199': 'DE',
-    '200': 'DC', '201': 'VA', '202': 'DC', '203': 'DC', '204': 'DC', '205': 'DC', '206': 'MD', '207': 'MD', '208': 'MD', '209': 'MD',
-    '210': 'MD', '211': 'MD', '212': 'MD', '214': 'MD', '215': 'MD', '216': 'MD', '217': 'MD', '218': 'MD', '219': 'MD', '220': 'VA',
-    '221': 'VA', '222': 'VA', '223': 'VA', '224': 'VA', '225': 'VA', '226': 'VA', '227': 'VA', '228': 'VA', '229': 'VA', '230': 'VA',
-    '231': 'VA', '232': 'VA', '233': 'VA', '234': 'VA', '235': 'VA', '236': 'VA', '237': 'VA', '238': 'VA', '239': 'VA', '240': 'VA',
-    '241': 'VA', '242': 'VA', '243': 'VA', '244': 'VA', '245': 'VA', '246': 'VA', '247': 'WV', '248': 'WV', '249': 'WV', '250': 'WV',
-    '251': 'WV', '252': 'WV', '253': 'WV', '254': 'WV', '255': 'WV', '256': 'WV', '257': 'WV', '258': 'WV', '259': 'WV', '260': 'WV',
-    '261': 'WV', '262': 'WV', '263': 'WV', '264': 'WV', '265': 'WV', '266': 'WV', '267': 'WV', '268': 'WV', '270': 'NC', '271': 'NC',
-    '272': 'NC', '273': 'NC', '274': 'NC', '275': 'NC', '276': 'NC', '277': 'NC', '278': 'NC', '279': 'NC', '280': 'NC', '281': 'NC',
-    '282': 'NC', '283': 'NC', '284': 'NC', '285': 'NC', '286': 'NC', '287': 'NC', '288': 'NC', '289': 'NC', '290': 'SC', '291': 'SC',
-    '292': 'SC', '293': 'SC', '294': 'SC', '295': 'SC', '296': 'SC', '297': 'SC', '298': 'SC', '299': 'SC', '300': 'GA', '301': 'GA',
-    '302': 'GA', '303': 'GA', '304': 'GA', '305': 'GA', '306': 'GA', '307': 'GA', '308': 'GA', '309': 'GA', '310': 'GA', '311': 'GA',
-    '312': 'GA', '313': 'GA', '314': 'GA', '315': 'GA', '316': 'GA', '317': 'GA', '318': 'GA', '319': 'GA', '320': 'FL', '321': 'FL',
-    '322': 'FL', '323': 'FL', '324': 'FL', '325': 'FL', '326': 'FL', '327': 'FL', '328': 'FL', '329': 'FL', '330': 'FL', '331': 'FL',
-    '332': 'FL', '333': 'FL', '334': 'FL', '335': 'FL', '336': 'FL', '337': 'FL', '338': 'FL', '339': 'FL', '340': 'FL', '341': 'FL',
-    '342': 'FL', '344': 'FL', '346': 'FL', '347': 'FL', '349': 'FL', '350': 'AL', '351': 'AL', '352': 'AL', '354': 'AL', '355': 'AL',
-    '356': 'AL', '357': 'AL', '358': 'AL', '359': 'AL', '360': 'AL', '361': 'AL', '362': 'AL', '363': 'AL', '364': 'AL', '365': 'AL',
-    '366': 'AL', '367': 'AL', '368': 'AL', '369': 'AL', '370': 'TN', '371': 'TN', '372': 'TN', '373': 'TN', '374': 'TN', '375': 'TN',
-    '376': 'TN', '377': 'TN', '378': 'TN', '379': 'TN', '380': 'TN', '381': 'TN', '382': 'TN', '383': 'TN', '384': 'TN', '385': 'TN',
-    '386': 'MS', '387': 'MS', '388': 'MS', '389': 'MS', '390': 'MS', '391': 'MS', '392': 'MS', '393': 'MS', '394': 'MS', '395': 'MS',
-    '396': 'MS', '397': 'MS', '398': 'MS', '399': 'MS', '400': 'KY', '401': 'KY', '402': 'KY', '403': 'KY', '404': 'KY', '405': 'KY',
-    '406': 'KY', '407': 'KY', '408': 'KY', '409': 'KY', '410': 'KY', '411': 'KY', '412': 'KY', '413': 'KY', '414': 'KY', '415': 'KY',
-    '416': 'KY', '417': 'KY', '418': 'KY', '420': 'KY', '421': 'KY', '422': 'KY', '423': 'KY', '424': 'KY', '425': 'KY', '426': 'KY',
-    '427': 'KY', '430': 'OH', '431': 'OH', '432': 'OH', '433': 'OH', '434': 'OH', '435': 'OH', '436': 'OH', '437': 'OH', '438': 'OH',
-    '439': 'OH', '440': 'OH', '441': 'OH', '442': 'OH', '443': 'OH', '444': 'OH', '445': 'OH', '446': 'OH', '447': 'OH', '448': 'OH',
-    '449': 'OH', '450': 'OH', '451': 'OH', '452': 'OH', '453': 'OH', '454': 'OH', '455': 'OH', '456': 'OH', '457': 'OH', '458': 'OH',
-    '459': 'OH', '460': 'IN', '461': 'IN', '462': 'IN', '463': 'IN', '464': 'IN', '465': 'IN', '466': 'IN', '467': 'IN', '468': 'IN',
-    '469': 'IN', '470': 'IN', '471': 'IN', '472': 'IN', '473': 'IN', '474': 'IN', '475': 'IN', '476': 'IN', '477': 'IN', '478': 'IN',
-    '479': 'IN', '480': 'MI', '481': 'MI', '482': 'MI', '483': 'MI', '484': 'MI', '485': 'MI', '486': 'MI', '487': 'MI', '488': 'MI',
-    '489': 'MI', '490': 'MI', '491': 'MI', '492': 'MI', '493': 'MI', '494': 'MI', '495': 'MI', '496': 'MI', '497': 'MI', '498': 'MI',
-    '499': 'MI', '500': 'IA', '501': 'IA', '502': 'IA', '503': 'IA', '504': 'IA', '505': 'IA', '506': 'IA', '507': 'IA', '508': 'IA',
-    '509': 'IA', '510': 'IA', '511': 'IA', '512': 'IA', '513': 'IA', '514': 'IA', '515': 'IA', '516': 'IA', '520': 'IA', '521': 'IA',
-    '522': 'IA', '523': 'IA', '524': 'IA', '525': 'IA', '526': 'IA', '527': 'IA', '528': 'IA', '530': 'WI', '531': 'WI', '532': 'WI',
-    '534': 'WI', '535': 'WI', '537': 'WI', '538': 'WI', '539': 'WI', '540': 'WI', '541': 'WI', '542': 'WI', '544': 'WI', '545': 'WI',
-    '546': 'WI', '547': 'WI', '548': 'WI', '549': 'WI', '550': 'MN', '551': 'MN', '553': 'MN', '554': 'MN', '555': 'MN', '556': 'MN',
-    '557': 'MN', '558': 'MN', '559': 'MN', '560': 'MN', '561': 'MN', '562': 'MN', '563': 'MN', '564': 'MN', '565': 'MN', '566': 'MN',
-    '567': 'MN', '570': 'SD', '571': 'SD', '572': 'SD', '573': 'SD', '574': 'SD', '575': 'SD', '576': 'SD', '577': 'SD', '580': 'ND',
-    '581': 'ND', '582': 'ND', '583': 'ND', '584': 'ND', '585': 'ND', '586': 'ND', '587': 'ND', '588': 'ND', '590': 'MT', '591': 'MT',
-    '592': 'MT', '593': 'MT', '594': 'MT', '595': 'MT', '596': 'MT', '597': 'MT', '598': 'MT', '599': 'MT', '600': 'IL', '601': 'IL',
-    '602': 'IL', '603': 'IL', '604': 'IL', '605': 'IL', '606': 'IL', '607': 'IL', '608': 'IL', '609': 'IL', '610': 'IL', '611': 'IL',
-    '612': 'IL', '613': 'IL', '614': 'IL', '615': 'IL', '616': 'IL', '617': 'IL', '618': 'IL', '619': 'IL', '620': 'IL', '622': 'IL',
-    '623': 'IL', '624': 'IL', '625': 'IL', '626': 'IL', '627': 'IL', '628': 'IL', '629': 'IL', '630': 'MO', '631': 'MO', '633': 'MO',
-    '634': 'MO', '635': 'MO', '636': 'MO', '637': 'MO', '638': 'MO', '639': 'MO', '640': 'MO', '641': 'MO', '644': 'MO', '645': 'MO',
-    '646': 'MO', '647': 'MO', '648': 'MO', '649': 'MO', '650': 'MO', '651': 'MO', '652': 'MO', '653': 'MO', '654': 'MO', '655': 'MO',
-    '656': 'MO', '657': 'MO', '658': 'MO', '660': 'KS', '661': 'KS', '662': 'KS', '664': 'KS', '665': 'KS', '666': 'KS', '667': 'KS',
-    '668': 'KS', '669': 'KS', '670': 'KS', '671': 'KS', '672': 'KS', '673': 'KS', '674': 'KS', '675': 'KS', '676': 'KS', '677': 'KS',
-    '678': 'KS', '679': 'KS', '680': 'NE', '681': 'NE', '683': 'NE', '684': 'NE', '685': 'NE', '686': 'NE', '687': 'NE', '688': 'NE',
-    '689': 'NE', '690': 'NE', '691': 'NE', '692': 'NE', '693': 'NE', '700': 'LA', '701': 'LA', '703': 'LA', '704': 'LA', '705': 'LA',
-    '706': 'LA', '707': 'LA', '708': 'LA', '710': 'LA', '711': 'LA', '712': 'LA', '713': 'LA', '714': 'LA', '716': 'AR', '717': 'AR',
-    '718': 'AR', '719': 'AR', '720': 'AR', '721': 'AR', '722': 'AR', '723': 'AR', '724': 'AR', '725': 'AR', '726': 'AR', '727': 'AR',
-    '728': 'AR', '729': 'AR', '730': 'OK', '731': 'OK', '733': 'OK', '734': 'OK', '735': 'OK', '736': 'OK', '737': 'OK', '738': 'OK',
-    '739': 'OK', '740': 'OK', '741': 'OK', '743': 'OK', '744': 'OK', '745': 'OK', '746': 'OK', '747': 'OK', '748': 'OK', '749': 'OK',
-    '750': 'TX', '751': 'TX', '752': 'TX', '753': 'TX', '754': 'TX', '755': 'TX', '756': 'TX', '757': 'TX', '758': 'TX', '759': 'TX',
-    '760': 'TX', '761': 'TX', '762': 'TX', '763': 'TX', '764': 'TX', '765': 'TX', '766': 'TX', '767': 'TX', '768': 'TX', '769': 'TX',
-    '770': 'TX', '771': 'TX', '772': 'TX', '773': 'TX', '774': 'TX', '775': 'TX', '776': 'TX', '777': 'TX', '778': 'TX', '779': 'TX',
-    '780': 'TX', '781': 'TX', '782': 'TX', '783': 'TX', '784': 'TX', '785': 'TX', '786': 'TX', '787': 'TX', '788': 'TX', '789': 'TX',
-    '790': 'TX', '791': 'TX', '792': 'TX', '793': 'TX', '794': 'TX', '795': 'TX', '796': 'TX', '797': 'TX', '798': 'TX', '799': 'TX',
-    '800': 'CO', '801': 'CO', '802': 'CO', '803': 'CO', '804': 'CO', '805': 'CO', '806': 'CO', '807': 'CO', '808': 'CO', '809': 'CO',
-    '810': 'CO', '811': 'CO', '812': 'CO', '813': 'CO', '814': 'CO', '815': 'CO', '816': 'CO', '820': 'WY', '821': 'WY', '822': 'WY',
-    '823': 'WY', '824': 'WY', '825': 'WY', '826': 'WY', '827': 'WY', '828': 'WY', '829': 'WY', '830': 'WY', '831': 'WY', '834': 'ID',
-    '835': 'ID', '836': 'ID', '837': 'ID', '838': 'ID', '840': 'UT', '841': 'UT', '842': 'UT', '843': 'UT', '844': 'UT', '845': 'UT',
-    '846': 'UT', '847': 'UT', '850': 'AZ', '851': 'AZ', '852': 'AZ', '853': 'AZ', '855': 'AZ', '856': 'AZ', '857': 'AZ', '859': 'AZ',
-    '860': 'AZ', '863': 'AZ', '864': 'AZ', '865': 'AZ', '870': 'NM', '871': 'NM', '873': 'NM', '874': 'NM', '875': 'NM', '877': 'NM',
-    '878': 'NM', '879': 'NM', '880': 'NM', '881': 'NM', '882': 'NM', '883': 'NM', '884': 'NM', '885': 'TX', '890': 'NV', '891': 'NV',
-    '893': 'NV', '894': 'NV', '895': 'NV', '897': 'NV', '898': 'NV', '900': 'CA', '901': 'CA', '902': 'CA', '903': 'CA', '904': 'CA',
-    '905': 'CA', '906': 'CA', '907': 'CA', '908': 'CA', '910': 'CA', '911': 'CA', '912': 'CA', '913': 'CA', '914': 'CA', '915': 'CA',
-    '916': 'CA', '917': 'CA', '918': 'CA', '919': 'CA', '920': 'CA', '921': 'CA', '922': 'CA', '923': 'CA', '924': 'CA', '925': 'CA',
-    '926': 'CA', '927': 'CA', '928': 'CA', '930': 'CA', '931': 'CA', '932': 'CA', '933': 'CA', '934': 'CA', '935': 'CA', '936': 'CA',
-    '937': 'CA', '938': 'CA', '939': 'CA', '940': 'CA', '941': 'CA', '942': 'CA', '943': 'CA', '944': 'CA', '945': 'CA', '946': 'CA',
-    '947': 'CA', '948': 'CA', '949': 'CA', '950': 'CA', '951': 'CA', '952': 'CA', '953': 'CA', '954': 'CA', '955': 'CA', '956': 'CA',
-    '957': 'CA', '958': 'CA', '959': 'CA', '960': 'CA', '961': 'CA', '962': 'CA', '970': 'OR', '971': 'OR', '972': 'OR', '973': 'OR',
-    '974': 'OR', '975': 'OR', '976': 'OR', '977': 'OR', '978': 'OR', '979': 'OR', '980': 'WA', '981': 'WA', '982': 'WA', '983': 'WA',
-    '984': 'WA', '985': 'WA', '986': 'WA', '988': 'WA', '989': 'WA', '990': 'WA', '991': 'WA', '992': 'WA', '993': 'WA', '994': 'WA',
-    '995': 'AK', '996': 'AK', '997': 'AK', '998': 'AK', '999': 'AK'
-  };
+  // ZIP code to state lookup (full prefix table and cross-border ZIP codes)
+  // lives in js/zipLookup.js
 
   // ============================================================================
   // INVESTMENT CONFIGURATION
@@ -635,13 +650,27 @@
   }
 
   /**
-   * Determines state from ZIP code using first 3 digits
+   * Escapes user-entered text before it is placed in HTML markup
+   * @param {string} value - Raw text
+   * @returns {string} HTML-safe text
+   */
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Determines the state for a ZIP code
    * @param {string} zipcode - The ZIP code to analyze
-   * @returns {string} State abbreviation or 'CA' as default
+   * @param {string} selectedState - State the user picked for a ZIP code that crosses state lines
+   * @returns {string|null} State abbreviation, or null when the ZIP code is unknown
    */
-  function getStateFromZipcode(zipcode) {
-    const cleanZip = zipcode.replace(/\D/g, '').substring(0, 3);
-    return zipToState[cleanZip] || 'CA'; // Default to CA if not found
+  function getStateFromZipcode(zipcode, selectedState) {
+    return window.zipLookup.resolveState(zipcode, selectedState);
   }
 
   // ============================================================================
@@ -649,89 +678,334 @@
   // ============================================================================
   
   /**
-   * Calculates federal income tax using progressive tax brackets
+   * Calculates federal income tax using the shared tax engine
    * @param {number} income - Annual income to calculate tax for
-   * @returns {number} Total federal tax amount
+   * @param {string} filingStatus - Filing status key from the filing-status select
+   * @param {number} taxYear - Tax year whose table to use (defaults to the current year)
+   * @returns {number} Total federal tax amount after the standard deduction
    */
-  function calculateFederalTax(income) {
-    let tax = 0;
-    let remainingIncome = income;
-
-    // Apply progressive tax brackets
-    for (const bracket of federalTaxBrackets) {
-      if (remainingIncome <= 0) break;
-      
-      const taxableInBracket = Math.min(remainingIncome, bracket.max - bracket.min);
-      tax += taxableInBracket * bracket.rate;
-      remainingIncome -= taxableInBracket;
-    }
-
-    return tax;
+  function calculateFederalTax(income, filingStatus = 'single', taxYear) {
+    return window.taxEngine.calculateFederalTax(income, filingStatus, { taxYear });
   }
 
   /**
-   * Calculates FICA taxes (Social Security and Medicare)
+   * Calculates FICA taxes (Social Security and Medicare) from the tax year's table
    * @param {number} income - Annual income to calculate FICA tax for
+   * @param {string} filingStatus - Filing status key (sets the additional Medicare threshold)
+   * @param {number} taxYear - Tax year
    * @returns {object} Object containing social security, medicare, and total FICA taxes
    */
-  function calculateFICATax(income) {
-    // Social Security tax (6.2% up to wage base limit)
-    const socialSecurityTax = Math.min(income, ficaRates.socialSecurity.wageBase) * ficaRates.socialSecurity.rate;
-    
-    // Medicare tax (1.45% on all income + 0.9% on income over threshold)
-    let medicareTax = income * ficaRates.medicare.rate;
-    if (income > ficaRates.medicare.additionalThreshold) {
-      medicareTax += (income - ficaRates.medicare.additionalThreshold) * ficaRates.medicare.additionalRate;
-    }
+  function calculateFICATax(income, filingStatus = 'single', taxYear) {
+    const fica = window.taxEngine.calculateFICA(income, filingStatus, taxYear);
 
     return {
-      socialSecurity: socialSecurityTax,
-      medicare: medicareTax,
-      total: socialSecurityTax + medicareTax
+      socialSecurity: fica.socialSecurity,
+      medicare: fica.medicare,
+      total: fica.total
     };
   }
 
   /**
-   * Calculates state income tax
+   * Calculates state income tax using the state's progressive schedule
    * @param {number} income - Annual income to calculate state tax for
    * @param {string} state - State abbreviation
-   * @returns {number} State tax amount
+   * @param {string} filingStatus - Filing status key
+   * @param {number} taxYear - Tax year (for states that use the federal standard deduction)
+   * @returns {object} State tax details including tax and a per-bracket breakdown
+   */
+  function calculateStateTax(income, state, filingStatus = 'single', taxYear) {
+    return window.stateTax.calculateStateTax(income, state, filingStatus, { taxYear });
+  }
+
+  /**
+   * Renders the per-bracket state tax breakdown
+   * @param {object} details - Result of calculateStateTax
+   * @returns {string} HTML markup (empty for states without an income tax)
+   */
+  function renderStateTaxBreakdown(details) {
+    if (!details) return '';
+    if (!details.hasIncomeTax) {
+      return `<p class="state-tax-note">${escapeHtml(details.name)} has no state income tax on wages.</p>`;
+    }
+
+    const rows = details.brackets
+      .filter(bracket => bracket.taxableAmount > 0)
+      .map(bracket => `
+        <tr>
+          <td>${(bracket.rate * 100).toFixed(2).replace(/\.?0+$/, '')}%</td>
+          <td>${toCurrency(bracket.min)} – ${bracket.max === Infinity ? 'and up' : toCurrency(bracket.max)}</td>
+          <td class="ledger-amount">${toCurrency(bracket.taxableAmount)}</td>
+          <td class="ledger-amount">${toCurrency(bracket.tax)}</td>
+        </tr>
+      `).join('');
+
+    return `
+      <div class="state-tax-breakdown">
+        <h4>${escapeHtml(details.name)} Income Tax by Bracket (${details.taxYear} brackets)</h4>
+        <p class="state-tax-note">
+          Taxable income ${toCurrency(details.taxableIncome)}
+          ${details.deduction > 0 ? ` · standard deduction ${toCurrency(details.deduction)}` : ''}
+          ${details.exemption > 0 ? ` · exemptions ${toCurrency(details.exemption)}` : ''}
+          ${details.credits > 0 ? ` · credits ${toCurrency(details.credits)}` : ''}
+        </p>
+        ${rows ? `
+          <table class="ledger-table">
+            <thead><tr><th>Rate</th><th>Bracket</th><th>Taxed</th><th>Tax</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        ` : ''}
+        <p class="state-tax-note">
+          Marginal rate ${(details.marginalRate * 100).toFixed(2)}% · effective rate ${(details.effectiveRate * 100).toFixed(2)}%
+          ${details.note ? `<br>${escapeHtml(details.note)}` : ''}
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Notes when the state or local figures use an older year's rates than the selected tax year
+   * @param {number} taxYear - Selected tax year
+   * @param {object|null} stateDetails - Result of calculateStateTax
+   * @param {object|null} localDetails - Result of calculateLocalTax
+   * @returns {string} HTML markup (empty when the years match)
    */
-  function calculateStateTax(income, state) {
-    const stateRate = stateTaxRates[state] || 0;
-    return income * stateRate;
+  function renderRatesYearNote(taxYear, stateDetails, localDetails) {
+    const older = [];
+    if (stateDetails && stateDetails.hasIncomeTax && stateDetails.taxYear !== taxYear) {
+      older.push(`state tax uses ${stateDetails.taxYear} brackets`);
+    }
+    if (localDetails && localDetails.hasLocalTax && localDetails.taxYear !== taxYear) {
+      older.push(`local tax uses ${localDetails.taxYear} rates`);
+    }
+    if (older.length === 0) return '';
+
+    const text = older.join(' and ');
+    return `<p class="state-tax-note">${text.charAt(0).toUpperCase()}${text.slice(1)}, the latest in this calculator; federal tax and payroll taxes use ${taxYear}.</p>`;
   }
 
   /**
-   * Calculates local income tax (simplified)
+   * Calculates city, county or school-district income tax for a ZIP code
    * @param {number} income - Annual income to calculate local tax for
-   * @param {string} state - State abbreviation
-   * @returns {number} Local tax amount
+   * @param {string} zipcode - Full 5-digit ZIP code
+   * @param {object} options - { jurisdiction, residency, filingStatus, taxYear, stateTaxDetails }
+   * @returns {object} Local tax details including the jurisdiction and ZIP candidates
    */
-  function calculateLocalTax(income, state) {
-    // Simplified local tax calculation using average rates by state
-    const localTaxRates = {
-      'NY': 0.03, 'CA': 0.01, 'PA': 0.02, 'OH': 0.02, 'MD': 0.03, 'IL': 0.01,
-      'TX': 0.01, 'FL': 0.01, 'GA': 0.01, 'NC': 0.01, 'VA': 0.01, 'WA': 0.01
-    };
-    
-    const localRate = localTaxRates[state] || 0;
-    return income * localRate;
+  function calculateLocalTax(income, zipcode, options = {}) {
+    return window.localTax.calculateLocalTax(income, zipcode, options);
+  }
+
+  /**
+   * Describes the local tax line for the results view
+   * @param {object} details - Result of calculateLocalTax
+   * @returns {string} Label such as "Local Tax (Philadelphia, non-resident)"
+   */
+  function getLocalTaxLabel(details) {
+    if (!details || !details.name) return 'Local Tax';
+    return `Local Tax (${escapeHtml(details.name)}, ${details.residency})`;
+  }
+
+  /**
+   * Renders notes about the local tax jurisdiction
+   * @param {object} details - Result of calculateLocalTax
+   * @returns {string} HTML markup (empty when there is nothing to say)
+   */
+  function renderLocalTaxNote(details) {
+    if (!details) return '';
+
+    const notes = [];
+    if (details.hasLocalTax) {
+      const rateText = details.base === 'state-tax'
+        ? `${(details.rate * 100).toFixed(2)}% of state income tax`
+        : details.brackets.length > 0
+          ? `graduated rates up to ${(Math.max(...details.brackets.map(bracket => bracket.rate)) * 100).toFixed(2)}% of state taxable income`
+          : `${(details.rate * 100).toFixed(3).replace(/\.?0+$/, '')}% of ${details.base === 'wages' ? 'wages' : 'state taxable income'}`;
+      notes.push(`${escapeHtml(details.name)} ${details.residency} rate (${details.taxYear}): ${rateText}.`);
+    }
+    if (details.note) notes.push(escapeHtml(details.note));
+    if (details.ambiguous && details.source === 'zip') {
+      notes.push('This ZIP code spans more than one jurisdiction; choose yours under Local Tax Jurisdiction.');
+    }
+
+    return notes.length > 0 ? `<p class="state-tax-note">${notes.join('<br>')}</p>` : '';
+  }
+
+  /**
+   * Renders the self-employment deductions and the quarterly estimated-payment schedule
+   * @param {object} details - Result of window.selfEmployment.calculate
+   * @returns {string} HTML markup
+   */
+  function renderEstimatedPayments(details) {
+    if (!details) return '';
+
+    const { estimates, qbi } = details;
+    const safeHarborText = estimates.safeHarbor.basis === 'prior-year'
+      ? `${Math.round(estimates.safeHarbor.rate * 100)}% of last year's tax`
+      : '90% of this year\'s projected tax';
+    const rows = estimates.installments.map(installment => `
+      <tr>
+        <td>Q${installment.quarter} (${installment.period})</td>
+        <td>${installment.dueDate}</td>
+        <td class="ledger-amount">${toCurrency(installment.amount)}</td>
+        <td class="ledger-amount">${toCurrency(installment.fullAmount)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="estimated-payments">
+        <h4>Self-Employment Deductions</h4>
+        <div class="tax-grid">
+          <div class="tax-item">
+            <span class="tax-label">Net Profit (after ${toCurrency(details.expenses)} expenses):</span>
+            <span class="tax-amount">${toCurrency(details.netProfit)}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">Half of SE Tax Deduction:</span>
+            <span class="tax-amount">-${toCurrency(details.selfEmploymentTax.deduction)}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">QBI Deduction (estimate):</span>
+            <span class="tax-amount">-${toCurrency(qbi.deduction)}</span>
+          </div>
+        </div>
+        <p class="state-tax-note">
+          SE tax is 15.3% of 92.35% of net profit (Social Security stops at the wage base).
+          ${qbi.phaseOut > 0 ? `QBI is reduced because taxable income is over ${toCurrency(qbi.threshold)}; this estimate assumes the business pays no W-2 wages.` : 'QBI is 20% of business income, capped at 20% of taxable income.'}
+        </p>
+
+        <h4>${details.taxYear} Quarterly Estimated Payments</h4>
+        ${estimates.required ? `
+          <table class="ledger-table estimated-payments-table">
+            <thead>
+              <tr>
+                <th>Installment</th>
+                <th>Due</th>
+                <th>Safe Harbor</th>
+                <th>Full Projected Tax</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <p class="state-tax-note">
+            Paying the safe-harbor amount (${safeHarborText}, ${toCurrency(estimates.safeHarbor.amount)} a year) avoids the underpayment penalty;
+            any balance is due by the April filing deadline. Amounts cover federal income and SE tax only.
+          </p>
+        ` : '<p class="state-tax-note">Your projected federal tax is under $1,000, so estimated payments are not required.</p>'}
+      </div>
+    `;
+  }
+
+  /**
+   * Shows the state picker when a ZIP code crosses state lines
+   * @param {string} zipcode - ZIP code entered in the income form
+   * @param {string} selected - Saved state to keep selected
+   */
+  function populateZipStateSelect(zipcode, selected = '') {
+    if (!zipStateSelect) return;
+
+    const lookup = window.zipLookup.lookup(zipcode);
+    zipStateSelect.innerHTML = lookup.candidates.map(state => `
+      <option value="${state}">${escapeHtml(window.zipLookup.getAreaName(state))}</option>
+    `).join('');
+    zipStateSelect.value = lookup.candidates.includes(selected) ? selected : (lookup.state || '');
+    if (zipStateField) zipStateField.classList.toggle('hidden', !lookup.ambiguous);
+  }
+
+  /**
+   * Fills the local jurisdiction select with the jurisdictions for a ZIP code
+   * @param {string} zipcode - ZIP code entered in the income form
+   * @param {string} selected - Saved override to keep selected
+   */
+  function populateLocalJurisdictionSelect(zipcode, selected = '') {
+    if (!localJurisdictionSelect) return;
+
+    const cleanZip = String(zipcode || '').replace(/\D/g, '');
+    const candidates = window.localTax.lookupZip(cleanZip);
+    const state = getStateFromZipcode(cleanZip, zipStateSelect ? zipStateSelect.value : '') || '';
+    const ordered = [
+      ...candidates.filter(id => id !== 'none').map(id => ({ id, ...window.localTax.getJurisdiction(id) })),
+      ...window.localTax.getJurisdictions(state).filter(item => !candidates.includes(item.id))
+    ];
+
+    localJurisdictionSelect.innerHTML = `
+      <option value="">Automatic (from ZIP code)</option>
+      <option value="none">No local income tax</option>
+      ${ordered.map(item => `<option value="${item.id}">${escapeHtml(item.name)}</option>`).join('')}
+    `;
+    localJurisdictionSelect.value = ordered.some(item => item.id === selected) || selected === 'none' ? selected : '';
+
+    if (localJurisdictionHint) {
+      const ambiguous = candidates.length > 1;
+      localJurisdictionHint.textContent = ambiguous
+        ? 'This ZIP code spans more than one jurisdiction. Choose yours if the first match is wrong.'
+        : '';
+      localJurisdictionHint.classList.toggle('hidden', !ambiguous);
+    }
   }
 
   /**
    * Calculates all applicable taxes for given income and location
    * @param {number} income - Annual gross income
    * @param {string} zipcode - ZIP code for state/local tax determination
+   * @param {string} filingStatus - Filing status key
+   * @param {number} taxYear - Tax year
+   * @param {object} location - { state, jurisdiction, residency } picked in the income form
+   * @param {object|null} business - { expenses, priorYearTax, priorYearAgi } when income is self-employment
    * @returns {object} Complete tax breakdown including net income
    */
-  function calculateAllTaxes(income, zipcode) {
-    const state = getStateFromZipcode(zipcode); // Map ZIP prefix to state for localized tax rates
-    const federalTax = calculateFederalTax(income);
-    const ficaTax = calculateFICATax(income);
-    const stateTax = calculateStateTax(income, state);
-    const localTax = calculateLocalTax(income, state);
-    
+  function calculateAllTaxes(income, zipcode, filingStatus = 'single', taxYear, location = {}, business = null) {
+    const state = getStateFromZipcode(zipcode, location.state) || ''; // Unknown ZIP codes get no state tax
+    filingStatus = window.taxEngine.normalizeFilingStatus(filingStatus);
+    taxYear = window.taxEngine.normalizeTaxYear(taxYear);
+
+    if (business) {
+      // Self-employment tax replaces FICA; income is taxed after expenses and the SE/QBI deductions
+      const details = window.selfEmployment.calculate({
+        grossReceipts: income,
+        expenses: business.expenses,
+        filingStatus,
+        taxYear,
+        state,
+        zipcode,
+        jurisdiction: location.jurisdiction,
+        residency: location.residency,
+        priorYearTax: business.priorYearTax,
+        priorYearAgi: business.priorYearAgi
+      });
+
+      return {
+        grossIncome: income,
+        federalTax: details.federalTax,
+        ficaTax: {
+          socialSecurity: details.selfEmploymentTax.socialSecurity,
+          medicare: details.selfEmploymentTax.medicare,
+          total: details.selfEmploymentTax.total
+        },
+        stateTax: details.stateTax,
+        // Unknown ZIP codes still get the empty detail objects the W-2 path returns
+        stateTaxDetails: details.stateTaxDetails || calculateStateTax(0, '', filingStatus, taxYear),
+        localTax: details.localTax,
+        localTaxDetails: details.localTaxDetails || calculateLocalTax(0, zipcode, { filingStatus, taxYear }),
+        totalTaxes: details.totalTaxes,
+        netIncome: details.netIncome,
+        selfEmploymentDetails: details,
+        state,
+        filingStatus,
+        taxYear
+      };
+    }
+    const federalTax = calculateFederalTax(income, filingStatus, taxYear);
+    const ficaTax = calculateFICATax(income, filingStatus, taxYear);
+    const stateTaxDetails = calculateStateTax(income, state, filingStatus, taxYear);
+    const stateTax = stateTaxDetails.tax;
+    const localTaxDetails = calculateLocalTax(income, zipcode, {
+      jurisdiction: location.jurisdiction,
+      residency: location.residency,
+      filingStatus,
+      taxYear,
+      stateTaxDetails
+    });
+    const localTax = localTaxDetails.tax;
+
     const totalTaxes = federalTax + ficaTax.total + stateTax + localTax; // Aggregate every withholding bucket
     const netIncome = income - totalTaxes;
 
@@ -740,13 +1014,30 @@
       federalTax,
       ficaTax,
       stateTax,
+      stateTaxDetails,
       localTax,
+      localTaxDetails,
       totalTaxes,
       netIncome,
-      state
+      state,
+      filingStatus,
+      taxYear
     };
   }
 
+  /**
+   * Fills the tax-year select with every loaded tax table
+   * @param {number} selectedYear - Year to select (defaults to the engine's default year)
+   */
+  function populateTaxYearSelect(selectedYear) {
+    if (!taxYearSelect) return;
+
+    const year = window.taxEngine.normalizeTaxYear(selectedYear);
+    taxYearSelect.innerHTML = window.taxEngine.getYears().map(option => `
+      <option value="${option}" ${option === year ? 'selected' : ''}>${option}</option>
+    `).join('');
+  }
+
   // ============================================================================
   // INCOME CALCULATION FUNCTIONS
   // ============================================================================
@@ -782,6 +1073,36 @@
     }
   }
 
+  /**
+   * Calculates a year of pay from the typical week entered under Overtime & Shifts
+   * @param {number} payAmount - The pay amount
+   * @param {string} frequency - Pay frequency; hourly and daily pay are rates, the rest salaries
+   * @param {number} hoursPerDay - Hours in a paid day (turns a daily rate into an hourly one)
+   * @param {number} weeksPerYear - Weeks worked per year (ignored for monthly and yearly salaries)
+   * @param {string} state - State whose overtime rules apply when none is picked
+   * @returns {object|null} Result of overtime.calculateAnnual, or null when no week is entered
+   */
+  function calculateScheduledPay(payAmount, frequency, hoursPerDay, weeksPerYear, state) {
+    const hours = scheduleInputs.map(input => sanitizeNumber(input ? input.value : 0));
+    if (!hours.some(value => value > 0)) return null;
+
+    const amount = sanitizeNumber(payAmount);
+    const salaryPerWeek = { week: amount, month: amount * 12 / 52, year: amount / 52 };
+    const hourlyRate = frequency === 'day' ? amount / (hoursPerDay || defaultAssumptions.hoursPerDay) : amount;
+
+    return window.overtime.calculateAnnual({
+      hours,
+      rule: overtimeRuleSelect ? overtimeRuleSelect.value : '',
+      state,
+      hourlyRate: salaryPerWeek[frequency] === undefined ? hourlyRate : 0,
+      weeklySalary: salaryPerWeek[frequency] || 0,
+      shiftDifferential: shiftDifferentialInput ? sanitizeNumber(shiftDifferentialInput.value) : 0,
+      differentialHours: differentialHoursInput ? sanitizeNumber(differentialHoursInput.value) : 0,
+      // A monthly or yearly salary is paid the whole year; only week-based pay uses weeks worked
+      weeksPerYear: frequency === 'month' || frequency === 'year' ? 52 : weeksPerYear || defaultAssumptions.weeksPerYear
+    });
+  }
+
   // ============================================================================
   // RENDERING FUNCTIONS
   // ============================================================================
@@ -790,16 +1111,27 @@
    * Renders the income calculation results with tax breakdown
    * @param {number} annualIncome - Annual gross income
    * @param {string} zipcode - ZIP code for tax calculations
+   * @param {string} filingStatus - Filing status key
+   * @param {number} taxYear - Tax year whose tables to use
+   * @param {object} location - { state, jurisdiction, residency } picked in the income form
    */
-  function renderResults(annualIncome, zipcode) {
+  function renderResults(annualIncome, zipcode, filingStatus = 'single', taxYear, location = {}, business = null) {
     // Calculate income breakdowns for different time periods
     const monthlyIncome = annualIncome / 12;
     const weeklyIncome = annualIncome / 52;
     const dailyIncome = weeklyIncome / 5; // approx working day
     
     // Calculate all taxes and net income
-    const taxData = calculateAllTaxes(annualIncome, zipcode);
-    const monthlyNetIncome = taxData.netIncome / 12;
+    const taxData = calculateAllTaxes(annualIncome, zipcode, filingStatus, taxYear, location, business);
+    const selfEmployed = Boolean(taxData.selfEmploymentDetails);
+
+    // Extra jobs, a spouse's pay, side gigs and rentals are taxed together with this job;
+    // the budget gets the combined household net
+    const household = getHouseholdIncome({
+      annualGross: annualIncome,
+      annualDeductions: business ? sanitizeNumber(business.expenses) : 0
+    });
+    const monthlyNetIncome = household ? household.totals.monthlyNetIncome : taxData.netIncome / 12;
 
     if (monthlyIncomeInput) {
       applyMonthlyIncomeAutoFill(monthlyNetIncome);
@@ -812,8 +1144,18 @@
     FinancialDataStore.income.daysPerWeek = sanitizeNumber(daysPerWeekInput.value) || 5;
     FinancialDataStore.income.weeksPerYear = sanitizeNumber(weeksPerYearInput.value) || 52;
     FinancialDataStore.income.zipcode = zipcodeInput.value.trim();
+    FinancialDataStore.income.filingStatus = taxData.filingStatus;
+    FinancialDataStore.income.taxYear = taxData.taxYear;
+    FinancialDataStore.income.zipState = taxData.state;
+    FinancialDataStore.income.localJurisdiction = location.jurisdiction || '';
+    FinancialDataStore.income.localResidency = taxData.localTaxDetails.residency;
+    FinancialDataStore.income.incomeType = selfEmployed ? 'self-employed' : 'w2';
+    FinancialDataStore.income.businessExpenses = business ? sanitizeNumber(business.expenses) : 0;
+    FinancialDataStore.income.priorYearTax = business ? business.priorYearTax : null;
+    FinancialDataStore.income.priorYearAgi = business ? business.priorYearAgi : null;
     FinancialDataStore.income.monthlyNetIncome = monthlyNetIncome;
-    FinancialDataStore.income.annualGrossIncome = annualIncome;
+    FinancialDataStore.income.sources = readIncomeSources();
+    FinancialDataStore.income.annualGrossIncome = household ? household.totals.grossIncome : annualIncome;
     FinancialDataStore.income.calculatedDate = new Date().toISOString();
 
     // Save to localStorage and dashboard
@@ -828,18 +1170,23 @@
       </div>
       
       <div class="tax-breakdown">
-        <h3>Tax Breakdown (${taxData.state})</h3>
+        <h3>${taxData.taxYear} Tax Breakdown (${taxData.state} · ${window.taxEngine.FILING_STATUSES[taxData.filingStatus]})</h3>
+        ${renderRatesYearNote(taxData.taxYear, taxData.stateTaxDetails, taxData.localTaxDetails)}
         <div class="tax-grid">
+          <div class="tax-item">
+            <span class="tax-label">Standard Deduction:</span>
+            <span class="tax-amount">${toCurrency(window.taxEngine.getStandardDeduction(taxData.filingStatus, taxData.taxYear))}</span>
+          </div>
           <div class="tax-item">
             <span class="tax-label">Federal Tax:</span>
             <span class="tax-amount">${toCurrency(taxData.federalTax)}</span>
           </div>
           <div class="tax-item">
-            <span class="tax-label">FICA (Social Security):</span>
+            <span class="tax-label">${selfEmployed ? 'SE Tax (Social Security)' : 'FICA (Social Security)'}:</span>
             <span class="tax-amount">${toCurrency(taxData.ficaTax.socialSecurity)}</span>
           </div>
           <div class="tax-item">
-            <span class="tax-label">FICA (Medicare):</span>
+            <span class="tax-label">${selfEmployed ? 'SE Tax (Medicare)' : 'FICA (Medicare)'}:</span>
             <span class="tax-amount">${toCurrency(taxData.ficaTax.medicare)}</span>
           </div>
           <div class="tax-item">
@@ -847,7 +1194,7 @@
             <span class="tax-amount">${toCurrency(taxData.stateTax)}</span>
           </div>
           <div class="tax-item">
-            <span class="tax-label">Local Tax:</span>
+            <span class="tax-label">${getLocalTaxLabel(taxData.localTaxDetails)}:</span>
             <span class="tax-amount">${toCurrency(taxData.localTax)}</span>
           </div>
           <div class="tax-item total-taxes">
@@ -855,13 +1202,17 @@
             <span class="tax-amount"><strong>${toCurrency(taxData.totalTaxes)}</strong></span>
           </div>
         </div>
+        ${renderLocalTaxNote(taxData.localTaxDetails)}
+        ${renderStateTaxBreakdown(taxData.stateTaxDetails)}
+        ${renderEstimatedPayments(taxData.selfEmploymentDetails)}
       </div>
       
       <div class="net-income">
         <h3>Net Income (After Taxes)</h3>
         <p><strong>Annual:</strong> <span class="number">${toCurrency(taxData.netIncome)}</span></p>
-        <p><strong>Monthly:</strong> ${toCurrency(monthlyNetIncome)} · <strong>Weekly:</strong> ${toCurrency(taxData.netIncome / 52)} · <strong>Daily (workday est.):</strong> ${toCurrency(taxData.netIncome / 52 / 5)}</p>
+        <p><strong>Monthly:</strong> ${toCurrency(taxData.netIncome / 12)} · <strong>Weekly:</strong> ${toCurrency(taxData.netIncome / 52)} · <strong>Daily (workday est.):</strong> ${toCurrency(taxData.netIncome / 52 / 5)}</p>
       </div>
+      ${renderHouseholdIncome(household)}
     `;
   if (resultsEl) resultsEl.innerHTML = content; // Replace previous markup with the latest calculation output
 
@@ -1195,6 +1546,9 @@
     if (hoursField) hoursField.style.display = showHour ? '' : 'none';
     if (daysField) daysField.style.display = showDay ? '' : 'none';
     if (weeksField) weeksField.style.display = showWeek ? '' : 'none';
+    if (selfEmploymentFields && incomeTypeSelect) {
+      selfEmploymentFields.classList.toggle('hidden', incomeTypeSelect.value !== 'self-employed');
+    }
   }
 
   // ============================================================================
@@ -1214,6 +1568,13 @@
     const dpw = sanitizeNumber(daysPerWeekInput.value) || undefined;
     const wpy = sanitizeNumber(weeksPerYearInput.value) || undefined;
     const zipcode = zipcodeInput.value.trim();
+    const filingStatus = filingStatusSelect ? filingStatusSelect.value : 'single';
+    const taxYear = taxYearSelect ? parseInt(taxYearSelect.value, 10) : undefined;
+    const location = {
+      state: zipStateSelect ? zipStateSelect.value : '',
+      jurisdiction: localJurisdictionSelect ? localJurisdictionSelect.value : '',
+      residency: localResidencySelect ? localResidencySelect.value : 'resident'
+    };
 
     // Validate pay amount
     if (payAmount <= 0) {
@@ -1222,15 +1583,25 @@
       return;
     }
 
-    // Validate ZIP code format
-    if (!zipcode || !/^\d{5}(-\d{4})?$/.test(zipcode)) {
-      if (resultsEl) resultsEl.textContent = 'Please enter a valid 5-digit ZIP code.';
+    // Validate the ZIP code format and that it belongs to a state
+    const zipValidation = window.validator.validateZipcode(zipcode);
+    if (!zipValidation.isValid) {
+      if (resultsEl) resultsEl.textContent = zipValidation.errors[0];
       if (budgetEl) budgetEl.innerHTML = '';
       return;
     }
 
-    const annual = calculateAnnualIncome(payAmount, frequency, hpd, dpw, wpy);
-    renderResults(annual, zipcode);
+    // Self-employed pay is gross business receipts
+    const business = incomeTypeSelect && incomeTypeSelect.value === 'self-employed' ? {
+      expenses: sanitizeNumber(businessExpensesInput.value),
+      priorYearTax: priorYearTaxInput.value === '' ? null : sanitizeNumber(priorYearTaxInput.value),
+      priorYearAgi: priorYearAgiInput.value === '' ? null : sanitizeNumber(priorYearAgiInput.value)
+    } : null;
+
+    // A typical week with overtime replaces the plain schedule
+    const scheduledPay = calculateScheduledPay(payAmount, frequency, hpd, wpy, getStateFromZipcode(zipcode, location.state));
+    const annual = scheduledPay ? scheduledPay.annualPay : calculateAnnualIncome(payAmount, frequency, hpd, dpw, wpy);
+    renderResults(annual, zipcode, filingStatus, taxYear, location, business);
   }
 
   /**
@@ -1239,8 +1610,11 @@
    */
   function onReset() {
     if (form) form.reset();
+    if (incomeSourceListEl) incomeSourceListEl.innerHTML = '';
     if (resultsEl) resultsEl.textContent = '';
     if (budgetEl) budgetEl.innerHTML = '';
+    populateZipStateSelect(zipcodeInput.value);
+    populateLocalJurisdictionSelect(zipcodeInput.value);
     updateVisibility();
   }
 
@@ -1251,7 +1625,13 @@
    */
   function onBudgetSubmit(event) {
     event.preventDefault();
-    
+    runBudgetAnalysis();
+  }
+
+  /**
+   * Analyzes the current budget inputs, saves them, and renders recommendations
+   */
+  function runBudgetAnalysis() {
     // Collect and sanitize all form inputs
     const monthlyIncome = sanitizeNumber(monthlyIncomeInput.value);
     const expenses = expenseFieldConfig.reduce((acc, config) => {
@@ -1278,6 +1658,7 @@
     FinancialDataStore.budget.expenses = expenses;
     FinancialDataStore.budget.totalExpenses = Object.values(expenses).reduce((sum, expense) => sum + expense, 0);
     FinancialDataStore.budget.analysis = analysis;
+    FinancialDataStore.budget.ledgerMonth = ledger.hasTransactionsForMonth(selectedLedgerMonth) ? selectedLedgerMonth : null;
     FinancialDataStore.budget.lastUpdated = new Date().toISOString();
 
     // Save to localStorage and dashboard
@@ -1302,7 +1683,7 @@
     if (monthlyIncomeDisplay) {
       monthlyIncomeDisplay.textContent = toCurrency(incomeSnapshot);
     }
-    updateAllExpenseVisuals();
+    applyLedgerRollup();
   }
 
   // ============================================================================
@@ -1605,21 +1986,83 @@
   let debtCounter = 0;
   let debts = [];
 
+  // Debt fields kept as text; every other field is a number
+  const DEBT_TEXT_FIELDS = ['name', 'type', 'promoEndDate', 'repaymentPlan', 'interestMethod'];
+
   /**
    * Adds a new debt input to the form
+   * @param {Object} [values] - Optional debt fields (name, type, balance, rate, payment and the
+   *   type's own fields) and linked accountKey
+   * @returns {HTMLElement} The new debt item
    */
-  function addDebtInput() {
+  function addDebtInput(values = {}) {
     debtCounter++;
     const debtItem = document.createElement('div');
     debtItem.className = 'debt-item';
+    debtItem.draggable = true;
+    const typeOptions = Object.entries(window.debtPayoff.DEBT_TYPES)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    const interestOptions = Object.entries(window.debtPayoff.INTEREST_METHODS)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    const planOptions = Object.entries(window.debtPayoff.IDR_PLANS)
+      .map(([value, plan]) => `<option value="${value}">${plan.label}</option>`).join('');
   if (debtItem) debtItem.innerHTML = `
+      <span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
+      <select data-field="type" aria-label="Debt type">${typeOptions}</select>
       <input type="text" placeholder="Debt name (e.g., Credit Card)" data-field="name" required>
       <input type="number" placeholder="Balance" data-field="balance" step="0.01" min="0" required>
       <input type="number" placeholder="Interest Rate (%)" data-field="rate" step="0.01" min="0" required>
-      <input type="number" placeholder="Min Payment" data-field="payment" step="0.01" min="0" required>
+      <input type="number" placeholder="Min Payment" data-field="payment" step="0.01" min="0">
       <button type="button" class="remove-debt-btn" onclick="removeDebtInput(this)">×</button>
+      <div class="debt-type-fields hidden" data-debt-type="credit-card">
+        <input type="number" placeholder="Promo APR (%)" data-field="promoRate" step="0.01" min="0">
+        <label>Promo ends <input type="month" data-field="promoEndDate"></label>
+        <select data-field="interestMethod" aria-label="Interest method">${interestOptions}</select>
+        <input type="number" placeholder="Statement Closes (day)" data-field="statementDay" step="1" min="1" max="31">
+        <input type="number" placeholder="Payment Day" data-field="paymentDay" step="1" min="1" max="31">
+        <span class="ledger-note">Leave Min Payment blank to use the 1% + interest minimum. Statement and payment days apply to daily-balance interest.</span>
+      </div>
+      <div class="debt-type-fields hidden" data-debt-type="installment mortgage">
+        <input type="number" placeholder="Months Left" data-field="termMonths" step="1" min="1">
+        <span class="ledger-note">The payment is worked out from the months left.</span>
+      </div>
+      <div class="debt-type-fields hidden" data-debt-type="mortgage">
+        <input type="number" placeholder="Escrow / Month" data-field="escrow" step="0.01" min="0">
+        <input type="number" placeholder="PMI / Month" data-field="pmi" step="0.01" min="0">
+        <input type="number" placeholder="Original Home Value" data-field="homeValue" step="0.01" min="0">
+      </div>
+      <div class="debt-type-fields hidden" data-debt-type="student-loan">
+        <select data-field="repaymentPlan" aria-label="Repayment plan">${planOptions}</select>
+        <input type="number" placeholder="Annual Income (AGI)" data-field="income" step="0.01" min="0">
+        <input type="number" placeholder="Family Size" data-field="familySize" step="1" min="1">
+      </div>
     `;
+
+    Object.entries(values).forEach(([field, value]) => {
+      const input = debtItem.querySelector(`[data-field="${field}"]`);
+      if (input && value !== undefined && value !== null) input.value = value;
+    });
+    if (values.accountKey) debtItem.dataset.accountKey = values.accountKey;
+    updateDebtTypeFields(debtItem);
+
     if (debtListEl) debtListEl.appendChild(debtItem);
+    return debtItem;
+  }
+
+  /**
+   * Shows the fields for a debt's type; only untyped debts need a minimum payment entered
+   * @param {HTMLElement} debtItem - Debt item element
+   */
+  function updateDebtTypeFields(debtItem) {
+    const type = debtItem.querySelector('[data-field="type"]').value;
+    debtItem.querySelectorAll('.debt-type-fields').forEach(group => {
+      group.classList.toggle('hidden', !group.dataset.debtType.split(' ').includes(type));
+    });
+
+    const paymentInput = debtItem.querySelector('[data-field="payment"]');
+    paymentInput.required = type === 'other';
+    paymentInput.disabled = type === 'student-loan';
+    paymentInput.placeholder = type === 'other' ? 'Min Payment' : type === 'student-loan' ? 'Set by plan' : 'Payment (optional)';
   }
 
   /**
@@ -1628,10 +2071,78 @@
    */
   function removeDebtInput(button) {
     button.parentElement.remove();
+    renderDebtAccountOffers();
+    refreshEmergencyTarget();
+  }
+
+  /**
+   * Offers imported loan and credit card balances as entries for the debt list
+   */
+  function renderDebtAccountOffers() {
+    const offersEl = document.getElementById('imported-debt-accounts');
+    if (!offersEl) return;
+
+    const debtAccounts = (FinancialDataStore.accounts || []).filter(account => account.isDebt && account.balance > 0);
+    offersEl.classList.toggle('hidden', debtAccounts.length === 0);
+    if (debtAccounts.length === 0) {
+      offersEl.innerHTML = '';
+      return;
+    }
+
+    const items = debtAccounts.map(account => {
+      const linked = debtListEl && [...debtListEl.querySelectorAll('.debt-item')]
+        .find(item => item.dataset.accountKey === account.key);
+      const linkedBalance = linked ? parseFloat(linked.querySelector('[data-field="balance"]').value) : null;
+      const upToDate = linked && Math.abs(linkedBalance - account.balance) < 0.005;
+      const asOf = account.balanceDate ? ` as of ${new Date(account.balanceDate + 'T00:00:00').toLocaleDateString()}` : '';
+
+      return `
+        <div class="imported-account">
+          <span><strong>${escapeHtml(account.name)}</strong> · ${toCurrency(account.balance)}${asOf}</span>
+          <button type="button" class="btn-secondary" data-account-key="${escapeHtml(account.key)}" onclick="addAccountDebt(this.dataset.accountKey)" ${upToDate ? 'disabled' : ''}>
+            ${upToDate ? 'In Debt List' : linked ? 'Update Balance' : 'Add to Debts'}
+          </button>
+        </div>
+      `;
+    }).join('');
+
+    offersEl.innerHTML = `
+      <p class="ledger-note">Balances from your imported bank files:</p>
+      ${items}
+    `;
+  }
+
+  /**
+   * Adds an imported account to the debt list, or refreshes the balance of its existing entry
+   * @param {string} accountKey - Imported account key
+   */
+  function addAccountDebt(accountKey) {
+    const account = (FinancialDataStore.accounts || []).find(item => item.key === accountKey);
+    if (!account) return;
+
+    const linked = [...debtListEl.querySelectorAll('.debt-item')].find(item => item.dataset.accountKey === accountKey);
+    if (linked) {
+      linked.querySelector('[data-field="balance"]').value = account.balance.toFixed(2);
+    } else {
+      const debtItem = addDebtInput({
+        type: account.type === 'creditCard' ? 'credit-card' : 'other',
+        name: account.name,
+        balance: account.balance.toFixed(2),
+        rate: account.rate,
+        payment: account.payment,
+        accountKey
+      });
+      const missing = debtItem.querySelector('[data-field="rate"]:placeholder-shown, [data-field="payment"]:placeholder-shown');
+      if (missing) missing.focus();
+    }
+
+    renderDebtAccountOffers();
   }
 
   /**
-   * Collects debt data from form inputs
+   * Collects debt data from form inputs. Name, balance and rate are always required;
+   * an untyped debt also needs its minimum payment, and an installment loan or mortgage
+   * needs a payment or the months left.
    * @returns {Array} Array of debt objects
    */
   function collectDebtData() {
@@ -1639,26 +2150,22 @@
     const debts = [];
 
     debtItems.forEach(item => {
-      const inputs = item.querySelectorAll('input[data-field]');
+      const inputs = item.querySelectorAll(':scope > [data-field], .debt-type-fields:not(.hidden) [data-field]');
       const debt = {};
-      let valid = true;
 
       inputs.forEach(input => {
         const field = input.dataset.field;
         const value = input.value.trim();
+        if (!value || input.disabled) return;
 
-        if (!value) {
-          valid = false;
-          return;
-        }
-
-        if (field === 'name') {
-          debt[field] = value;
-        } else {
-          debt[field] = parseFloat(value);
-        }
+        debt[field] = DEBT_TEXT_FIELDS.includes(field) ? value : parseFloat(value);
       });
 
+      const hasPayment = debt.payment !== undefined;
+      const valid = debt.name && debt.balance !== undefined && debt.rate !== undefined &&
+        (debt.type !== 'other' || hasPayment) &&
+        (!['installment', 'mortgage'].includes(debt.type) || hasPayment || debt.termMonths !== undefined);
+
       if (valid) {
         debts.push(debt);
       }
@@ -1667,85 +2174,23 @@
     return debts;
   }
 
-  /**
-   * Calculates debt payoff using avalanche method (highest interest first)
-   * @param {Array} debts - Array of debt objects
-   * @param {number} extraPayment - Extra monthly payment
-   * @returns {object} Payoff plan
-   */
-  function calculateAvalanche(debts, extraPayment) {
-    const sortedDebts = [...debts].sort((a, b) => b.rate - a.rate);
-    return calculatePayoffPlan(sortedDebts, extraPayment, 'Debt Avalanche');
-  }
-
-  /**
-   * Calculates debt payoff using snowball method (smallest balance first)
-   * @param {Array} debts - Array of debt objects
-   * @param {number} extraPayment - Extra monthly payment
-   * @returns {object} Payoff plan
-   */
-  function calculateSnowball(debts, extraPayment) {
-    const sortedDebts = [...debts].sort((a, b) => a.balance - b.balance);
-    return calculatePayoffPlan(sortedDebts, extraPayment, 'Debt Snowball');
-  }
+  // The debt item being dragged in the debt list
+  let draggedDebtItem = null;
 
   /**
-   * Calculates detailed payoff plan for debts
-   * @param {Array} sortedDebts - Debts sorted by strategy
-   * @param {number} extraPayment - Extra monthly payment
-   * @param {string} strategyName - Name of the strategy
-   * @returns {object} Detailed payoff plan
+   * Moves the dragged debt above or below the debt under the pointer
+   * @param {DragEvent} event - Dragover event on the debt list
    */
-  function calculatePayoffPlan(sortedDebts, extraPayment, strategyName) {
-    let remainingDebts = sortedDebts.map(debt => ({...debt}));
-    let totalPaid = 0;
-    let totalInterest = 0;
-    let month = 0;
-    const timeline = [];
-
-    while (remainingDebts.length > 0 && month < 600) { // 50 year max
-      month++;
-      let monthlyExtra = extraPayment;
-
-      // Pay minimums on all debts first
-      remainingDebts.forEach(debt => {
-        const interestPayment = (debt.balance * (debt.rate / 100)) / 12;
-        const principalPayment = Math.min(debt.payment - interestPayment, debt.balance);
-
-        debt.balance -= principalPayment;
-        totalPaid += debt.payment;
-        totalInterest += interestPayment;
-      });
-
-      // Apply extra payment to priority debt
-      if (monthlyExtra > 0 && remainingDebts.length > 0) {
-        const priorityDebt = remainingDebts[0];
-        const extraApplied = Math.min(monthlyExtra, priorityDebt.balance);
-        priorityDebt.balance -= extraApplied;
-        totalPaid += extraApplied;
-      }
-
-      // Remove paid off debts
-      const paidOff = remainingDebts.filter(debt => debt.balance <= 0);
-      paidOff.forEach(debt => {
-        timeline.push({
-          month,
-          debtName: debt.name,
-          type: 'payoff'
-        });
-      });
+  function onDebtDragOver(event) {
+    if (!draggedDebtItem) return;
+    event.preventDefault();
 
-      remainingDebts = remainingDebts.filter(debt => debt.balance > 0);
-    }
+    const target = event.target.closest('.debt-item');
+    if (!target || target === draggedDebtItem) return;
 
-    return {
-      strategy: strategyName,
-      totalMonths: month,
-      totalPaid,
-      totalInterest,
-      timeline,
-      monthlySavings: extraPayment > 0 ? extraPayment : 0
-    };
+    const { top, height } = target.getBoundingClientRect();
+    const after = event.clientY > top + height / 2;
+    debtListEl.insertBefore(draggedDebtItem, after ? target.nextSibling : target);
   }
 
   /**
@@ -1758,8 +2203,10 @@
     const debts = collectDebtData();
     const extraPaymentEl = document.getElementById('extra-payment');
     const payoffStrategyEl = document.getElementById('payoff-strategy');
+    const targetDateEl = document.getElementById('target-payoff-date');
     const extraPayment = extraPaymentEl ? sanitizeNumber(extraPaymentEl.value) || 0 : 0;
     const strategy = payoffStrategyEl ? payoffStrategyEl.value : 'avalanche';
+    const targetPayoffDate = targetDateEl ? targetDateEl.value : '';
 
     if (debts.length === 0) {
     if (debtResultsEl) debtResultsEl.innerHTML = '<div class="error-message"><h4>Error</h4><p>Please add at least one debt.</p></div>';
@@ -1771,6 +2218,7 @@
     FinancialDataStore.debtStrategy = {
       extraPayment: extraPayment,
       selectedStrategy: strategy,
+      targetPayoffDate,
       lastUpdated: new Date().toISOString()
     };
 
@@ -1778,24 +2226,47 @@
     saveFinancialData();
     saveToLocalStorage('debts', debts);
 
-    const avalanchePlan = calculateAvalanche(debts, extraPayment);
-    const snowballPlan = calculateSnowball(debts, extraPayment);
-    const selectedPlan = strategy === 'avalanche' ? avalanchePlan : snowballPlan;
-    const alternativePlan = strategy === 'avalanche' ? snowballPlan : avalanchePlan;
+    // Every strategy is planned for the comparison; payments that can never clear the
+    // balances are reported instead of planned
+    const options = { targetMonths: window.debtPayoff.monthsUntil(targetPayoffDate) };
+    let plans;
+    let selectedPlan;
+    let midCycle;
+    try {
+      plans = window.debtPayoff.compareStrategies(debts, extraPayment, options);
+      selectedPlan = plans.find(plan => plan.key === strategy) || plans[0];
+      midCycle = window.debtPayoff.midCycleSavings(debts, extraPayment, selectedPlan);
+    } catch (error) {
+      if (debtResultsEl) debtResultsEl.innerHTML = `<div class="error-message"><h4>Error</h4><p>${escapeHtml(error.message)}</p></div>`;
+      return;
+    }
 
-    displayDebtResults(selectedPlan, alternativePlan, debts);
+    displayDebtResults(selectedPlan, plans, debts, midCycle);
     updateDashboard();
   }
 
   /**
    * Displays debt payoff results
    * @param {object} selectedPlan - Primary payoff plan
-   * @param {object} alternativePlan - Alternative payoff plan
+   * @param {Array} plans - Plans for every strategy, for comparison
    * @param {Array} debts - Original debt data
+   * @param {object|null} midCycle - Savings from paying daily-balance cards mid-cycle
    */
-  function displayDebtResults(selectedPlan, alternativePlan, debts) {
-    const totalDebt = debts.reduce((sum, debt) => sum + debt.balance, 0);
-    const minPayments = debts.reduce((sum, debt) => sum + debt.payment, 0);
+  function displayDebtResults(selectedPlan, plans, debts, midCycle) {
+    const leastInterest = Math.min(...plans.map(plan => plan.totalInterest));
+    const optimizedPlan = plans.find(plan => plan.key === 'optimized');
+    const comparisonRows = plans.map(plan => `
+      <tr class="${plan.key === selectedPlan.key ? 'strategy-selected' : ''}">
+        <td>${plan.strategy}</td>
+        <td>${plan.order.map(name => escapeHtml(name)).join(' → ')}</td>
+        <td>${Math.floor(plan.totalMonths / 12)}y ${plan.totalMonths % 12}m</td>
+        <td class="ledger-amount">${toCurrency(plan.totalInterest)}</td>
+        <td class="ledger-amount">${plan.totalInterest - leastInterest >= 0.5 ? `+${toCurrency(plan.totalInterest - leastInterest)}` : 'Least'}</td>
+      </tr>
+    `).join('');
+    const payoffOrder = selectedPlan.timeline.map(event => `
+      <li>Month ${event.month}: ${escapeHtml(event.debtName)} ${event.type === 'forgiven' ? 'forgiven' : 'paid off'}</li>
+    `).join('');
 
     const html = `
       <div class="payoff-summary">
@@ -1815,25 +2286,63 @@
           </div>
           <div class="overview-item">
             <span class="label">Monthly Payment</span>
-            <span class="value">${toCurrency(minPayments + selectedPlan.monthlySavings)}</span>
+            <span class="value">${toCurrency(selectedPlan.monthlyBudget)}</span>
           </div>
         </div>
+        ${selectedPlan.warnings.map(warning => `<p class="state-tax-note contribution-warning">${escapeHtml(warning)}</p>`).join('')}
+        <h4>Payoff Order</h4>
+        <ol class="payoff-order">${payoffOrder}</ol>
+        <p class="state-tax-note">
+          Each paid-off debt's minimum rolls into the next debt, so you pay ${toCurrency(selectedPlan.monthlyBudget)} every month
+          until the last one, which only needs ${toCurrency(selectedPlan.finalPayment)}.
+          ${selectedPlan.totalPmi > 0 ? `Totals include ${toCurrency(selectedPlan.totalPmi)} of PMI; once it drops off, the mortgage payment stays at principal and interest and the monthly payment falls by the PMI.` : ''}
+          ${selectedPlan.totalForgiven > 0 ? `${toCurrency(selectedPlan.totalForgiven)} of student loan balance is forgiven at the end of its repayment plan (forgiven balances may be taxable income).` : ''}
+          ${selectedPlan.totalEscrow > 0 ? `Mortgage escrow (${toCurrency(selectedPlan.totalEscrow)} over the plan) is paid on top of the monthly payment.` : ''}
+        </p>
+        ${midCycle ? `
+          <p class="state-tax-note">
+            ${midCycle.interestSaved >= 0.5
+              ? `Paying your daily-balance cards mid-cycle instead of on their payment day would save <strong>${toCurrency(midCycle.interestSaved)}</strong> of interest${midCycle.monthsSaved > 0 ? ` and finish ${midCycle.monthsSaved} month${midCycle.monthsSaved === 1 ? '' : 's'} sooner` : ''}.`
+              : 'Your daily-balance cards are already paid by the middle of their statement cycles.'}
+          </p>
+        ` : ''}
       </div>
 
-      <div class="strategy-comparison">
-        <h3>Strategy Comparison</h3>
-        <div class="comparison-grid">
-          <div class="comparison-item">
-            <h4>Debt Avalanche</h4>
-            <p>Payoff time: ${Math.floor(avalanchePlan.totalMonths / 12)}y ${avalanchePlan.totalMonths % 12}m</p>
-            <p>Interest paid: ${toCurrency(avalanchePlan.totalInterest)}</p>
-          </div>
-          <div class="comparison-item">
-            <h4>Debt Snowball</h4>
-            <p>Payoff time: ${Math.floor(snowballPlan.totalMonths / 12)}y ${snowballPlan.totalMonths % 12}m</p>
-            <p>Interest paid: ${toCurrency(snowballPlan.totalInterest)}</p>
+      <div class="amortization">
+        <div class="flex items-center justify-between">
+          <h3>Amortization Schedule</h3>
+          <button type="button" class="btn-secondary" onclick="downloadAmortizationCsv()">Download CSV</button>
+        </div>
+        <div class="chart-container full-width">
+          <h4>Balance by Month</h4>
+          <div class="chart-wrapper">
+            <canvas id="debtBalanceChart" width="800" height="400"></canvas>
           </div>
         </div>
+        ${renderAmortizationTables(selectedPlan)}
+      </div>
+
+      <div class="strategy-comparison">
+        <h3>Strategy Comparison</h3>
+        <table class="ledger-table strategy-table">
+          <thead>
+            <tr>
+              <th>Strategy</th>
+              <th>Order</th>
+              <th>Payoff Time</th>
+              <th>Interest</th>
+              <th>vs. Least Interest</th>
+            </tr>
+          </thead>
+          <tbody>${comparisonRows}</tbody>
+        </table>
+        ${optimizedPlan && optimizedPlan.targetMonths ? `
+          <p class="state-tax-note">
+            ${optimizedPlan.targetMet
+              ? `The optimized order is the cheapest one paid off by your target date, ${optimizedPlan.targetMonths} months away.`
+              : `No order pays everything off by your target date, ${optimizedPlan.targetMonths} months away; the optimized order finishes soonest. Raise the extra payment to meet it.`}
+          </p>
+        ` : ''}
       </div>
 
       <div class="debt-tips">
@@ -1848,283 +2357,2346 @@
     `;
 
   if (debtResultsEl) debtResultsEl.innerHTML = html;
+    lastPayoffPlan = selectedPlan;
+    createDebtBalanceChart(selectedPlan);
+    renderScenarioDebtChoices();
   }
 
-  /**
-   * Resets debt form
-   */
-  function onDebtReset() {
-    debtForm.reset();
-  if (debtListEl) debtListEl.innerHTML = '';
-  if (debtResultsEl) debtResultsEl.innerHTML = '';
-    debtCounter = 0;
-  }
+  // The plan on screen, kept for the CSV download
+  let lastPayoffPlan = null;
+  let debtBalanceChart = null;
 
-  // ============================================================================
-  // EMERGENCY FUND FUNCTIONS
-  // ============================================================================
+  // Amortization amounts are shown to the cent so they match lender statements
+  const formatCents = amount => amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
 
   /**
-   * Handles emergency fund form submission
-   * @param {Event} event - Form submit event
+   * Renders one collapsible month-by-month table per debt
+   * @param {object} plan - Payoff plan with a schedule
+   * @returns {string} HTML markup
    */
-  function onEmergencySubmit(event) {
-    event.preventDefault();
+  function renderAmortizationTables(plan) {
+    return plan.debts.map(debt => {
+      // Mortgages also show the PMI and escrow paid alongside principal and interest
+      const isMortgage = debt.type === 'mortgage';
+      const rows = plan.schedule.filter(row => row.debtId === debt.id).map(row => `
+        <tr>
+          <td>${row.month}</td>
+          <td class="ledger-amount">${formatCents(row.payment)}</td>
+          <td class="ledger-amount">${formatCents(row.interest)}</td>
+          <td class="ledger-amount">${formatCents(row.principal)}</td>
+          ${isMortgage ? `<td class="ledger-amount">${formatCents(row.pmi)}</td><td class="ledger-amount">${formatCents(row.escrow)}</td>` : ''}
+          <td class="ledger-amount">${formatCents(row.balance)}</td>
+        </tr>
+      `).join('');
+
+      const milestones = [
+        `${window.debtPayoff.DEBT_TYPES[debt.type]}, ${formatCents(debt.scheduledPayment)} scheduled payment`,
+        debt.promoEndsMonth ? `promo rate ends after month ${debt.promoEndsMonth}` : '',
+        debt.dailyBalance ? 'interest compounded daily on the daily balance' : '',
+        debt.pmiDropMonth ? `PMI drops off in month ${debt.pmiDropMonth}` : '',
+        debt.forgiven > 0 ? `${formatCents(debt.forgiven)} forgiven in month ${debt.payoffMonth}` : ''
+      ].filter(Boolean).join(' · ');
 
-    const formData = new FormData(emergencyForm);
-    const monthlyExpenses = sanitizeNumber(formData.get('emergencyExpenses'));
-    const targetMonths = parseInt(formData.get('emergencyMonths'));
-    const currentFund = sanitizeNumber(formData.get('currentEmergency')) || 0;
-    const monthlyContribution = sanitizeNumber(formData.get('monthlyContribution')) || 0;
-
-    if (monthlyExpenses <= 0) {
-  if (emergencyResultsEl) emergencyResultsEl.innerHTML = '<div class="error-message"><h4>Error</h4><p>Please enter valid monthly expenses.</p></div>';
-      return;
-    }
-
-    const targetAmount = monthlyExpenses * targetMonths;
-    const remainingAmount = Math.max(0, targetAmount - currentFund);
-    const progressPercent = Math.min(100, (currentFund / targetAmount) * 100);
+      return `
+        <details class="amortization-debt">
+          <summary>
+            <strong>${escapeHtml(debt.name)}</strong> · ${formatCents(debt.startingBalance)} ${debt.forgiven > 0 ? 'forgiven' : 'paid off'} in month ${debt.payoffMonth}
+            · ${formatCents(debt.totalInterest)} interest
+          </summary>
+          <p class="ledger-note">${milestones}</p>
+          <table class="ledger-table amortization-table">
+            <thead>
+              <tr>
+                <th>Month</th>
+                <th>Payment</th>
+                <th>Interest</th>
+                <th>Principal</th>
+                ${isMortgage ? '<th>PMI</th><th>Escrow</th>' : ''}
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </details>
+      `;
+    }).join('');
+  }
 
-    let monthsToGoal = 0;
-    if (remainingAmount > 0 && monthlyContribution > 0) {
-      monthsToGoal = Math.ceil(remainingAmount / monthlyContribution);
+  /**
+   * Draws each debt's remaining balance as a stacked area, so the top edge is total debt
+   * @param {object} plan - Payoff plan with a schedule
+   */
+  function createDebtBalanceChart(plan) {
+    if (debtBalanceChart) {
+      debtBalanceChart.destroy();
+      debtBalanceChart = null;
     }
 
-    // Save emergency fund data to FinancialDataStore
-    FinancialDataStore.emergencyFund = {
-      targetAmount: targetAmount,
-      currentFund: currentFund,
-      monthlyExpenses: monthlyExpenses,
-      targetMonths: targetMonths,
-      monthlyContribution: monthlyContribution,
-      remainingAmount: remainingAmount,
-      progressPercent: progressPercent,
-      monthsToGoal: monthsToGoal,
-      lastUpdated: new Date().toISOString()
-    };
+    const ctx = document.getElementById('debtBalanceChart');
+    if (!ctx || typeof Chart === 'undefined') return;
 
-    // Save to localStorage and dashboard
-    saveFinancialData();
-    saveToLocalStorage('emergencyFund', currentFund);
-    saveToLocalStorage('monthlyExpenses', monthlyExpenses);
+    const colors = [
+      'rgba(99, 102, 241, 0.6)',
+      'rgba(168, 85, 247, 0.6)',
+      'rgba(236, 72, 153, 0.6)',
+      'rgba(245, 101, 101, 0.6)',
+      'rgba(251, 191, 36, 0.6)',
+      'rgba(34, 197, 94, 0.6)',
+      'rgba(14, 165, 233, 0.6)'
+    ];
+    const series = window.debtPayoff.getBalanceSeries(plan);
 
-    displayEmergencyResults(targetAmount, currentFund, remainingAmount, progressPercent, monthsToGoal, monthlyContribution);
+    debtBalanceChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: Array.from({ length: plan.totalMonths }, (_, index) => `Month ${index + 1}`),
+        datasets: series.map((debt, index) => ({
+          label: debt.name,
+          data: debt.balances,
+          // Each area fills down to the debt below it, so the stack doesn't paint over itself
+          fill: index === 0 ? 'origin' : '-1',
+          backgroundColor: colors[index % colors.length],
+          borderColor: colors[index % colors.length].replace('0.6', '1'),
+          borderWidth: 1,
+          pointRadius: 0,
+          tension: 0.2
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: {
+            labels: {
+              color: '#ffffff',
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            callbacks: {
+              label: function(context) {
+                return `${context.dataset.label}: ${formatCents(context.parsed.y)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: { color: '#ffffff', maxTicksLimit: 12 },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+          },
+          y: {
+            stacked: true,
+            ticks: {
+              color: '#ffffff',
+              callback: function(value) {
+                return '$' + value.toLocaleString();
+              }
+            },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Downloads the amortization schedule on screen as a CSV file
+   */
+  function downloadAmortizationCsv() {
+    if (!lastPayoffPlan) return;
+
+    const blob = new Blob([window.debtPayoff.toCSV(lastPayoffPlan)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `debt-amortization-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Resets debt form
+   */
+  function onDebtReset() {
+    debtForm.reset();
+  if (debtListEl) debtListEl.innerHTML = '';
+  if (debtResultsEl) debtResultsEl.innerHTML = '';
+    if (debtBalanceChart) {
+      debtBalanceChart.destroy();
+      debtBalanceChart = null;
+    }
+    lastPayoffPlan = null;
+    debtCounter = 0;
+    renderDebtAccountOffers();
+    renderScenarioDebtChoices();
+    refreshEmergencyTarget();
+  }
+
+  // ============================================================================
+  // DEBT SCENARIO FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Adds a balance-transfer or consolidation loan scenario to the form
+   * @param {Object} [values] - Optional scenario fields
+   * @returns {HTMLElement} The new scenario item
+   */
+  function addScenarioInput(values = {}) {
+    const scenarioItem = document.createElement('div');
+    scenarioItem.className = 'scenario-item';
+    const typeOptions = Object.entries(window.debtScenarios.SCENARIO_TYPES)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    scenarioItem.innerHTML = `
+      <select data-field="type" aria-label="Scenario type">${typeOptions}</select>
+      <input type="text" placeholder="Offer name (e.g., 0% Transfer Card)" data-field="name">
+      <input type="number" placeholder="Fee (%)" data-field="feePercent" step="0.01" min="0">
+      <input type="number" placeholder="Promo APR (%)" data-field="promoRate" data-scenario-type="balance-transfer" step="0.01" min="0">
+      <input type="number" placeholder="Promo Months" data-field="promoMonths" data-scenario-type="balance-transfer" step="1" min="0">
+      <input type="number" placeholder="Term (Months)" data-field="termMonths" data-scenario-type="consolidation-loan" step="1" min="1">
+      <input type="number" placeholder="APR After Promo (%)" data-field="rate" step="0.01" min="0" required>
+      <button type="button" class="remove-debt-btn" onclick="removeScenarioInput(this)">×</button>
+      <div class="scenario-debts"></div>
+    `;
+
+    Object.entries(values).forEach(([field, value]) => {
+      const input = scenarioItem.querySelector(`[data-field="${field}"]`);
+      if (input && value !== undefined && value !== null) input.value = value;
+    });
+    updateScenarioTypeFields(scenarioItem);
+
+    if (scenarioListEl) scenarioListEl.appendChild(scenarioItem);
+    renderScenarioDebtChoices();
+    return scenarioItem;
+  }
+
+  /**
+   * Shows the promo fields for a balance transfer or the term for a loan
+   * @param {HTMLElement} scenarioItem - Scenario item element
+   */
+  function updateScenarioTypeFields(scenarioItem) {
+    const type = scenarioItem.querySelector('[data-field="type"]').value;
+    scenarioItem.querySelectorAll('[data-scenario-type]').forEach(input => {
+      input.classList.toggle('hidden', input.dataset.scenarioType !== type);
+    });
+    scenarioItem.querySelector('[data-field="rate"]').placeholder = type === 'balance-transfer' ? 'APR After Promo (%)' : 'Loan APR (%)';
+  }
+
+  /**
+   * Removes a scenario from the form
+   * @param {HTMLElement} button - Remove button element
+   */
+  function removeScenarioInput(button) {
+    button.parentElement.remove();
+  }
+
+  /**
+   * Lists the debts of the plan on screen in every scenario, keeping the ones already ticked
+   */
+  function renderScenarioDebtChoices() {
+    if (!scenarioListEl) return;
+
+    const debts = lastPayoffPlan ? FinancialDataStore.debts || [] : [];
+    scenarioListEl.querySelectorAll('.scenario-debts').forEach(container => {
+      const checked = [...container.querySelectorAll('input:checked')].map(input => input.dataset.debtName);
+      container.innerHTML = debts.length === 0
+        ? '<span class="ledger-note">Calculate your payoff plan above to choose the debts to move.</span>'
+        : debts.map((debt, index) => `
+          <label>
+            <input type="checkbox" value="${index}" data-debt-name="${escapeHtml(debt.name)}" ${checked.includes(debt.name) ? 'checked' : ''}>
+            ${escapeHtml(debt.name)} · ${toCurrency(debt.balance)}
+          </label>
+        `).join('');
+    });
+  }
+
+  /**
+   * Collects scenarios from the form
+   * @returns {Array} Scenario objects for debtScenarios.compare
+   */
+  function collectScenarioData() {
+    return [...scenarioListEl.querySelectorAll('.scenario-item')].map(item => {
+      const scenario = {
+        debtIndexes: [...item.querySelectorAll('.scenario-debts input:checked')].map(input => parseInt(input.value, 10))
+      };
+      item.querySelectorAll('[data-field]:not(.hidden)').forEach(input => {
+        const value = input.value.trim();
+        if (!value) return;
+        scenario[input.dataset.field] = ['type', 'name'].includes(input.dataset.field) ? value : parseFloat(value);
+      });
+      return scenario;
+    });
+  }
+
+  /**
+   * Handles scenario comparison against the payoff plan on screen
+   * @param {Event} event - Form submit event
+   */
+  function onScenarioSubmit(event) {
+    event.preventDefault();
+
+    const showError = message => {
+      scenarioResultsEl.innerHTML = `<div class="error-message"><h4>Error</h4><p>${escapeHtml(message)}</p></div>`;
+    };
+    if (!lastPayoffPlan) {
+      showError('Calculate your payoff plan above first.');
+      return;
+    }
+
+    const scenarios = collectScenarioData();
+    if (scenarios.length === 0) {
+      showError('Please add at least one scenario.');
+      return;
+    }
+
+    const settings = FinancialDataStore.debtStrategy;
+    let comparison;
+    try {
+      comparison = window.debtScenarios.compare(
+        FinancialDataStore.debts,
+        settings.extraPayment,
+        settings.selectedStrategy,
+        scenarios,
+        { targetMonths: window.debtPayoff.monthsUntil(settings.targetPayoffDate) }
+      );
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+
+    renderScenarioResults(comparison);
+  }
+
+  /**
+   * Renders each scenario's cost, break-even month and promo risk next to the current plan
+   * @param {object} comparison - Result of debtScenarios.compare
+   */
+  function renderScenarioResults(comparison) {
+    const { current } = comparison;
+    const payoffTime = months => `${Math.floor(months / 12)}y ${months % 12}m`;
+
+    const scenarioRows = comparison.scenarios.map(scenario => `
+      <tr>
+        <td>${escapeHtml(scenario.name)}</td>
+        <td class="ledger-amount">${toCurrency(scenario.plan.monthlyBudget)}</td>
+        <td>${payoffTime(scenario.plan.totalMonths)}</td>
+        <td class="ledger-amount">${toCurrency(scenario.totalCost)}</td>
+        <td class="ledger-amount ${scenario.savings < 0 ? 'scenario-worse' : ''}">
+          ${scenario.savings >= 0 ? `Saves ${toCurrency(scenario.savings)}` : `Costs ${toCurrency(-scenario.savings)} more`}
+        </td>
+        <td>${scenario.breakEvenMonth ? `Month ${scenario.breakEvenMonth}` : 'Never'}</td>
+        <td class="ledger-amount">${scenario.promo ? toCurrency(scenario.promo.remainingBalance) : '—'}</td>
+      </tr>
+    `).join('');
+
+    const notes = comparison.scenarios.map(scenario => {
+      const lines = [
+        `Moves ${scenario.movedDebts.map(name => escapeHtml(name)).join(', ')} (${toCurrency(scenario.movedBalance)})` +
+          (scenario.fee > 0 ? ` with a ${toCurrency(scenario.fee)} fee added to the balance.` : '.')
+      ];
+      if (scenario.promo && scenario.promo.remainingBalance > 0) {
+        lines.push(`<span class="contribution-warning">${toCurrency(scenario.promo.remainingBalance)} is still owed when the promo ends after month ${scenario.promo.months}, and it starts charging ${scenario.rate}%.</span> Paying ${toCurrency(scenario.promo.payoffPayment)} a month toward it clears it in time.`);
+      } else if (scenario.promo) {
+        lines.push(`The transfer is paid off before the promo ends after month ${scenario.promo.months}.`);
+      }
+      if (scenario.budgetIncrease > 0) {
+        lines.push(`<span class="contribution-warning">The loan payment needs ${toCurrency(scenario.budgetIncrease)} a month more than your current plan.</span>`);
+      }
+      return `<li><strong>${escapeHtml(scenario.name)}:</strong> ${lines.join(' ')}</li>`;
+    }).join('');
+
+    scenarioResultsEl.innerHTML = `
+      <div class="scenario-comparison">
+        <h3>Scenarios vs. ${current.strategy}</h3>
+        <table class="ledger-table scenario-table">
+          <thead>
+            <tr>
+              <th>Scenario</th>
+              <th>Monthly</th>
+              <th>Payoff Time</th>
+              <th>Interest &amp; Fees</th>
+              <th>vs. Current</th>
+              <th>Break-Even</th>
+              <th>Left When Promo Ends</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr class="strategy-selected">
+              <td>Current plan</td>
+              <td class="ledger-amount">${toCurrency(current.monthlyBudget)}</td>
+              <td>${payoffTime(current.totalMonths)}</td>
+              <td class="ledger-amount">${toCurrency(current.totalCost)}</td>
+              <td>—</td>
+              <td>—</td>
+              <td>—</td>
+            </tr>
+            ${scenarioRows}
+          </tbody>
+        </table>
+        <ul class="scenario-notes">${notes}</ul>
+        <p class="state-tax-note">
+          Each scenario keeps your current ${toCurrency(current.monthlyBudget)} monthly budget and payoff strategy.
+          Break-even is the month from which the scenario's interest and fees stay at or below the current plan's for good.
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Clears the scenario comparer
+   */
+  function onScenarioReset() {
+    scenarioForm.reset();
+    scenarioListEl.innerHTML = '';
+    scenarioResultsEl.innerHTML = '';
+  }
+
+  // ============================================================================
+  // EMERGENCY FUND FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Reads the crisis toggles and risk profile from the emergency fund form
+   * @returns {object} { essentials, risk }
+   */
+  function readEmergencySettings() {
+    const essentials = {};
+    emergencyForm.querySelectorAll('input[name="essential"]').forEach(input => {
+      essentials[input.value] = input.checked;
+    });
+    return {
+      essentials,
+      risk: {
+        jobStability: emergencyForm.elements.jobStability.value,
+        dependents: sanitizeNumber(emergencyForm.elements.dependents.value),
+        incomeVariability: emergencyForm.elements.incomeVariability.value
+      }
+    };
+  }
+
+  /**
+   * Works out the emergency fund target from the Budget Planner amounts and the debt list
+   * as they stand now (the saved debts when the list is empty)
+   * @returns {object} Result of emergencyFund.calculateTarget
+   */
+  function calculateEmergencyTarget() {
+    const expenses = expenseFieldConfig.reduce((acc, config) => {
+      acc[config.key] = config.amountEl ? sanitizeNumber(config.amountEl.value) : 0;
+      return acc;
+    }, {});
+    const debts = debtListEl && debtListEl.querySelector('.debt-item') ? collectDebtData() : FinancialDataStore.debts || [];
+
+    return window.emergencyFund.calculateTarget({ expenses, debts, ...readEmergencySettings() });
+  }
+
+  /**
+   * Shows each category's amount and the risk-adjusted target next to the form
+   * @param {object} target - Result of emergencyFund.calculateTarget
+   */
+  function renderEmergencyTarget(target) {
+    target.categories.forEach(category => {
+      const amountEl = emergencyForm.querySelector(`[data-essential-amount="${category.key}"]`);
+      if (amountEl) amountEl.textContent = toCurrency(category.amount);
+    });
+
+    const factors = target.factors
+      .filter(factor => factor.months > 0)
+      .map(factor => `<li>${escapeHtml(factor.label)}: +${factor.months} month${factor.months === 1 ? '' : 's'}</li>`)
+      .join('');
+
+    const targetEl = document.getElementById('emergency-target');
+    if (targetEl) targetEl.innerHTML = `
+      <p><strong>${toCurrency(target.targetAmount)}</strong> target: ${toCurrency(target.monthlyEssentials)} of essentials × ${target.months} months</p>
+      <ul class="emergency-factors">${factors}</ul>
+      ${target.months === window.emergencyFund.MAX_MONTHS ? `<p class="ledger-note">Capped at ${window.emergencyFund.MAX_MONTHS} months.</p>` : ''}
+    `;
+  }
+
+  /**
+   * Recalculates the target after a budget, debt or risk change, and re-renders the plan
+   * when one is already on screen. Nothing is saved until the form is submitted.
+   */
+  function refreshEmergencyTarget() {
+    if (!emergencyForm) return;
+    renderEmergencyTarget(calculateEmergencyTarget());
+    if (emergencyResultsEl && emergencyResultsEl.innerHTML.trim()) runEmergencyPlan(false);
+    if (runwayResultsEl && runwayResultsEl.innerHTML.trim()) runRunwaySimulation();
+  }
+
+  /**
+   * Handles emergency fund form submission
+   * @param {Event} event - Form submit event
+   */
+  function onEmergencySubmit(event) {
+    event.preventDefault();
+    runEmergencyPlan();
+  }
+
+  /**
+   * Calculates and renders the emergency fund plan
+   * @param {boolean} persist - Also save the plan and update the dashboard (on submit)
+   */
+  function runEmergencyPlan(persist = true) {
+    const formData = new FormData(emergencyForm);
+    const target = calculateEmergencyTarget();
+    const tiers = collectEmergencyAccounts();
+    const currentFund = tiers.length > 0
+      ? tiers.reduce((sum, tier) => sum + tier.balance, 0)
+      : sanitizeNumber(formData.get('currentEmergency')) || 0;
+    const monthlyContribution = sanitizeNumber(formData.get('monthlyContribution')) || 0;
+
+    if (target.monthlyEssentials <= 0) {
+  if (emergencyResultsEl) emergencyResultsEl.innerHTML = '<div class="error-message"><h4>Error</h4><p>Enter your essential expenses in the Budget Planner, or tick at least one category with an amount.</p></div>';
+      return;
+    }
+
+    const monthlyExpenses = target.monthlyEssentials;
+    const targetMonths = target.months;
+    const targetAmount = target.targetAmount;
+    const remainingAmount = Math.max(0, targetAmount - currentFund);
+    const progressPercent = Math.min(100, (currentFund / targetAmount) * 100);
+
+    // Without accounts the balance is projected as one account earning no interest
+    const accounts = window.emergencyAccounts.calculate({
+      tiers: tiers.length > 0 ? tiers : [{ type: 'savings', balance: currentFund }],
+      monthlyContribution,
+      targetAmount,
+      rates: getInterestTaxRates()
+    });
+    const monthsToGoal = accounts.monthsToGoal;
+
+    displayEmergencyResults(targetAmount, currentFund, remainingAmount, progressPercent, monthsToGoal, monthlyContribution,
+      tiers.length > 0 ? accounts : null);
+    if (!persist) return;
+
+    // Save emergency fund data to FinancialDataStore
+    FinancialDataStore.emergencyFund = {
+      targetAmount: targetAmount,
+      currentFund: currentFund,
+      monthlyExpenses: monthlyExpenses,
+      targetMonths: targetMonths,
+      essentials: readEmergencySettings().essentials,
+      risk: target.risk,
+      accounts: tiers,
+      monthlyContribution: monthlyContribution,
+      remainingAmount: remainingAmount,
+      progressPercent: progressPercent,
+      monthsToGoal: monthsToGoal,
+      lastUpdated: new Date().toISOString()
+    };
+
+    // Save to localStorage and dashboard
+    saveFinancialData();
+    saveToLocalStorage('emergencyFund', currentFund);
+    saveToLocalStorage('monthlyExpenses', monthlyExpenses);
     updateDashboard();
   }
 
   /**
-   * Displays emergency fund results
+   * Marginal federal and state rates on interest, from the income calculator
+   * @returns {object} { federal, state }
+   */
+  function getInterestTaxRates() {
+    const income = FinancialDataStore.income;
+    if (!income.annualGrossIncome) return { federal: 0, state: 0 };
+
+    return window.emergencyAccounts.marginalRates({
+      income: income.annualGrossIncome,
+      filingStatus: income.filingStatus,
+      taxYear: income.taxYear,
+      state: getStateFromZipcode(income.zipcode, income.zipState)
+    });
+  }
+
+  /**
+   * Describes how quickly an account tier can be reached
+   * @param {object} tier - Tier from emergencyAccounts.calculate
+   * @returns {string} HTML text
+   */
+  function describeLiquidity(tier) {
+    const { liquidity } = tier;
+    if (liquidity.maturesEveryMonths === null) return 'Any time, in 1–2 business days';
+
+    const every = liquidity.maturesEveryMonths === 1 ? 'every month' : `every ${Number(liquidity.maturesEveryMonths.toFixed(1))} months`;
+    const early = liquidity.earlyAccess === 'penalty'
+      ? `breaking it early costs ${liquidity.penaltyMonths} months of interest (${toCurrency(liquidity.penalty)})`
+      : 'sell earlier at market price';
+    return `${toCurrency(liquidity.rungAmount)} matures ${every}; ${early}`;
+  }
+
+  /**
+   * Displays emergency fund results
+   * @param {object|null} accounts - Account tiers from emergencyAccounts.calculate, when entered
+   */
+  function displayEmergencyResults(targetAmount, currentFund, remainingAmount, progressPercent, monthsToGoal, monthlyContribution, accounts) {
+    let timeToGoal = 'Goal reached!';
+    if (monthsToGoal === null) {
+      timeToGoal = monthlyContribution > 0 ? `Over ${window.emergencyAccounts.MAX_MONTHS / 12} years` : 'Add a monthly contribution';
+    } else if (monthsToGoal > 0) {
+      timeToGoal = `${Math.floor(monthsToGoal / 12)} years, ${monthsToGoal % 12} months`;
+    }
+
+    const accountRows = accounts ? accounts.tiers.map(tier => `
+      <tr>
+        <td>${escapeHtml(tier.name)}<br><span class="ledger-note">${tier.label}${tier.rungs > 1 ? `, ${tier.rungs}-rung ladder` : ''}</span></td>
+        <td class="ledger-amount">${toCurrency(tier.balance)}</td>
+        <td class="ledger-amount">${tier.apy.toFixed(2)}%</td>
+        <td class="ledger-amount">${tier.afterTaxYield.toFixed(2)}%${tier.stateTaxExempt && accounts.rates.state > 0 ? ' (no state tax)' : ''}</td>
+        <td>${describeLiquidity(tier)}</td>
+      </tr>
+    `).join('') : '';
+
+    const html = `
+      <div class="emergency-progress">
+        <h3>Emergency Fund Progress</h3>
+        <div class="progress-bar">
+          <div class="progress-fill" style="width: ${progressPercent}%">
+            <span class="progress-text">${progressPercent.toFixed(1)}%</span>
+          </div>
+        </div>
+        <div class="overview-grid">
+          <div class="overview-item">
+            <span class="label">Target Amount</span>
+            <span class="value">${toCurrency(targetAmount)}</span>
+          </div>
+          <div class="overview-item">
+            <span class="label">Current Amount</span>
+            <span class="value">${toCurrency(currentFund)}</span>
+          </div>
+          <div class="overview-item">
+            <span class="label">Remaining Needed</span>
+            <span class="value">${toCurrency(remainingAmount)}</span>
+          </div>
+          <div class="overview-item">
+            <span class="label">Time to Goal</span>
+            <span class="value">${timeToGoal}</span>
+          </div>
+        </div>
+      </div>
+
+      ${accounts ? `
+        <div class="emergency-accounts">
+          <h3>Where Your Fund Is Held</h3>
+          <table class="ledger-table emergency-account-table">
+            <thead>
+              <tr>
+                <th>Account</th>
+                <th>Balance</th>
+                <th>APY</th>
+                <th>After-Tax Yield</th>
+                <th>Liquidity</th>
+              </tr>
+            </thead>
+            <tbody>${accountRows}</tbody>
+          </table>
+          <p class="state-tax-note">
+            Blended yield ${accounts.blendedApy.toFixed(2)}% (${accounts.blendedAfterTaxYield.toFixed(2)}% after tax);
+            ${toCurrency(accounts.immediate)} can be reached within a month without selling or a penalty.
+            The next 12 months earn about ${toCurrency(accounts.oneYear.interest)} of interest${monthsToGoal > 0 ? `, and ${toCurrency(accounts.interestToGoal)} is earned on the way to the target` : ''}.
+            ${accounts.rates.federal > 0 ? `After-tax yields use your ${(accounts.rates.federal * 100).toFixed(0)}% federal and ${(accounts.rates.state * 100).toFixed(2)}% state marginal rates.` : 'Calculate your income to see after-tax yields.'}
+          </p>
+        </div>
+      ` : ''}
+
+      <div class="emergency-tips">
+        <h4>Emergency Fund Tips:</h4>
+        <ul>
+          <li>Keep emergency funds in a high-yield savings account</li>
+          <li>Only use for true emergencies (job loss, medical bills, major repairs)</li>
+          <li>Replenish immediately after using</li>
+          <li>Consider increasing to 9-12 months if you're self-employed</li>
+        </ul>
+      </div>
+    `;
+
+  if (emergencyResultsEl) emergencyResultsEl.innerHTML = html;
+  }
+
+  /**
+   * Resets emergency fund form
+   */
+  function onEmergencyReset() {
+    emergencyForm.reset();
+  if (emergencyResultsEl) emergencyResultsEl.innerHTML = '';
+    if (emergencyAccountListEl) emergencyAccountListEl.innerHTML = '';
+    syncEmergencyBalance();
+    refreshEmergencyTarget();
+  }
+
+  /**
+   * Adds an account tier to the emergency fund form
+   * @param {Object} [values] - Optional tier fields
+   * @returns {HTMLElement} The new account item
+   */
+  function addEmergencyAccountInput(values = {}) {
+    const accountItem = document.createElement('div');
+    accountItem.className = 'emergency-account-item';
+    const typeOptions = Object.entries(window.emergencyAccounts.ACCOUNT_TYPES)
+      .map(([value, info]) => `<option value="${value}">${info.label}</option>`).join('');
+    accountItem.innerHTML = `
+      <select data-field="type" aria-label="Account type">${typeOptions}</select>
+      <input type="text" placeholder="Account name" data-field="name">
+      <input type="number" placeholder="Balance" data-field="balance" step="0.01" min="0">
+      <input type="number" placeholder="APY (%)" data-field="apy" step="0.01" min="0">
+      <input type="number" placeholder="Term (Months)" data-field="termMonths" data-account-term step="1" min="1">
+      <input type="number" placeholder="Ladder Rungs" data-field="rungs" data-account-term step="1" min="1">
+      <input type="number" placeholder="Share of Contribution (%)" data-field="contributionShare" step="1" min="0" max="100">
+      <button type="button" class="remove-debt-btn" onclick="removeEmergencyAccountInput(this)">×</button>
+    `;
+
+    Object.entries(values).forEach(([field, value]) => {
+      const input = accountItem.querySelector(`[data-field="${field}"]`);
+      if (input && value !== undefined && value !== null) input.value = value;
+    });
+    updateEmergencyAccountFields(accountItem);
+
+    emergencyAccountListEl.appendChild(accountItem);
+    syncEmergencyBalance();
+    return accountItem;
+  }
+
+  /**
+   * Shows the term and ladder fields for T-bills and CDs
+   * @param {HTMLElement} accountItem - Account item element
+   */
+  function updateEmergencyAccountFields(accountItem) {
+    const type = accountItem.querySelector('[data-field="type"]').value;
+    accountItem.querySelectorAll('[data-account-term]').forEach(input => {
+      input.classList.toggle('hidden', !window.emergencyAccounts.ACCOUNT_TYPES[type].hasTerm);
+    });
+  }
+
+  /**
+   * Removes an account tier from the emergency fund form
+   * @param {HTMLElement} button - Remove button element
+   */
+  function removeEmergencyAccountInput(button) {
+    button.parentElement.remove();
+    syncEmergencyBalance();
+    refreshEmergencyTarget();
+  }
+
+  /**
+   * Collects account tiers from the emergency fund form
+   * @returns {Array} Tier objects for emergencyAccounts.calculate
+   */
+  function collectEmergencyAccounts() {
+    if (!emergencyAccountListEl) return [];
+
+    return [...emergencyAccountListEl.querySelectorAll('.emergency-account-item')].map(item => {
+      const tier = {};
+      item.querySelectorAll('[data-field]:not(.hidden)').forEach(input => {
+        const value = input.value.trim();
+        if (!value) return;
+        tier[input.dataset.field] = ['type', 'name'].includes(input.dataset.field) ? value : parseFloat(value);
+      });
+      return window.emergencyAccounts.normalizeTier(tier);
+    });
+  }
+
+  /**
+   * Shows the accounts' total as the current balance, which can't be typed while accounts are listed
+   */
+  function syncEmergencyBalance() {
+    const balanceInput = emergencyForm.elements.currentEmergency;
+    const tiers = collectEmergencyAccounts();
+    balanceInput.readOnly = tiers.length > 0;
+    if (tiers.length > 0) {
+      balanceInput.value = tiers.reduce((sum, tier) => sum + tier.balance, 0).toFixed(2);
+    }
+  }
+
+  // ============================================================================
+  // JOB-LOSS RUNWAY FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Fills the runway state select with the states that have unemployment figures
+   * @param {string} selected - State to select, such as the income calculator's state
+   */
+  function populateRunwayStateSelect(selected = '') {
+    if (!runwayForm) return;
+
+    const select = runwayForm.elements.runwayState;
+    select.innerHTML = window.stateTax.getStates()
+      .filter(state => window.jobLossRunway.UNEMPLOYMENT[state.code])
+      .map(state => `<option value="${state.code}">${escapeHtml(state.name)}</option>`)
+      .join('');
+    if (window.jobLossRunway.UNEMPLOYMENT[selected]) select.value = selected;
+  }
+
+  /**
+   * Handles job-loss runway submission
+   * @param {Event} event - Form submit event
+   */
+  function onRunwaySubmit(event) {
+    event.preventDefault();
+    runRunwaySimulation();
+  }
+
+  /**
+   * Simulates a job loss with the emergency fund balance and essential expenses on screen
+   */
+  function runRunwaySimulation() {
+    const target = calculateEmergencyTarget();
+    if (target.monthlyEssentials <= 0) {
+      runwayResultsEl.innerHTML = '<div class="error-message"><h4>Error</h4><p>Enter your essential expenses in the Budget Planner first.</p></div>';
+      return;
+    }
+
+    const fields = runwayForm.elements;
+    const wagesText = fields.runwayWages.value.trim();
+    const benefitText = fields.runwayBenefit.value.trim();
+    const cobraMonthsText = fields.runwayCobraMonths.value.trim();
+    const runway = window.jobLossRunway.calculate({
+      fund: sanitizeNumber(emergencyForm.elements.currentEmergency.value),
+      severance: sanitizeNumber(fields.runwaySeverance.value),
+      state: fields.runwayState.value,
+      annualWages: wagesText === '' ? FinancialDataStore.income.annualGrossIncome : sanitizeNumber(wagesText),
+      weeklyBenefit: benefitText === '' ? undefined : sanitizeNumber(benefitText),
+      cobraPremium: sanitizeNumber(fields.runwayCobra.value),
+      cobraMonths: cobraMonthsText === '' ? undefined : sanitizeNumber(cobraMonthsText),
+      monthlyExpenses: target.monthlyEssentials,
+      categories: target.categories
+    });
+
+    renderRunwayResults(runway, benefitText === '');
+  }
+
+  /**
+   * Renders the month-by-month drawdown and the budget cuts that extend it
+   * @param {object} runway - Result of jobLossRunway.calculate
+   * @param {boolean} estimated - True when the weekly benefit is the state estimate
+   */
+  function renderRunwayResults(runway, estimated) {
+    const horizonYears = window.jobLossRunway.HORIZON_MONTHS / 12;
+    const months = value => `${value.toFixed(1)} months`;
+    const today = new Date();
+    const monthName = month => new Date(today.getFullYear(), today.getMonth() + month, 1)
+      .toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+    const rows = runway.rows.map(row => `
+      <tr class="${row.endBalance < 0 ? 'runway-out' : ''}">
+        <td>${row.month} · ${monthName(row.month)}</td>
+        <td class="ledger-amount">${toCurrency(row.startBalance)}</td>
+        <td class="ledger-amount">${toCurrency(row.benefits)}</td>
+        <td class="ledger-amount">${toCurrency(row.expenses + row.cobra)}</td>
+        <td class="ledger-amount">${row.endBalance < 0 ? `−${toCurrency(-row.endBalance)}` : toCurrency(row.endBalance)}</td>
+      </tr>
+    `).join('');
+
+    const cutRows = runway.cuts.map(category => `
+      <tr>
+        <td>${escapeHtml(category.label)}</td>
+        <td class="ledger-amount">${toCurrency(category.amount)}</td>
+        ${category.cuts.map(cut => `<td class="ledger-amount">${cut.extension === null ? `${horizonYears}+ years` : `+${months(cut.extension)}`}</td>`).join('')}
+      </tr>
+    `).join('');
+
+    const benefitNote = runway.estimate
+      ? `${estimated ? 'Estimated' : 'Entered'} benefit: ${toCurrency(runway.weeklyBenefit)} a week for up to ${runway.benefitWeeks} weeks` +
+        (estimated && runway.estimate.capped ? ' (the state maximum)' : '') + '.'
+      : `Benefit: ${toCurrency(runway.weeklyBenefit)} a week.`;
+
+    runwayResultsEl.innerHTML = `
+      <div class="runway-summary">
+        <h3>Job-Loss Runway</h3>
+        <div class="overview-grid">
+          <div class="overview-item">
+            <span class="label">Money Lasts</span>
+            <span class="value">${runway.runwayMonths === null ? `${horizonYears}+ years` : months(runway.runwayMonths)}</span>
+          </div>
+          <div class="overview-item">
+            <span class="label">Runs Out</span>
+            <span class="value">${runway.runOutMonth === null ? `Not within ${horizonYears} years` : monthName(runway.runOutMonth)}</span>
+          </div>
+          <div class="overview-item">
+            <span class="label">Unemployment Benefits</span>
+            <span class="value">${toCurrency(runway.totalBenefits)}</span>
+          </div>
+          <div class="overview-item">
+            <span class="label">Starting Cash</span>
+            <span class="value">${toCurrency(runway.fund + runway.severance)}</span>
+          </div>
+        </div>
+        <p class="state-tax-note">
+          ${benefitNote} Benefits are taxable income, and some states delay them while severance is paid.
+          ${runway.cobraPremium > 0 ? `COBRA adds ${toCurrency(runway.cobraPremium)} a month for ${runway.cobraMonths} months.` : ''}
+        </p>
+      </div>
+
+      ${runway.cuts.length > 0 ? `
+        <div class="runway-cuts">
+          <h4>Budget Cuts That Extend the Runway</h4>
+          <table class="ledger-table runway-table">
+            <thead>
+              <tr>
+                <th>Category</th>
+                <th>Monthly</th>
+                ${window.jobLossRunway.CUT_SHARES.map(share => `<th>${share === 1 ? 'Cut Entirely' : `Cut ${Math.round(share * 100)}%`}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>${cutRows}</tbody>
+          </table>
+        </div>
+      ` : ''}
+
+      <details class="runway-months">
+        <summary>Month-by-month drawdown</summary>
+        <table class="ledger-table runway-table">
+          <thead>
+            <tr>
+              <th>Month</th>
+              <th>Starting Balance</th>
+              <th>Benefits</th>
+              <th>Expenses &amp; COBRA</th>
+              <th>Ending Balance</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>
+    `;
+  }
+
+  /**
+   * Clears the job-loss runway simulator
+   */
+  function onRunwayReset() {
+    runwayForm.reset();
+    runwayResultsEl.innerHTML = '';
+    populateRunwayStateSelect(getStateFromZipcode(zipcodeInput.value, zipStateSelect ? zipStateSelect.value : ''));
+  }
+
+  // ============================================================================
+  // GOALS TRACKING FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Handles goals form submission for both new and edited goals
+   * @param {Event} event - Form submit event
+   */
+  function onGoalsSubmit(event) {
+    event.preventDefault();
+
+    const formData = new FormData(goalsForm);
+    const editId = goalEditIdInput ? Number(goalEditIdInput.value) : 0;
+    const goals = loadFromLocalStorage('goals', []);
+    const existing = editId ? goals.find(goal => goal.id === editId) : null;
+    const fields = {
+      name: formData.get('goalName'),
+      targetAmount: sanitizeNumber(formData.get('goalAmount')),
+      monthlyContribution: sanitizeNumber(formData.get('goalMonthly')) || 0,
+      deadline: formData.get('goalDeadline') || null,
+      priority: formData.get('goalPriority')
+    };
+
+    if (!fields.name || !(fields.targetAmount > 0)) {
+      alert('Please enter a valid goal name and target amount.');
+      return;
+    }
+
+    if (existing) {
+      // The contribution history owns the balance, so an edit keeps it as is
+      saveGoals(goals.map(goal => goal.id === editId ? window.goalTracker.normalizeGoal({ ...goal, ...fields }) : goal));
+    } else {
+      const startingBalance = sanitizeNumber(formData.get('goalCurrent')) || 0;
+      saveGoals([...goals, window.goalTracker.normalizeGoal({
+        id: Date.now(),
+        ...fields,
+        created: new Date().toISOString(),
+        // Current savings become the first entry of the contribution history
+        contributions: startingBalance > 0
+          ? [{ date: getTodayDateString(), amount: startingBalance, note: window.goalTracker.STARTING_BALANCE_NOTE }]
+          : []
+      })]);
+    }
+
+    resetGoalsForm();
+    displayGoals();
+    updateDashboard();
+  }
+
+  /**
+   * Clears the goals form and leaves edit mode
+   */
+  function resetGoalsForm() {
+    goalsForm.reset();
+    if (goalEditIdInput) goalEditIdInput.value = '';
+    if (goalCurrentField) goalCurrentField.classList.remove('hidden');
+    if (goalsSubmitBtn) goalsSubmitBtn.textContent = 'Add Goal';
+    if (goalsCancelBtn) goalsCancelBtn.classList.add('hidden');
+  }
+
+  /**
+   * Loads a goal into the goals form for editing its name, target, monthly amount,
+   * deadline and priority. The balance is changed through the contribution history.
+   * @param {number} goalId - Goal ID to edit
+   */
+  function editGoal(goalId) {
+    const goal = loadFromLocalStorage('goals', []).find(g => g.id === goalId);
+    if (!goal) return;
+
+    document.getElementById('goal-name').value = goal.name;
+    document.getElementById('goal-amount').value = goal.targetAmount;
+    document.getElementById('goal-monthly').value = goal.monthlyContribution || '';
+    document.getElementById('goal-deadline').value = goal.deadline || '';
+    document.getElementById('goal-priority').value = goal.priority || 'medium';
+    if (goalEditIdInput) goalEditIdInput.value = goal.id;
+    if (goalCurrentField) goalCurrentField.classList.add('hidden');
+    if (goalsSubmitBtn) goalsSubmitBtn.textContent = 'Save Goal';
+    if (goalsCancelBtn) goalsCancelBtn.classList.remove('hidden');
+    goalsForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Saves goals to FinancialDataStore and localStorage
+   * @param {Array} goals - Goals to save
+   */
+  function saveGoals(goals) {
+    FinancialDataStore.goals = goals;
+    saveFinancialData();
+    saveToLocalStorage('goals', goals);
+  }
+
+  // Progress charts by goal id, destroyed before the goals list is redrawn
+  let goalCharts = {};
+
+  /**
+   * Describes a goal's schedule status for the goal stats
+   * @param {object} schedule - Result of goalTracker.schedule
+   * @returns {string} Status text
+   */
+  function describeGoalSchedule(schedule) {
+    switch (schedule.status) {
+      case 'achieved': return 'Achieved!';
+      case 'no-deadline': return 'No target date';
+      case 'overdue': return 'Past target date';
+      case 'ahead': return `Ahead by ${toCurrency(schedule.difference)}`;
+      case 'behind': return `Behind by ${toCurrency(-schedule.difference)}`;
+      default: return 'On track';
+    }
+  }
+
+  /**
+   * Displays all goals
+   * @param {number} [openGoalId] - Goal whose contribution history stays expanded
+   */
+  function displayGoals(openGoalId) {
+    const goals = loadFromLocalStorage('goals', []).map(goal => window.goalTracker.normalizeGoal(goal));
+    destroyGoalCharts();
+
+    if (goals.length === 0) {
+  if (goalsListEl) goalsListEl.innerHTML = '<div class="no-goals-message"><p>No goals set yet. Add your first financial goal above!</p></div>';
+      return;
+    }
+
+    const today = getTodayDateString();
+    const html = goals.map(goal => {
+      const progressPercent = Math.min(100, Math.max(0, (goal.currentAmount / goal.targetAmount) * 100));
+      const schedule = window.goalTracker.schedule(goal);
+      const monthsToGoal = schedule.monthsToGoal;
+      const deadlineDate = window.goalTracker.parseDate(goal.deadline);
+      const shortfall = schedule.requiredMonthly !== null && schedule.requiredMonthly > goal.monthlyContribution;
+
+      const historyRows = window.goalTracker.history(goal).map((entry, index) => `
+        <tr>
+          <td>${entry.date}</td>
+          <td class="ledger-amount ${entry.amount < 0 ? 'withdrawal' : ''}">${toCurrency(entry.amount)}</td>
+          <td>${escapeHtml(entry.note)}</td>
+          <td class="ledger-amount">${toCurrency(entry.balance)}</td>
+          <td><button type="button" class="remove-debt-btn" onclick="removeGoalContribution(${goal.id}, ${index})" aria-label="Remove entry">×</button></td>
+        </tr>
+      `).reverse().join('');
+
+      return `
+        <div class="goal-item">
+          <div class="goal-header">
+            <h3 class="goal-name">${escapeHtml(goal.name)}</h3>
+            <span class="goal-priority ${goal.priority}">${goal.priority}</span>
+          </div>
+
+          <div class="goal-progress">
+            <div class="progress-bar">
+              <div class="progress-fill" style="width: ${progressPercent}%">
+                <span class="progress-text">${progressPercent.toFixed(1)}%</span>
+              </div>
+            </div>
+          </div>
+
+          <div class="goal-stats">
+            <div class="goal-stat">
+              <div class="goal-stat-label">Target</div>
+              <div class="goal-stat-value">${toCurrency(goal.targetAmount)}</div>
+            </div>
+            <div class="goal-stat">
+              <div class="goal-stat-label">Current</div>
+              <div class="goal-stat-value">${toCurrency(goal.currentAmount)}</div>
+            </div>
+            <div class="goal-stat">
+              <div class="goal-stat-label">Remaining</div>
+              <div class="goal-stat-value">${toCurrency(schedule.remaining)}</div>
+            </div>
+            <div class="goal-stat">
+              <div class="goal-stat-label">Time to Goal</div>
+              <div class="goal-stat-value">${monthsToGoal ? `${Math.floor(monthsToGoal / 12)}y ${monthsToGoal % 12}m` : (schedule.remaining > 0 ? 'Set a monthly amount' : 'Achieved!')}</div>
+            </div>
+            ${deadlineDate ? `
+              <div class="goal-stat">
+                <div class="goal-stat-label">Deadline</div>
+                <div class="goal-stat-value">${deadlineDate.toLocaleDateString()}</div>
+              </div>
+            ` : ''}
+            <div class="goal-stat">
+              <div class="goal-stat-label">Schedule</div>
+              <div class="goal-stat-value goal-schedule ${schedule.status}">${describeGoalSchedule(schedule)}</div>
+            </div>
+            ${schedule.requiredMonthly !== null ? `
+              <div class="goal-stat">
+                <div class="goal-stat-label">Needed Monthly</div>
+                <div class="goal-stat-value">${toCurrency(schedule.requiredMonthly)}</div>
+              </div>
+            ` : ''}
+          </div>
+
+          ${shortfall ? `
+            <p class="contribution-warning">
+              Your planned ${toCurrency(goal.monthlyContribution)} a month falls ${toCurrency(schedule.requiredMonthly - goal.monthlyContribution)} short of reaching the target by the deadline.
+            </p>
+          ` : ''}
+
+          <div class="goal-chart">
+            <canvas id="goal-chart-${goal.id}"></canvas>
+          </div>
+
+          <details class="goal-history"${goal.id === openGoalId ? ' open' : ''}>
+            <summary>Contributions &amp; withdrawals (${goal.contributions.length})</summary>
+            <div class="goal-contribution-form">
+              <input type="date" data-field="date" value="${today}" max="${today}" aria-label="Date">
+              <select data-field="kind" aria-label="Type">
+                <option value="deposit">Deposit</option>
+                <option value="withdrawal">Withdrawal</option>
+              </select>
+              <input type="number" data-field="amount" step="0.01" min="0" placeholder="Amount" aria-label="Amount">
+              <input type="text" data-field="note" placeholder="Note (optional)" aria-label="Note">
+              <button type="button" class="btn-secondary" onclick="addGoalContribution(${goal.id}, this)">Add</button>
+            </div>
+            ${historyRows ? `
+              <table class="ledger-table goal-history-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Amount</th>
+                    <th>Note</th>
+                    <th>Balance</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>${historyRows}</tbody>
+              </table>
+            ` : '<p class="ledger-note">No contributions recorded yet.</p>'}
+          </details>
+
+          <div class="goal-actions">
+            <button class="goal-action-btn" onclick="editGoal(${goal.id})">Edit</button>
+            <button class="goal-action-btn delete" onclick="deleteGoal(${goal.id})">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+  if (goalsListEl) goalsListEl.innerHTML = html;
+    goals.forEach(createGoalChart);
+  }
+
+  /**
+   * Draws a goal's balance at each month end against the straight line to its deadline
+   * @param {object} goal - Normalized goal
+   */
+  function createGoalChart(goal) {
+    const ctx = document.getElementById(`goal-chart-${goal.id}`);
+    if (!ctx || typeof Chart === 'undefined') return;
+
+    const series = window.goalTracker.progressSeries(goal);
+    const datasets = [{
+      label: 'Balance',
+      data: series.map(point => point.actual),
+      borderColor: 'rgba(34, 197, 94, 1)',
+      backgroundColor: 'rgba(34, 197, 94, 0.2)',
+      fill: true,
+      pointRadius: 2,
+      tension: 0.2
+    }];
+    if (goal.deadline) {
+      datasets.push({
+        label: 'On schedule',
+        data: series.map(point => point.ideal),
+        borderColor: 'rgba(99, 102, 241, 1)',
+        borderDash: [6, 4],
+        fill: false,
+        pointRadius: 0
+      });
+    }
+
+    goalCharts[goal.id] = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: series.map(point => point.label),
+        datasets
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: {
+            labels: {
+              color: '#ffffff',
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            callbacks: {
+              label: function(context) {
+                return `${context.dataset.label}: ${toCurrency(context.parsed.y)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            ticks: { color: '#ffffff', maxTicksLimit: 12 },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+          },
+          y: {
+            beginAtZero: true,
+            ticks: {
+              color: '#ffffff',
+              callback: function(value) {
+                return '$' + value.toLocaleString();
+              }
+            },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Destroys the goal progress charts
+   */
+  function destroyGoalCharts() {
+    Object.values(goalCharts).forEach(chart => chart.destroy());
+    goalCharts = {};
+  }
+
+  /**
+   * Deletes a goal
+   * @param {number} goalId - Goal ID to delete
+   */
+  function deleteGoal(goalId) {
+    if (!confirm('Are you sure you want to delete this goal?')) return;
+
+    const goals = loadFromLocalStorage('goals', []);
+    saveGoals(goals.filter(goal => goal.id !== goalId));
+    if (goalEditIdInput && Number(goalEditIdInput.value) === goalId) {
+      resetGoalsForm();
+    }
+    displayGoals();
+    updateDashboard();
+  }
+
+  /**
+   * Records a deposit or withdrawal from a goal's contribution form
+   * @param {number} goalId - Goal ID
+   * @param {HTMLElement} button - Add button inside the contribution form
+   */
+  function addGoalContribution(goalId, button) {
+    const form = button.closest('.goal-contribution-form');
+    const field = name => form.querySelector(`[data-field="${name}"]`).value;
+    const amount = sanitizeNumber(field('amount'));
+    const goals = loadFromLocalStorage('goals', []);
+    const index = goals.findIndex(goal => goal.id === goalId);
+    if (index === -1) return;
+
+    if (isNaN(amount) || amount <= 0) {
+      alert('Please enter a valid amount.');
+      return;
+    }
+
+    try {
+      goals[index] = window.goalTracker.addContribution(goals[index], {
+        date: field('date'),
+        amount: field('kind') === 'withdrawal' ? -amount : amount,
+        note: field('note')
+      });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    saveGoals(goals);
+    displayGoals(goalId);
+    updateDashboard();
+  }
+
+  /**
+   * Removes an entry from a goal's contribution history
+   * @param {number} goalId - Goal ID
+   * @param {number} entryIndex - Position in the date-sorted history
+   */
+  function removeGoalContribution(goalId, entryIndex) {
+    if (!confirm('Remove this entry from the goal\'s history?')) return;
+
+    const goals = loadFromLocalStorage('goals', []);
+    const index = goals.findIndex(goal => goal.id === goalId);
+    if (index === -1) return;
+
+    try {
+      goals[index] = window.goalTracker.removeContribution(goals[index], entryIndex);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    saveGoals(goals);
+    displayGoals(goalId);
+    updateDashboard();
+  }
+
+  // ============================================================================
+  // TRANSACTION LEDGER FUNCTIONS
+  // ============================================================================
+
+  // Month (YYYY-MM) whose rollup currently feeds the budget planner
+  let selectedLedgerMonth = getTodayDateString().substring(0, 7);
+
+  /**
+   * Returns today's date in the local timezone as YYYY-MM-DD
+   * @returns {string} Date string suitable for date inputs
+   */
+  function getTodayDateString() {
+    const today = new Date();
+    return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Points the data store at the ledger's transaction array after a load or import
+   * @param {Array} transactions - Saved transactions to load into the ledger
+   */
+  function attachTransactionLedger(transactions) {
+    ledger.load(transactions);
+    FinancialDataStore.transactions = ledger.transactions;
+    const months = ledger.getMonths();
+    if (months.length > 0 && !ledger.hasTransactionsForMonth(selectedLedgerMonth)) {
+      selectedLedgerMonth = months[0];
+    }
+  }
+
+  /**
+   * Formats a YYYY-MM key as a readable month label
+   * @param {string} month - Month key
+   * @returns {string} Label such as "March 2025"
+   */
+  function formatLedgerMonth(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(year, monthIndex - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+
+  /**
+   * Returns the display label for a budget category key
+   * @param {string} key - Expense category key
+   * @returns {string} Category label
+   */
+  function getCategoryLabel(key) {
+    const config = expenseFieldConfig.find(item => item.key === key);
+    return config ? config.label : key;
+  }
+
+  /**
+   * Renders the month selector and the transaction table for the selected month
+   */
+  function renderLedger() {
+    if (ledgerMonthSelect) {
+      const months = new Set([getTodayDateString().substring(0, 7), selectedLedgerMonth, ...ledger.getMonths()]);
+      ledgerMonthSelect.innerHTML = [...months].sort().reverse().map(month => `
+        <option value="${month}" ${month === selectedLedgerMonth ? 'selected' : ''}>${formatLedgerMonth(month)}</option>
+      `).join('');
+    }
+
+    if (!ledgerListEl) return;
+
+    const transactions = ledger.getTransactions({ month: selectedLedgerMonth });
+    if (transactions.length === 0) {
+      ledgerListEl.innerHTML = `<div class="ledger-empty"><p>No transactions recorded for ${formatLedgerMonth(selectedLedgerMonth)}.</p></div>`;
+      return;
+    }
+
+    const rollup = ledger.getMonthlyRollup(selectedLedgerMonth);
+    const rows = transactions.map(tx => `
+      <tr>
+        <td>${new Date(tx.date + 'T00:00:00').toLocaleDateString()}</td>
+        <td>${escapeHtml(tx.payee) || '—'}</td>
+        <td>${getCategoryLabel(tx.category)}</td>
+        <td>${escapeHtml(tx.account) || '—'}</td>
+        <td>${escapeHtml(tx.memo)}</td>
+        <td class="ledger-amount ${tx.amount < 0 ? 'refund' : ''}">${tx.amount.toLocaleString(undefined, { style: 'currency', currency: 'USD' })}</td>
+        <td class="ledger-actions">
+          <button type="button" class="goal-action-btn" data-action="edit" data-id="${escapeHtml(tx.id)}">Edit</button>
+          <button type="button" class="goal-action-btn delete" data-action="delete" data-id="${escapeHtml(tx.id)}">Delete</button>
+        </td>
+      </tr>
+    `).join('');
+
+    const rollupItems = expenseFieldConfig
+      .filter(config => rollup.counts[config.key] > 0)
+      .map(config => `
+        <div class="overview-item">
+          <span class="label">${config.label} (${rollup.counts[config.key]})</span>
+          <span class="value">${toCurrency(rollup.totals[config.key])}</span>
+        </div>
+      `).join('');
+
+    ledgerListEl.innerHTML = `
+      <div class="ledger-table-wrapper">
+        <table class="ledger-table">
+          <thead>
+            <tr><th>Date</th><th>Payee</th><th>Category</th><th>Account</th><th>Memo</th><th>Amount</th><th></th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <div class="ledger-rollup">
+        <h4>${formatLedgerMonth(selectedLedgerMonth)} Totals · ${toCurrency(rollup.total)}</h4>
+        <div class="overview-grid">${rollupItems}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Fills budget categories that have ledger entries with the selected month's totals.
+   * Linked inputs are read-only so every budget figure stays traceable to transactions.
+   */
+  function applyLedgerRollup() {
+    const rollup = ledger.getMonthlyRollup(selectedLedgerMonth);
+
+    expenseFieldConfig.forEach(config => {
+      const amountEl = config.amountEl;
+      if (!amountEl) return;
+
+      const wasLinked = amountEl.classList.contains('ledger-linked');
+      const linked = rollup.counts[config.key] > 0;
+
+      if (linked) {
+        amountEl.value = rollup.totals[config.key].toFixed(2);
+      } else if (wasLinked) {
+        amountEl.value = '';
+      }
+
+      amountEl.readOnly = linked;
+      amountEl.classList.toggle('ledger-linked', linked);
+      amountEl.title = linked ? `From ${rollup.counts[config.key]} ledger transaction(s) in ${formatLedgerMonth(selectedLedgerMonth)}` : '';
+    });
+
+    updateAllExpenseVisuals();
+    refreshEmergencyTarget();
+  }
+
+  /**
+   * Persists ledger changes and re-runs the budget analysis with the new rollup
+   */
+  function onLedgerChange() {
+    renderLedger();
+    applyLedgerRollup();
+
+    if (getMonthlyIncomeValue() > 0) {
+      runBudgetAnalysis();
+    } else {
+      saveFinancialData();
+    }
+  }
+
+  /**
+   * Resets the ledger entry form back to "add" mode
+   */
+  function resetLedgerForm() {
+    if (!ledgerForm) return;
+    const lastDate = document.getElementById('ledger-date').value;
+    ledgerForm.reset();
+    document.getElementById('ledger-date').value = lastDate;
+    if (ledgerEditIdInput) ledgerEditIdInput.value = '';
+    if (ledgerSubmitBtn) ledgerSubmitBtn.textContent = 'Add Transaction';
+    if (ledgerCancelBtn) ledgerCancelBtn.classList.add('hidden');
+  }
+
+  /**
+   * Handles ledger form submission for both new and edited transactions
+   * @param {Event} event - Form submit event
+   */
+  function onLedgerSubmit(event) {
+    event.preventDefault();
+
+    const entry = {
+      date: document.getElementById('ledger-date').value,
+      payee: document.getElementById('ledger-payee').value,
+      category: document.getElementById('ledger-category').value,
+      amount: document.getElementById('ledger-amount').value,
+      account: document.getElementById('ledger-account').value,
+      memo: document.getElementById('ledger-memo').value
+    };
+    const editId = ledgerEditIdInput ? ledgerEditIdInput.value : '';
+
+    try {
+      const tx = editId ? ledger.updateTransaction(editId, entry) : ledger.addTransaction(entry);
+      selectedLedgerMonth = ledger.getMonthKey(tx.date);
+    } catch (error) {
+      showNotification(error.message, 'error');
+      return;
+    }
+
+    resetLedgerForm();
+    onLedgerChange();
+  }
+
+  /**
+   * Loads a transaction into the ledger form for editing
+   * @param {string} transactionId - Transaction ID to edit
+   */
+  function editTransaction(transactionId) {
+    const tx = ledger.getTransaction(transactionId);
+    if (!tx) return;
+
+    document.getElementById('ledger-date').value = tx.date;
+    document.getElementById('ledger-payee').value = tx.payee;
+    document.getElementById('ledger-category').value = tx.category;
+    document.getElementById('ledger-amount').value = tx.amount;
+    document.getElementById('ledger-account').value = tx.account;
+    document.getElementById('ledger-memo').value = tx.memo;
+    if (ledgerEditIdInput) ledgerEditIdInput.value = tx.id;
+    if (ledgerSubmitBtn) ledgerSubmitBtn.textContent = 'Save Transaction';
+    if (ledgerCancelBtn) ledgerCancelBtn.classList.remove('hidden');
+  }
+
+  /**
+   * Deletes a transaction from the ledger
+   * @param {string} transactionId - Transaction ID to delete
+   */
+  function deleteTransaction(transactionId) {
+    if (!confirm('Are you sure you want to delete this transaction?')) return;
+
+    if (ledger.deleteTransaction(transactionId)) {
+      if (ledgerEditIdInput && ledgerEditIdInput.value === transactionId) {
+        resetLedgerForm();
+      }
+      onLedgerChange();
+    }
+  }
+
+  /**
+   * Switches the ledger month whose totals feed the budget
+   */
+  function onLedgerMonthChange() {
+    selectedLedgerMonth = ledgerMonthSelect.value;
+    renderLedger();
+    applyLedgerRollup();
+  }
+
+  // ============================================================================
+  // STATEMENT IMPORT FUNCTIONS
+  // ============================================================================
+
+  // Statement currently being previewed: { format, fileName, headers, rows, accounts, preview }
+  let statementImport = null;
+
+  /**
+   * Parses a CSV, OFX or QFX statement and opens the import preview in the budget tab
+   * @param {string} text - Raw file contents
+   * @param {string} fileName - Name of the imported file
+   */
+  function startStatementImport(text, fileName) {
+    if (/\.(ofx|qfx)$/i.test(fileName) || ofxImporter.isOFX(text)) {
+      startOFXImport(text, fileName);
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = csvImporter.parseStatement(text);
+    } catch (error) {
+      showNotification(error.message, 'error');
+      return;
+    }
+
+    statementImport = { format: 'csv', fileName, headers: parsed.headers, rows: parsed.rows, preview: [] };
+    populateMappingSelects(parsed.headers, csvImporter.guessMapping(parsed.headers, parsed.rows));
+
+    const accountInput = document.getElementById('statement-account');
+    if (accountInput && !accountInput.value) {
+      accountInput.value = fileName.replace(/\.csv$/i, '');
+    }
+    showStatementImport(`${fileName} · ${parsed.rows.length} rows`);
+    refreshStatementPreview();
+  }
+
+  /**
+   * Parses an OFX/QFX download and previews its accounts and transactions
+   * @param {string} text - Raw file contents
+   * @param {string} fileName - Name of the imported file
+   */
+  function startOFXImport(text, fileName) {
+    let accounts;
+    try {
+      accounts = ofxImporter.parse(text);
+    } catch (error) {
+      showNotification(error.message, 'error');
+      return;
+    }
+
+    statementImport = {
+      format: 'ofx',
+      fileName,
+      accounts,
+      preview: ofxImporter.buildPreview(accounts, ledger.transactions)
+    };
+
+    const transactionCount = accounts.reduce((sum, account) => sum + account.transactions.length, 0);
+    showStatementImport(`${fileName} · ${accounts.length} account${accounts.length === 1 ? '' : 's'}, ${transactionCount} transactions`);
+    renderStatementPreview();
+  }
+
+  /**
+   * Reveals the import panel in the budget tab for the current statement
+   * @param {string} description - File summary shown above the preview
+   */
+  function showStatementImport(description) {
+    document.getElementById('statement-file-name').textContent = description;
+    document.getElementById('statement-mapping').classList.remove('hidden');
+    // OFX files carry their own structure, so column mapping only applies to CSV
+    document.getElementById('statement-mapping-fields').classList.toggle('hidden', statementImport.format !== 'csv');
+
+    if (typeof window.switchTab === 'function') {
+      window.switchTab('budget');
+    }
+    renderImportRules();
+    document.getElementById('statement-import').scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Fills the column selects with the statement headers and the guessed mapping
+   * @param {Array<string>} headers - Statement header row
+   * @param {Object} mapping - Column mapping from csvImporter.guessMapping
+   */
+  function populateMappingSelects(headers, mapping) {
+    const options = ['<option value="-1">— None —</option>']
+      .concat(headers.map((header, index) => `<option value="${index}">${escapeHtml(header) || `Column ${index + 1}`}</option>`))
+      .join('');
+
+    document.querySelectorAll('#statement-mapping [data-map]').forEach(select => {
+      select.innerHTML = options;
+      select.value = String(mapping[select.dataset.map]);
+    });
+    document.getElementById('map-sign-mode').value = mapping.signMode;
+    document.getElementById('map-date-format').value = mapping.dateFormat;
+    updateSignModeFields();
+  }
+
+  /**
+   * Reads the current column mapping from the form
+   * @returns {Object} Column mapping for csvImporter.buildPreview
+   */
+  function readImportMapping() {
+    const mapping = {
+      signMode: document.getElementById('map-sign-mode').value,
+      dateFormat: document.getElementById('map-date-format').value
+    };
+    document.querySelectorAll('#statement-mapping [data-map]').forEach(select => {
+      mapping[select.dataset.map] = parseInt(select.value, 10);
+    });
+    return mapping;
+  }
+
+  /**
+   * Shows only the amount columns used by the selected debit/credit sign mode
+   */
+  function updateSignModeFields() {
+    const signMode = document.getElementById('map-sign-mode').value;
+    document.querySelectorAll('#statement-mapping [data-sign-modes]').forEach(field => {
+      field.classList.toggle('hidden', !field.dataset.signModes.split(' ').includes(signMode));
+    });
+  }
+
+  /**
+   * Rebuilds the preview from the current mapping and renders it
+   */
+  function refreshStatementPreview() {
+    if (!statementImport || statementImport.format !== 'csv') return;
+
+    const mapping = readImportMapping();
+    const previewEl = document.getElementById('statement-preview');
+    const missing = [];
+    if (mapping.date < 0) missing.push('date');
+    if (mapping.description < 0) missing.push('description');
+    if (mapping.signMode === 'split' ? mapping.debit < 0 && mapping.credit < 0 : mapping.amount < 0) missing.push('amount');
+    if (mapping.signMode === 'indicator' && mapping.type < 0) missing.push('debit/credit type');
+
+    if (missing.length > 0) {
+      statementImport.preview = [];
+      previewEl.innerHTML = `<div class="error-message"><h4>Column Mapping Incomplete</h4><p>Choose the ${missing.join(', ')} column to preview this statement.</p></div>`;
+      return;
+    }
+
+    statementImport.preview = csvImporter.buildPreview(
+      statementImport.rows,
+      mapping,
+      ledger.transactions,
+      document.getElementById('statement-account').value
+    );
+    renderStatementPreview();
+  }
+
+  /**
+   * Renders the preview table with per-row include toggles and categories
+   */
+  function renderStatementPreview() {
+    const previewEl = document.getElementById('statement-preview');
+    const summary = csvImporter.summarizePreview(statementImport.preview);
+    const categoryOptions = expenseFieldConfig.map(config => `<option value="${config.key}">${config.label}</option>`).join('');
+
+    const rows = statementImport.preview.map(entry => {
+      let status = '';
+      if (entry.error) {
+        status = `<span class="import-flag error">${escapeHtml(entry.error)}</span>`;
+      } else if (entry.duplicate) {
+        status = '<span class="import-flag duplicate">Already imported</span>';
+      } else if (entry.amount < 0) {
+        status = '<span class="import-flag credit">Credit</span>';
+      }
+
+      return `
+        <tr class="${entry.include ? '' : 'excluded'}">
+          <td><input type="checkbox" ${entry.include ? 'checked' : ''} ${entry.error ? 'disabled' : ''} onchange="toggleImportRow(${entry.index}, this.checked)" aria-label="Include row ${entry.index + 1}"></td>
+          <td>${entry.date ? new Date(entry.date + 'T00:00:00').toLocaleDateString() : '—'}</td>
+          <td>${escapeHtml(entry.payee) || '—'}</td>
+          <td>
+            <select onchange="setImportRowCategory(${entry.index}, this.value)" ${entry.error ? 'disabled' : ''}>
+              ${categoryOptions.replace(`value="${entry.category}"`, `value="${entry.category}" selected`)}
+            </select>
+          </td>
+          <td class="ledger-amount ${entry.amount < 0 ? 'refund' : ''}">${entry.amount === null ? '—' : entry.amount.toLocaleString(undefined, { style: 'currency', currency: 'USD' })}</td>
+          <td>${status}</td>
+        </tr>
+      `;
+    }).join('');
+
+    const accountItems = (statementImport.accounts || []).map(account => `
+      <div class="overview-item">
+        <span class="label">${escapeHtml(account.name)}${account.isDebt ? ' (owed)' : ''}</span>
+        <span class="value">${account.balance === null ? '—' : toCurrency(account.balance)}</span>
+      </div>
+    `).join('');
+
+    previewEl.innerHTML = `
+      ${accountItems ? `<div class="overview-grid statement-accounts">${accountItems}</div>` : ''}
+      <p class="ledger-note">
+        ${summary.included} of ${summary.total} rows selected
+        ${summary.duplicates ? ` · ${summary.duplicates} already imported` : ''}
+        ${summary.credits ? ` · ${summary.credits} credits excluded by default` : ''}
+        ${summary.errors ? ` · ${summary.errors} rows could not be read` : ''}
+      </p>
+      <div class="ledger-table-wrapper">
+        <table class="ledger-table import-preview-table">
+          <thead>
+            <tr><th></th><th>Date</th><th>Description</th><th>Category</th><th>Amount</th><th>Status</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+
+    const commitBtn = document.getElementById('statement-commit-btn');
+    if (commitBtn) {
+      const transactionsLabel = `${summary.included} Transaction${summary.included === 1 ? '' : 's'}`;
+      // OFX imports still update account balances when no transactions are selected
+      commitBtn.disabled = summary.included === 0 && statementImport.format !== 'ofx';
+      commitBtn.textContent = statementImport.format === 'ofx'
+        ? `Import Accounts & ${transactionsLabel}`
+        : `Import ${transactionsLabel}`;
+    }
+  }
+
+  /**
+   * Includes or excludes a preview row from the import
+   * @param {number} index - Preview row index
+   * @param {boolean} include - Whether the row should be imported
+   */
+  function toggleImportRow(index, include) {
+    const entry = statementImport && statementImport.preview[index];
+    if (!entry || entry.error) return;
+    entry.include = include;
+    renderStatementPreview();
+  }
+
+  /**
+   * Overrides the rule-assigned category for a preview row
+   * @param {number} index - Preview row index
+   * @param {string} category - Budget category key
+   */
+  function setImportRowCategory(index, category) {
+    const entry = statementImport && statementImport.preview[index];
+    if (!entry) return;
+    entry.category = category;
+    entry.categoryEdited = true;
+  }
+
+  /**
+   * Re-applies category rules to preview rows the user has not edited by hand
+   */
+  function recategorizePreview() {
+    if (!statementImport || statementImport.preview.length === 0) return;
+    statementImport.preview.forEach(entry => {
+      if (!entry.categoryEdited) {
+        entry.category = csvImporter.categorize(entry.payee);
+      }
+    });
+    renderStatementPreview();
+  }
+
+  /**
+   * Renders the saved category rules
+   */
+  function renderImportRules() {
+    const listEl = document.getElementById('import-rules-list');
+    if (!listEl) return;
+
+    if (csvImporter.rules.length === 0) {
+      listEl.innerHTML = '<p class="ledger-note">No rules yet. Unmatched transactions are categorized as Miscellaneous.</p>';
+      return;
+    }
+
+    listEl.innerHTML = csvImporter.rules.map(rule => `
+      <div class="import-rule">
+        <span>Contains <strong>"${escapeHtml(rule.pattern)}"</strong> → ${getCategoryLabel(rule.category)}</span>
+        <button type="button" class="goal-action-btn delete" onclick="removeImportRule('${rule.id}')">Remove</button>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Adds a category rule from the rule form
+   */
+  function onAddImportRule() {
+    const patternInput = document.getElementById('rule-pattern');
+    const ruleCount = csvImporter.rules.length;
+    try {
+      csvImporter.addRule(patternInput.value, document.getElementById('rule-category').value);
+    } catch (error) {
+      showNotification(error.message, 'error');
+      // A rule that was added but couldn't be saved still applies until reload, so list it
+      if (csvImporter.rules.length === ruleCount) return;
+    }
+
+    patternInput.value = '';
+    renderImportRules();
+    recategorizePreview();
+  }
+
+  /**
+   * Removes a category rule
+   * @param {string} ruleId - Rule ID to remove
+   */
+  function removeImportRule(ruleId) {
+    try {
+      csvImporter.removeRule(ruleId);
+    } catch (error) {
+      showNotification(error.message, 'error');
+    }
+    renderImportRules();
+    recategorizePreview();
+  }
+
+  /**
+   * Adds the selected preview rows to the ledger
+   */
+  function onStatementCommit() {
+    if (!statementImport) return;
+
+    const isOFX = statementImport.format === 'ofx';
+    const accountName = document.getElementById('statement-account').value;
+    const selected = statementImport.preview.filter(entry => entry.include && !entry.error);
+    const skipped = [];
+    let imported = 0;
+    let latestDate = '';
+
+    if (isOFX) {
+      FinancialDataStore.accounts = ofxImporter.mergeAccounts(FinancialDataStore.accounts || [], statementImport.accounts);
+    }
+
+    selected.forEach(entry => {
+      try {
+        ledger.addTransaction({
+          date: entry.date,
+          payee: entry.payee,
+          category: entry.category,
+          amount: entry.amount,
+          account: isOFX ? entry.account : accountName,
+          memo: entry.memo,
+          importKey: entry.importKey,
+          source: statementImport.format
+        });
+        imported++;
+        if (entry.date > latestDate) latestDate = entry.date;
+      } catch (error) {
+        skipped.push(`${entry.payee || entry.date}: ${error.message}`);
+      }
+    });
+
+    // Rows the ledger rejected are listed in the import summary
+    const skippedNote = skipped.length === 0 ? '' : ` Skipped ${skipped.length} row${skipped.length === 1 ? '' : 's'} (${skipped.join('; ')}).`;
+
+    if (isOFX) {
+      const accountCount = statementImport.accounts.length;
+      cancelStatementImport();
+      if (imported > 0) {
+        selectedLedgerMonth = ledger.getMonthKey(latestDate);
+      }
+      onLedgerChange();
+      saveFinancialData();
+      renderImportedAccounts();
+      showNotification(`Updated ${accountCount} account${accountCount === 1 ? '' : 's'} and imported ${imported} transaction${imported === 1 ? '' : 's'}.${skippedNote}`, skipped.length > 0 ? 'info' : 'success');
+      return;
+    }
+
+    if (imported === 0) {
+      showNotification(skipped.length > 0 ? `No transactions were imported.${skippedNote}` : 'No transactions were selected for import.', 'error');
+      return;
+    }
+
+    selectedLedgerMonth = ledger.getMonthKey(latestDate);
+    cancelStatementImport();
+    onLedgerChange();
+    showNotification(`Imported ${imported} transaction${imported === 1 ? '' : 's'} from ${accountName || 'statement'}.${skippedNote}`, skipped.length > 0 ? 'info' : 'success');
+  }
+
+  /**
+   * Renders balances of accounts created from OFX/QFX downloads
+   */
+  function renderImportedAccounts() {
+    const listEl = document.getElementById('imported-accounts-list');
+    const accounts = FinancialDataStore.accounts || [];
+    if (listEl) {
+      listEl.innerHTML = accounts.length === 0 ? '' : `
+        <h4>Imported Accounts</h4>
+        <div class="overview-grid">
+          ${accounts.map(account => `
+            <div class="overview-item">
+              <span class="label">${escapeHtml(account.name)}${account.balanceDate ? ` · ${new Date(account.balanceDate + 'T00:00:00').toLocaleDateString()}` : ''}</span>
+              <span class="value ${account.isDebt ? 'negative' : ''}">${account.balance === null ? '—' : toCurrency(account.balance)}</span>
+            </div>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    renderDebtAccountOffers();
+  }
+
+  /**
+   * Discards the statement preview
+   */
+  function cancelStatementImport() {
+    statementImport = null;
+    document.getElementById('statement-mapping').classList.add('hidden');
+    document.getElementById('statement-preview').innerHTML = '';
+    const fileInput = document.getElementById('statement-file');
+    if (fileInput) fileInput.value = '';
+  }
+
+  /**
+   * Reads a CSV statement chosen from the budget tab
+   * @param {Event} event - File input change event
+   */
+  function onStatementFileChange(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = e => startStatementImport(e.target.result, file.name);
+    reader.onerror = () => showNotification('Could not read the selected file.', 'error');
+    reader.readAsText(file);
+  }
+
+  // ============================================================================
+  // HOUSEHOLD INCOME FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Adds an income source row to the income form
+   * @param {Object} [values] - Optional label, type, owner, pay, schedule and monthly deductions
+   * @returns {HTMLElement} The new income source row
+   */
+  function addIncomeSourceInput(values = {}) {
+    const options = (choices, selected) => Object.entries(choices).map(([value, label]) => `
+      <option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>
+    `).join('');
+
+    const sourceItem = document.createElement('div');
+    sourceItem.className = 'income-source-item';
+    sourceItem.innerHTML = `
+      <input type="text" placeholder="Source (e.g., Weekend job)" data-field="label">
+      <select data-field="type" aria-label="Income type">${options(window.householdIncome.SOURCE_TYPES, values.type || 'w2')}</select>
+      <select data-field="owner" aria-label="Earned by">${options(window.householdIncome.OWNERS, values.owner || 'self')}</select>
+      <input type="number" placeholder="Pay" data-field="payAmount" step="0.01" min="0">
+      <select data-field="payFrequency" aria-label="Pay frequency">${options(window.householdIncome.FREQUENCIES, values.payFrequency || 'month')}</select>
+      <input type="number" placeholder="Hours/day" data-field="hoursPerDay" step="0.1" min="0" max="24">
+      <input type="number" placeholder="Days/week" data-field="daysPerWeek" step="0.1" min="0" max="7">
+      <input type="number" placeholder="Weeks/year" data-field="weeksPerYear" step="1" min="0" max="52">
+      <input type="number" placeholder="Deductions/mo" data-field="deductions" step="0.01" min="0">
+      <button type="button" class="remove-debt-btn" onclick="removeIncomeSource(this)" aria-label="Remove income source">×</button>
+    `;
+
+    ['label', 'payAmount', 'hoursPerDay', 'daysPerWeek', 'weeksPerYear', 'deductions'].forEach(field => {
+      if (values[field] !== undefined && values[field] !== null) {
+        sourceItem.querySelector(`[data-field="${field}"]`).value = values[field];
+      }
+    });
+
+    if (incomeSourceListEl) incomeSourceListEl.appendChild(sourceItem);
+    return sourceItem;
+  }
+
+  /**
+   * Removes an income source row
+   * @param {HTMLElement} button - Remove button element
+   */
+  function removeIncomeSource(button) {
+    button.parentElement.remove();
+    if (incomeSourceListEl) incomeSourceListEl.dispatchEvent(new Event('input'));
+  }
+
+  /**
+   * Reads the extra income source rows, skipping rows without pay
+   * @returns {Array<object>} Income sources in the shape householdIncome.normalizeSource expects
    */
-  function displayEmergencyResults(targetAmount, currentFund, remainingAmount, progressPercent, monthsToGoal, monthlyContribution) {
-    const html = `
-      <div class="emergency-progress">
-        <h3>Emergency Fund Progress</h3>
-        <div class="progress-bar">
-          <div class="progress-fill" style="width: ${progressPercent}%">
-            <span class="progress-text">${progressPercent.toFixed(1)}%</span>
-          </div>
-        </div>
-        <div class="overview-grid">
-          <div class="overview-item">
-            <span class="label">Target Amount</span>
-            <span class="value">${toCurrency(targetAmount)}</span>
-          </div>
-          <div class="overview-item">
-            <span class="label">Current Amount</span>
-            <span class="value">${toCurrency(currentFund)}</span>
-          </div>
-          <div class="overview-item">
-            <span class="label">Remaining Needed</span>
-            <span class="value">${toCurrency(remainingAmount)}</span>
-          </div>
-          <div class="overview-item">
-            <span class="label">Time to Goal</span>
-            <span class="value">${monthsToGoal > 0 ? `${Math.floor(monthsToGoal / 12)} years, ${monthsToGoal % 12} months` : 'Goal reached!'}</span>
-          </div>
-        </div>
-      </div>
+  function readIncomeSources() {
+    if (!incomeSourceListEl) return [];
+
+    return [...incomeSourceListEl.querySelectorAll('.income-source-item')]
+      .map(item => {
+        const field = name => item.querySelector(`[data-field="${name}"]`).value;
+        return {
+          label: field('label').trim(),
+          type: field('type'),
+          owner: field('owner'),
+          payAmount: sanitizeNumber(field('payAmount')),
+          payFrequency: field('payFrequency'),
+          hoursPerDay: sanitizeNumber(field('hoursPerDay')) || undefined,
+          daysPerWeek: sanitizeNumber(field('daysPerWeek')) || undefined,
+          weeksPerYear: sanitizeNumber(field('weeksPerYear')) || undefined,
+          deductions: sanitizeNumber(field('deductions'))
+        };
+      })
+      .filter(source => source.payAmount > 0);
+  }
 
-      <div class="emergency-tips">
-        <h4>Emergency Fund Tips:</h4>
-        <ul>
-          <li>Keep emergency funds in a high-yield savings account</li>
-          <li>Only use for true emergencies (job loss, medical bills, major repairs)</li>
-          <li>Replenish immediately after using</li>
-          <li>Consider increasing to 9-12 months if you're self-employed</li>
-        </ul>
-      </div>
-    `;
+  /**
+   * Combines the job in the income form with the extra income sources. The job comes in as
+   * figured by the caller's single-job calculation, so one job plus a $0 source nets the same
+   * as the job alone.
+   * @param {object} job - { annualGross, annualDeductions, afterTaxDeductions, wages } for the job
+   * @returns {object|null} Household result from householdIncome.calculate, or null without extra sources
+   */
+  function getHouseholdIncome(job) {
+    const sources = readIncomeSources();
+    if (!job || sources.length === 0 || sanitizeNumber(payAmountInput.value) <= 0) return null;
+
+    const selfEmployed = incomeTypeSelect && incomeTypeSelect.value === 'self-employed';
+    const primary = {
+      label: 'Primary job',
+      type: selfEmployed ? 'self-employed' : 'w2',
+      owner: 'self',
+      payAmount: sanitizeNumber(payAmountInput.value),
+      payFrequency: payFrequencySelect.value,
+      annualGross: job.annualGross,
+      // Pre-tax payroll deductions for a W-2 job, business expenses when self-employed
+      annualDeductions: job.annualDeductions || 0,
+      afterTaxDeductions: job.afterTaxDeductions || 0,
+      wages: job.wages
+    };
 
-  if (emergencyResultsEl) emergencyResultsEl.innerHTML = html;
+    const zipcode = zipcodeInput.value.trim();
+    const state = getStateFromZipcode(zipcode, zipStateSelect ? zipStateSelect.value : '') || '';
+
+    return window.householdIncome.calculate([primary, ...sources], {
+      filingStatus: filingStatusSelect ? filingStatusSelect.value : 'single',
+      taxYear: taxYearSelect ? parseInt(taxYearSelect.value, 10) : undefined,
+      state,
+      zipcode,
+      jurisdiction: localJurisdictionSelect ? localJurisdictionSelect.value : '',
+      residency: localResidencySelect ? localResidencySelect.value : 'resident'
+    });
   }
 
   /**
-   * Resets emergency fund form
+   * Renders the combined household income, with one tax column per return
+   * @param {object} household - Result of getHouseholdIncome
+   * @returns {string} HTML markup (empty without a household)
    */
-  function onEmergencyReset() {
-    emergencyForm.reset();
-  if (emergencyResultsEl) emergencyResultsEl.innerHTML = '';
+  function renderHouseholdIncome(household) {
+    if (!household) return '';
+
+    const sourceRows = household.sources.map(source => `
+      <tr>
+        <td>${escapeHtml(source.label)}</td>
+        <td>${window.householdIncome.SOURCE_TYPES[source.type]}</td>
+        <td>${window.householdIncome.OWNERS[source.owner]}</td>
+        <td class="ledger-amount">${toCurrency(source.annualGross)}</td>
+        <td class="ledger-amount">${source.annualDeductions + source.afterTaxDeductions > 0 ? `-${toCurrency(source.annualDeductions + source.afterTaxDeductions)}` : '—'}</td>
+      </tr>
+    `).join('');
+
+    const returnRows = household.returns.map(taxReturn => `
+      <tr>
+        <td>${taxReturn.label} (${window.taxEngine.FILING_STATUSES[taxReturn.filingStatus]})</td>
+        <td class="ledger-amount">${toCurrency(taxReturn.adjustedGrossIncome)}</td>
+        <td class="ledger-amount">${toCurrency(taxReturn.federalTax)}</td>
+        <td class="ledger-amount">${toCurrency(taxReturn.socialSecurity + taxReturn.medicare + taxReturn.selfEmploymentTax)}</td>
+        <td class="ledger-amount">${toCurrency(taxReturn.stateTax + taxReturn.localTax)}</td>
+        <td class="ledger-amount"><strong>${toCurrency(taxReturn.totalTaxes)}</strong></td>
+      </tr>
+    `).join('');
+
+    const { totals } = household;
+    return `
+      <div class="household-income">
+        <h3>Household Income (${household.joint ? 'joint return' : `${household.returns.length} separate return${household.returns.length === 1 ? '' : 's'}`})</h3>
+        <table class="ledger-table household-table">
+          <thead>
+            <tr>
+              <th>Source</th>
+              <th>Type</th>
+              <th>Earner</th>
+              <th>Annual</th>
+              <th>Deductions / Expenses</th>
+            </tr>
+          </thead>
+          <tbody>${sourceRows}</tbody>
+        </table>
+        <table class="ledger-table household-table">
+          <thead>
+            <tr>
+              <th>Return</th>
+              <th>AGI</th>
+              <th>Federal</th>
+              <th>Payroll / SE</th>
+              <th>State &amp; Local</th>
+              <th>Total Tax</th>
+            </tr>
+          </thead>
+          <tbody>${returnRows}</tbody>
+        </table>
+        <p><strong>Combined net:</strong> <span class="number">${toCurrency(totals.netIncome)}</span> a year · ${toCurrency(totals.monthlyNetIncome)} a month</p>
+        <p class="state-tax-note">Social Security is capped per person across jobs; any extra a second employer withholds is refunded when you file. The budget planner uses the combined monthly net.</p>
+      </div>
+    `;
   }
 
   // ============================================================================
-  // GOALS TRACKING FUNCTIONS
+  // W-4 WITHHOLDING ESTIMATOR FUNCTIONS
   // ============================================================================
 
   /**
-   * Handles goals form submission
+   * Reads the W-4 estimator form
+   * @returns {object} Pay schedule, pay stub figures and W-4 step entries
+   */
+  function readW4Form() {
+    const ytdText = w4Form.elements.w4YtdWithholding.value.trim();
+    return {
+      schedule: w4Form.elements.w4PaySchedule.value,
+      periodsPaid: sanitizeNumber(w4Form.elements.w4PeriodsPaid.value),
+      ytdWithholding: ytdText === '' ? null : sanitizeNumber(ytdText),
+      multipleJobs: w4Form.elements.w4MultipleJobs.checked,
+      credits: sanitizeNumber(w4Form.elements.w4Credits.value),
+      otherIncome: sanitizeNumber(w4Form.elements.w4OtherIncome.value),
+      deductions: sanitizeNumber(w4Form.elements.w4Deductions.value),
+      extraWithholding: sanitizeNumber(w4Form.elements.w4Extra.value)
+    };
+  }
+
+  /**
+   * Handles W-4 estimator submission using the pay, filing status and
+   * pre-tax deductions from the income calculator
    * @param {Event} event - Form submit event
    */
-  function onGoalsSubmit(event) {
+  function onW4Submit(event) {
     event.preventDefault();
 
-    const formData = new FormData(goalsForm);
-    const goal = {
-      id: Date.now(),
-      name: formData.get('goalName'),
-      targetAmount: sanitizeNumber(formData.get('goalAmount')),
-      currentAmount: sanitizeNumber(formData.get('goalCurrent')) || 0,
-      monthlyContribution: sanitizeNumber(formData.get('goalMonthly')) || 0,
-      deadline: formData.get('goalDeadline') || null,
-      priority: formData.get('goalPriority'),
-      created: new Date().toISOString()
-    };
+    const payAmount = sanitizeNumber(payAmountInput.value);
+    if (payAmount <= 0) {
+      w4ResultsEl.innerHTML = `
+        <div class="error-message">
+          <h4>Income Needed</h4>
+          <p>Enter your pay in the income calculator above first.</p>
+        </div>
+      `;
+      return;
+    }
 
-    if (!goal.name || goal.targetAmount <= 0) {
-      alert('Please enter a valid goal name and target amount.');
+    const entries = readW4Form();
+    const schedule = window.paycheckSimulator.SCHEDULES[entries.schedule] || window.paycheckSimulator.SCHEDULES.biweekly;
+    if (entries.periodsPaid > schedule.periods) {
+      w4ResultsEl.innerHTML = `
+        <div class="error-message">
+          <h4>Check Your Pay Stub</h4>
+          <p>A ${schedule.label.toLowerCase()} schedule has only ${schedule.periods} paychecks a year.</p>
+        </div>
+      `;
       return;
     }
 
-    // Save goals data to FinancialDataStore
-    const existingGoals = FinancialDataStore.goals || [];
-    existingGoals.push(goal);
-    FinancialDataStore.goals = existingGoals;
+    const annualGross = calculateAnnualIncome(
+      payAmount,
+      payFrequencySelect.value,
+      sanitizeNumber(hoursPerDayInput.value) || undefined,
+      sanitizeNumber(daysPerWeekInput.value) || undefined,
+      sanitizeNumber(weeksPerYearInput.value) || undefined
+    );
+    // Pre-tax deductions in the income form are monthly amounts
+    const preTaxDeductions = ['health-insurance', 'retirement-401k', 'hsa-contribution', 'fsa-contribution', 'other-deductions']
+      .reduce((sum, id) => sum + sanitizeNumber((document.getElementById(id) || {}).value) * 12, 0);
+
+    const projection = window.w4Estimator.project({
+      annualWages: Math.max(0, annualGross - preTaxDeductions),
+      periods: schedule.periods,
+      periodsPaid: entries.periodsPaid,
+      ytdWithholding: entries.ytdWithholding,
+      filingStatus: filingStatusSelect ? filingStatusSelect.value : 'single',
+      taxYear: taxYearSelect ? parseInt(taxYearSelect.value, 10) : undefined,
+      w4: entries
+    });
 
-    // Save to localStorage and dashboard
+    FinancialDataStore.income.w4 = entries;
     saveFinancialData();
-    saveToLocalStorage('goals', existingGoals);
 
-    goalsForm.reset();
-    displayGoals();
-    updateDashboard();
+    renderW4Results(projection, schedule, entries.ytdWithholding === null);
   }
 
   /**
-   * Displays all goals
+   * Renders the year-end withholding projection
+   * @param {object} projection - Result of w4Estimator.project
+   * @param {object} schedule - Pay schedule { label, periods }
+   * @param {boolean} ytdEstimated - True when no pay stub withholding was entered
    */
-  function displayGoals() {
-    const goals = loadFromLocalStorage('goals', []);
-
-    if (goals.length === 0) {
-  if (goalsListEl) goalsListEl.innerHTML = '<div class="no-goals-message"><p>No goals set yet. Add your first financial goal above!</p></div>';
-      return;
+  function renderW4Results(projection, schedule, ytdEstimated) {
+    const isRefund = projection.balance >= 0;
+    const currentExtra = projection.w4.extraWithholding;
+    let recommendation;
+
+    if (projection.remainingPeriods === 0) {
+      recommendation = 'No paychecks are left this year, so withholding can no longer change the result.';
+    } else if (projection.recommendedExtra > currentExtra) {
+      recommendation = `Set Step 4(c) to <strong>${toCurrency(projection.recommendedExtra)}</strong> per paycheck for the remaining ${projection.remainingPeriods} paychecks to land near zero.`;
+    } else if (projection.recommendedExtra < currentExtra && projection.overWithholdingAtZero === 0) {
+      recommendation = `You can lower Step 4(c) to <strong>${toCurrency(projection.recommendedExtra)}</strong> per paycheck and still land near zero.`;
+    } else if (projection.overWithholdingAtZero > 0) {
+      recommendation = `${currentExtra > 0 ? 'Remove the Step 4(c) amount; even' : 'Even'} with nothing in Step 4(c) you are on track to over-withhold by ${toCurrency(projection.overWithholdingAtZero)}. Consider adding deductions in Step 4(b) or credits in Step 3.`;
+    } else {
+      recommendation = 'Your current Step 4(c) amount already lands near zero.';
     }
 
-    const html = goals.map(goal => {
-      const progressPercent = Math.min(100, (goal.currentAmount / goal.targetAmount) * 100);
-      const remainingAmount = Math.max(0, goal.targetAmount - goal.currentAmount);
-
-      let monthsToGoal = 0;
-      if (remainingAmount > 0 && goal.monthlyContribution > 0) {
-        monthsToGoal = Math.ceil(remainingAmount / goal.monthlyContribution);
-      }
-
-      const deadlineDate = goal.deadline ? new Date(goal.deadline) : null;
-      const monthsUntilDeadline = deadlineDate ? Math.max(0, Math.ceil((deadlineDate - new Date()) / (1000 * 60 * 60 * 24 * 30))) : null;
-
-      return `
-        <div class="goal-item">
-          <div class="goal-header">
-            <h3 class="goal-name">${goal.name}</h3>
-            <span class="goal-priority ${goal.priority}">${goal.priority}</span>
+    w4ResultsEl.innerHTML = `
+      <div class="tax-breakdown">
+        <h3>${projection.taxYear} Withholding Projection (${window.taxEngine.FILING_STATUSES[projection.filingStatus]})</h3>
+        <div class="tax-grid">
+          <div class="tax-item">
+            <span class="tax-label">Projected Federal Income Tax:</span>
+            <span class="tax-amount">${toCurrency(projection.liability)}</span>
           </div>
-
-          <div class="goal-progress">
-            <div class="progress-bar">
-              <div class="progress-fill" style="width: ${progressPercent}%">
-                <span class="progress-text">${progressPercent.toFixed(1)}%</span>
-              </div>
-            </div>
+          <div class="tax-item">
+            <span class="tax-label">Withheld So Far${ytdEstimated ? ' (estimated)' : ''}:</span>
+            <span class="tax-amount">${toCurrency(projection.ytdWithholding)}</span>
           </div>
-
-          <div class="goal-stats">
-            <div class="goal-stat">
-              <div class="goal-stat-label">Target</div>
-              <div class="goal-stat-value">${toCurrency(goal.targetAmount)}</div>
-            </div>
-            <div class="goal-stat">
-              <div class="goal-stat-label">Current</div>
-              <div class="goal-stat-value">${toCurrency(goal.currentAmount)}</div>
-            </div>
-            <div class="goal-stat">
-              <div class="goal-stat-label">Remaining</div>
-              <div class="goal-stat-value">${toCurrency(remainingAmount)}</div>
-            </div>
-            <div class="goal-stat">
-              <div class="goal-stat-label">Time to Goal</div>
-              <div class="goal-stat-value">${monthsToGoal > 0 ? `${Math.floor(monthsToGoal / 12)}y ${monthsToGoal % 12}m` : 'Achieved!'}</div>
-            </div>
-            ${deadlineDate ? `
-              <div class="goal-stat">
-                <div class="goal-stat-label">Deadline</div>
-                <div class="goal-stat-value">${deadlineDate.toLocaleDateString()}</div>
-              </div>
-            ` : ''}
+          <div class="tax-item">
+            <span class="tax-label">Withholding per ${schedule.label} Paycheck:</span>
+            <span class="tax-amount">${toCurrency(projection.perPeriodWithholding)}</span>
           </div>
-
-          <div class="goal-actions">
-            <button class="goal-action-btn" onclick="editGoal(${goal.id})">Edit</button>
-            <button class="goal-action-btn delete" onclick="deleteGoal(${goal.id})">Delete</button>
+          <div class="tax-item">
+            <span class="tax-label">Remaining Paychecks:</span>
+            <span class="tax-amount">${projection.remainingPeriods} of ${projection.periods}</span>
+          </div>
+          <div class="tax-item">
+            <span class="tax-label">Projected Total Withholding:</span>
+            <span class="tax-amount">${toCurrency(projection.projectedWithholding)}</span>
+          </div>
+          <div class="tax-item total-taxes">
+            <span class="tax-label"><strong>${isRefund ? 'Expected Refund' : 'Expected Balance Due'}:</strong></span>
+            <span class="tax-amount"><strong>${toCurrency(Math.abs(projection.balance))}</strong></span>
           </div>
         </div>
-      `;
-    }).join('');
-
-  if (goalsListEl) goalsListEl.innerHTML = html;
+        <p class="state-tax-note">${recommendation}</p>
+        ${projection.w4.multipleJobs ? '<p class="state-tax-note">The projection covers this job only; the Step 2 box withholds extra for your other job or your spouse\'s wages.</p>' : ''}
+      </div>
+    `;
   }
 
   /**
-   * Deletes a goal
-   * @param {number} goalId - Goal ID to delete
+   * Clears the W-4 estimator
    */
-  function deleteGoal(goalId) {
-    if (!confirm('Are you sure you want to delete this goal?')) return;
-
-    const goals = loadFromLocalStorage('goals', []);
-    const updatedGoals = goals.filter(goal => goal.id !== goalId);
-    saveToLocalStorage('goals', updatedGoals);
-    displayGoals();
-    updateDashboard();
+  function onW4Reset() {
+    w4Form.reset();
+    w4ResultsEl.innerHTML = '';
+    FinancialDataStore.income.w4 = null;
+    saveFinancialData();
   }
 
   /**
-   * Edits a goal (simplified version - could be enhanced with modal)
-   * @param {number} goalId - Goal ID to edit
+   * Restores saved W-4 entries into the estimator form
+   * @param {object} entries - Saved W-4 entries
    */
-  function editGoal(goalId) {
-    const goals = loadFromLocalStorage('goals', []);
-    const goal = goals.find(g => g.id === goalId);
-    if (!goal) return;
-
-    const newCurrent = prompt(`Update current amount for "${goal.name}":`, goal.currentAmount);
-    if (newCurrent === null) return;
-
-    const newAmount = sanitizeNumber(newCurrent);
-    if (isNaN(newAmount) || newAmount < 0) {
-      alert('Please enter a valid amount.');
-      return;
-    }
-
-    goal.currentAmount = newAmount;
-    saveToLocalStorage('goals', goals);
-    displayGoals();
-    updateDashboard();
+  function populateW4Form(entries) {
+    if (!w4Form || !entries) return;
+
+    w4Form.elements.w4PaySchedule.value = entries.schedule || 'biweekly';
+    w4Form.elements.w4PeriodsPaid.value = entries.periodsPaid || '';
+    w4Form.elements.w4YtdWithholding.value = entries.ytdWithholding === null || entries.ytdWithholding === undefined ? '' : entries.ytdWithholding;
+    w4Form.elements.w4MultipleJobs.checked = Boolean(entries.multipleJobs);
+    w4Form.elements.w4Credits.value = entries.credits || '';
+    w4Form.elements.w4OtherIncome.value = entries.otherIncome || '';
+    w4Form.elements.w4Deductions.value = entries.deductions || '';
+    w4Form.elements.w4Extra.value = entries.extraWithholding || '';
   }
 
   // Make functions globally available for onclick handlers
-  window.deleteGoal = deleteGoal;
   window.editGoal = editGoal;
+  window.deleteGoal = deleteGoal;
+  window.addGoalContribution = addGoalContribution;
+  window.removeGoalContribution = removeGoalContribution;
   window.removeDebtInput = removeDebtInput;
+  window.toggleImportRow = toggleImportRow;
+  window.setImportRowCategory = setImportRowCategory;
+  window.removeImportRule = removeImportRule;
+  window.startStatementImport = startStatementImport;
+  window.addAccountDebt = addAccountDebt;
+  window.downloadAmortizationCsv = downloadAmortizationCsv;
+  window.removeScenarioInput = removeScenarioInput;
+  window.removeEmergencyAccountInput = removeEmergencyAccountInput;
+  window.renderStateTaxBreakdown = renderStateTaxBreakdown;
+  window.getLocalTaxLabel = getLocalTaxLabel;
+  window.renderLocalTaxNote = renderLocalTaxNote;
+  window.renderEstimatedPayments = renderEstimatedPayments;
+  window.removeIncomeSource = removeIncomeSource;
+  window.getHouseholdIncome = getHouseholdIncome;
+  window.renderHouseholdIncome = renderHouseholdIncome;
+  window.calculateScheduledPay = calculateScheduledPay;
+  window.populateZipStateSelect = populateZipStateSelect;
+  window.populateLocalJurisdictionSelect = populateLocalJurisdictionSelect;
+  window.refreshTransactionLedger = () => {
+    renderLedger();
+    applyLedgerRollup();
+  };
 
   // ============================================================================
   // INVESTMENT FUNCTIONS
@@ -2868,7 +5440,20 @@
   // Income calculator event listeners
   form.addEventListener('submit', onSubmit);
   payFrequencySelect.addEventListener('change', updateVisibility);
+  if (incomeTypeSelect) incomeTypeSelect.addEventListener('change', updateVisibility);
+  if (addIncomeSourceBtn) addIncomeSourceBtn.addEventListener('click', () => addIncomeSourceInput());
   resetBtn.addEventListener('click', onReset);
+  zipcodeInput.addEventListener('input', () => {
+    populateZipStateSelect(zipcodeInput.value, zipStateSelect ? zipStateSelect.value : '');
+    populateLocalJurisdictionSelect(zipcodeInput.value, localJurisdictionSelect ? localJurisdictionSelect.value : '');
+  });
+  if (zipStateSelect) {
+    zipStateSelect.addEventListener('change', () => populateLocalJurisdictionSelect(zipcodeInput.value));
+  }
+
+  // W-4 estimator
+  if (w4Form) w4Form.addEventListener('submit', onW4Submit);
+  if (w4ResetBtn) w4ResetBtn.addEventListener('click', onW4Reset);
 
   // Budget planner event listeners
   budgetForm.addEventListener('submit', onBudgetSubmit);
@@ -2881,14 +5466,86 @@
   // Debt form event listeners
   debtForm.addEventListener('submit', onDebtSubmit);
   debtResetBtn.addEventListener('click', onDebtReset);
-  addDebtBtn.addEventListener('click', addDebtInput);
+  addDebtBtn.addEventListener('click', () => addDebtInput());
+  // Dragging a debt sets its place in the Custom Order strategy
+  debtListEl.addEventListener('dragstart', event => {
+    draggedDebtItem = event.target.closest('.debt-item');
+    if (draggedDebtItem) draggedDebtItem.classList.add('dragging');
+  });
+  debtListEl.addEventListener('dragover', onDebtDragOver);
+  debtListEl.addEventListener('change', event => {
+    if (event.target.matches('[data-field="type"]')) updateDebtTypeFields(event.target.closest('.debt-item'));
+  });
+  debtListEl.addEventListener('dragend', () => {
+    if (draggedDebtItem) draggedDebtItem.classList.remove('dragging');
+    draggedDebtItem = null;
+  });
+
+  // Debt scenario event listeners
+  if (scenarioForm) {
+    scenarioForm.addEventListener('submit', onScenarioSubmit);
+    scenarioResetBtn.addEventListener('click', onScenarioReset);
+    addScenarioBtn.addEventListener('click', () => addScenarioInput());
+    scenarioListEl.addEventListener('change', event => {
+      if (event.target.matches('[data-field="type"]')) updateScenarioTypeFields(event.target.closest('.scenario-item'));
+    });
+  }
 
   // Emergency fund event listeners
   emergencyForm.addEventListener('submit', onEmergencySubmit);
   emergencyResetBtn.addEventListener('click', onEmergencyReset);
+  // The target follows the budget, the debt list and the risk profile as they change
+  emergencyForm.addEventListener('change', refreshEmergencyTarget);
+  if (emergencyAccountListEl) {
+    addEmergencyAccountBtn.addEventListener('click', () => addEmergencyAccountInput());
+    emergencyAccountListEl.addEventListener('input', syncEmergencyBalance);
+    emergencyAccountListEl.addEventListener('change', event => {
+      if (event.target.matches('[data-field="type"]')) updateEmergencyAccountFields(event.target.closest('.emergency-account-item'));
+    });
+  }
+
+  // Job-loss runway event listeners
+  if (runwayForm) {
+    runwayForm.addEventListener('submit', onRunwaySubmit);
+    runwayResetBtn.addEventListener('click', onRunwayReset);
+  }
+  budgetForm.addEventListener('input', refreshEmergencyTarget);
+  debtListEl.addEventListener('input', refreshEmergencyTarget);
+  debtListEl.addEventListener('change', refreshEmergencyTarget);
 
   // Goals form event listeners
   goalsForm.addEventListener('submit', onGoalsSubmit);
+  if (goalsCancelBtn) goalsCancelBtn.addEventListener('click', resetGoalsForm);
+
+  // Transaction ledger event listeners
+  if (ledgerForm) ledgerForm.addEventListener('submit', onLedgerSubmit);
+  if (ledgerCancelBtn) ledgerCancelBtn.addEventListener('click', resetLedgerForm);
+  if (ledgerMonthSelect) ledgerMonthSelect.addEventListener('change', onLedgerMonthChange);
+  if (ledgerListEl) {
+    ledgerListEl.addEventListener('click', event => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+      if (button.dataset.action === 'edit') editTransaction(button.dataset.id);
+      if (button.dataset.action === 'delete') deleteTransaction(button.dataset.id);
+    });
+  }
+
+  // Statement import event listeners
+  const statementFileInput = document.getElementById('statement-file');
+  const statementMappingEl = document.getElementById('statement-mapping');
+  if (statementFileInput) statementFileInput.addEventListener('change', onStatementFileChange);
+  if (statementMappingEl) {
+    statementMappingEl.querySelectorAll('[data-map], #map-date-format').forEach(select => {
+      select.addEventListener('change', refreshStatementPreview);
+    });
+    document.getElementById('map-sign-mode').addEventListener('change', () => {
+      updateSignModeFields();
+      refreshStatementPreview();
+    });
+    document.getElementById('add-rule-btn').addEventListener('click', onAddImportRule);
+    document.getElementById('statement-commit-btn').addEventListener('click', onStatementCommit);
+    document.getElementById('statement-cancel-btn').addEventListener('click', cancelStatementImport);
+  }
 
   expenseFieldConfig.forEach(config => {
     if (config.amountEl) {
@@ -2928,7 +5585,31 @@
     }
   }
 
-  updateAllExpenseVisuals();
+  // Restore saved transactions and accounts, and feed the ledger rollup into the budget
+  const savedFinancialData = loadFromLocalStorage('financialData', {});
+  populateTaxYearSelect(savedFinancialData.income && savedFinancialData.income.taxYear);
+  populateZipStateSelect(
+    savedFinancialData.income ? savedFinancialData.income.zipcode : '',
+    savedFinancialData.income ? savedFinancialData.income.zipState : ''
+  );
+  populateLocalJurisdictionSelect(
+    savedFinancialData.income ? savedFinancialData.income.zipcode : '',
+    savedFinancialData.income ? savedFinancialData.income.localJurisdiction : ''
+  );
+  if (savedFinancialData.income && savedFinancialData.income.w4) {
+    FinancialDataStore.income.w4 = savedFinancialData.income.w4;
+    populateW4Form(savedFinancialData.income.w4);
+  }
+  attachTransactionLedger(savedFinancialData.transactions);
+  FinancialDataStore.accounts = Array.isArray(savedFinancialData.accounts) ? savedFinancialData.accounts : [];
+  const ledgerDateInput = document.getElementById('ledger-date');
+  if (ledgerDateInput) ledgerDateInput.value = getTodayDateString();
+  renderLedger();
+  applyLedgerRollup();
+  renderImportedAccounts();
+  populateRunwayStateSelect(savedFinancialData.income
+    ? getStateFromZipcode(savedFinancialData.income.zipcode, savedFinancialData.income.zipState)
+    : '');
 
   // Initialize dashboard and goals display
   updateDashboard();
@@ -3074,6 +5755,12 @@ document.addEventListener('DOMContentLoaded', function() {
     formInputs.forEach(input => {
       input.addEventListener('input', debounce(calculateEnhancedIncome, 500));
     });
+
+    // Income source rows are added later, so listen on their container
+    const sourceList = document.getElementById('income-source-list');
+    if (sourceList) {
+      sourceList.addEventListener('input', debounce(calculateEnhancedIncome, 500));
+    }
   }
 
   // Enhanced income calculation function
@@ -3116,13 +5803,19 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Additional income calculations
     const bonusAmount = parseFloat(formData.get('bonusAmount')) || 0;
-    const overtimeHours = parseFloat(formData.get('overtimeHours')) || 0;
     const commissionRate = parseFloat(formData.get('commissionRate')) || 0;
     const commissionBase = parseFloat(formData.get('commissionBase')) || 0;
 
-    // Calculate overtime (time and a half)
-    const overtimeIncome = payFrequency === 'hour' ?
-      (payAmount * 1.5 * overtimeHours * weeksPerYear) : 0;
+    // A typical week under Overtime & Shifts splits pay into regular and overtime/double time
+    const zipcode = String(formData.get('zipcode') || '').trim();
+    const state = window.calculators.getStateFromZipcode(zipcode, formData.get('zipState'));
+    const overtimeDetails = window.calculateScheduledPay
+      ? window.calculateScheduledPay(payAmount, payFrequency, hoursPerDay, weeksPerYear, state)
+      : null;
+    if (overtimeDetails) {
+      annualIncome = overtimeDetails.annualRegularPay;
+    }
+    const overtimeIncome = overtimeDetails ? overtimeDetails.annualOvertimePay : 0;
 
     // Calculate commission
     const commissionIncome = (commissionBase * commissionRate) / 100;
@@ -3130,21 +5823,117 @@ document.addEventListener('DOMContentLoaded', function() {
     // Total gross income
     const totalGrossIncome = annualIncome + bonusAmount + overtimeIncome + commissionIncome;
 
-    // Pre-tax deductions
-    const healthInsurance = (parseFloat(formData.get('healthInsurance')) || 0) * 12;
-    const retirement401k = (parseFloat(formData.get('retirement401k')) || 0) * 12;
-    const otherDeductions = (parseFloat(formData.get('otherDeductions')) || 0) * 12;
-    const totalDeductions = healthInsurance + retirement401k + otherDeductions;
-
-    // Taxable income
-    const taxableIncome = totalGrossIncome - totalDeductions;
+    // Payroll deductions are entered as monthly amounts
+    const annualized = name => (parseFloat(formData.get(name)) || 0) * 12;
+    const healthInsurance = annualized('healthInsurance');
+    const otherDeductions = annualized('otherDeductions');
 
     // Basic tax calculation (simplified)
     const filingStatus = formData.get('filingStatus') || 'single';
-    const taxes = calculateSimplifiedTaxes(taxableIncome, filingStatus);
+    const taxYear = parseInt(formData.get('taxYear'), 10) || undefined;
+    // A well-formed ZIP code that is not assigned to a state gets a warning instead of silent zero tax
+    const zipValidation = window.validator.validateZipcode(zipcode);
+    const zipError = /^\d{5}(-\d{4})?$/.test(zipcode) && !zipValidation.isValid ? zipValidation.errors[0] : null;
+    const local = {
+      zipcode,
+      jurisdiction: formData.get('localJurisdiction') || '',
+      residency: formData.get('localResidency') || 'resident'
+    };
+
+    // Self-employed pay is gross receipts; SE tax replaces FICA and there are no payroll deductions
+    if (formData.get('incomeType') === 'self-employed') {
+      const optionalAmount = name => (formData.get(name) === '' || formData.get(name) === null ? null : parseFloat(formData.get(name)) || 0);
+      const business = window.selfEmployment.calculate({
+        grossReceipts: totalGrossIncome,
+        expenses: parseFloat(formData.get('businessExpenses')) || 0,
+        filingStatus,
+        taxYear,
+        state,
+        ...local,
+        priorYearTax: optionalAmount('priorYearTax'),
+        priorYearAgi: optionalAmount('priorYearAgi')
+      });
+
+      displayEnhancedResults({
+        grossIncome: totalGrossIncome,
+        baseIncome: annualIncome,
+        bonus: bonusAmount,
+        overtime: overtimeIncome,
+        overtimeDetails,
+        commission: commissionIncome,
+        deductions: business.expenses,
+        taxableIncome: business.netProfit,
+        taxes: {
+          federal: business.federalTax,
+          socialSecurity: business.selfEmploymentTax.socialSecurity,
+          medicare: business.selfEmploymentTax.medicare,
+          state: business.stateTax,
+          stateDetails: business.stateTaxDetails,
+          local: business.localTax,
+          localDetails: business.localTaxDetails,
+          total: business.totalTaxes
+        },
+        selfEmployment: business,
+        zipError,
+        netIncome: business.netIncome
+      });
+      return;
+    }
 
-    // Net income
-    const netIncome = taxableIncome - taxes.total;
+    // 401(k), HSA and FSA contributions are capped at the IRS limits and taxed by account type;
+    // health premiums skip FICA as well as income tax, other deductions only income tax
+    const contributions = window.contributionPlanner.plan({
+      annualGross: totalGrossIncome,
+      contributions: {
+        retirement401k: annualized('retirement401k'),
+        roth401k: annualized('roth401k'),
+        hsa: annualized('hsa'),
+        fsa: annualized('fsa')
+      },
+      otherPreTax: { total: healthInsurance + otherDeductions, ficaExempt: healthInsurance },
+      age: parseInt(formData.get('contributorAge'), 10),
+      hsaCoverage: formData.get('hsaCoverage'),
+      taxYear,
+      state,
+      calculateTaxes: wages => calculateSimplifiedTaxes(wages.federal, filingStatus, taxYear, state, local, wages)
+    });
+    const allowed = Object.fromEntries(contributions.accounts.map(account => [account.key, account.amount]));
+    const totalDeductions = healthInsurance + otherDeductions + contributions.preTaxTotal;
+    const taxableIncome = contributions.wages.federal;
+    const taxes = contributions.taxes;
+
+    // Paycheck mode splits the year into pay stubs
+    const paySchedule = formData.get('paySchedule');
+    const paychecks = paySchedule ? window.paycheckSimulator.simulate({
+      annualGross: totalGrossIncome,
+      schedule: paySchedule,
+      deductions: { healthInsurance, ...allowed, otherDeductions },
+      filingStatus,
+      taxYear,
+      state,
+      ...local
+    }) : null;
+
+    // Net income after taxes and every payroll deduction, Roth included
+    const netIncome = contributions.netIncome;
+
+    // A bonus is compared against the same year without it, with the chosen share deferred
+    const schedule = window.paycheckSimulator.SCHEDULES[paySchedule];
+    const bonusWithholding = bonusAmount > 0 ? window.bonusWithholding.compareDeferral({
+      bonus: bonusAmount,
+      deferralRate: parseFloat(formData.get('bonusDeferral')) || 0,
+      electiveRoom: contributions.limits.elective - allowed.retirement401k - allowed.roth401k,
+      wages: {
+        federal: Math.max(0, contributions.wages.federal - bonusAmount),
+        fica: Math.max(0, contributions.wages.fica - bonusAmount),
+        state: Math.max(0, contributions.wages.state - bonusAmount)
+      },
+      periods: schedule ? schedule.periods : 26,
+      filingStatus,
+      taxYear,
+      state,
+      calculateTaxes: wages => calculateSimplifiedTaxes(wages.federal, filingStatus, taxYear, state, local, wages)
+    }) : null;
 
     // Update the results display
     displayEnhancedResults({
@@ -3152,53 +5941,226 @@ document.addEventListener('DOMContentLoaded', function() {
       baseIncome: annualIncome,
       bonus: bonusAmount,
       overtime: overtimeIncome,
+      overtimeDetails,
       commission: commissionIncome,
       deductions: totalDeductions,
       taxableIncome: taxableIncome,
+      afterTaxDeductions: contributions.afterTaxTotal,
       taxes: taxes,
+      contributions,
+      bonusWithholding,
+      zipError,
+      paychecks,
       netIncome: netIncome
     });
   }
 
-  // Simplified tax calculation
-  function calculateSimplifiedTaxes(income, filingStatus) {
-    // 2024 Tax Brackets (simplified)
-    const brackets = {
-      single: [
-        { min: 0, max: 11000, rate: 0.10 },
-        { min: 11000, max: 44725, rate: 0.12 },
-        { min: 44725, max: 95375, rate: 0.22 },
-        { min: 95375, max: 182050, rate: 0.24 },
-        { min: 182050, max: 231250, rate: 0.32 },
-        { min: 231250, max: 578125, rate: 0.35 },
-        { min: 578125, max: Infinity, rate: 0.37 }
-      ]
-    };
-
-    const bracketData = brackets[filingStatus] || brackets.single;
-    let federalTax = 0;
-
-    for (const bracket of bracketData) {
-      if (income > bracket.min) {
-        const taxableAtBracket = Math.min(income, bracket.max) - bracket.min;
-        federalTax += taxableAtBracket * bracket.rate;
-      }
-    }
-
-    // FICA taxes
-    const socialSecurity = Math.min(income * 0.062, 160200 * 0.062); // 2024 SS wage base
-    const medicare = income * 0.0145;
-
-    // Estimated state tax (5% average)
-    const stateTax = income * 0.05;
+  // Simplified tax calculation. FICA and state wages can differ from federal taxable income
+  // (FICA applies before 401(k) deferrals; some states tax HSA or 401(k) contributions).
+  function calculateSimplifiedTaxes(income, filingStatus, taxYear, state, local = {}, wages = {}) {
+    const ficaWages = wages.fica !== undefined ? wages.fica : income;
+    const stateWages = wages.state !== undefined ? wages.state : income;
+
+    // Federal tax and FICA come from the shared engine so this matches the other calculators
+    const federalTax = window.taxEngine.calculateFederalTax(income, filingStatus, { taxYear });
+    const fica = window.taxEngine.calculateFICA(ficaWages, filingStatus, taxYear);
+
+    const socialSecurity = fica.socialSecurity;
+    const medicare = fica.medicare;
+
+    // State tax needs a ZIP code to know the state
+    const stateDetails = state ? window.stateTax.calculateStateTax(stateWages, state, filingStatus, { taxYear }) : null;
+    const stateTax = stateDetails ? stateDetails.tax : 0;
+
+    // Local tax is looked up from the full ZIP code, or the jurisdiction the user picked
+    const localDetails = state ? window.localTax.calculateLocalTax(stateWages, local.zipcode, {
+      jurisdiction: local.jurisdiction,
+      residency: local.residency,
+      filingStatus,
+      taxYear,
+      stateTaxDetails: stateDetails
+    }) : null;
+    const localTax = localDetails ? localDetails.tax : 0;
 
     return {
       federal: federalTax,
       socialSecurity: socialSecurity,
       medicare: medicare,
       state: stateTax,
-      total: federalTax + socialSecurity + medicare + stateTax
+      stateDetails,
+      local: localTax,
+      localDetails,
+      total: federalTax + socialSecurity + medicare + stateTax + localTax
+    };
+  }
+
+  // Show each contribution against its limit and what it costs in take-home pay
+  function renderContributions(plan) {
+    const accounts = plan.accounts.filter(account => account.requested > 0);
+    if (accounts.length === 0) return '';
+
+    const { limits } = plan;
+    const limitLabels = {
+      elective: `${toCurrency(limits.elective)} combined${limits.electiveCatchUp > 0 ? ` (incl. ${toCurrency(limits.electiveCatchUp)} catch-up)` : ''}`,
+      hsa: `${toCurrency(limits.hsa)} ${limits.hsaCoverage === 'family' ? 'family' : 'self-only'}${limits.hsaCatchUp > 0 ? ` (incl. ${toCurrency(limits.hsaCatchUp)} catch-up)` : ''}`,
+      healthFsa: toCurrency(limits.healthFsa)
     };
+
+    const rows = accounts.map(account => `
+      <tr>
+        <td>${account.label}</td>
+        <td class="ledger-amount">${toCurrency(account.amount)}</td>
+        <td>${limitLabels[account.limit]}</td>
+        <td class="ledger-amount">${toCurrency(account.cost)}</td>
+        <td class="ledger-amount">${account.amount > 0 ? `$${account.costPerDollar.toFixed(2)}` : '—'}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="contribution-summary">
+        <h4>Contributions (${limits.taxYear} limits)</h4>
+        <table class="ledger-table contribution-table">
+          <thead>
+            <tr>
+              <th>Account</th>
+              <th>Annual</th>
+              <th>Limit</th>
+              <th>Take-Home Cost</th>
+              <th>Cost per $1</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${plan.warnings.map(warning => `<p class="state-tax-note contribution-warning">${warning}</p>`).join('')}
+        <p class="state-tax-note">Traditional 401(k) deferrals still owe Social Security and Medicare. HSA and FSA payroll contributions skip both, and Roth deferrals cost a full dollar now in exchange for tax-free withdrawals later.</p>
+      </div>
+    `;
+  }
+
+  // Compare flat and aggregate withholding on a bonus with the tax it really adds
+  function renderBonusWithholding(analysis) {
+    const { liability, rates } = analysis;
+    const settleUpLabel = amount => (Math.abs(amount) < 1
+      ? 'about even'
+      : amount > 0 ? `${toCurrency(amount)} refund` : `${toCurrency(-amount)} owed`);
+
+    const rows = analysis.methods.map(method => `
+      <tr>
+        <td>${method.label}</td>
+        <td class="ledger-amount">${toCurrency(method.federal)} (${(method.effectiveRate * 100).toFixed(1)}%)</td>
+        <td class="ledger-amount">${toCurrency(method.withheld)}</td>
+        <td class="ledger-amount"><strong>${toCurrency(method.netBonus)}</strong></td>
+        <td>${settleUpLabel(method.settleUp)}</td>
+      </tr>
+    `).join('');
+
+    const effect = analysis.deferralEffect;
+    return `
+      <div class="bonus-withholding">
+        <h4>Bonus Withholding (${toCurrency(analysis.bonus)})</h4>
+        <table class="ledger-table bonus-table">
+          <thead>
+            <tr>
+              <th>Method</th>
+              <th>Federal Withheld</th>
+              <th>Total Withheld</th>
+              <th>Net Bonus</th>
+              <th>At Tax Time</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <p class="state-tax-note">
+          The bonus adds ${toCurrency(liability.federal)} federal tax, ${toCurrency(liability.fica)} Social Security and Medicare,
+          and ${toCurrency(liability.stateAndLocal)} state and local tax to the year, so you keep ${toCurrency(analysis.keptAfterFiling)}
+          once you file${analysis.deferred > 0 ? ` plus ${toCurrency(analysis.deferred)} in your 401(k)` : ''}.
+          Supplemental wages over ${toCurrency(rates.mandatoryThreshold)} are withheld at ${Math.round(rates.mandatoryRate * 100)}% under either method.
+        </p>
+        ${effect ? `
+          <p class="state-tax-note">
+            Deferring ${analysis.deferralRate}% (${toCurrency(analysis.deferred)}) saves ${toCurrency(effect.taxSaved)} in tax and
+            lowers the cash you keep by ${toCurrency(effect.cashGivenUp)}.${analysis.deferralCapped ? ' The deferral is capped by the 401(k) limit left after your regular contributions.' : ''}
+          </p>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // Pay stub amounts are shown to the cent so they can be checked against real stubs
+  const formatStubAmount = amount => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+
+  // Render one row per paycheck, with the Social Security wage base paycheck highlighted
+  function renderPayStubs(simulation) {
+    const deductionLabels = {};
+    simulation.stubs.forEach(stub => [...stub.preTax, ...stub.afterTax].forEach(item => { deductionLabels[item.key] = item.label; }));
+    const deductionKeys = Object.keys(deductionLabels);
+    const showLocal = simulation.totals.local > 0;
+    const wageBaseStub = simulation.wageBaseReached;
+
+    const rows = simulation.stubs.map(stub => {
+      const amounts = Object.fromEntries([...stub.preTax, ...stub.afterTax].map(item => [item.key, item.amount]));
+      return `
+        <tr class="${wageBaseStub && stub.period === wageBaseStub.period ? 'paystub-wage-base' : ''}">
+          <td>${stub.period}</td>
+          <td>${stub.payDate}</td>
+          <td class="ledger-amount">${formatStubAmount(stub.gross)}</td>
+          ${deductionKeys.map(key => `<td class="ledger-amount">${formatStubAmount(amounts[key] || 0)}</td>`).join('')}
+          <td class="ledger-amount">${formatStubAmount(stub.federal)}</td>
+          <td class="ledger-amount">${formatStubAmount(stub.socialSecurity)}</td>
+          <td class="ledger-amount">${formatStubAmount(stub.medicare)}</td>
+          <td class="ledger-amount">${formatStubAmount(stub.state)}</td>
+          ${showLocal ? `<td class="ledger-amount">${formatStubAmount(stub.local)}</td>` : ''}
+          <td class="ledger-amount"><strong>${formatStubAmount(stub.net)}</strong></td>
+          <td class="ledger-amount">${formatStubAmount(stub.ytd.gross)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    const totals = simulation.totals;
+    return `
+      <div class="paystub-simulator">
+        <h4>${simulation.label} Pay Stubs (${simulation.periods} paychecks, ${simulation.taxYear})</h4>
+        <p class="state-tax-note">
+          ${wageBaseStub
+            ? `Social Security wage base (${formatStubAmount(simulation.wageBase)}) reached on paycheck ${wageBaseStub.period} (${wageBaseStub.payDate}); later paychecks have no Social Security withholding.`
+            : `Social Security applies to every paycheck; wages stay under the ${formatStubAmount(simulation.wageBase)} wage base.`}
+        </p>
+        <div class="paystub-table-wrapper">
+          <table class="ledger-table paystub-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Pay Date</th>
+                <th>Gross</th>
+                ${deductionKeys.map(key => `<th>${deductionLabels[key]}</th>`).join('')}
+                <th>Federal</th>
+                <th>Social Security</th>
+                <th>Medicare</th>
+                <th>State</th>
+                ${showLocal ? '<th>Local</th>' : ''}
+                <th>Net</th>
+                <th>YTD Gross</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+            <tfoot>
+              <tr>
+                <td colspan="2"><strong>Year</strong></td>
+                <td class="ledger-amount">${formatStubAmount(totals.gross)}</td>
+                ${deductionKeys.map(key => `<td class="ledger-amount">${formatStubAmount(simulation.stubs.reduce((sum, stub) => sum + ([...stub.preTax, ...stub.afterTax].find(item => item.key === key) || { amount: 0 }).amount, 0))}</td>`).join('')}
+                <td class="ledger-amount">${formatStubAmount(totals.federal)}</td>
+                <td class="ledger-amount">${formatStubAmount(totals.socialSecurity)}</td>
+                <td class="ledger-amount">${formatStubAmount(totals.medicare)}</td>
+                <td class="ledger-amount">${formatStubAmount(totals.state)}</td>
+                ${showLocal ? `<td class="ledger-amount">${formatStubAmount(totals.local)}</td>` : ''}
+                <td class="ledger-amount"><strong>${formatStubAmount(totals.net)}</strong></td>
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </div>
+    `;
   }
 
   // Display enhanced results
@@ -3218,6 +6180,14 @@ document.addEventListener('DOMContentLoaded', function() {
       taxes: data.taxes.total / 52
     };
 
+    // Other income sources add a combined household view, starting from this job's figures
+    const household = window.getHouseholdIncome ? window.getHouseholdIncome({
+      annualGross: data.grossIncome,
+      annualDeductions: data.deductions,
+      afterTaxDeductions: data.afterTaxDeductions,
+      wages: data.contributions ? data.contributions.wages : undefined
+    }) : null;
+
     resultsContainer.innerHTML = `
       <div class="results-card">
         <div class="income-summary-grid">
@@ -3259,6 +6229,13 @@ document.addEventListener('DOMContentLoaded', function() {
                   <span class="tax-amount-enhanced">${toCurrency(data.overtime)}</span>
                 </div>
               ` : ''}
+              ${data.overtimeDetails ? `
+                <p class="state-tax-note">
+                  ${data.overtimeDetails.totalHours} hours a week: ${data.overtimeDetails.regularHours} regular,
+                  ${data.overtimeDetails.overtimeHours} at 1.5x${data.overtimeDetails.doubleTimeHours > 0 ? `, ${data.overtimeDetails.doubleTimeHours} at 2x` : ''}
+                  (${data.overtimeDetails.ruleLabel}; regular rate $${data.overtimeDetails.regularRate.toFixed(2)}/hour).
+                </p>
+              ` : ''}
               ${data.commission > 0 ? `
                 <div class="flex justify-between">
                   <span class="tax-label-enhanced">Commission Income</span>
@@ -3274,41 +6251,61 @@ document.addEventListener('DOMContentLoaded', function() {
           <div class="space-y-1">
             ${data.deductions > 0 ? `
               <div class="tax-item-enhanced">
-                <span class="tax-label-enhanced">Pre-tax Deductions</span>
+                <span class="tax-label-enhanced">${data.selfEmployment ? 'Business Expenses' : 'Pre-tax Deductions'}</span>
                 <span class="tax-amount-enhanced">-${toCurrency(data.deductions)}</span>
               </div>
               <div class="tax-item-enhanced">
-                <span class="tax-label-enhanced">Taxable Income</span>
+                <span class="tax-label-enhanced">${data.selfEmployment ? 'Net Profit' : 'Taxable Income'}</span>
                 <span class="tax-amount-enhanced">${toCurrency(data.taxableIncome)}</span>
               </div>
             ` : ''}
+            ${data.afterTaxDeductions > 0 ? `
+              <div class="tax-item-enhanced">
+                <span class="tax-label-enhanced">After-tax Deductions (Roth 401(k))</span>
+                <span class="tax-amount-enhanced">-${toCurrency(data.afterTaxDeductions)}</span>
+              </div>
+            ` : ''}
             <div class="tax-item-enhanced">
               <span class="tax-label-enhanced">Federal Tax</span>
               <span class="tax-amount-enhanced">-${toCurrency(data.taxes.federal)}</span>
             </div>
             <div class="tax-item-enhanced">
-              <span class="tax-label-enhanced">Social Security</span>
+              <span class="tax-label-enhanced">${data.selfEmployment ? 'SE Tax (Social Security)' : 'Social Security'}</span>
               <span class="tax-amount-enhanced">-${toCurrency(data.taxes.socialSecurity)}</span>
             </div>
             <div class="tax-item-enhanced">
-              <span class="tax-label-enhanced">Medicare</span>
+              <span class="tax-label-enhanced">${data.selfEmployment ? 'SE Tax (Medicare)' : 'Medicare'}</span>
               <span class="tax-amount-enhanced">-${toCurrency(data.taxes.medicare)}</span>
             </div>
             <div class="tax-item-enhanced">
-              <span class="tax-label-enhanced">State Tax (Est.)</span>
+              <span class="tax-label-enhanced">${data.taxes.stateDetails ? `State Tax (${data.taxes.stateDetails.state})` : (data.zipError ? 'State Tax (ZIP code not found)' : 'State Tax (enter ZIP code)')}</span>
               <span class="tax-amount-enhanced">-${toCurrency(data.taxes.state)}</span>
             </div>
+            ${data.zipError ? `<p class="state-tax-note">${data.zipError}</p>` : ''}
+            ${data.taxes.localDetails && data.taxes.localDetails.hasLocalTax ? `
+              <div class="tax-item-enhanced">
+                <span class="tax-label-enhanced">${window.getLocalTaxLabel(data.taxes.localDetails)}</span>
+                <span class="tax-amount-enhanced">-${toCurrency(data.taxes.local)}</span>
+              </div>
+            ` : ''}
             <div class="tax-item-enhanced total">
               <span class="tax-label-enhanced">Total Taxes</span>
               <span class="tax-amount-enhanced">-${toCurrency(data.taxes.total)}</span>
             </div>
           </div>
+          ${window.renderLocalTaxNote ? window.renderLocalTaxNote(data.taxes.localDetails) : ''}
+          ${window.renderStateTaxBreakdown ? window.renderStateTaxBreakdown(data.taxes.stateDetails) : ''}
         </div>
+        ${data.selfEmployment && window.renderEstimatedPayments ? window.renderEstimatedPayments(data.selfEmployment) : ''}
+        ${data.contributions ? renderContributions(data.contributions) : ''}
+        ${data.bonusWithholding ? renderBonusWithholding(data.bonusWithholding) : ''}
+        ${data.paychecks ? renderPayStubs(data.paychecks) : ''}
+        ${household ? window.renderHouseholdIncome(household) : ''}
       </div>
     `;
 
     // Update dashboard metrics
-    updateDashboardMetric('metric-income', toCurrency(monthly.net));
+    updateDashboardMetric('metric-income', toCurrency(household ? household.totals.monthlyNetIncome : monthly.net));
   }
 
   // Debounce function for performance